@@ -0,0 +1,87 @@
+/**
+ * Ma trận phân quyền (RBAC)
+ * Mỗi quyền liệt kê các role được phép. Admin luôn có mọi quyền nên không cần liệt kê.
+ *
+ * Role:
+ * - admin: Quản trị toàn hệ thống
+ * - staff: Nhân viên bán hàng / CSKH (sản phẩm, đơn hàng, khuyến mãi tự động, liên hệ)
+ * - warehouse: Nhân viên kho (tồn kho, nhập hàng, giao hàng)
+ * - accountant: Kế toán (chứng từ, công nợ, kỳ kế toán)
+ * - author: Tác giả bài viết
+ * - user: Khách hàng
+ */
+const ROLES = ['admin', 'staff', 'warehouse', 'accountant', 'author', 'user'];
+
+const PERMISSIONS = {
+  // Sản phẩm
+  'products:write': ['staff'],
+
+  // Đơn hàng
+  'orders:read_all': ['staff', 'warehouse', 'accountant'],
+  'orders:update': ['staff'],
+  'orders:ship': ['staff', 'warehouse'], // Chỉ chuyển trạng thái giao hàng
+  'orders:delete': [],
+  'orders:post_cogs': ['accountant'],
+  'orders:refund': ['accountant'], // Cập nhật phiếu hoàn tiền
+  'returns:manage': ['staff', 'accountant'], // Duyệt / từ chối yêu cầu trả hàng
+  'payments:reconcile': ['accountant'], // Đối soát chuyển khoản không khớp giao dịch
+
+  // Giao hàng
+  'shipping:manage': ['staff'], // Biểu phí giao hàng
+  'delivery:manage': ['staff', 'warehouse'], // Khung giờ giao hàng, xem tải theo khung giờ
+
+  // Kho hàng
+  'inventory:read': ['staff', 'warehouse', 'accountant'],
+  'inventory:write': ['warehouse'],
+  'purchases:write': ['warehouse', 'accountant'],
+
+  // Đối tác (NCC / khách hàng công nợ)
+  'partners:read': ['warehouse', 'accountant'],
+  'partners:write': ['accountant'],
+
+  // Kế toán
+  'accounting:post': ['accountant'],   // Lập / sửa / xóa chứng từ, giao dịch, công nợ
+  'accounting:manage': ['accountant'], // Hệ thống tài khoản, kỳ kế toán, khóa sổ
+  'bank:reconcile': ['accountant'],    // Nhập sao kê ngân hàng, đối soát TK 1121
+
+  // Hệ thống
+  'jobs:manage': [], // Xem / chạy tay / tạm dừng job định kỳ
+
+  // Khuyến mãi
+  'coupons:write': [], // Chỉ admin: tạo / sửa / sinh mã hàng loạt
+  'promotions:write': ['staff'],
+
+  // Nội dung
+  'posts:write': ['author'],
+  'media:write': ['staff', 'author'],
+
+  // CSKH
+  'contacts:manage': ['staff'],
+  'subscriptions:read': ['staff'],
+  'recruitment:manage': ['staff'],
+
+  // Người dùng
+  'users:manage': [],
+};
+
+/**
+ * Kiểm tra role có quyền hay không
+ * @param {String} role - Role của user
+ * @param {String} permission - Tên quyền (VD: 'orders:ship')
+ * @returns {Boolean}
+ */
+const hasPermission = (role, permission) => {
+  if (role === 'admin') return true;
+  const allowedRoles = PERMISSIONS[permission];
+  if (!allowedRoles) {
+    console.warn(`⚠️ Quyền không tồn tại trong ma trận phân quyền: ${permission}`);
+    return false;
+  }
+  return allowedRoles.includes(role);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+};
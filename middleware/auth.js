@@ -1,19 +1,17 @@
 const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const User = require('../models/User');
+const { hasPermission } = require('../config/permissions');
 
 /**
- * Middleware để verify JWT token và lấy userId
- * Sử dụng cho mobile app authentication
+ * Giải mã JWT (dùng chung cho HTTP và Socket.IO)
  */
-const verifyToken = (req) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return { error: 'Token không được cung cấp', userId: null };
-    }
+const verifyJwt = (token) => {
+  if (!token) {
+    return { error: 'Token không được cung cấp', userId: null };
+  }
 
-    const token = authHeader.substring(7); // Remove "Bearer " prefix
-    
+  try {
     const decoded = jwt.verify(
       token,
       process.env.NEXTAUTH_SECRET || process.env.JWT_SECRET || 'fallback-secret-key-for-development'
@@ -32,6 +30,20 @@ const verifyToken = (req) => {
   }
 };
 
+/**
+ * Middleware để verify JWT token và lấy userId
+ * Sử dụng cho mobile app authentication
+ */
+const verifyToken = (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return { error: 'Token không được cung cấp', userId: null };
+  }
+
+  return verifyJwt(authHeader.substring(7)); // Remove "Bearer " prefix
+};
+
 /**
  * Middleware để bảo vệ API route với JWT authentication
  */
@@ -70,9 +82,77 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
+/**
+ * Role hiện tại của user trong database (null nếu user không còn tồn tại)
+ * Không tin role trong JWT vì token cũ vẫn mang role trước khi bị thu hồi quyền
+ */
+const loadCurrentRole = async (userId) => {
+  await db.connectDb();
+  const dbUser = await User.findById(userId).select('role').lean();
+  return dbUser ? (dbUser.role || 'user') : null;
+};
+
+/**
+ * Xác thực token và nạp role hiện tại từ database (loadCurrentRole)
+ */
+const authorize = (isAllowed, forbiddenMessage) => async (req, res, next) => {
+  const { error, userId, user } = verifyToken(req);
+
+  if (error || !userId) {
+    return res.status(401).json({ 
+      status: 'error',
+      message: error || 'Unauthorized' 
+    });
+  }
+
+  try {
+    const role = await loadCurrentRole(userId);
+    if (!role) {
+      return res.status(401).json({ status: 'error', message: 'Unauthorized' });
+    }
+
+    if (!isAllowed(role)) {
+      return res.status(403).json({ message: forbiddenMessage });
+    }
+
+    req.userId = userId;
+    req.user = { ...user, role };
+
+    next();
+  } catch (err) {
+    console.error('Error authorizing request:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Chỉ cho phép các role được liệt kê (admin luôn được phép)
+ * VD: router.get('/', requireRole('accountant'), handler)
+ */
+const requireRole = (...roles) => authorize(
+  (role) => role === 'admin' || roles.includes(role),
+  roles.length > 0
+    ? `Forbidden: Requires role ${['admin', ...roles].join(' or ')}`
+    : 'Forbidden: Admin access required'
+);
+
+/**
+ * Cho phép nếu role có ít nhất một trong các quyền (xem config/permissions.js)
+ * VD: router.patch('/:id', requirePermission('orders:update', 'orders:ship'), handler)
+ */
+const requirePermission = (...permissions) => authorize(
+  (role) => permissions.some((permission) => hasPermission(role, permission)),
+  `Forbidden: Missing permission ${permissions.join(' or ')}`
+);
+
 module.exports = {
+  verifyJwt,
   verifyToken,
   withAuth,
-  optionalAuth
+  optionalAuth,
+  requireRole,
+  requirePermission,
+  loadCurrentRole,
+  hasPermission
 };
 
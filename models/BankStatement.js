@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Bank Statement - Sao kê ngân hàng đã nhập để đối soát với sổ TK 1121
+ * Mỗi lần tải file sao kê tạo một bản ghi; giao dịch chi tiết nằm trong BankStatementLine
+ */
+const BankStatementSchema = new mongoose.Schema({
+  bankAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankAccount',
+    required: true,
+    index: true,
+  },
+  // Nguồn file: tpbank, vietcombank (CSV/Excel internet banking), sepay (JSON lịch sử giao dịch), csv (khác)
+  format: {
+    type: String,
+    enum: ['tpbank', 'vietcombank', 'sepay', 'csv'],
+    required: true,
+  },
+  fileName: {
+    type: String,
+    default: '',
+  },
+  // Khoảng thời gian của các giao dịch trong file
+  periodStart: Date,
+  periodEnd: Date,
+  // Số dư đầu / cuối theo cột số dư của sao kê (null nếu file không có cột số dư)
+  openingBalance: {
+    type: Number,
+    default: null,
+  },
+  closingBalance: {
+    type: Number,
+    default: null,
+  },
+  totalIn: {
+    type: Number,
+    default: 0,
+  },
+  totalOut: {
+    type: Number,
+    default: 0,
+  },
+  // Số giao dịch mới nhập / bị bỏ qua vì đã có từ file trước
+  lineCount: {
+    type: Number,
+    default: 0,
+  },
+  duplicateCount: {
+    type: Number,
+    default: 0,
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+BankStatementSchema.index({ bankAccount: 1, createdAt: -1 });
+
+module.exports = mongoose.models.BankStatement || mongoose.model('BankStatement', BankStatementSchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+/**
+ * Bank Statement Line - Một giao dịch trên sao kê ngân hàng và kết quả đối soát
+ * status:
+ * - unmatched: chưa tìm thấy chứng từ tương ứng
+ * - suggested: tự động tìm được chứng từ cùng số tiền, gần ngày - chờ kế toán xác nhận
+ * - matched: đã khớp (tự động khi trùng mã tham chiếu / mã thanh toán, hoặc kế toán xác nhận / lập chứng từ mới)
+ * - ignored: kế toán bỏ qua (giao dịch không cần ghi sổ)
+ */
+const BankStatementLineSchema = new mongoose.Schema({
+  statement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankStatement',
+    required: true,
+    index: true,
+  },
+  bankAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankAccount',
+    required: true,
+  },
+  transactionDate: {
+    type: Date,
+    required: true,
+  },
+  // > 0: tiền vào (ghi có tài khoản ngân hàng), < 0: tiền ra
+  amount: {
+    type: Number,
+    required: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  // Số tham chiếu / mã giao dịch của ngân hàng
+  reference: {
+    type: String,
+    default: '',
+  },
+  // Số dư sau giao dịch (nếu sao kê có)
+  balance: {
+    type: Number,
+    default: null,
+  },
+  // Mã giao dịch của nguồn (Sepay id)
+  externalId: {
+    type: String,
+    default: '',
+  },
+  // Dấu vân tay chống nhập trùng khi tải lại sao kê chồng ngày
+  fingerprint: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['unmatched', 'suggested', 'matched', 'ignored'],
+    default: 'unmatched',
+    index: true,
+  },
+  // Cách khớp: auto (tự động), manual (kế toán chọn / xác nhận), created (lập chứng từ mới từ giao dịch)
+  matchMethod: {
+    type: String,
+    enum: ['auto', 'manual', 'created', null],
+    default: null,
+  },
+  // Lý do khớp tự động: payment_code, reference, amount_date
+  matchReason: {
+    type: String,
+    default: '',
+  },
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+    default: null,
+    index: true,
+  },
+  // Giao dịch Sepay khớp theo mã thanh toán trong nội dung chuyển khoản
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null,
+  },
+  matchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  matchedAt: {
+    type: Date,
+    default: null,
+  },
+  note: {
+    type: String,
+    default: '',
+  },
+  raw: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+}, {
+  timestamps: true,
+});
+
+BankStatementLineSchema.index({ bankAccount: 1, fingerprint: 1 }, { unique: true });
+BankStatementLineSchema.index({ bankAccount: 1, transactionDate: 1 });
+
+module.exports = mongoose.models.BankStatementLine || mongoose.model('BankStatementLine', BankStatementLineSchema);
@@ -5,17 +5,43 @@ const cartSchema = new mongoose.Schema({
   products: [
     {
       product: { type: ObjectId, ref: 'Product', required: true },
+      // Biến thể bán (Product.variants._id) - cùng sản phẩm khác biến thể là các dòng riêng
+      variant: { type: ObjectId },
+      sku: String,
+      variantName: String,
       title: String,
       image: String,
       unit: String,
       quantity: Number,
       price: Number,
+      // Dòng đang hưởng giá flash sale: price là giá sale, originalPrice là giá bán thường
+      flashSale: { type: ObjectId, ref: 'FlashSale' },
+      originalPrice: Number,
     },
   ],
   cartTotal: { type: Number, default: 0 },
   totalAfterDiscount: { type: Number, default: 0 },
   coupon: { type: String, default: '' },
+  // % giảm của coupon percent (giữ cho client cũ); số tiền giảm thực tế ở discountAmount
   discount: { type: Number, default: 0 },
+  // Tính bởi couponUsageService.refreshCartCoupon theo loại coupon, phạm vi sản phẩm, giá trị tối thiểu
+  discountAmount: { type: Number, default: 0 },
+  discountType: { type: String, default: '' },
+  freeShipping: { type: Boolean, default: false },
+  // Lý do coupon trên giỏ không được giảm (VD chưa đạt giá trị đơn tối thiểu)
+  couponMessage: { type: String, default: '' },
+  // Khuyến mãi tự động đang áp (services/promotionService.js), tính lại mỗi khi giỏ thay đổi
+  promotions: [
+    {
+      promotion: { type: ObjectId, ref: 'Promotion' },
+      name: String,
+      type: { type: String },
+      amount: Number,
+    },
+  ],
+  promotionDiscount: { type: Number, default: 0 },
+  // Dòng flash sale vượt giới hạn mỗi khách (services/flashSaleService.js) - checkout sẽ bị từ chối
+  flashSaleMessage: { type: String, default: '' },
   user: { type: ObjectId, ref: 'User', required: true },
 }, { timestamps: true });
 
@@ -26,12 +52,8 @@ cartSchema.pre('save', function(next) {
     return sum + (item.price * (item.quantity || 0));
   }, 0);
   
-  // Calculate totalAfterDiscount
-  if (this.discount > 0) {
-    this.totalAfterDiscount = this.cartTotal * (1 - this.discount / 100);
-  } else {
-    this.totalAfterDiscount = this.cartTotal;
-  }
+  // Calculate totalAfterDiscount (promotionDiscount / discountAmount đã được tính lại trước khi lưu)
+  this.totalAfterDiscount = Math.max(0, this.cartTotal - (this.promotionDiscount || 0) - (this.discountAmount || 0));
   
   next();
 });
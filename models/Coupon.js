@@ -8,19 +8,58 @@ const couponSchema = new mongoose.Schema({
     uppercase: true,
     required: true,
     minLength: 4,
-    maxLength: 10,
+    maxLength: 32,
   },
+  // Ngày dạng YYYY-MM-DD được hiểu theo giờ Việt Nam: startDate đầu ngày, endDate cuối ngày (couponUsageService.parseCouponDate)
+  // Dữ liệu cũ lưu dạng chuỗi chuyển bằng npm run migrate-coupon-dates
   startDate: {
-    type: String,
+    type: Date,
     required: true,
   },
   endDate: {
-    type: String,
+    type: Date,
     required: true,
   },
+  // Mã sinh hàng loạt theo chiến dịch (null => mã tạo tay)
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CouponCampaign',
+    default: null,
+    index: true,
+  },
+  // Loại giảm giá:
+  // - percent: giảm discount% giá trị hàng áp dụng (1-100), giới hạn bởi maxDiscount
+  // - fixed: giảm discount VND, không vượt giá trị hàng áp dụng
+  // - free_shipping: miễn phí giao hàng (tối đa maxDiscount nếu có), discount không dùng
+  discountType: {
+    type: String,
+    enum: ['percent', 'fixed', 'free_shipping'],
+    default: 'percent',
+  },
   discount: {
     type: Number,
-    required: true,
+    default: 0,
+    min: 0,
+  },
+  // Số tiền giảm tối đa (null => không giới hạn)
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+  // Giá trị đơn hàng (tổng tiền hàng trước giảm giá) tối thiểu để áp dụng
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Phạm vi áp dụng: danh mục (Product.category) / sản phẩm; cả hai rỗng => toàn bộ giỏ hàng
+  applicableCategories: [{ type: String, trim: true }],
+  applicableProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  // Chỉ áp dụng cho đơn đầu tiên của khách (chưa có đơn nào ngoài đơn đã hủy)
+  firstOrderOnly: {
+    type: Boolean,
+    default: false,
   },
   // Tổng số lượt có thể áp dụng (null => không giới hạn)
   globalUsageLimit: {
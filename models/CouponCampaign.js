@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * Coupon Campaign - Chiến dịch phát hành hàng loạt mã giảm giá dùng một lần
+ * Mỗi mã là một Coupon (coupon.campaign = campaign._id) mang cùng điều kiện giảm giá của chiến dịch;
+ * thống kê lượt dùng tính từ Coupon.usedCount / userStats của các mã
+ */
+const CouponCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  // Tiền tố của mã (chữ / số in hoa), phần còn lại sinh ngẫu nhiên
+  prefix: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+  },
+  // Số ký tự ngẫu nhiên sau tiền tố
+  codeLength: {
+    type: Number,
+    default: 8,
+    min: 6,
+    max: 16,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  generatedCount: {
+    type: Number,
+    default: 0,
+  },
+  // Điều kiện giảm giá áp cho mọi mã (xem models/Coupon.js)
+  discountType: {
+    type: String,
+    enum: ['percent', 'fixed', 'free_shipping'],
+    default: 'percent',
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  applicableCategories: [{ type: String, trim: true }],
+  applicableProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  firstOrderOnly: {
+    type: Boolean,
+    default: false,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  // Số lượt dùng của mỗi mã (mặc định 1 - dùng một lần)
+  usageLimitPerCode: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  // Số lượt mỗi khách được dùng mỗi mã
+  perUserUsageLimit: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+CouponCampaignSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.models.CouponCampaign || mongoose.model('CouponCampaign', CouponCampaignSchema);
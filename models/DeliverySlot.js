@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * DeliverySlot - Khung giờ giao hàng (Order.deliveryTime lưu code của khung giờ)
+ * Mỗi khung giờ có sức chứa theo ngày và giờ chốt đơn trước giờ bắt đầu
+ */
+const DeliverySlotSchema = new mongoose.Schema({
+  // Mã khung giờ: 'business_hours', '17-18', '18-19', '19-20'
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Giờ bắt đầu / kết thúc (HH:mm, giờ Việt Nam)
+  startTime: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Giờ bắt đầu phải có dạng HH:mm'],
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Giờ kết thúc phải có dạng HH:mm'],
+  },
+  // Số đơn tối đa mỗi ngày
+  capacity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Sức chứa riêng cho từng ngày (ngày lễ, thiếu shipper...) - date dạng YYYY-MM-DD
+  capacityOverrides: [
+    {
+      date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+      capacity: { type: Number, required: true, min: 0 },
+    },
+  ],
+  // Chốt đơn trước giờ bắt đầu bao nhiêu phút
+  cutoffMinutes: {
+    type: Number,
+    min: 0,
+    default: 120,
+  },
+  // Các ngày trong tuần có giao (0 = Chủ nhật ... 6 = Thứ bảy)
+  daysOfWeek: {
+    type: [Number],
+    default: [0, 1, 2, 3, 4, 5, 6],
+  },
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Khung giờ mặc định, trùng với các giá trị deliveryTime web/mobile đang gửi
+const DEFAULT_SLOTS = [
+  { code: 'business_hours', label: 'Giờ hành chính (8h - 17h)', startTime: '08:00', endTime: '17:00', capacity: 60, cutoffMinutes: 120, sortOrder: 1 },
+  { code: '17-18', label: '17h - 18h', startTime: '17:00', endTime: '18:00', capacity: 20, cutoffMinutes: 120, sortOrder: 2 },
+  { code: '18-19', label: '18h - 19h', startTime: '18:00', endTime: '19:00', capacity: 20, cutoffMinutes: 120, sortOrder: 3 },
+  { code: '19-20', label: '19h - 20h', startTime: '19:00', endTime: '20:00', capacity: 20, cutoffMinutes: 120, sortOrder: 4 },
+];
+
+// Tạo các khung giờ mặc định nếu chưa có
+DeliverySlotSchema.statics.ensureDefaults = async function () {
+  const count = await this.countDocuments();
+  if (count === 0) {
+    await this.insertMany(DEFAULT_SLOTS);
+  }
+};
+
+module.exports = mongoose.models.DeliverySlot || mongoose.model('DeliverySlot', DeliverySlotSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * DeliverySlotLoad - Số đơn đã giữ chỗ cho một khung giờ trong một ngày
+ * Tăng khi checkout giữ chỗ, giảm khi đơn bị hủy
+ */
+const DeliverySlotLoadSchema = new mongoose.Schema({
+  slotCode: {
+    type: String,
+    required: true,
+  },
+  // Ngày giao (YYYY-MM-DD, giờ Việt Nam)
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/,
+  },
+  reserved: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+DeliverySlotLoadSchema.index({ slotCode: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.models.DeliverySlotLoad || mongoose.model('DeliverySlotLoad', DeliverySlotLoadSchema);
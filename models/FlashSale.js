@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Flash Sale - Chiến dịch giá sốc theo khung giờ (services/flashSaleService.js)
+ * Trong [startTime, endTime] giá bán của sản phẩm trong items là salePrice (giỏ hàng, báo giá checkout, đơn hàng);
+ * mỗi khách mua tối đa perCustomerLimit đơn vị mỗi sản phẩm trong chiến dịch (tính cả các đơn chưa hủy trước đó, bộ đếm FlashSalePurchase).
+ * Các chiến dịch đang bật không được trùng thời gian; banner khuyến mãi đếm ngược theo chiến dịch đang chạy
+ */
+const FlashSaleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  startTime: {
+    type: Date,
+    required: true,
+  },
+  endTime: {
+    type: Date,
+    required: true,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  items: [
+    {
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+      salePrice: { type: Number, required: true, min: 0 },
+      // Số lượng tối đa mỗi khách (null => không giới hạn)
+      perCustomerLimit: { type: Number, default: null, min: 1 },
+    },
+  ],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+FlashSaleSchema.index({ isActive: 1, startTime: 1, endTime: 1 });
+
+module.exports = mongoose.models.FlashSale || mongoose.model('FlashSale', FlashSaleSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * FlashSalePurchase - Số lượng một khách đã mua theo giá flash sale cho một sản phẩm trong một chương trình
+ * Tăng có điều kiện (không vượt perCustomerLimit) khi checkout giữ chỗ, giảm khi đơn bị hủy (services/flashSaleService.js)
+ */
+const FlashSalePurchaseSchema = new mongoose.Schema({
+  flashSale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FlashSale',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+FlashSalePurchaseSchema.index({ flashSale: 1, user: 1, product: 1 }, { unique: true });
+
+module.exports = mongoose.models.FlashSalePurchase || mongoose.model('FlashSalePurchase', FlashSalePurchaseSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job - Trạng thái các job chạy định kỳ trong server (services/jobScheduler.js)
+ * Định nghĩa job (handler, lịch mặc định) nằm trong code; collection lưu lịch chạy, tạm dừng, khóa và nhật ký
+ */
+const JobLogSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule',
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  instance: String,
+  status: {
+    type: String,
+    enum: ['success', 'failed'],
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  durationMs: Number,
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+}, { _id: false });
+
+const JobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  // Lịch chạy theo giờ Việt Nam
+  // interval: mỗi everyMinutes phút | daily: hour:minute mỗi ngày | monthly: ngày dayOfMonth lúc hour:minute
+  schedule: {
+    type: {
+      type: String,
+      enum: ['interval', 'daily', 'monthly'],
+      required: true,
+    },
+    everyMinutes: Number,
+    dayOfMonth: Number,
+    hour: Number,
+    minute: Number,
+  },
+  isPaused: {
+    type: Boolean,
+    default: false,
+  },
+  nextRunAt: {
+    type: Date,
+    index: true,
+  },
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['never', 'running', 'success', 'failed'],
+    default: 'never',
+  },
+  lastError: String,
+  lastResult: mongoose.Schema.Types.Mixed,
+  lastDurationMs: Number,
+  runCount: {
+    type: Number,
+    default: 0,
+  },
+  failCount: {
+    type: Number,
+    default: 0,
+  },
+  // Khóa chống chạy trùng giữa các instance: hết hạn sau lockedUntil (instance chết giữa chừng)
+  lock: {
+    owner: String,
+    lockedUntil: Date,
+  },
+  // Nhật ký các lần chạy gần nhất (giữ tối đa JOB_LOG_LIMIT bản ghi)
+  logs: [JobLogSchema],
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.models.Job || mongoose.model('Job', JobSchema);
@@ -29,9 +29,15 @@ const JournalLineSchema = new mongoose.Schema({
   // Đối tượng: ID của Khách hàng hoặc Nhà cung cấp
   partner: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User', // Có thể mở rộng thành Supplier sau
+    refPath: 'lines.partnerModel',
     default: null,
   },
+  // Collection của đối tượng: User (khách hàng online) hoặc Partner (NCC / đối tác công nợ)
+  partnerModel: {
+    type: String,
+    enum: ['User', 'Partner'],
+    default: 'User',
+  },
   // Loại đối tượng: customer, supplier, employee
   partnerType: {
     type: String,
@@ -5,20 +5,45 @@ const OrderSchema = new mongoose.Schema({
   orderItems: [
     {
       product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+      // Biến thể đã mua (Product.variants._id); đơn cũ không có - hiểu là biến thể mặc định
+      variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+      sku: { type: String },
+      variantName: { type: String },
       title: { type: String, required: true },
       quantity: { type: Number, required: true },
       price: { type: Number, required: true },
       image: { type: String },
       unit: { type: String },
+      // Mua theo giá flash sale: price là giá sale, originalPrice là giá bán thường
+      flashSale: { type: mongoose.Schema.Types.ObjectId, ref: 'FlashSale', default: null },
+      originalPrice: { type: Number },
     },
   ],
   shippingAddress: {
     address: { type: String, required: true },
+    // Mã tỉnh/thành, quận/huyện, phường/xã - dùng để tính phí giao hàng
+    city: { type: String },
+    district: { type: String },
+    ward: { type: String },
   },
   phone: { type: String, required: true },
   name: { type: String, required: true },
   note: { type: String },
   deliveryTime: { type: String }, // Thời gian giao hàng: 'business_hours' hoặc '17-18', '18-19', '19-20'
+  deliveryDate: { type: String }, // Ngày giao (YYYY-MM-DD) của khung giờ đã giữ chỗ
+  deliverySlotReserved: { type: Boolean, default: false },
+  // Số lượng mua theo giá flash sale đã tính vào giới hạn mỗi khách (FlashSalePurchase), trả lại khi hủy
+  flashSaleReserved: { type: Boolean, default: false },
+  // Khuyến mãi tự động đã áp (services/promotionService.js), mỗi khuyến mãi một dòng
+  promotions: [
+    {
+      promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+      name: { type: String },
+      type: { type: String },
+      amount: { type: Number, default: 0 },
+    },
+  ],
+  promotionDiscount: { type: Number, default: 0 },
   coupon: { type: String },
   discount: { type: Number, default: 0 },
   // Dùng để chống tạo trùng đơn khi thanh toán online (Sepay/MoMo)
@@ -29,7 +54,11 @@ const OrderSchema = new mongoose.Schema({
   totalPrice: { type: Number, required: true },
   totalAfterDiscount: { type: Number },
   shippingFee: { type: Number, default: 30000 },
+  // Phí giao hàng được giảm bởi coupon free_shipping (shippingFee đã trừ phần này)
+  shippingDiscount: { type: Number, default: 0 },
   finalTotal: { type: Number, required: true },
+  // Tổng đã hoàn cho khách qua giao dịch thanh toán (toàn phần hoặc một phần)
+  refundedAmount: { type: Number, default: 0 },
   paymentMethod: {
     type: String,
     enum: ['COD', 'BankTransfer', 'Sepay', 'MoMo'],
@@ -37,11 +66,41 @@ const OrderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'paid', 'shipped', 'delivered', 'cancelled'],
+    enum: [
+      'pending',         // Chờ xử lý / chờ thanh toán
+      'paid',            // Đã thanh toán online
+      'processing',      // Đang chuẩn bị hàng
+      'packed',          // Đã đóng gói, chờ giao
+      'shipped',         // Đang giao
+      'delivered',       // Đã giao
+      'failed_delivery', // Giao không thành công
+      'returned',        // Khách trả hàng
+      'cancelled',       // Đã hủy
+      'refunded',        // Đã hoàn tiền
+    ],
     default: 'pending',
   },
+  // Lịch sử chuyển trạng thái (ai / khi nào / lý do) - ghi bởi services/orderStatusService.js
+  statusHistory: [
+    {
+      from: { type: String, default: null },
+      to: { type: String, required: true },
+      changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      reason: { type: String, default: '' },
+      source: { type: String, default: 'manual' }, // manual, checkout, sepay_webhook, system...
+      changedAt: { type: Date, default: Date.now },
+    },
+  ],
   createdAt: { type: Date, default: Date.now },
 });
 
+// Ghi trạng thái khởi tạo vào lịch sử khi tạo đơn
+OrderSchema.pre('save', function (next) {
+  if (this.isNew && (!this.statusHistory || this.statusHistory.length === 0)) {
+    this.statusHistory = [{ from: null, to: this.status, changedBy: this.user || null, source: 'create' }];
+  }
+  next();
+});
+
 module.exports = mongoose.models.Order || mongoose.model('Order', OrderSchema);
 
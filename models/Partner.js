@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+/**
+ * Partner - Đối tác kế toán (Nhà cung cấp / Khách hàng công nợ)
+ * Tách khỏi User: đối tác không đăng nhập nên không cần email, mật khẩu hay số điện thoại giả
+ */
+const bankAccountSchema = new mongoose.Schema({
+  bankName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  accountNumber: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  accountName: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  branch: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+}, { _id: true });
+
+const PartnerSchema = new mongoose.Schema({
+  // Loại đối tác
+  partnerType: {
+    type: String,
+    enum: ['supplier', 'customer'],
+    required: true,
+    index: true,
+  },
+  // Mã đối tác nội bộ (VD: NCC001)
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true,
+  },
+  // Tên đối tác / Tên công ty
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true,
+  },
+  // Mã số thuế (10 số hoặc 10 số + 3 số chi nhánh)
+  taxCode: {
+    type: String,
+    trim: true,
+    default: '',
+    validate: {
+      validator: (v) => !v || /^\d{10}(-\d{3})?$/.test(v),
+      message: 'Mã số thuế không hợp lệ',
+    },
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: '',
+  },
+  address: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // Người liên hệ
+  contactPerson: {
+    name: { type: String, trim: true, default: '' },
+    phone: { type: String, trim: true, default: '' },
+    email: { type: String, trim: true, lowercase: true, default: '' },
+    position: { type: String, trim: true, default: '' },
+  },
+  // Tài khoản ngân hàng
+  bankAccounts: [bankAccountSchema],
+  // Điều khoản thanh toán (số ngày được nợ kể từ ngày hóa đơn)
+  paymentTermDays: {
+    type: Number,
+    min: 0,
+    default: 30,
+  },
+  notes: {
+    type: String,
+    default: '',
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true,
+  },
+  // User cũ (role supplier/customer) đã được chuyển sang Partner - dùng cho migration
+  legacyUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+PartnerSchema.index({ partnerType: 1, name: 1 });
+
+module.exports = mongoose.models.Partner || mongoose.model('Partner', PartnerSchema);
@@ -16,7 +16,7 @@ const PayableSchema = new mongoose.Schema({
   // Nhà cung cấp
   supplier: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User', // Có thể tạo Supplier model riêng sau
+    ref: 'Partner',
     required: true,
     index: true,
   },
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Payment - Giao dịch thanh toán online, dùng chung cho mọi cổng (Sepay, MoMo...)
+ * Dữ liệu riêng của từng cổng nằm trong providerData / callbackData
+ * Thay thế SepayPayment / MomoPayment (chuyển dữ liệu cũ: npm run migrate-payments)
+ */
+const PaymentSchema = new mongoose.Schema({
+  // Cổng thanh toán: khóa của adapter trong services/paymentGateways
+  provider: {
+    type: String,
+    enum: ['sepay', 'momo'],
+    required: true,
+    index: true,
+  },
+  paymentCode: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Đơn hàng đã gắn với giao dịch (checkout gửi paymentCode hoặc đơn tạo từ giỏ khi thanh toán xong)
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+  },
+  // refunded: đã hoàn toàn bộ số tiền (hoàn một phần vẫn giữ paid, xem refundedAmount)
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'expired', 'cancelled', 'failed', 'refunded'],
+    default: 'pending',
+    index: true,
+  },
+  // Nội dung / thông tin đơn client gửi khi tạo giao dịch
+  orderInfo: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  // Dữ liệu trả về khi tạo giao dịch (Sepay: bankInfo, qrUrl; MoMo: payUrl, deeplink, qrCodeUrl, request/response)
+  providerData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // Dữ liệu callback / webhook / IPN đã xác thực
+  callbackData: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  // Nguồn xác nhận thanh toán: sepay_webhook, momo_ipn, manual...
+  confirmedVia: {
+    type: String,
+    default: '',
+  },
+  transactionId: String,
+  paidAt: Date,
+  // Tổng đã hoàn qua POST /api/payment/:paymentCode/refund (gồm cả lần đang xử lý)
+  refundedAmount: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 15 * 60 * 1000), // 15 phút
+    index: true,
+  },
+}, {
+  timestamps: true,
+});
+
+PaymentSchema.index({ provider: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.models.Payment || mongoose.model('Payment', PaymentSchema);
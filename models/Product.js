@@ -1,5 +1,70 @@
 const mongoose = require('mongoose');
 
+const UNITS = ['Kg', 'gam', '100gam', '100g', 'túi', 'hộp', 'chai'];
+
+/**
+ * Biến thể bán (VD: túi 500g, 1 Kg, hộp 2kg) - mỗi biến thể có SKU, giá và tồn kho riêng
+ * Biến thể đầu tiên là mặc định: price / giaGoc / unit của sản phẩm lấy theo biến thể này, stock là tổng tồn các biến thể
+ */
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'SKU là bắt buộc'],
+    trim: true,
+    match: [/^[A-Za-z0-9_-]+$/, 'SKU chỉ được chứa chữ cái, số, dấu gạch dưới hoặc gạch ngang'],
+  },
+  // Nhãn hiển thị cho khách chọn (VD: "500g", "1kg", "Hộp 2kg")
+  name: {
+    type: String,
+    required: [true, 'Tên biến thể là bắt buộc'],
+    trim: true,
+  },
+  unit: {
+    type: String,
+    enum: UNITS,
+    default: 'Kg',
+    trim: true,
+  },
+  // Cân nặng một đơn vị bán (kg) - dùng tính phí giao hàng; bỏ trống thì ước tính theo unit
+  weight: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  price: {
+    type: Number,
+    min: 0,
+    required: [true, 'Giá biến thể là bắt buộc'],
+  },
+  giaGoc: {
+    type: Number,
+    min: 0,
+    default: 0,
+    validate: {
+      validator: function (value) {
+        if (!value || !this.price) return true;
+        return value >= this.price;
+      },
+      message: 'Giá gốc phải lớn hơn hoặc bằng giá bán hiện tại',
+    },
+  },
+  // Tồn kho / giá vốn bình quân của biến thể - chỉ thay đổi qua StockMovement (services/inventoryService)
+  // Âm khi xuất bán vượt tồn, cần nhập / kiểm kê bù
+  stock: {
+    type: Number,
+    default: 0,
+  },
+  averageCost: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
 const productSchema = new mongoose.Schema(
   {
     maSanPham: {
@@ -93,20 +158,50 @@ const productSchema = new mongoose.Schema(
       min: 0,
       default: 0,
     },
+    // Tồn kho thực tế (on-hand). Chỉ thay đổi qua StockMovement (services/inventoryService)
+    // Âm khi xuất bán vượt tồn (ghi nhận đúng thẻ kho thay vì làm tròn về 0), cần nhập / kiểm kê bù
+    stock: {
+      type: Number,
+      default: 0,
+    },
+    // Giá vốn bình quân gia quyền di động (Moving Average) - dùng để hạch toán TK 632
+    averageCost: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Trạng thái tồn kho: sản phẩm đã có sổ kho thì tự động suy ra từ stock;
+    // sản phẩm cũ chưa khai báo tồn đầu kỳ vẫn giữ giá trị nhập tay
     stockStatus: {
       type: String,
       enum: ['Còn hàng', 'Hết hàng'],
       default: 'Còn hàng',
       trim: true,
     },
+    // Đã có biến động kho (StockMovement) - bật bởi services/inventoryService, dữ liệu cũ: npm run migrate-stock-tracking
+    stockTracked: {
+      type: Boolean,
+      default: false,
+    },
     unit: {
       type: String,
       // Keep legacy values, but normalize to "100g" going forward.
-      enum: ['Kg', 'gam', '100gam', '100g', 'túi', 'hộp', 'chai'],
+      enum: UNITS,
       default: 'Kg',
       required: [true, 'Đơn vị là bắt buộc'],
       trim: true,
     },
+    // Sản phẩm cũ chưa chuyển (npm run migrate-product-variants) không có biến thể: bán theo price / unit / stock ở trên
+    variants: {
+      type: [variantSchema],
+      validate: {
+        validator: function (variants) {
+          const skus = (variants || []).map((v) => (v.sku || '').toUpperCase());
+          return new Set(skus).size === skus.length;
+        },
+        message: 'SKU của các biến thể bị trùng',
+      },
+    },
     isDeleted: {
       type: Boolean,
       default: false,
@@ -120,6 +215,48 @@ const productSchema = new mongoose.Schema(
 // Indexes for performance
 productSchema.index({ slug: 1 });
 productSchema.index({ category: 1 });
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// Suy ra trạng thái tồn kho từ số lượng on-hand
+productSchema.statics.stockStatusFor = function (stock) {
+  return stock > 0 ? 'Còn hàng' : 'Hết hàng';
+};
+
+/**
+ * Các trường cấp sản phẩm suy ra từ biến thể: giá / giá gốc / đơn vị của biến thể mặc định,
+ * tồn kho = tổng tồn, giá vốn = giá vốn bình quân theo tồn
+ * @returns {Object|null} null nếu sản phẩm chưa có biến thể
+ */
+productSchema.statics.summarizeVariants = function (variants) {
+  if (!variants || variants.length === 0) return null;
+  const defaultVariant = variants[0];
+  const stock = variants.reduce((sum, v) => sum + (v.stock || 0), 0);
+  const inventoryValue = variants.reduce((sum, v) => sum + (v.stock || 0) * (v.averageCost || 0), 0);
+  return {
+    price: defaultVariant.price,
+    giaGoc: defaultVariant.giaGoc || 0,
+    unit: defaultVariant.unit,
+    stock,
+    averageCost: stock > 0 ? inventoryValue / stock : (defaultVariant.averageCost || 0),
+    stockStatus: this.stockStatusFor(stock),
+  };
+};
+
+productSchema.pre('save', function (next) {
+  const summary = this.constructor.summarizeVariants(this.variants);
+  if (summary) {
+    const { stockStatus, ...fields } = summary;
+    this.set(fields);
+  }
+  // stock mặc định 0 khi chưa có sổ kho: không suy ra để sản phẩm cũ không bị chuyển "Hết hàng" khi sửa
+  if (this.stockTracked) {
+    this.stockStatus = this.constructor.stockStatusFor(this.stock);
+  }
+  next();
+});
 
 // Soft delete middleware
 productSchema.pre(/^find/, function (next) {
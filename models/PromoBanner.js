@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promo Banner - Banner khuyến mãi theo vị trí hiển thị, lịch chạy và đối tượng (thay cho PromoBannerConfig một bản ghi)
+ * GET /api/promo-banner chọn banner phù hợp nhất: đúng placement, trong lịch chạy, khớp audience, priority cao nhất
+ */
+const PromoBannerSchema = new mongoose.Schema({
+  // Tên nội bộ để quản lý
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  placement: {
+    type: String,
+    enum: ['home_hero', 'cart', 'mobile_splash'],
+    default: 'home_hero',
+  },
+  // Lịch chạy (null => không giới hạn phía đó)
+  startDate: {
+    type: Date,
+    default: null,
+  },
+  endDate: {
+    type: Date,
+    default: null,
+  },
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  audience: {
+    // any: mọi người, logged_in: đã đăng nhập, guest: chưa đăng nhập
+    auth: {
+      type: String,
+      enum: ['any', 'logged_in', 'guest'],
+      default: 'any',
+    },
+    // new: khách chưa có đơn nào ngoài đơn đã hủy (gồm khách chưa đăng nhập), returning: đã có đơn
+    customer: {
+      type: String,
+      enum: ['any', 'new', 'returning'],
+      default: 'any',
+    },
+    // Rỗng => mọi nền tảng
+    platforms: [{ type: String, enum: ['web', 'mobile'] }],
+  },
+
+  // Nội dung (giữ tên trường của PromoBannerConfig cho client cũ)
+  subtitle: { type: String, default: '' },
+  title: { type: String, default: '' },
+  description: { type: String, default: '' },
+  countdownDate: { type: Date, default: null },
+  countdownLabel: { type: String, default: '' },
+  buttonText: { type: String, default: '' },
+  buttonLink: { type: String, default: '#' },
+  backgroundImage: { type: String, default: '' },
+  // Gắn flash sale đang chạy: trả kèm sản phẩm và đếm ngược theo thời điểm kết thúc chương trình
+  showFlashSale: {
+    type: Boolean,
+    default: false,
+  },
+
+  impressions: {
+    type: Number,
+    default: 0,
+  },
+  clicks: {
+    type: Number,
+    default: 0,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+PromoBannerSchema.index({ placement: 1, isActive: 1, priority: -1 });
+
+module.exports = mongoose.models.PromoBanner || mongoose.model('PromoBanner', PromoBannerSchema);
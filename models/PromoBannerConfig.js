@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 
+// Cấu hình banner một bản ghi (cũ) - đã thay bằng models/PromoBanner.js, chỉ còn dùng cho scripts/migrate-promo-banners.js
 const promoBannerConfigSchema = new mongoose.Schema(
   {
     // Ngày giờ countdown
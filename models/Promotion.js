@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promotion - Khuyến mãi tự động (không cần nhập mã), tính trong giỏ hàng và khi checkout (services/promotionService.js)
+ * type:
+ * - buy_x_get_y: mua buyQuantity buyProduct tặng getQuantity getProduct (mặc định cùng sản phẩm) - giảm giá của phần được tặng có trong giỏ
+ * - tiered: giảm theo bậc tổng tiền hàng (tiers), lấy bậc cao nhất đạt được
+ * - category_percent: giảm percent% sản phẩm thuộc categories trong thời gian khuyến mãi
+ * - bundle: mua đủ bộ bundleItems với giá bundlePrice
+ */
+const PromotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  type: {
+    type: String,
+    enum: ['buy_x_get_y', 'tiered', 'category_percent', 'bundle'],
+    required: true,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  // Khuyến mãi cùng nhóm (theo type) được xét theo priority giảm dần
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  // Số tiền giảm tối đa mỗi đơn (null => không giới hạn)
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+
+  // buy_x_get_y
+  buyProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null,
+  },
+  buyQuantity: {
+    type: Number,
+    default: null,
+    min: 1,
+  },
+  getProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null,
+  },
+  getQuantity: {
+    type: Number,
+    default: null,
+    min: 1,
+  },
+
+  // tiered
+  tiers: [
+    {
+      minValue: { type: Number, required: true, min: 0 },
+      discountType: { type: String, enum: ['percent', 'fixed'], default: 'percent' },
+      value: { type: Number, required: true, min: 0 },
+    },
+  ],
+
+  // category_percent
+  categories: [{ type: String, trim: true }],
+  percent: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 100,
+  },
+
+  // bundle
+  bundleItems: [
+    {
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+      quantity: { type: Number, required: true, min: 1 },
+    },
+  ],
+  bundlePrice: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+PromotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.models.Promotion || mongoose.model('Promotion', PromotionSchema);
@@ -14,13 +14,18 @@ const ReceivableSchema = new mongoose.Schema({
     unique: true,
     index: true,
   },
-  // Khách hàng nợ
+  // Khách hàng nợ: User (đơn hàng online) hoặc Partner (công nợ thủ công)
   customer: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
+    refPath: 'customerModel',
     required: true,
     index: true,
   },
+  customerModel: {
+    type: String,
+    enum: ['User', 'Partner'],
+    default: 'User',
+  },
   // Tham chiếu đến đơn hàng gốc (nếu có)
   order: {
     type: mongoose.Schema.Types.ObjectId,
@@ -82,6 +87,25 @@ const ReceivableSchema = new mongoose.Schema({
       default: 0,
     },
   }],
+  // Các khoản giảm trừ công nợ (hàng bán bị trả lại, giảm giá sau bán)
+  adjustments: [{
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry',
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      default: '',
+    },
+    adjustedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   createdAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+/**
+ * Refund - Phiếu hoàn tiền cho khách hàng
+ * Tạo khi đơn đã thanh toán online bị hủy, khi duyệt trả hàng, hoặc khi hoàn tiền trực tiếp trên giao dịch;
+ * kế toán theo dõi đến khi chuyển trả tiền xong
+ */
+const RefundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Số tiền hoàn (VND)
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['COD', 'BankTransfer', 'Sepay', 'MoMo'],
+    required: true,
+  },
+  // Mã thanh toán gốc (Sepay/MoMo)
+  paymentCode: {
+    type: String,
+    default: '',
+  },
+  // Lý do hoàn tiền
+  reason: {
+    type: String,
+    default: '',
+  },
+  // Nguồn phát sinh (payment: hoàn tiền trên giao dịch qua POST /api/payment/:paymentCode/refund)
+  source: {
+    type: String,
+    enum: ['order_cancel', 'return', 'manual', 'payment'],
+    default: 'order_cancel',
+  },
+  // Giao dịch thanh toán gốc (khi source = 'payment')
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null,
+  },
+  // Phiếu trả hàng (khi source = 'return')
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest',
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: [
+      'pending',    // Chờ xử lý
+      'processing', // Đang chuyển tiền
+      'completed',  // Đã hoàn tiền
+      'failed',     // Chuyển tiền thất bại
+    ],
+    default: 'pending',
+    index: true,
+  },
+  // Mã giao dịch ngân hàng / cổng thanh toán khi chuyển trả
+  bankReference: {
+    type: String,
+    default: '',
+  },
+  // Phản hồi của cổng thanh toán khi hoàn tiền qua API (MoMo)
+  gatewayResponse: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Bút toán đảo doanh thu (Nợ 511 / Có 1121) hoặc chứng từ hàng bán bị trả lại (Nợ 5213 / Có 1121)
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+    default: null,
+  },
+  statusHistory: [
+    {
+      from: { type: String, default: null },
+      to: { type: String, required: true },
+      changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      note: { type: String, default: '' },
+      changedAt: { type: Date, default: Date.now },
+    },
+  ],
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Mỗi đơn hàng chỉ có một phiếu hoàn tiền do hủy đơn
+RefundSchema.index(
+  { order: 1, source: 1 },
+  { unique: true, partialFilterExpression: { source: 'order_cancel' } }
+);
+
+module.exports = mongoose.models.Refund || mongoose.model('Refund', RefundSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+/**
+ * ReturnRequest - Yêu cầu đổi trả (RMA) cho đơn hàng đã giao
+ * Khách chọn sản phẩm + số lượng trả, admin duyệt thì lập chứng từ hàng bán bị trả lại
+ */
+const ReturnRequestSchema = new mongoose.Schema({
+  // Số phiếu trả hàng (VD: RMA-202601-AB12C)
+  returnNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  items: [
+    {
+      // _id của dòng trong order.orderItems
+      orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+      variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+      title: { type: String, required: true },
+      unit: { type: String },
+      price: { type: Number, required: true, min: 0 },
+      quantity: { type: Number, required: true, min: 1 },
+      reason: { type: String, default: '' },
+    },
+  ],
+  // Lý do chung
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Ảnh minh chứng (URL Cloudinary, tải lên qua POST /api/image?type=return)
+  photos: [{ type: String }],
+  status: {
+    type: String,
+    enum: [
+      'requested', // Chờ duyệt
+      'approved',  // Đã duyệt, đã lập chứng từ
+      'rejected',  // Từ chối
+    ],
+    default: 'requested',
+    index: true,
+  },
+  // Số tiền khách yêu cầu tính theo giá trên đơn (đã trừ giảm giá phân bổ)
+  requestedAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Số tiền được duyệt (có thể thấp hơn khi hoàn một phần)
+  approvedAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Có nhập lại kho hàng trả về không (hàng hỏng thì không nhập)
+  restocked: {
+    type: Boolean,
+    default: false,
+  },
+  // Chứng từ hàng bán bị trả lại: Nợ 5213 / Có 131 hoặc 1121
+  creditNote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+    default: null,
+  },
+  // Phần giảm trừ công nợ phải thu / phần hoàn tiền cho khách
+  receivableAdjusted: {
+    type: Number,
+    default: 0,
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+    default: null,
+  },
+  adminNote: {
+    type: String,
+    default: '',
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  reviewedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+ReturnRequestSchema.index({ order: 1, status: 1 });
+
+module.exports = mongoose.models.ReturnRequest || mongoose.model('ReturnRequest', ReturnRequestSchema);
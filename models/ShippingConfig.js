@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cấu hình biểu phí giao hàng (một document duy nhất)
+ * Phí = phí cơ bản của vùng + phụ phí cân nặng vượt mức + phụ phí khung giờ giao
+ * Miễn phí giao hàng khi giá trị đơn (sau giảm giá) đạt ngưỡng
+ */
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Mã tỉnh/thành, quận/huyện, phường/xã (trùng với User.address.city/district/ward)
+    // Ưu tiên khớp phường/xã -> quận/huyện -> tỉnh/thành
+    cityCodes: [{ type: String, trim: true }],
+    districtCodes: [{ type: String, trim: true }],
+    wardCodes: [{ type: String, trim: true }],
+    baseFee: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    // Cân nặng đã gồm trong phí cơ bản (kg)
+    includedWeightKg: {
+      type: Number,
+      min: 0,
+      default: 3,
+    },
+    // Phụ phí cho mỗi kg (làm tròn lên) vượt mức
+    perKgFee: {
+      type: Number,
+      min: 0,
+      default: 5000,
+    },
+    // Ngưỡng miễn phí riêng cho vùng (null = dùng ngưỡng chung, 0 = không miễn phí)
+    freeShippingThreshold: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: true }
+);
+
+const shippingConfigSchema = new mongoose.Schema(
+  {
+    // Vùng mặc định khi địa chỉ không thuộc vùng nào
+    defaultZone: {
+      name: { type: String, default: 'Mặc định' },
+      baseFee: { type: Number, min: 0, default: 30000 },
+      includedWeightKg: { type: Number, min: 0, default: 3 },
+      perKgFee: { type: Number, min: 0, default: 5000 },
+    },
+    zones: [shippingZoneSchema],
+    // Ngưỡng miễn phí giao hàng chung (0 = không áp dụng)
+    freeShippingThreshold: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Phụ phí theo khung giờ giao (Order.deliveryTime: 'business_hours', '17-18', '18-19', '19-20')
+    deliverySlotSurcharges: [
+      {
+        slot: { type: String, required: true, trim: true },
+        surcharge: { type: Number, min: 0, default: 0 },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Chỉ có một document duy nhất
+shippingConfigSchema.statics.getConfig = async function () {
+  let config = await this.findOne();
+  if (!config) {
+    config = await this.create({});
+  }
+  return config;
+};
+
+const ShippingConfig = mongoose.models.ShippingConfig || mongoose.model('ShippingConfig', shippingConfigSchema);
+
+module.exports = ShippingConfig;
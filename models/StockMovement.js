@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stock Movement - Sổ kho (Thẻ kho)
+ * Mỗi lần nhập/xuất kho tạo một dòng bất biến, Product.stock chỉ là số dư được cập nhật theo các dòng này
+ */
+const StockMovementSchema = new mongoose.Schema({
+  // Sản phẩm
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    index: true,
+  },
+  // Biến thể bán (null với sản phẩm chưa có biến thể); tồn / giá vốn trước-sau là của biến thể
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Loại biến động kho
+  type: {
+    type: String,
+    enum: [
+      'purchase',    // Nhập mua từ nhà cung cấp
+      'sale',        // Xuất bán
+      'return',      // Khách trả hàng (nhập lại kho)
+      'write_off',   // Xuất hủy (hư hỏng, hết hạn)
+      'adjustment',  // Điều chỉnh sau kiểm kê / tồn đầu kỳ
+    ],
+    required: true,
+    index: true,
+  },
+  // Số lượng thay đổi: dương = nhập kho, âm = xuất kho
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  // Đơn giá vốn áp dụng cho dòng này
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Giá trị biến động (luôn dương = |quantity| * unitCost)
+  totalCost: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Số dư tồn kho trước/sau biến động
+  stockBefore: {
+    type: Number,
+    default: 0,
+  },
+  stockAfter: {
+    type: Number,
+    default: 0,
+  },
+  // Giá vốn bình quân trước/sau biến động
+  averageCostBefore: {
+    type: Number,
+    default: 0,
+  },
+  averageCostAfter: {
+    type: Number,
+    default: 0,
+  },
+  // Nguồn phát sinh: đơn hàng, phiếu nhập, thủ công
+  sourceType: {
+    type: String,
+    enum: ['order', 'purchase', 'manual', null],
+    default: null,
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+    index: true,
+  },
+  // Chứng từ kế toán liên quan (TK 156/632)
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+    default: null,
+  },
+  // Diễn giải
+  note: {
+    type: String,
+    default: '',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+});
+
+// Index để truy vấn thẻ kho theo sản phẩm và theo chứng từ nguồn
+StockMovementSchema.index({ product: 1, createdAt: -1 });
+StockMovementSchema.index({ sourceType: 1, sourceId: 1, type: 1 });
+
+module.exports = mongoose.models.StockMovement || mongoose.model('StockMovement', StockMovementSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebhookEvent - Nhật ký callback / webhook / IPN từ cổng thanh toán
+ * - Chống xử lý trùng: unique (provider, eventId) - Sepay: id giao dịch ngân hàng, MoMo: orderId + transId
+ * - Hàng đợi đối soát: giao dịch không khớp (status 'unmatched') chờ kế toán gắn với Payment hoặc bỏ qua
+ */
+const WebhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+  },
+  eventId: {
+    type: String,
+    required: true,
+  },
+  // Nguồn nhận: sepay_webhook, sepay_webhook_real, momo_ipn...
+  source: {
+    type: String,
+    default: '',
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'unmatched', 'resolved', 'ignored', 'failed'],
+    default: 'received',
+    index: true,
+  },
+  // Lý do không khớp: no_payment_code, payment_not_found, amount_mismatch, payment_not_pending, already_paid
+  unmatchedReason: {
+    type: String,
+    default: '',
+  },
+  paymentCode: String,
+  amount: Number,
+  description: String,
+  transactionDate: Date,
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null,
+  },
+  attempts: {
+    type: Number,
+    default: 1,
+  },
+  error: String,
+  processedAt: Date,
+  // Đối soát thủ công
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  resolvedAt: Date,
+  resolutionNote: String,
+}, {
+  timestamps: true,
+});
+
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.models.WebhookEvent || mongoose.model('WebhookEvent', WebhookEventSchema);
@@ -9,11 +9,12 @@ const Payable = require('../models/Payable');
 const BankAccount = require('../models/BankAccount');
 const FixedAsset = require('../models/FixedAsset');
 const Order = require('../models/Order');
-const User = require('../models/User');
+const Partner = require('../models/Partner');
 const Transaction = require('../models/Transaction');
 const AccountingPeriod = require('../models/AccountingPeriod');
-const { withAuth, optionalAuth } = require('../middleware/auth');
+const { optionalAuth, requirePermission } = require('../middleware/auth');
 const { checkLockDate } = require('../middleware/lockDateCheck');
+const { calculateMonthlyDepreciation } = require('../services/depreciationService');
 
 // ==========================================
 // ACCOUNTS (Chart of Accounts)
@@ -35,7 +36,7 @@ router.get('/accounts', optionalAuth, async (req, res) => {
 });
 
 // POST /api/accounting/accounts - Tạo tài khoản mới
-router.post('/accounts', withAuth, async (req, res) => {
+router.post('/accounts', requirePermission('accounting:manage'), async (req, res) => {
   try {
     await db.connectDb();
     
@@ -138,7 +139,7 @@ router.get('/journal-entries', optionalAuth, async (req, res) => {
 });
 
 // POST /api/accounting/journal-entries - Tạo chứng từ mới
-router.post('/journal-entries', withAuth, async (req, res) => {
+router.post('/journal-entries', requirePermission('accounting:post'), async (req, res) => {
   try {
     await db.connectDb();
     
@@ -181,6 +182,7 @@ router.post('/journal-entries', withAuth, async (req, res) => {
         debit: parseFloat(line.debit) || 0,
         credit: parseFloat(line.credit) || 0,
         partner: line.partner || null,
+        partnerModel: line.partnerModel || 'User',
         partnerType: line.partnerType || null,
         description: line.description || '',
       })),
@@ -209,7 +211,7 @@ router.post('/journal-entries', withAuth, async (req, res) => {
 });
 
 // PUT /api/accounting/journal-entries/:id - Cập nhật chứng từ
-router.put('/journal-entries/:id', withAuth, async (req, res) => {
+router.put('/journal-entries/:id', requirePermission('accounting:post'), async (req, res) => {
   try {
     await db.connectDb();
     
@@ -253,6 +255,7 @@ router.put('/journal-entries/:id', withAuth, async (req, res) => {
         debit: parseFloat(line.debit) || 0,
         credit: parseFloat(line.credit) || 0,
         partner: line.partner || null,
+        partnerModel: line.partnerModel || 'User',
         partnerType: line.partnerType || null,
         description: line.description || '',
       }));
@@ -284,7 +287,7 @@ router.put('/journal-entries/:id', withAuth, async (req, res) => {
 });
 
 // DELETE /api/accounting/journal-entries/:id - Xóa chứng từ
-router.delete('/journal-entries/:id', withAuth, async (req, res) => {
+router.delete('/journal-entries/:id', requirePermission('accounting:post'), async (req, res) => {
   try {
     await db.connectDb();
     
@@ -496,19 +499,31 @@ router.get('/receivables', optionalAuth, async (req, res) => {
               preserveNullAndEmptyArrays: true
             }
           },
-          // Bước 7: Lookup customer
+          // Bước 7: Lookup customer (User cho đơn online, Partner cho công nợ thủ công)
           {
             $lookup: {
               from: 'users',
               localField: '_id.customer',
               foreignField: '_id',
-              as: 'customerInfo'
+              as: 'customerUser'
             }
           },
           {
-            $unwind: {
-              path: '$customerInfo',
-              preserveNullAndEmptyArrays: true
+            $lookup: {
+              from: 'partners',
+              localField: '_id.customer',
+              foreignField: '_id',
+              as: 'customerPartner'
+            }
+          },
+          {
+            $addFields: {
+              customerInfo: {
+                $ifNull: [
+                  { $arrayElemAt: ['$customerPartner', 0] },
+                  { $arrayElemAt: ['$customerUser', 0] }
+                ]
+              }
             }
           },
           // Bước 8: Tính toán remainingAmount và daysOverdue
@@ -616,7 +631,7 @@ router.get('/receivables', optionalAuth, async (req, res) => {
 });
 
 // POST /api/accounting/receivables - Tạo công nợ phải thu mới (thủ công)
-router.post('/receivables', optionalAuth, async (req, res) => {
+router.post('/receivables', requirePermission('accounting:post'), async (req, res) => {
   try {
     await db.connectDb();
     
@@ -840,263 +855,68 @@ router.get('/fixed-assets', optionalAuth, async (req, res) => {
 // POST ENTRY (Hạch toán Tổng hợp - API Cốt lõi)
 // ==========================================
 
-/**
- * Helper function: Tìm hoặc tạo Partner (Customer/Supplier) từ tên
- * @param {String} partnerName - Tên đối tác
- * @param {String} type - 'income' (Customer) hoặc 'expense' (Supplier)
- * @param {Session} session - MongoDB session
- * @returns {Object} Partner document
- */
 /**
  * Tìm hoặc tạo Partner mặc định cho công nợ thủ công
- * Đảm bảo luôn có một User hợp lệ để gắn công nợ
+ * Đảm bảo luôn có một đối tác hợp lệ để gắn công nợ
  */
 async function findOrCreateDefaultPartner(type, session) {
-  const defaultName = type === 'income' ? 'Partner_Default_Customer' : 'Partner_Default_Supplier';
-  const defaultEmail = type === 'income' 
-    ? 'partner.default.customer@partner.local' 
-    : 'partner.default.supplier@partner.local';
-  const role = type === 'income' ? 'customer' : 'supplier';
-  
-  // Tìm partner mặc định
-  let defaultPartner = await User.findOne({
-    email: defaultEmail,
-    role: role
-  }).session(session);
-  
-  // Nếu không có, tạo mới
+  const partnerType = type === 'income' ? 'customer' : 'supplier';
+  const code = type === 'income' ? 'KH-MACDINH' : 'NCC-MACDINH';
+
+  let defaultPartner = await Partner.findOne({ code }).session(session);
   if (!defaultPartner) {
-    // Tạo phone number giả cho partner (10 chữ số, bắt đầu bằng 0)
-    const defaultPhone = type === 'income' ? '0900000000' : '0900000001';
-    
-    defaultPartner = new User({
-      name: defaultName,
-      email: defaultEmail,
-      phone: defaultPhone, // Phone phải có 10-11 chữ số
-      role: role,
-      password: 'partner_no_password_' + Date.now(), // Password bắt buộc nhưng không dùng để đăng nhập
-      agree: true, // Bắt buộc phải có
-      isActive: true,
+    defaultPartner = new Partner({
+      partnerType,
+      code,
+      name: type === 'income' ? 'Khách hàng mặc định' : 'Nhà cung cấp mặc định',
     });
-    try {
-      await defaultPartner.save({ session });
-      console.log(`✅ Đã tạo ${type === 'income' ? 'khách hàng' : 'nhà cung cấp'} mặc định: ${defaultName}`);
-    } catch (error) {
-      // Nếu lỗi duplicate (có thể do transaction retry), tìm lại
-      if (error.code === 11000 || error.message.includes('duplicate')) {
-        defaultPartner = await User.findOne({
-          email: defaultEmail,
-          role: role
-        }).session(session);
-        if (!defaultPartner) {
-          throw new Error(`Không thể tạo hoặc tìm ${type === 'income' ? 'khách hàng' : 'nhà cung cấp'} mặc định`);
-        }
-      } else {
-        throw error;
-      }
-    }
+    await defaultPartner.save({ session });
+    console.log(`✅ Đã tạo ${type === 'income' ? 'khách hàng' : 'nhà cung cấp'} mặc định: ${defaultPartner.name}`);
   }
-  
+
   return defaultPartner;
 }
 
 /**
- * Tìm hoặc tạo Partner từ tên và số điện thoại
- * Xử lý lỗi trùng lặp email bằng cách thêm timestamp
+ * Tìm hoặc tạo Partner từ tên (không phân biệt hoa thường) và số điện thoại
+ * @param {String} partnerName - Tên đối tác
+ * @param {String} partnerPhone - Số điện thoại (tùy chọn)
+ * @param {String} type - 'income' (Customer) hoặc 'expense' (Supplier)
+ * @param {Session} session - MongoDB session
+ * @returns {Object} Partner document
  */
 async function findOrCreatePartner(partnerName, partnerPhone, type, session) {
   if (!partnerName || !partnerName.trim()) {
     throw new Error('Tên đối tác không được để trống');
   }
-  
+
   const trimmedName = partnerName.trim();
-  const role = type === 'income' ? 'customer' : 'supplier';
-  
-  // Log để debug
-  console.log(`🔍 findOrCreatePartner được gọi với:`, {
-    partnerName: trimmedName,
-    partnerPhone: partnerPhone,
-    partnerPhoneType: typeof partnerPhone,
-    hasPhone: !!partnerPhone,
-    phoneLength: partnerPhone ? partnerPhone.length : 0,
-    role: role
-  });
-  
-  // Tìm partner theo tên (case-insensitive)
-  let partner = await User.findOne({
-    name: { $regex: new RegExp(`^${trimmedName}$`, 'i') },
-    role: role
+  const trimmedPhone = typeof partnerPhone === 'string' ? partnerPhone.trim() : '';
+  const partnerType = type === 'income' ? 'customer' : 'supplier';
+  const escapedName = trimmedName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  let partner = await Partner.findOne({
+    name: { $regex: new RegExp(`^${escapedName}$`, 'i') },
+    partnerType,
   }).session(session);
-  
-  // Nếu tìm thấy partner theo tên, cập nhật phone nếu có phone từ form
+
   if (partner) {
-    const oldPhone = partner.phone;
-    console.log(`🔍 Tìm thấy partner theo tên "${trimmedName}", phone hiện tại: ${oldPhone || 'chưa có'}`);
-    
-    if (partnerPhone && typeof partnerPhone === 'string' && partnerPhone.trim() && partnerPhone.trim().length > 0) {
-      const trimmedPhone = partnerPhone.trim();
-      console.log(`📱 Có phone từ form: ${trimmedPhone}`);
-      
-      if (partner.phone !== trimmedPhone) {
-        partner.phone = trimmedPhone;
-        await partner.save({ session });
-        console.log(`✅ Đã cập nhật phone cho partner "${trimmedName}" từ "${oldPhone || 'chưa có'}" thành "${trimmedPhone}"`);
-      } else {
-        console.log(`ℹ️ Phone đã đúng, không cần cập nhật: ${trimmedPhone}`);
-      }
-    } else {
-      console.log(`ℹ️ Không có phone từ form cho partner "${trimmedName}", giữ nguyên phone hiện tại: ${oldPhone || 'chưa có'}`);
+    // Cập nhật phone nếu form có gửi số mới
+    if (trimmedPhone && partner.phone !== trimmedPhone) {
+      partner.phone = trimmedPhone;
+      await partner.save({ session });
     }
-    
-    // Reload partner để đảm bảo có phone mới nhất
-    partner = await User.findById(partner._id).session(session);
-    console.log(`✅ Trả về partner "${trimmedName}" với phone: ${partner.phone || 'chưa có'}`);
     return partner;
   }
-  
-  // Nếu không tìm thấy, tạo mới
-  if (!partner) {
-    // Tạo email base từ tên
-    const emailBase = `${trimmedName.toLowerCase().replace(/\s+/g, '.')}@partner.local`;
-    
-    // Thử tạo với email base trước
-    let email = emailBase;
-    let retryCount = 0;
-    const maxRetries = 5;
-    
-    while (retryCount < maxRetries) {
-      try {
-        // Xác định phone sẽ sử dụng
-        let finalPhone = null;
-        console.log(`🔍 Kiểm tra phone từ form:`, { 
-          partnerPhone, 
-          type: typeof partnerPhone, 
-          hasValue: !!partnerPhone,
-          length: partnerPhone ? partnerPhone.length : 0,
-          trimmed: partnerPhone ? partnerPhone.trim() : null
-        });
-        
-        if (partnerPhone && typeof partnerPhone === 'string' && partnerPhone.trim() && partnerPhone.trim().length > 0) {
-          const trimmedPhone = partnerPhone.trim();
-          console.log(`📱 Sử dụng phone từ form: ${trimmedPhone}`);
-          
-          // Kiểm tra phone đã tồn tại chưa
-          const existingPhoneUser = await User.findOne({ phone: trimmedPhone }).session(session);
-          if (existingPhoneUser) {
-            // Nếu phone đã tồn tại và cùng role, dùng user đó
-            if (existingPhoneUser.role === role) {
-              partner = existingPhoneUser;
-              console.log(`✅ Đã tìm thấy ${type === 'income' ? 'khách hàng' : 'nhà cung cấp'} với phone: ${trimmedPhone}`);
-              break;
-            } else {
-              // Phone tồn tại nhưng khác role, tạo email mới với timestamp
-              email = `${trimmedName.toLowerCase().replace(/\s+/g, '.')}-${Date.now()}@partner.local`;
-              retryCount++;
-              continue;
-            }
-          }
-          // Phone chưa tồn tại, sử dụng phone từ form
-          finalPhone = trimmedPhone;
-        } else {
-          // Nếu không có phone từ form, dùng số mặc định
-          const defaultPhone = '0987654321';
-          console.log(`📱 Không có phone từ form, sử dụng số mặc định: ${defaultPhone}`);
-          finalPhone = defaultPhone;
-        }
-        
-        // Kiểm tra xem email đã tồn tại chưa
-        const existingUser = await User.findOne({ email: email }).session(session);
-        
-        if (existingUser && existingUser.role === role) {
-          // Nếu đã tồn tại và cùng role, cập nhật phone nếu có phone từ form
-          partner = existingUser;
-          const oldPhone = partner.phone;
-          console.log(`🔍 Tìm thấy partner theo email "${email}", phone hiện tại: ${oldPhone || 'chưa có'}`);
-          
-          if (partnerPhone && typeof partnerPhone === 'string' && partnerPhone.trim() && partnerPhone.trim().length > 0) {
-            const trimmedPhone = partnerPhone.trim();
-            console.log(`📱 Có phone từ form: ${trimmedPhone}`);
-            
-            if (partner.phone !== trimmedPhone) {
-              partner.phone = trimmedPhone;
-              await partner.save({ session });
-              console.log(`✅ Đã cập nhật phone cho ${type === 'income' ? 'khách hàng' : 'nhà cung cấp'} từ "${oldPhone || 'chưa có'}" thành "${trimmedPhone}"`);
-            } else {
-              console.log(`ℹ️ Phone đã đúng, không cần cập nhật: ${trimmedPhone}`);
-            }
-          } else {
-            console.log(`ℹ️ Không có phone từ form, giữ nguyên phone hiện tại: ${oldPhone || 'chưa có'}`);
-          }
-          
-          // Reload partner để đảm bảo có phone mới nhất
-          partner = await User.findById(partner._id).session(session);
-          console.log(`✅ Đã tìm thấy ${type === 'income' ? 'khách hàng' : 'nhà cung cấp'} với email: ${email}, phone: ${partner.phone || 'chưa có'}`);
-          break;
-        } else if (existingUser) {
-          // Email tồn tại nhưng khác role, tạo email mới với timestamp
-          email = `${trimmedName.toLowerCase().replace(/\s+/g, '.')}-${Date.now()}@partner.local`;
-          retryCount++;
-          continue;
-        }
-        
-        // Tạo partner mới với phone đã xác định
-        console.log(`📝 Tạo partner mới với phone: ${finalPhone}`);
-        partner = new User({
-          name: trimmedName,
-          email: email,
-          phone: finalPhone, // Phone từ form hoặc phone mặc định
-          role: role,
-          password: 'partner_no_password_' + Date.now(), // Password bắt buộc nhưng không dùng để đăng nhập
-          agree: true, // Bắt buộc phải có
-          isActive: true,
-        });
-        
-        await partner.save({ session });
-        
-        // Reload partner để đảm bảo phone đã được lưu
-        partner = await User.findById(partner._id).session(session);
-        console.log(`✅ Đã tạo ${type === 'income' ? 'khách hàng' : 'nhà cung cấp'} mới: ${trimmedName} (email: ${email}, phone: ${partner.phone || 'chưa có'})`);
-        
-        if (!partner.phone) {
-          console.error(`❌ LỖI: Partner vừa tạo không có phone!`);
-        }
-        
-        break; // Thành công, thoát khỏi vòng lặp
-        
-      } catch (error) {
-        // Xử lý lỗi duplicate email hoặc phone
-        if (error.code === 11000 || error.message.includes('duplicate') || error.message.includes('email') || error.message.includes('phone')) {
-          // Email hoặc phone đã tồn tại, tạo email mới với timestamp
-          email = `${trimmedName.toLowerCase().replace(/\s+/g, '.')}-${Date.now()}@partner.local`;
-          retryCount++;
-          
-          if (retryCount >= maxRetries) {
-            // Nếu retry quá nhiều lần, dùng partner mặc định
-            console.warn(`⚠️ Không thể tạo partner với tên "${trimmedName}" sau ${maxRetries} lần thử. Sử dụng partner mặc định.`);
-            partner = await findOrCreateDefaultPartner(type, session);
-            break;
-          }
-        } else {
-          // Lỗi khác, throw lại
-          console.error(`❌ Lỗi khi tạo partner "${trimmedName}":`, error);
-          throw error;
-        }
-      }
-    }
-    
-    // Nếu vẫn không có partner sau vòng lặp, dùng partner mặc định
-    if (!partner) {
-      console.warn(`⚠️ Không thể tạo partner với tên "${trimmedName}". Sử dụng partner mặc định.`);
-      partner = await findOrCreateDefaultPartner(type, session);
-    }
-  }
-  
-  // Đảm bảo partner có ID hợp lệ
-  if (!partner || !partner._id) {
-    console.error(`❌ Partner không hợp lệ cho "${trimmedName}". Sử dụng partner mặc định.`);
-    partner = await findOrCreateDefaultPartner(type, session);
-  }
-  
+
+  partner = new Partner({
+    partnerType,
+    name: trimmedName,
+    phone: trimmedPhone,
+  });
+  await partner.save({ session });
+  console.log(`✅ Đã tạo ${type === 'income' ? 'khách hàng' : 'nhà cung cấp'} mới: ${trimmedName}`);
+
   return partner;
 }
 
@@ -1110,7 +930,7 @@ async function findOrCreatePartner(partnerName, partnerPhone, type, session) {
  * 3. Validation: Kiểm tra Tổng Debit == Tổng Credit trước khi lưu
  * 4. Tạo Receivable/Payable nếu paymentStatus = 'unpaid' và có partnerName + dueDate
  */
-router.post('/post-entry', withAuth, async (req, res) => {
+router.post('/post-entry', requirePermission('accounting:post'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   
@@ -1633,40 +1453,14 @@ router.post('/post-entry', withAuth, async (req, res) => {
     
     if (isDebt && hasValidPartnerInfo) {
       try {
-        // Tìm hoặc tạo Partner từ tên và số điện thoại (hàm này đã xử lý lỗi và fallback về partner mặc định)
-        // Nếu không có phone, hàm sẽ dùng số mặc định 0987654321
+        // Tìm hoặc tạo Partner từ tên và số điện thoại, fallback về partner mặc định nếu lỗi
         let partner;
         try {
-          console.log(`🔍 Gọi findOrCreatePartner với:`, {
-            partnerName: trimmedPartnerName,
-            partnerPhone: trimmedPartnerPhone,
-            partnerPhoneType: typeof trimmedPartnerPhone,
-            hasPhone: !!trimmedPartnerPhone,
-            phoneLength: trimmedPartnerPhone ? trimmedPartnerPhone.length : 0,
-            phoneValue: trimmedPartnerPhone || '(sẽ dùng mặc định 0987654321)'
-          });
-          
           partner = await findOrCreatePartner(trimmedPartnerName, trimmedPartnerPhone, type, session);
-          
-          // Reload partner một lần nữa để đảm bảo có phone mới nhất
-          partner = await User.findById(partner._id).session(session);
-          
           console.log(`✅ Đã tìm/tạo Partner: ${trimmedPartnerName}`, {
             partnerId: partner._id,
-            partnerPhone: partner.phone || 'chưa có',
-            partnerPhoneFromForm: trimmedPartnerPhone || 'không có',
-            phoneMatches: trimmedPartnerPhone ? (partner.phone === trimmedPartnerPhone) : 'N/A'
+            partnerPhone: partner.phone || 'chưa có'
           });
-          
-          // Đảm bảo phone đã được lưu
-          if (partner.phone) {
-            console.log(`✅ Phone đã được lưu vào database: ${partner.phone}`);
-            if (trimmedPartnerPhone && partner.phone !== trimmedPartnerPhone) {
-              console.warn(`⚠️ Phone trong database (${partner.phone}) khác với phone từ form (${trimmedPartnerPhone})`);
-            }
-          } else {
-            console.error(`❌ LỖI: Partner không có phone sau khi tạo/tìm!`);
-          }
         } catch (partnerError) {
           console.error(`❌ Lỗi khi tạo/tìm partner "${trimmedPartnerName}":`, partnerError);
           // Fallback về partner mặc định
@@ -1674,21 +1468,6 @@ router.post('/post-entry', withAuth, async (req, res) => {
           partner = await findOrCreateDefaultPartner(type, session);
         }
         
-        // Đảm bảo partner có ID hợp lệ
-        if (!partner || !partner._id) {
-          console.error(`❌ Partner không hợp lệ cho "${trimmedPartnerName}". Sử dụng partner mặc định.`);
-          partner = await findOrCreateDefaultPartner(type, session);
-        }
-        
-        // Final check: Đảm bảo partner có phone
-        if (!partner.phone) {
-          console.error(`❌ LỖI NGHIÊM TRỌNG: Partner cuối cùng không có phone!`, {
-            partnerId: partner._id,
-            partnerName: partner.name,
-            partnerEmail: partner.email
-          });
-        }
-        
         console.log(`🔍 Kiểm tra điều kiện tạo Receivable/Payable:`, {
           type,
           debitAccountCode,
@@ -1711,6 +1490,7 @@ router.post('/post-entry', withAuth, async (req, res) => {
           const receivable = new Receivable({
             journalEntry: entry._id,
             customer: partner._id,
+            customerModel: 'Partner',
             originalAmount: amountNum,
             remainingAmount: amountNum,
             paymentStatus: 'unpaid',
@@ -1880,7 +1660,7 @@ router.post('/post-entry', withAuth, async (req, res) => {
  * Ví dụ: Rút tiền từ Ngân hàng về Quỹ Tiền mặt
  *   - Nợ TK 111 (Tiền mặt) / Có TK 1121 (Tiền gửi ngân hàng)
  */
-router.post('/internal-transfer', withAuth, async (req, res) => {
+router.post('/internal-transfer', requirePermission('accounting:post'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   
@@ -2034,7 +1814,7 @@ router.post('/internal-transfer', withAuth, async (req, res) => {
  * POST /api/accounting/fixed-assets
  * Tạo tài sản cố định mới và hạch toán mua tài sản
  */
-router.post('/fixed-assets', withAuth, async (req, res) => {
+router.post('/fixed-assets', requirePermission('accounting:post'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   
@@ -2153,110 +1933,14 @@ router.post('/fixed-assets', withAuth, async (req, res) => {
 /**
  * POST /api/accounting/depreciation/calculate
  * Tính toán và hạch toán khấu hao cho tất cả tài sản cố định trong tháng
- * (Có thể gọi thủ công hoặc tự động qua Cron Job)
+ * (Có thể gọi thủ công hoặc tự động qua job calculate-depreciation)
  */
-router.post('/depreciation/calculate', withAuth, async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-  
+router.post('/depreciation/calculate', requirePermission('accounting:post'), async (req, res) => {
   try {
     await db.connectDb();
     
     const { month } = req.body; // Format: YYYY-MM (VD: '2024-01')
-    const targetMonth = month || `${new Date().getFullYear()}-${String(new Date().getMonth() + 1).padStart(2, '0')}`;
-    
-    // Lấy tất cả tài sản đang hoạt động
-    const activeAssets = await FixedAsset.find({ 
-      status: 'active' 
-    }).session(session);
-    
-    const results = [];
-    
-    for (const asset of activeAssets) {
-      // Kiểm tra xem đã khấu hao tháng này chưa
-      const alreadyDepreciated = asset.depreciationHistory.some(
-        dep => dep.month === targetMonth
-      );
-      
-      if (alreadyDepreciated) {
-        console.log(`Tài sản ${asset.name} đã được khấu hao trong tháng ${targetMonth}`);
-        continue;
-      }
-      
-      // Kiểm tra xem đã khấu hao hết chưa
-      if (asset.accumulatedDepreciation >= asset.originalCost) {
-        console.log(`Tài sản ${asset.name} đã khấu hao hết`);
-        continue;
-      }
-      
-      // Tính khấu hao tháng này
-      const monthlyDepreciation = asset.monthlyDepreciation || (asset.originalCost / asset.usefulLife);
-      const remainingValue = asset.originalCost - asset.accumulatedDepreciation;
-      const depreciationAmount = Math.min(monthlyDepreciation, remainingValue); // Không khấu hao quá giá trị còn lại
-      
-      if (depreciationAmount <= 0) continue;
-      
-      // Tạo bút toán khấu hao: Nợ TK 642 / Có TK 214
-      const referenceNo = `DEP-${targetMonth}-${asset.assetCode || asset._id.toString().slice(-6)}`;
-      
-      // Kiểm tra số chứng từ đã tồn tại chưa
-      const existingEntry = await JournalEntry.findOne({ referenceNo }).session(session);
-      if (existingEntry) {
-        console.log(`Journal entry ${referenceNo} đã tồn tại`);
-        continue;
-      }
-      
-      const lines = [
-        {
-          accountCode: '642', // Chi phí quản lý doanh nghiệp
-          debit: depreciationAmount,
-          credit: 0,
-          description: `Khấu hao tài sản: ${asset.name}`,
-        },
-        {
-          accountCode: '214', // Hao mòn lũy kế TSCĐ
-          debit: 0,
-          credit: depreciationAmount,
-          description: `Khấu hao lũy kế: ${asset.name}`,
-        }
-      ];
-      
-      const journalEntry = new JournalEntry({
-        referenceNo,
-        date: new Date(`${targetMonth}-01`),
-        postingDate: new Date(),
-        memo: `Khấu hao tháng ${targetMonth} - ${asset.name}`,
-        entryType: 'depreciation',
-        sourceId: asset._id,
-        sourceType: 'depreciation',
-        lines: lines,
-        createdBy: req.userId || null,
-        status: 'posted',
-      });
-      
-      await journalEntry.save({ session });
-      
-      // Cập nhật Fixed Asset
-      asset.accumulatedDepreciation += depreciationAmount;
-      asset.bookValue = asset.originalCost - asset.accumulatedDepreciation;
-      asset.depreciationHistory.push({
-        month: targetMonth,
-        amount: depreciationAmount,
-        journalEntry: journalEntry._id,
-      });
-      
-      await asset.save({ session });
-      
-      results.push({
-        asset: asset.name,
-        depreciationAmount,
-        accumulatedDepreciation: asset.accumulatedDepreciation,
-        bookValue: asset.bookValue,
-        journalEntry: journalEntry._id
-      });
-    }
-    
-    await session.commitTransaction();
+    const { month: targetMonth, results } = await calculateMonthlyDepreciation({ month, userId: req.userId });
     
     return res.status(200).json({
       message: `Đã tính khấu hao cho ${results.length} tài sản`,
@@ -2265,14 +1949,14 @@ router.post('/depreciation/calculate', withAuth, async (req, res) => {
     });
     
   } catch (error) {
-    await session.abortTransaction();
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error calculating depreciation:', error);
     return res.status(500).json({ 
       message: 'Lỗi khi tính khấu hao',
       error: error.message 
     });
-  } finally {
-    session.endSession();
   }
 });
 
@@ -2335,7 +2019,7 @@ router.get('/transactions', optionalAuth, async (req, res) => {
 });
 
 // POST /api/accounting/transactions - Tạo giao dịch mới
-router.post('/transactions', withAuth, async (req, res) => {
+router.post('/transactions', requirePermission('accounting:post'), async (req, res) => {
   try {
     await db.connectDb();
     
@@ -2377,40 +2061,11 @@ router.post('/transactions', withAuth, async (req, res) => {
         let customer = null;
         let supplier = null;
         
+        // Giao dịch nhanh không có thông tin đối tác: gắn vào đối tác mặc định
         if (type === 'income') {
-          // Tìm customer mặc định hoặc tạo mới
-          customer = await User.findOne({ role: 'customer' });
-          if (!customer) {
-            // Tạo customer mặc định từ thông tin transaction
-            const customerName = description.split('-')[0]?.trim() || description.split(' ')[0] || 'Khách hàng';
-            const customerEmail = `customer-${Date.now()}@temp.com`;
-            customer = new User({
-              name: customerName,
-              email: customerEmail,
-              phone: reference || '',
-              role: 'customer',
-              password: 'temp123456', // Password tạm
-            });
-            await customer.save();
-            console.log(`Created default customer: ${customer._id}`);
-          }
+          customer = await findOrCreateDefaultPartner(type, null);
         } else {
-          // Tìm supplier mặc định hoặc tạo mới
-          supplier = await User.findOne({ role: 'supplier' });
-          if (!supplier) {
-            // Tạo supplier mặc định từ thông tin transaction
-            const supplierName = description.split('-')[0]?.trim() || description.split(' ')[0] || 'Nhà cung cấp';
-            const supplierEmail = `supplier-${Date.now()}@temp.com`;
-            supplier = new User({
-              name: supplierName,
-              email: supplierEmail,
-              phone: reference || '',
-              role: 'supplier',
-              password: 'temp123456', // Password tạm
-            });
-            await supplier.save();
-            console.log(`Created default supplier: ${supplier._id}`);
-          }
+          supplier = await findOrCreateDefaultPartner(type, null);
         }
         
         // Tìm tài khoản để tạo journalEntry
@@ -2523,6 +2178,7 @@ router.post('/transactions', withAuth, async (req, res) => {
             const receivable = new Receivable({
               journalEntry: journalEntry._id,
               customer: customer._id,
+              customerModel: 'Partner',
               originalAmount: parseFloat(amount),
               remainingAmount: parseFloat(amount),
               paymentStatus: 'unpaid',
@@ -2613,7 +2269,7 @@ router.post('/transactions', withAuth, async (req, res) => {
 });
 
 // PUT /api/accounting/transactions/:id - Cập nhật giao dịch
-router.put('/transactions/:id', withAuth, async (req, res) => {
+router.put('/transactions/:id', requirePermission('accounting:post'), async (req, res) => {
   try {
     await db.connectDb();
     
@@ -2659,7 +2315,7 @@ router.put('/transactions/:id', withAuth, async (req, res) => {
 });
 
 // DELETE /api/accounting/transactions/:id - Xóa giao dịch
-router.delete('/transactions/:id', withAuth, async (req, res) => {
+router.delete('/transactions/:id', requirePermission('accounting:post'), async (req, res) => {
   try {
     await db.connectDb();
     
@@ -2751,10 +2407,34 @@ router.get('/profit-loss', optionalAuth, async (req, res) => {
       { $sort: { accountCode: 1 } }
     ]);
     
-    // Tính Doanh thu thuần (Tổng Credit TK 511)
-    const netRevenue = revenueAggregation
+    // Doanh thu bán hàng (Tổng Credit TK 511)
+    const salesRevenue = revenueAggregation
       .filter(item => item.accountCode.startsWith('511'))
       .reduce((sum, item) => sum + item.amount, 0);
+
+    // Các khoản giảm trừ doanh thu (Tổng Debit TK 521: chiết khấu thương mại, hàng bán bị trả lại)
+    const deductionAggregation = await JournalEntry.aggregate([
+      { $match: dateQuery },
+      { $unwind: '$lines' },
+      {
+        $match: {
+          'lines.accountCode': { $regex: /^521/ },
+          'lines.debit': { $gt: 0 }
+        }
+      },
+      {
+        $group: {
+          _id: '$lines.accountCode',
+          amount: { $sum: '$lines.debit' }
+        }
+      },
+      { $project: { _id: 0, accountCode: '$_id', amount: 1 } },
+      { $sort: { accountCode: 1 } }
+    ]);
+    const revenueDeductions = deductionAggregation.reduce((sum, item) => sum + item.amount, 0);
+
+    // Doanh thu thuần = Doanh thu bán hàng - Giảm trừ doanh thu
+    const netRevenue = salesRevenue - revenueDeductions;
     
     // Tính Thu nhập khác (Tổng Credit TK 711)
     const otherIncome = revenueAggregation
@@ -2879,6 +2559,8 @@ router.get('/profit-loss', optionalAuth, async (req, res) => {
         endDate: endDate || null
       },
       revenue: {
+        salesRevenue, // Doanh thu bán hàng
+        revenueDeductions, // Các khoản giảm trừ doanh thu
         netRevenue, // Doanh thu thuần
         otherIncome, // Thu nhập khác
         totalRevenue: netRevenue + otherIncome // Tổng doanh thu
@@ -2902,6 +2584,7 @@ router.get('/profit-loss', optionalAuth, async (req, res) => {
       netProfit, // Lợi nhuận sau thuế
       details: {
         revenueBreakdown: revenueAggregation,
+        deductionBreakdown: deductionAggregation,
         expenseBreakdown: expenseAggregation,
         otherCostsBreakdown: otherCostsAggregation
       }
@@ -3124,7 +2807,7 @@ router.get('/balance-sheet-data', optionalAuth, async (req, res) => {
  * 3. Tính Lãi/Lỗ ròng từ TK 911
  * 4. Kết chuyển Lãi/Lỗ → TK 421 (Lợi nhuận chưa phân phối)
  */
-router.post('/close-period', withAuth, async (req, res) => {
+router.post('/close-period', requirePermission('accounting:manage'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   
@@ -3390,7 +3073,7 @@ router.post('/close-period', withAuth, async (req, res) => {
  * Tạo bút toán điều chỉnh (Adjusting Entry)
  * Dùng để sửa chữa sai sót sau khi đã khóa sổ
  */
-router.post('/adjusting-entry', withAuth, async (req, res) => {
+router.post('/adjusting-entry', requirePermission('accounting:post'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   
@@ -3526,7 +3209,7 @@ router.get('/periods', optionalAuth, async (req, res) => {
  * POST /api/accounting/periods
  * Tạo kỳ kế toán mới
  */
-router.post('/periods', withAuth, async (req, res) => {
+router.post('/periods', requirePermission('accounting:manage'), async (req, res) => {
   try {
     await db.connectDb();
     
@@ -0,0 +1,336 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const multer = require('multer');
+const db = require('../config/database');
+const BankAccount = require('../models/BankAccount');
+const BankStatement = require('../models/BankStatement');
+const BankStatementLine = require('../models/BankStatementLine');
+const AccountingPeriod = require('../models/AccountingPeriod');
+const { requirePermission } = require('../middleware/auth');
+const { STATEMENT_FORMATS } = require('../services/bankStatementParser');
+const {
+  importStatement,
+  autoMatchLines,
+  confirmLine,
+  createEntryForLine,
+  ignoreLine,
+  unmatchLine,
+  getReconciliationReport,
+} = require('../services/bankReconciliationService');
+
+// File sao kê giữ trong bộ nhớ, chỉ nhận CSV / Excel / JSON
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    cb(null, /\.(csv|txt|xlsx|xls|json)$/i.test(file.originalname));
+  },
+});
+
+const LINE_STATUSES = ['unmatched', 'suggested', 'matched', 'ignored'];
+
+function sendError(res, error, label, message) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`Error ${label}:`, error);
+  return res.status(500).json({ message, error: error.message });
+}
+
+async function findBankAccount(bankAccountId) {
+  if (!bankAccountId || !mongoose.Types.ObjectId.isValid(bankAccountId)) return null;
+  return await BankAccount.findById(bankAccountId);
+}
+
+/**
+ * Tải giao dịch sao kê theo :id kèm tài khoản ngân hàng
+ * @returns {Object|null} { line, bankAccount }
+ */
+async function findLine(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const line = await BankStatementLine.findById(id);
+  if (!line) return null;
+  const bankAccount = await BankAccount.findById(line.bankAccount);
+  return bankAccount ? { line, bankAccount } : null;
+}
+
+// POST /api/bank-reconciliation/statements - Tải sao kê (multipart: file, bankAccountId, format) và tự động khớp
+// format: tpbank | vietcombank | csv (CSV/Excel internet banking) | sepay (JSON lịch sử giao dịch) - mặc định đoán theo đuôi file
+router.post('/statements', requirePermission('bank:reconcile'), upload.single('file'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'Vui lòng chọn file sao kê (.csv, .xlsx hoặc .json)' });
+    }
+
+    const { bankAccountId, format } = req.body;
+    if (format && !STATEMENT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Định dạng không hợp lệ. Hợp lệ: ${STATEMENT_FORMATS.join(', ')}` });
+    }
+
+    const bankAccount = await findBankAccount(bankAccountId);
+    if (!bankAccount) {
+      return res.status(404).json({ message: 'Không tìm thấy tài khoản ngân hàng' });
+    }
+
+    const { statement, summary } = await importStatement({
+      bankAccount,
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      format,
+      userId: req.userId,
+    });
+
+    return res.status(201).json({
+      message: `Đã nhập ${statement.lineCount} giao dịch` +
+        (statement.duplicateCount > 0 ? ` (bỏ qua ${statement.duplicateCount} giao dịch đã có)` : ''),
+      statement,
+      summary,
+    });
+  } catch (error) {
+    return sendError(res, error, 'importing bank statement', 'Lỗi khi nhập sao kê');
+  }
+});
+
+// GET /api/bank-reconciliation/statements?bankAccountId= - Danh sách sao kê đã nhập
+router.get('/statements', requirePermission('bank:reconcile'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const { bankAccountId, page = 1, limit = 50 } = req.query;
+    const filter = {};
+    if (bankAccountId) filter.bankAccount = bankAccountId;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+
+    const [statements, total] = await Promise.all([
+      BankStatement.find(filter)
+        .populate('bankAccount', 'name bankName bankAccountNumber accountCode')
+        .populate('importedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      BankStatement.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      statements,
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) },
+    });
+  } catch (error) {
+    return sendError(res, error, 'fetching bank statements', 'Lỗi khi lấy danh sách sao kê');
+  }
+});
+
+// POST /api/bank-reconciliation/statements/:id/auto-match - Chạy lại tự động khớp cho giao dịch chưa khớp
+// (VD: sau khi đã ghi sổ thêm chứng từ)
+router.post('/statements/:id/auto-match', requirePermission('bank:reconcile'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'ID sao kê không hợp lệ' });
+    }
+
+    const statement = await BankStatement.findById(req.params.id);
+    if (!statement) {
+      return res.status(404).json({ message: 'Không tìm thấy sao kê' });
+    }
+    const bankAccount = await BankAccount.findById(statement.bankAccount);
+    if (!bankAccount) {
+      return res.status(404).json({ message: 'Không tìm thấy tài khoản ngân hàng' });
+    }
+
+    const lines = await BankStatementLine.find({ statement: statement._id, status: 'unmatched' });
+    const summary = await autoMatchLines(bankAccount, lines);
+
+    return res.status(200).json({ message: 'Đã chạy tự động khớp', summary });
+  } catch (error) {
+    return sendError(res, error, 'auto-matching bank statement', 'Lỗi khi tự động khớp sao kê');
+  }
+});
+
+// GET /api/bank-reconciliation/lines - Giao dịch sao kê
+// Query: bankAccountId, statementId, status (unmatched|suggested|matched|ignored), startDate, endDate, page, limit
+router.get('/lines', requirePermission('bank:reconcile'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const { bankAccountId, statementId, status, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const filter = {};
+    if (bankAccountId) filter.bankAccount = bankAccountId;
+    if (statementId) filter.statement = statementId;
+    if (status) {
+      if (!LINE_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Trạng thái không hợp lệ. Hợp lệ: ${LINE_STATUSES.join(', ')}` });
+      }
+      filter.status = status;
+    }
+    if (startDate || endDate) {
+      filter.transactionDate = {};
+      if (startDate) filter.transactionDate.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        filter.transactionDate.$lte = end;
+      }
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+
+    const [lines, total] = await Promise.all([
+      BankStatementLine.find(filter)
+        .select('-raw')
+        .populate('journalEntry', 'referenceNo date memo entryType')
+        .populate('payment', 'paymentCode amount status order')
+        .sort({ transactionDate: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      BankStatementLine.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      lines,
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) },
+    });
+  } catch (error) {
+    return sendError(res, error, 'fetching bank statement lines', 'Lỗi khi lấy giao dịch sao kê');
+  }
+});
+
+// POST /api/bank-reconciliation/lines/:id/confirm - Xác nhận gợi ý hoặc khớp với chứng từ khác
+// Body: { journalEntryId (bỏ trống = chứng từ được gợi ý), note }
+router.post('/lines/:id/confirm', requirePermission('bank:reconcile'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const found = await findLine(req.params.id);
+    if (!found) {
+      return res.status(404).json({ message: 'Không tìm thấy giao dịch sao kê' });
+    }
+
+    const { journalEntryId, note } = req.body;
+    const line = await confirmLine(found.line, found.bankAccount, {
+      journalEntryId,
+      note: (note || '').toString().trim(),
+      userId: req.userId,
+    });
+
+    return res.status(200).json({ message: 'Đã khớp giao dịch với chứng từ', line });
+  } catch (error) {
+    return sendError(res, error, 'confirming bank statement line', 'Lỗi khi khớp giao dịch');
+  }
+});
+
+// POST /api/bank-reconciliation/lines/:id/create-entry - Lập chứng từ cho giao dịch chưa có trên sổ
+// Body: { accountCode (tài khoản đối ứng, VD 642 phí ngân hàng, 711 lãi tiền gửi, 131 khách hàng), memo }
+router.post('/lines/:id/create-entry', requirePermission('bank:reconcile'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const found = await findLine(req.params.id);
+    if (!found) {
+      return res.status(404).json({ message: 'Không tìm thấy giao dịch sao kê' });
+    }
+
+    const { accountCode, memo } = req.body;
+    const result = await createEntryForLine(found.line, found.bankAccount, {
+      accountCode: (accountCode || '').toString().trim(),
+      memo: (memo || '').toString().trim(),
+      userId: req.userId,
+    });
+
+    return res.status(201).json({ message: 'Đã lập chứng từ và khớp giao dịch', ...result });
+  } catch (error) {
+    return sendError(res, error, 'creating entry from bank statement line', 'Lỗi khi lập chứng từ');
+  }
+});
+
+// POST /api/bank-reconciliation/lines/:id/ignore - Bỏ qua giao dịch. Body: { note }
+router.post('/lines/:id/ignore', requirePermission('bank:reconcile'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const found = await findLine(req.params.id);
+    if (!found) {
+      return res.status(404).json({ message: 'Không tìm thấy giao dịch sao kê' });
+    }
+
+    const line = await ignoreLine(found.line, {
+      note: (req.body.note || '').toString().trim(),
+      userId: req.userId,
+    });
+
+    return res.status(200).json({ message: 'Đã bỏ qua giao dịch', line });
+  } catch (error) {
+    return sendError(res, error, 'ignoring bank statement line', 'Lỗi khi bỏ qua giao dịch');
+  }
+});
+
+// POST /api/bank-reconciliation/lines/:id/unmatch - Bỏ khớp / bỏ qua để xử lý lại
+router.post('/lines/:id/unmatch', requirePermission('bank:reconcile'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const found = await findLine(req.params.id);
+    if (!found) {
+      return res.status(404).json({ message: 'Không tìm thấy giao dịch sao kê' });
+    }
+
+    const line = await unmatchLine(found.line);
+    return res.status(200).json({ message: 'Đã bỏ khớp giao dịch', line });
+  } catch (error) {
+    return sendError(res, error, 'unmatching bank statement line', 'Lỗi khi bỏ khớp giao dịch');
+  }
+});
+
+// GET /api/bank-reconciliation/report - Báo cáo đối soát theo kỳ
+// Query: bankAccountId và periodId (kỳ kế toán) hoặc startDate, endDate (mặc định tháng hiện tại)
+router.get('/report', requirePermission('bank:reconcile'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const { bankAccountId, periodId, startDate, endDate } = req.query;
+    const bankAccount = await findBankAccount(bankAccountId);
+    if (!bankAccount) {
+      return res.status(404).json({ message: 'Không tìm thấy tài khoản ngân hàng' });
+    }
+
+    let start;
+    let end;
+    let period = null;
+    if (periodId) {
+      period = mongoose.Types.ObjectId.isValid(periodId) ? await AccountingPeriod.findById(periodId).lean() : null;
+      if (!period) {
+        return res.status(404).json({ message: 'Không tìm thấy kỳ kế toán' });
+      }
+      start = new Date(period.startDate);
+      end = new Date(period.endDate);
+    } else {
+      const now = new Date();
+      start = startDate ? new Date(startDate) : new Date(now.getFullYear(), now.getMonth(), 1);
+      end = endDate ? new Date(endDate) : new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    }
+    end.setHours(23, 59, 59, 999);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+      return res.status(400).json({ message: 'Khoảng thời gian không hợp lệ' });
+    }
+
+    const report = await getReconciliationReport(bankAccount, { startDate: start, endDate: end });
+    return res.status(200).json({
+      period: period ? { _id: period._id, periodName: period.periodName } : null,
+      ...report,
+    });
+  } catch (error) {
+    return sendError(res, error, 'building bank reconciliation report', 'Lỗi khi lập báo cáo đối soát');
+  }
+});
+
+module.exports = router;
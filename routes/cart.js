@@ -1,11 +1,64 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const db = require('../config/database');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const { withAuth, optionalAuth } = require('../middleware/auth');
 const { normalizeUnit } = require('../utils/normalizeUnit');
-const { validateForCart, normalizeCode } = require('../services/couponUsageService');
+const { resolveVariant, getSellingInfo } = require('../utils/productVariant');
+const { refreshCartCoupon, normalizeCode } = require('../services/couponUsageService');
+const { refreshCartPromotions } = require('../services/promotionService');
+const { refreshCartFlashSale } = require('../services/flashSaleService');
+
+/**
+ * Tính lại giá flash sale, khuyến mãi tự động rồi coupon của giỏ hàng (coupon không giảm quá phần tiền hàng còn lại)
+ * @returns {Object} kết quả refreshCartCoupon, kèm flashSaleViolations
+ */
+async function refreshCartPricing(cart) {
+  const { violations } = await refreshCartFlashSale(cart);
+  await refreshCartPromotions(cart);
+  const result = await refreshCartCoupon(cart);
+
+  const subtotal = (cart.products || []).reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 0), 0);
+  const remaining = Math.max(0, subtotal - (cart.promotionDiscount || 0));
+  if ((cart.discountAmount || 0) > remaining) cart.discountAmount = remaining;
+  return { ...result, flashSaleViolations: violations };
+}
+
+/**
+ * Chỉ chủ giỏ hàng được sửa giỏ: userId trên URL / body phải trùng user trong token
+ */
+function requireCartOwner(req, res, next) {
+  const ownerId = req.params.userId || req.body.user;
+  if (ownerId && ownerId.toString() !== req.userId) {
+    return res.status(403).json({ message: 'Forbidden: You can only modify your own cart' });
+  }
+  next();
+}
+
+/**
+ * Dòng giỏ hàng khớp sản phẩm (+ biến thể nếu có gửi lên); dòng cũ chưa có variant coi là biến thể mặc định
+ */
+function matchesCartLine(item, productId, variantId = null, defaultVariantId = null) {
+  if (item.product.toString() !== productId.toString()) return false;
+  if (!variantId) return true;
+  const itemVariant = item.variant || defaultVariantId;
+  return !!itemVariant && itemVariant.toString() === variantId.toString();
+}
+
+async function getDefaultVariantId(productId) {
+  if (!mongoose.Types.ObjectId.isValid(productId)) return null;
+  const product = await Product.findById(productId).select('variants._id').lean();
+  return product && product.variants && product.variants.length > 0 ? product.variants[0]._id : null;
+}
+
+/**
+ * Dòng vừa thêm / sửa vượt giới hạn flash sale mỗi khách (không lưu giỏ)
+ */
+function findFlashSaleViolation(pricing, productId) {
+  return (pricing.flashSaleViolations || []).find((violation) => violation.product.toString() === productId.toString());
+}
 
 // GET /api/cart - Get user's cart
 router.get('/', optionalAuth, async (req, res) => {
@@ -51,14 +104,12 @@ router.get('/', optionalAuth, async (req, res) => {
       return sum + (item.price || 0) * (item.quantity || 0);
     }, 0);
     
+    // Flash sale / khuyến mãi / coupon có thể hết hạn / hết điều kiện kể từ lần lưu trước: tính lại giảm giá
+    await refreshCartPricing(cart);
+
     // Update cartTotal if it's different (this will trigger pre-save hook)
-    if (cart.cartTotal !== calculatedTotal) {
+    if (cart.cartTotal !== calculatedTotal || cart.isModified()) {
       cart.cartTotal = calculatedTotal;
-      if (cart.discount > 0) {
-        cart.totalAfterDiscount = cart.cartTotal * (1 - cart.discount / 100);
-      } else {
-        cart.totalAfterDiscount = cart.cartTotal;
-      }
       await cart.save();
     }
     
@@ -69,33 +120,57 @@ router.get('/', optionalAuth, async (req, res) => {
 });
 
 // POST /api/cart - Add product to cart
-router.post('/', optionalAuth, async (req, res) => {
+router.post('/', withAuth, requireCartOwner, async (req, res) => {
   try {
     await db.connectDb();
-    const { user, product, quantity, price, title, image, unit } = req.body;
+    const { product, variant, quantity, title, image } = req.body;
+    const targetUser = req.userId;
 
-    // Use user from body or from auth token
-    const targetUser = user || req.userId;
+    if (!product) {
+      return res.status(400).json({ message: 'Product is required' });
+    }
 
-    if (!targetUser || !product) {
-      return res.status(400).json({ message: 'User and product are required' });
+    // Giá / đơn vị lấy theo biến thể trong DB (bỏ trống variant = biến thể mặc định), không tin giá client gửi lên
+    const prod = mongoose.Types.ObjectId.isValid(product)
+      ? await Product.findById(product).select('maSanPham price promotionalPrice unit variants').lean()
+      : null;
+    if (!prod) {
+      return res.status(404).json({ message: 'Product not found' });
     }
+    if (variant && !mongoose.Types.ObjectId.isValid(variant)) {
+      return res.status(400).json({ message: 'Invalid variant ID' });
+    }
+    const resolved = resolveVariant(prod, variant);
+    if (!resolved.found || (resolved.variant && resolved.variant.isActive === false)) {
+      return res.status(400).json({ message: 'Phân loại sản phẩm không tồn tại hoặc đã ngừng bán' });
+    }
+    const info = getSellingInfo(prod, resolved.variant, resolved.isDefault);
+    const defaultVariantId = prod.variants && prod.variants.length > 0 ? prod.variants[0]._id : null;
 
     let cart = await Cart.findOne({ user: targetUser });
     if (!cart) {
       cart = new Cart({ user: targetUser, products: [] });
     }
-    const index = cart.products.findIndex(p => p.product.toString() === product);
+    const index = cart.products.findIndex((p) => matchesCartLine(p, product, info.variant, defaultVariantId));
     if (index >= 0) {
       cart.products[index].quantity += quantity || 1;
     } else {
-      let resolvedUnit = unit;
-      if (!resolvedUnit) {
-        const prod = await Product.findById(product).select('unit').lean();
-        resolvedUnit = prod?.unit;
-      }
-      resolvedUnit = normalizeUnit(resolvedUnit);
-      cart.products.push({ product, title, image, unit: resolvedUnit, quantity: quantity || 1, price });
+      cart.products.push({
+        product,
+        variant: info.variant,
+        sku: info.sku,
+        variantName: info.variantName,
+        title,
+        image,
+        unit: normalizeUnit(info.unit),
+        quantity: quantity || 1,
+        price: info.price,
+      });
+    }
+    const pricing = await refreshCartPricing(cart);
+    const violation = findFlashSaleViolation(pricing, product);
+    if (violation) {
+      return res.status(400).json({ code: 'FLASH_SALE_LIMIT', message: violation.message, ...violation });
     }
     // cartTotal and totalAfterDiscount will be calculated automatically by pre-save hook
     await cart.save();
@@ -106,15 +181,19 @@ router.post('/', optionalAuth, async (req, res) => {
 });
 
 // DELETE /api/cart/:userId/:productId - Remove product from cart
-router.delete('/:userId/:productId', async (req, res) => {
+// Query variant: chỉ xóa dòng của biến thể đó; bỏ trống xóa mọi dòng của sản phẩm
+router.delete('/:userId/:productId', withAuth, requireCartOwner, async (req, res) => {
   try {
     await db.connectDb();
     const { userId, productId } = req.params;
+    const variant = req.query.variant || req.body?.variant || null;
     const cart = await Cart.findOne({ user: userId });
     if (!cart) {
       return res.status(404).json({ message: 'Cart not found' });
     }
-    cart.products = cart.products.filter(p => p.product.toString() !== productId);
+    const defaultVariantId = variant ? await getDefaultVariantId(productId) : null;
+    cart.products = cart.products.filter((p) => !matchesCartLine(p, productId, variant, defaultVariantId));
+    await refreshCartPricing(cart);
     // cartTotal and totalAfterDiscount will be calculated automatically by pre-save hook
     await cart.save();
     return res.status(200).json(cart);
@@ -124,19 +203,27 @@ router.delete('/:userId/:productId', async (req, res) => {
 });
 
 // PUT /api/cart/:userId/:productId - Update product quantity in cart
+// Body: { quantity, variant } - variant bỏ trống sửa dòng đầu tiên của sản phẩm
 // IMPORTANT: Restrict :productId to Mongo ObjectId format so it doesn't match "/apply-coupon"
-router.put('/:userId/:productId([0-9a-fA-F]{24})', async (req, res) => {
+router.put('/:userId/:productId([0-9a-fA-F]{24})', withAuth, requireCartOwner, async (req, res) => {
   try {
     await db.connectDb();
     const { userId, productId } = req.params;
     const { quantity } = req.body;
+    const variant = req.body.variant || req.query.variant || null;
     const cart = await Cart.findOne({ user: userId });
     if (!cart) {
       return res.status(404).json({ message: 'Cart not found' });
     }
-    const productIndex = cart.products.findIndex(p => p.product.toString() === productId);
+    const defaultVariantId = variant ? await getDefaultVariantId(productId) : null;
+    const productIndex = cart.products.findIndex((p) => matchesCartLine(p, productId, variant, defaultVariantId));
     if (productIndex >= 0) {
       cart.products[productIndex].quantity = quantity;
+      const pricing = await refreshCartPricing(cart);
+      const violation = findFlashSaleViolation(pricing, productId);
+      if (violation) {
+        return res.status(400).json({ code: 'FLASH_SALE_LIMIT', message: violation.message, ...violation });
+      }
       // cartTotal and totalAfterDiscount will be calculated automatically by pre-save hook
       await cart.save();
     }
@@ -147,7 +234,7 @@ router.put('/:userId/:productId([0-9a-fA-F]{24})', async (req, res) => {
 });
 
 // PUT /api/cart/:userId/apply-coupon - Apply coupon to cart
-router.put('/:userId/apply-coupon', async (req, res) => {
+router.put('/:userId/apply-coupon', withAuth, requireCartOwner, async (req, res) => {
   try {
     await db.connectDb();
     const { userId } = req.params;
@@ -172,21 +259,19 @@ router.put('/:userId/apply-coupon', async (req, res) => {
     // Clear coupon
     if (!code) {
       cart.coupon = '';
-      cart.discount = 0;
+      await refreshCartPricing(cart);
       // pre-save hook sẽ tính lại totalAfterDiscount theo cartTotal
       await cart.save();
       return res.status(200).json(cart);
     }
 
-    // Always calculate based on DB coupon + current cartTotal (do NOT trust frontend)
-    const result = await validateForCart({ code, userId });
+    // Always calculate based on DB coupon + current cart items (do NOT trust frontend)
+    cart.coupon = code;
+    const result = await refreshCartPricing(cart);
     if (!result.ok) {
       return res.status(400).json({ message: result.message || 'Không thể áp dụng mã giảm giá.' });
     }
 
-    cart.coupon = code;
-    cart.discount = Number(result.coupon.discount || 0);
-    
     await cart.save();
     return res.status(200).json(cart);
   } catch (error) {
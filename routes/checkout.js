@@ -3,11 +3,113 @@ const router = express.Router();
 const db = require('../config/database');
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
-const { withAuth } = require('../middleware/auth');
-const { syncOrderToAccounting } = require('../services/accountingService');
+const User = require('../models/User');
+const ShippingConfig = require('../models/ShippingConfig');
+const { withAuth, requirePermission } = require('../middleware/auth');
+const { runStatusHooks } = require('../services/orderStatusService');
 const mongoose = require('mongoose');
 const { normalizeCode, reserveForOrder, commitForPaidOrder } = require('../services/couponUsageService');
-const SepayPayment = require('../models/SepayPayment');
+const Payment = require('../models/Payment');
+const { getGatewayByPaymentMethod } = require('../services/paymentGateways');
+const { quoteOrder, diffQuote, PricingError } = require('../services/pricingService');
+const { reserveSlot, listAvailableSlots } = require('../services/deliverySlotService');
+const { reserveFlashSalePurchases } = require('../services/flashSaleService');
+
+/**
+ * Lấy địa chỉ giao hàng (có mã tỉnh/quận/phường) để tính phí
+ * Ưu tiên địa chỉ đã lưu của user (addressId), sau đó đến mã gửi kèm
+ * @returns {Object|null} { address, city, district, ward } hoặc null nếu addressId không tồn tại
+ */
+async function resolveShippingAddress(userId, { addressId, address, city, district, ward } = {}) {
+  if (addressId) {
+    const user = await User.findById(userId).select('address');
+    const saved = user && user.address && mongoose.Types.ObjectId.isValid(addressId)
+      ? user.address.id(addressId)
+      : null;
+    if (!saved) return null;
+    return {
+      address: address || [saved.address1, saved.wardName, saved.districtName, saved.cityName].filter(Boolean).join(', '),
+      city: saved.city,
+      district: saved.district,
+      ward: saved.ward,
+    };
+  }
+  return { address, city, district, ward };
+}
+
+function sendPricingError(res, pricingErr) {
+  return res.status(400).json({
+    code: pricingErr.code,
+    message: pricingErr.message,
+    ...pricingErr.details,
+  });
+}
+
+// GET /api/checkout/quote - Báo giá giỏ hàng hiện tại: giá, giảm giá, phí giao hàng, tổng tiền
+// Query: addressId hoặc city/district/ward, deliveryTime, coupon (mặc định coupon đang áp trên giỏ)
+router.get('/quote', withAuth, async (req, res) => {
+  try {
+    await db.connectDb();
+    const { addressId, city, district, ward, deliveryTime, coupon } = req.query;
+
+    const shippingAddress = await resolveShippingAddress(req.userId, { addressId, city, district, ward });
+    if (!shippingAddress) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+
+    const cart = await Cart.findOne({ user: req.userId }).lean();
+    const quote = await quoteOrder({
+      orderItems: cart ? cart.products : [],
+      couponCode: coupon !== undefined ? coupon : (cart && cart.coupon),
+      userId: req.userId,
+      address: shippingAddress,
+      deliveryTime,
+    });
+
+    return res.status(200).json({ quote });
+  } catch (error) {
+    if (error instanceof PricingError) return sendPricingError(res, error);
+    console.error('Error quoting checkout:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/checkout/shipping-config - Biểu phí giao hàng
+router.get('/shipping-config', async (req, res) => {
+  try {
+    await db.connectDb();
+    const config = await ShippingConfig.getConfig();
+    return res.status(200).json(config);
+  } catch (error) {
+    console.error('Error fetching shipping config:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// PUT /api/checkout/shipping-config - Cập nhật biểu phí giao hàng
+// Body: { defaultZone, zones, freeShippingThreshold, deliverySlotSurcharges }
+router.put('/shipping-config', requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const { defaultZone, zones, freeShippingThreshold, deliverySlotSurcharges } = req.body;
+
+    const config = await ShippingConfig.getConfig();
+    if (defaultZone !== undefined) config.defaultZone = defaultZone;
+    if (zones !== undefined) config.zones = zones;
+    if (freeShippingThreshold !== undefined) config.freeShippingThreshold = freeShippingThreshold;
+    if (deliverySlotSurcharges !== undefined) config.deliverySlotSurcharges = deliverySlotSurcharges;
+
+    await config.save();
+    return res.status(200).json(config);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    console.error('Error updating shipping config:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
 
 // POST /api/checkout - Create order from cart
 router.post('/', withAuth, async (req, res) => {
@@ -17,10 +119,12 @@ router.post('/', withAuth, async (req, res) => {
     await db.connectDb();
     const {
       shippingAddress,
+      addressId,
       phone,
       name,
       note,
       deliveryTime,
+      deliveryDate,
       coupon,
       paymentMethod,
       orderItems,
@@ -32,20 +136,81 @@ router.post('/', withAuth, async (req, res) => {
     } = req.body;
 
     const couponCode = normalizeCode(coupon);
+
+    const resolvedAddress = await resolveShippingAddress(req.userId, { addressId, ...(shippingAddress || {}) });
+    if (!resolvedAddress) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Address not found' });
+    }
+
+    // Tính lại giá, giảm giá, phí giao hàng từ DB; không dùng số tiền client gửi lên
+    let quote;
+    try {
+      quote = await quoteOrder({
+        orderItems,
+        couponCode,
+        userId: req.userId,
+        address: resolvedAddress,
+        deliveryTime,
+        session,
+      });
+    } catch (pricingErr) {
+      if (pricingErr instanceof PricingError) {
+        await session.abortTransaction();
+        return sendPricingError(res, pricingErr);
+      }
+      throw pricingErr;
+    }
+
+    // Giá đã thay đổi so với màn hình khách đang xem -> trả báo giá mới để xác nhận lại
+    const priceChanges = diffQuote({ orderItems, totalPrice, totalAfterDiscount, shippingFee, finalTotal }, quote);
+    if (priceChanges) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        code: 'PRICE_CHANGED',
+        message: 'Giá hoặc tổng tiền đơn hàng đã thay đổi, vui lòng kiểm tra lại',
+        changes: priceChanges,
+        quote,
+      });
+    }
+
+    // Giữ chỗ khung giờ giao hàng (không gửi deliveryDate: lấy ngày gần nhất còn chỗ)
+    let reservedDeliveryDate;
+    if (deliveryTime) {
+      const slotResult = await reserveSlot({ code: deliveryTime, date: deliveryDate, session });
+      if (!slotResult.ok) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          code: 'SLOT_UNAVAILABLE',
+          message: slotResult.message,
+          availableSlots: await listAvailableSlots({ days: 3 }),
+        });
+      }
+      reservedDeliveryDate = slotResult.date;
+    }
+
+    // Tính vào giới hạn flash sale mỗi khách (báo giá ở trên có thể đã cũ nếu khách checkout nhiều đơn cùng lúc)
+    const flashSaleResult = await reserveFlashSalePurchases(quote.orderItems, { userId: req.userId, session });
+    if (!flashSaleResult.ok) {
+      await session.abortTransaction();
+      return res.status(409).json({ code: 'FLASH_SALE_LIMIT', message: flashSaleResult.message });
+    }
+
     let couponReserved = false;
     let couponCommitted = false;
 
-    // For Sepay: if paymentCode is provided and payment is already paid, we can commit immediately.
+    // For online payments (Sepay, MoMo): if paymentCode is provided and payment is already paid, we can commit immediately.
     // IMPORTANT: to avoid duplicate order creation (webhook expects pending), we still create order as pending.
     // But we mark couponCommitted so status transition won't double count, and webhook can safely no-op commit.
-    let sepayIsPaid = false;
-    if (paymentMethod === 'Sepay' && paymentCode) {
-      const payment = await SepayPayment.findOne({ paymentCode }).session(session);
-      sepayIsPaid = !!payment && payment.status === 'paid';
+    let payment = null;
+    const gateway = getGatewayByPaymentMethod(paymentMethod);
+    if (gateway && paymentCode) {
+      payment = await Payment.findOne({ provider: gateway.provider, paymentCode }).session(session);
     }
+    const paymentIsPaid = !!payment && payment.status === 'paid';
 
     if (couponCode) {
-      if (sepayIsPaid) {
+      if (paymentIsPaid) {
         await commitForPaidOrder({
           code: couponCode,
           userId: req.userId,
@@ -62,26 +227,40 @@ router.post('/', withAuth, async (req, res) => {
     // Create order
     const order = new Order({
       user: req.userId,
-      orderItems,
-      shippingAddress,
+      orderItems: quote.orderItems,
+      shippingAddress: resolvedAddress,
       phone,
       name,
       note,
       deliveryTime,
+      deliveryDate: reservedDeliveryDate,
+      deliverySlotReserved: !!reservedDeliveryDate,
+      flashSaleReserved: flashSaleResult.reserved,
       coupon: couponCode,
       paymentCode: paymentCode || '',
       couponReserved,
       couponCommitted,
-      totalPrice,
-      totalAfterDiscount,
-      shippingFee: shippingFee || 30000,
-      finalTotal,
+      promotions: quote.promotions,
+      promotionDiscount: quote.promotionDiscount,
+      discount: quote.discount,
+      totalPrice: quote.totalPrice,
+      totalAfterDiscount: quote.totalAfterDiscount,
+      shippingFee: quote.shippingFee,
+      shippingDiscount: quote.shippingDiscount,
+      finalTotal: quote.finalTotal,
       paymentMethod,
       status: 'pending',
+      statusHistory: [{ from: null, to: 'pending', changedBy: req.userId, source: 'checkout' }],
     });
 
     await order.save({ session });
 
+    // Gắn giao dịch với đơn để webhook / IPN hoàn tất đúng đơn này
+    if (payment && !payment.order) {
+      payment.order = order._id;
+      await payment.save({ session });
+    }
+
     // Clear cart after checkout
     await Cart.findOneAndUpdate(
       { user: req.userId },
@@ -92,7 +271,7 @@ router.post('/', withAuth, async (req, res) => {
     await session.commitTransaction();
 
     // Đồng bộ đơn hàng vào kế toán (async, không chờ)
-    syncOrderToAccounting(order, null, req.userId).catch(err => {
+    runStatusHooks(order, null, { userId: req.userId }).catch(err => {
       console.error('Lỗi khi đồng bộ đơn hàng vào kế toán:', err);
     });
 
@@ -2,8 +2,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const Contact = require('../models/Contact');
-const { withAuth } = require('../middleware/auth');
-const User = require('../models/User');
+const { requirePermission } = require('../middleware/auth');
 
 // POST /api/contact - Submit contact form
 router.post('/', async (req, res) => {
@@ -86,18 +85,9 @@ router.post('/', async (req, res) => {
 });
 
 // GET /api/contact - Get list of contacts (Admin only)
-router.get('/', withAuth, async (req, res) => {
+router.get('/', requirePermission('contacts:manage'), async (req, res) => {
   try {
     await db.connectDb();
-    
-    // Check if user is admin
-    const user = await User.findById(req.userId);
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ 
-        success: false,
-        message: 'Access denied. Admin only.' 
-      });
-    }
 
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -149,18 +139,9 @@ router.get('/', withAuth, async (req, res) => {
 });
 
 // PUT /api/contact/:id/status - Update contact status (Admin only)
-router.put('/:id/status', withAuth, async (req, res) => {
+router.put('/:id/status', requirePermission('contacts:manage'), async (req, res) => {
   try {
     await db.connectDb();
-    
-    // Check if user is admin
-    const user = await User.findById(req.userId);
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ 
-        success: false,
-        message: 'Access denied. Admin only.' 
-      });
-    }
 
     const { status } = req.body;
     if (!['new', 'read', 'replied'].includes(status)) {
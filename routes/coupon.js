@@ -1,10 +1,59 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const db = require('../config/database');
 const Coupon = require('../models/Coupon');
+const CouponCampaign = require('../models/CouponCampaign');
+const { requirePermission } = require('../middleware/auth');
+const { validateCouponDefinition, parseCouponDate } = require('../services/couponUsageService');
+const {
+  createCampaign,
+  topUpCampaign,
+  getCampaignReport,
+  exportCampaignCsv,
+} = require('../services/couponCampaignService');
 
-// GET /api/coupon - Get all coupons or validate coupon
-router.get('/', async (req, res) => {
+function toNullableNumber(value) {
+  return value === '' || value == null ? null : Number(value);
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  return typeof value === 'string' && value ? value.split(',') : [];
+}
+
+/**
+ * Đọc các trường điều kiện / loại giảm giá từ body, chỉ lấy trường có gửi lên
+ * @returns {Object} { data } hoặc { error }
+ */
+function pickCouponRules(body) {
+  const data = {};
+  if (body.discountType !== undefined) data.discountType = body.discountType;
+  if (body.discount !== undefined && body.discount !== '') data.discount = Number(body.discount);
+  if (body.maxDiscount !== undefined) data.maxDiscount = toNullableNumber(body.maxDiscount);
+  if (body.minOrderValue !== undefined) data.minOrderValue = toNullableNumber(body.minOrderValue) || 0;
+  if (body.firstOrderOnly !== undefined) data.firstOrderOnly = body.firstOrderOnly === true || body.firstOrderOnly === 'true';
+
+  if (body.applicableCategories !== undefined) {
+    data.applicableCategories = [...new Set(toList(body.applicableCategories).map((c) => c.toString().trim()).filter(Boolean))];
+  }
+  if (body.applicableProducts !== undefined) {
+    const productIds = [...new Set(toList(body.applicableProducts).map((id) => id.toString().trim()).filter(Boolean))];
+    if (productIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Sản phẩm áp dụng không hợp lệ' };
+    }
+    data.applicableProducts = productIds;
+  }
+
+  return { data };
+}
+
+// GET /api/coupon?code=XXX - Validate coupon code (public, không trả thống kê theo user)
+// GET /api/coupon - Danh sách coupon (coupons:write), query search, campaign, page, limit
+router.get('/', (req, res, next) => {
+  if (req.query.coupon || req.query.code) return next();
+  return requirePermission('coupons:write')(req, res, next);
+}, async (req, res) => {
   try {
     await db.connectDb();
     const { coupon, code } = req.query;
@@ -12,7 +61,8 @@ router.get('/', async (req, res) => {
 
     if (couponCode) {
       // Validate coupon code
-      const foundCoupon = await Coupon.find({ coupon: couponCode.toUpperCase() });
+      const foundCoupon = await Coupon.find({ coupon: couponCode.toString().toUpperCase() })
+        .select('-userStats -reservedCount -campaign');
       if (!foundCoupon || foundCoupon.length === 0) {
         return res.status(200).json([]); // Trả về array rỗng thay vì 404
       }
@@ -21,32 +71,186 @@ router.get('/', async (req, res) => {
       return res.status(200).json(foundCoupon);
     }
 
-    // Get all coupons
-    const coupons = await Coupon.find({}).sort({ createdAt: -1 });
-    return res.status(200).json(coupons);
+    // Mặc định chỉ liệt kê mã tạo tay; mã sinh theo chiến dịch xem qua ?campaign=<id>
+    const query = {};
+    if (req.query.campaign) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.campaign)) {
+        return res.status(400).json({ message: 'Invalid campaign ID' });
+      }
+      query.campaign = req.query.campaign;
+    } else {
+      query.campaign = null;
+    }
+    if (req.query.search) {
+      query.coupon = { $regex: req.query.search.toString().toUpperCase().replace(/[^A-Z0-9]/g, '') };
+    }
+
+    // Không gửi page/limit: trả mảng như trước cho trang quản trị cũ
+    if (req.query.page === undefined && req.query.limit === undefined) {
+      const coupons = await Coupon.find(query).sort({ createdAt: -1 }).select('-userStats');
+      return res.status(200).json(coupons);
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const [coupons, total] = await Promise.all([
+      Coupon.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).select('-userStats'),
+      Coupon.countDocuments(query),
+    ]);
+
+    return res.status(200).json({
+      coupons,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
   } catch (error) {
     console.error('Error fetching coupons:', error);
     return res.status(500).json({ message: 'Internal server error' });
   }
 });
 
+// GET /api/coupon/campaigns - Danh sách chiến dịch kèm thống kê lượt dùng
+router.get('/campaigns', requirePermission('coupons:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const [campaigns, total] = await Promise.all([
+      CouponCampaign.find().sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit)
+        .populate('createdBy', 'name email').lean(),
+      CouponCampaign.countDocuments(),
+    ]);
+
+    const withReports = await Promise.all(campaigns.map(async (campaign) => ({
+      ...campaign,
+      report: await getCampaignReport(campaign._id),
+    })));
+
+    return res.status(200).json({
+      campaigns: withReports,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('Error fetching coupon campaigns:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/coupon/campaigns - Tạo chiến dịch và sinh mã dùng một lần
+// Body: { name, description, prefix, quantity, codeLength, discountType, discount, maxDiscount, minOrderValue,
+//         applicableCategories, applicableProducts, firstOrderOnly, startDate, endDate, usageLimitPerCode, perUserUsageLimit }
+router.post('/campaigns', requirePermission('coupons:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const rules = pickCouponRules(req.body);
+    if (rules.error) {
+      return res.status(400).json({ message: rules.error });
+    }
+
+    const campaign = await createCampaign({ ...req.body, ...rules.data }, { userId: req.userId });
+    return res.status(201).json({
+      campaign,
+      report: await getCampaignReport(campaign._id),
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error creating coupon campaign:', error);
+    return res.status(500).json({ message: error.message || 'Internal server error' });
+  }
+});
+
+// GET /api/coupon/campaigns/:id - Chi tiết chiến dịch + thống kê lượt dùng
+router.get('/campaigns/:id', requirePermission('coupons:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid campaign ID' });
+    }
+
+    const campaign = await CouponCampaign.findById(req.params.id).populate('createdBy', 'name email').lean();
+    if (!campaign) {
+      return res.status(404).json({ message: 'Không tìm thấy chiến dịch' });
+    }
+
+    return res.status(200).json({ campaign, report: await getCampaignReport(campaign._id) });
+  } catch (error) {
+    console.error('Error fetching coupon campaign:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/coupon/campaigns/:id/generate - Sinh tiếp phần mã còn thiếu
+router.post('/campaigns/:id/generate', requirePermission('coupons:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid campaign ID' });
+    }
+
+    const { campaign, generated } = await topUpCampaign(req.params.id);
+    return res.status(200).json({ campaign, generated });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error generating campaign codes:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/coupon/campaigns/:id/export - Xuất danh sách mã (CSV)
+router.get('/campaigns/:id/export', requirePermission('coupons:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid campaign ID' });
+    }
+
+    const { campaign, csv } = await exportCampaignCsv(req.params.id);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="coupons-${campaign.prefix}-${campaign._id}.csv"`);
+    return res.status(200).send(csv);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error exporting campaign codes:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // POST /api/coupon - Create new coupon
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('coupons:write'), async (req, res) => {
   try {
     await db.connectDb();
-    const { coupon, startDate, endDate, discount, globalUsageLimit, perUserUsageLimit } = req.body;
+    const { coupon, startDate, endDate, discountType, discount, globalUsageLimit, perUserUsageLimit } = req.body;
 
-    if (!coupon || !startDate || !endDate || discount == null) {
+    if (!coupon || !startDate || !endDate || (discount == null && discountType !== 'free_shipping')) {
       return res.status(400).json({ 
         message: 'Vui lòng điền đầy đủ thông tin coupon.' 
       });
     }
 
-    // Validate discount
-    if (discount < 0 || discount > 100) {
-      return res.status(400).json({ 
-        message: 'Giảm giá phải từ 0 đến 100%' 
-      });
+    const rules = pickCouponRules(req.body);
+    if (rules.error) {
+      return res.status(400).json({ message: rules.error });
+    }
+
+    // Validate loại giảm giá / mức giảm / giới hạn
+    const definitionOk = validateCouponDefinition({ discountType: 'percent', ...rules.data });
+    if (!definitionOk.ok) {
+      return res.status(400).json({ message: definitionOk.message });
+    }
+
+    const parsedStartDate = parseCouponDate(startDate);
+    const parsedEndDate = parseCouponDate(endDate, { endOfDay: true });
+    if (!parsedStartDate || !parsedEndDate) {
+      return res.status(400).json({ message: 'Ngày bắt đầu / kết thúc không hợp lệ' });
+    }
+    if (parsedEndDate <= parsedStartDate) {
+      return res.status(400).json({ message: 'Ngày kết thúc phải sau ngày bắt đầu' });
     }
 
     // Check if coupon already exists
@@ -59,10 +263,10 @@ router.post('/', async (req, res) => {
 
     // Create new coupon
     const newCoupon = new Coupon({
+      ...rules.data,
       coupon: coupon.toUpperCase(),
-      startDate,
-      endDate,
-      discount,
+      startDate: parsedStartDate,
+      endDate: parsedEndDate,
       globalUsageLimit: globalUsageLimit === '' ? null : (globalUsageLimit == null ? null : Number(globalUsageLimit)),
       perUserUsageLimit: perUserUsageLimit === '' ? null : (perUserUsageLimit == null ? null : Number(perUserUsageLimit)),
     });
@@ -83,36 +287,51 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/coupon/:couponId - Update coupon
-router.put('/:couponId', async (req, res) => {
+router.put('/:couponId', requirePermission('coupons:write'), async (req, res) => {
   try {
     await db.connectDb();
     const { couponId } = req.params;
-    const { coupon, startDate, endDate, discount, globalUsageLimit, perUserUsageLimit } = req.body;
+    const { coupon, startDate, endDate, globalUsageLimit, perUserUsageLimit } = req.body;
+
+    const rules = pickCouponRules(req.body);
+    if (rules.error) {
+      return res.status(400).json({ message: rules.error });
+    }
 
-    const updateData = {};
+    const updateData = { ...rules.data };
     if (coupon) updateData.coupon = coupon.toUpperCase();
-    if (startDate) updateData.startDate = startDate;
-    if (endDate) updateData.endDate = endDate;
-    if (discount != null) {
-      if (discount < 0 || discount > 100) {
-        return res.status(400).json({ 
-          message: 'Giảm giá phải từ 0 đến 100%' 
-        });
-      }
-      updateData.discount = discount;
+    if (startDate) updateData.startDate = parseCouponDate(startDate);
+    if (endDate) updateData.endDate = parseCouponDate(endDate, { endOfDay: true });
+    if (updateData.startDate === null || updateData.endDate === null) {
+      return res.status(400).json({ message: 'Ngày bắt đầu / kết thúc không hợp lệ' });
     }
 
     if (globalUsageLimit !== undefined) {
-      const v = globalUsageLimit === '' || globalUsageLimit == null ? null : Number(globalUsageLimit);
+      const v = toNullableNumber(globalUsageLimit);
       if (v != null && v < 0) return res.status(400).json({ message: 'Số lượng mã (global) phải >= 0' });
       updateData.globalUsageLimit = v;
     }
     if (perUserUsageLimit !== undefined) {
-      const v = perUserUsageLimit === '' || perUserUsageLimit == null ? null : Number(perUserUsageLimit);
+      const v = toNullableNumber(perUserUsageLimit);
       if (v != null && v < 0) return res.status(400).json({ message: 'Số lượt / user phải >= 0' });
       updateData.perUserUsageLimit = v;
     }
 
+    const existingCoupon = await Coupon.findById(couponId).lean();
+    if (!existingCoupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    // Kiểm tra trên cấu hình sau khi sửa (VD đổi percent → fixed phải đổi cả mức giảm)
+    const merged = { ...existingCoupon, ...updateData };
+    const definitionOk = validateCouponDefinition(merged);
+    if (!definitionOk.ok) {
+      return res.status(400).json({ message: definitionOk.message });
+    }
+    if (new Date(merged.endDate) <= new Date(merged.startDate)) {
+      return res.status(400).json({ message: 'Ngày kết thúc phải sau ngày bắt đầu' });
+    }
+
     const updatedCoupon = await Coupon.findByIdAndUpdate(
       couponId,
       updateData,
@@ -131,7 +350,7 @@ router.put('/:couponId', async (req, res) => {
 });
 
 // DELETE /api/coupon/:couponId - Delete coupon
-router.delete('/:couponId', async (req, res) => {
+router.delete('/:couponId', requirePermission('coupons:write'), async (req, res) => {
   try {
     await db.connectDb();
     const { couponId } = req.params;
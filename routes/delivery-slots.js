@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const db = require('../config/database');
+const DeliverySlot = require('../models/DeliverySlot');
+const { requirePermission } = require('../middleware/auth');
+const {
+  toVnDateString,
+  listAvailableSlots,
+  getSlotLoad,
+} = require('../services/deliverySlotService');
+
+// Các trường được phép gửi lên khi tạo/sửa khung giờ
+const EDITABLE_FIELDS = [
+  'label', 'startTime', 'endTime', 'capacity', 'capacityOverrides',
+  'cutoffMinutes', 'daysOfWeek', 'sortOrder', 'isActive',
+];
+
+function pickEditableFields(body) {
+  const data = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+}
+
+function handleValidationError(error, res) {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map((err) => err.message);
+    return res.status(400).json({ message: messages.join(', ') });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'Mã khung giờ đã tồn tại' });
+  }
+  return null;
+}
+
+// GET /api/delivery-slots/available - Khung giờ còn nhận đơn trong N ngày tới (query: days, mặc định 7)
+router.get('/available', async (req, res) => {
+  try {
+    await db.connectDb();
+    const days = await listAvailableSlots({ days: req.query.days });
+    return res.status(200).json({ days });
+  } catch (error) {
+    console.error('Error fetching available delivery slots:', error);
+    return res.status(500).json({ message: 'Lỗi khi lấy khung giờ giao hàng' });
+  }
+});
+
+// GET /api/delivery-slots/load - Tải theo khung giờ (query: from, to dạng YYYY-MM-DD, mặc định 7 ngày từ hôm nay)
+router.get('/load', requirePermission('delivery:manage'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const from = req.query.from || toVnDateString();
+    const to = req.query.to || toVnDateString(new Date(Date.now() + 6 * 24 * 60 * 60 * 1000));
+    if (!datePattern.test(from) || !datePattern.test(to) || from > to) {
+      return res.status(400).json({ message: 'Khoảng ngày không hợp lệ (from, to dạng YYYY-MM-DD)' });
+    }
+
+    const days = await getSlotLoad({ from, to });
+    return res.status(200).json({ from, to, days });
+  } catch (error) {
+    console.error('Error fetching delivery slot load:', error);
+    return res.status(500).json({ message: 'Lỗi khi lấy tải khung giờ giao hàng' });
+  }
+});
+
+// GET /api/delivery-slots - Danh sách khung giờ (kể cả đã tắt)
+router.get('/', requirePermission('delivery:manage'), async (req, res) => {
+  try {
+    await db.connectDb();
+    await DeliverySlot.ensureDefaults();
+    const slots = await DeliverySlot.find().sort({ sortOrder: 1, startTime: 1 }).lean();
+    return res.status(200).json({ slots });
+  } catch (error) {
+    console.error('Error fetching delivery slots:', error);
+    return res.status(500).json({ message: 'Lỗi khi lấy danh sách khung giờ' });
+  }
+});
+
+// POST /api/delivery-slots - Tạo khung giờ mới
+router.post('/', requirePermission('delivery:manage'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const { code } = req.body;
+    if (!code || !code.toString().trim()) {
+      return res.status(400).json({ message: 'Thiếu mã khung giờ (code)' });
+    }
+
+    const slot = new DeliverySlot({ ...pickEditableFields(req.body), code: code.toString().trim() });
+    await slot.save();
+
+    return res.status(201).json({ message: 'Tạo khung giờ thành công', slot });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error creating delivery slot:', error);
+    return res.status(500).json({ message: 'Lỗi khi tạo khung giờ' });
+  }
+});
+
+// PUT /api/delivery-slots/:id - Cập nhật khung giờ (code không đổi được vì đơn hàng lưu theo code)
+router.put('/:id', requirePermission('delivery:manage'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'ID khung giờ không hợp lệ' });
+    }
+
+    const slot = await DeliverySlot.findById(req.params.id);
+    if (!slot) {
+      return res.status(404).json({ message: 'Không tìm thấy khung giờ' });
+    }
+
+    slot.set(pickEditableFields(req.body));
+    await slot.save();
+
+    return res.status(200).json({ message: 'Cập nhật khung giờ thành công', slot });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error updating delivery slot:', error);
+    return res.status(500).json({ message: 'Lỗi khi cập nhật khung giờ' });
+  }
+});
+
+module.exports = router;
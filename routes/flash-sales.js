@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const db = require('../config/database');
+const FlashSale = require('../models/FlashSale');
+const { requirePermission } = require('../middleware/auth');
+const { validateFlashSale, getRunningFlashSaleWithProducts } = require('../services/flashSaleService');
+
+function parseTime(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Đọc các trường flash sale từ body, chỉ lấy trường có gửi lên
+ * @returns {Object} { data } hoặc { error }
+ */
+function pickFlashSaleFields(body) {
+  const data = {};
+  if (body.name !== undefined) data.name = body.name;
+  if (body.description !== undefined) data.description = body.description;
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === 'true';
+  if (body.startTime !== undefined) {
+    data.startTime = parseTime(body.startTime);
+    if (!data.startTime) return { error: 'Thời gian bắt đầu không hợp lệ' };
+  }
+  if (body.endTime !== undefined) {
+    data.endTime = parseTime(body.endTime);
+    if (!data.endTime) return { error: 'Thời gian kết thúc không hợp lệ' };
+  }
+  if (body.items !== undefined) {
+    if (!Array.isArray(body.items)) return { error: 'Danh sách sản phẩm không hợp lệ' };
+    data.items = body.items.map((item) => ({
+      product: item.product,
+      salePrice: Number(item.salePrice),
+      perCustomerLimit: item.perCustomerLimit === '' || item.perCustomerLimit == null ? null : Number(item.perCustomerLimit),
+    }));
+  }
+  return { data };
+}
+
+// GET /api/flash-sales/current - Chương trình đang chạy kèm sản phẩm, giá sale (public)
+router.get('/current', async (req, res) => {
+  try {
+    await db.connectDb();
+    const flashSale = await getRunningFlashSaleWithProducts();
+    return res.status(200).json({ flashSale });
+  } catch (error) {
+    console.error('Error fetching current flash sale:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/flash-sales - Danh sách chương trình, query status (running | upcoming | ended), page, limit
+router.get('/', requirePermission('promotions:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const query = {};
+    const now = new Date();
+    if (req.query.status === 'running') {
+      Object.assign(query, { isActive: true, startTime: { $lte: now }, endTime: { $gt: now } });
+    } else if (req.query.status === 'upcoming') {
+      query.startTime = { $gt: now };
+    } else if (req.query.status === 'ended') {
+      query.endTime = { $lte: now };
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const [flashSales, total] = await Promise.all([
+      FlashSale.find(query).sort({ startTime: -1 }).skip((page - 1) * limit).limit(limit)
+        .populate('items.product', 'name price unit image')
+        .lean(),
+      FlashSale.countDocuments(query),
+    ]);
+
+    return res.status(200).json({
+      flashSales,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('Error fetching flash sales:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/flash-sales - Tạo chương trình
+// Body: { name, description, startTime, endTime, isActive, items: [{ product, salePrice, perCustomerLimit }] }
+router.post('/', requirePermission('promotions:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const picked = pickFlashSaleFields(req.body);
+    if (picked.error) {
+      return res.status(400).json({ message: picked.error });
+    }
+
+    const definitionOk = await validateFlashSale(picked.data);
+    if (!definitionOk.ok) {
+      return res.status(400).json({ message: definitionOk.message });
+    }
+
+    const flashSale = await FlashSale.create({ ...picked.data, createdBy: req.userId || null });
+    return res.status(201).json(flashSale);
+  } catch (error) {
+    console.error('Error creating flash sale:', error);
+    return res.status(500).json({ message: error.message || 'Internal server error' });
+  }
+});
+
+// PUT /api/flash-sales/:id - Sửa chương trình (giá mới áp cho giỏ hàng / đơn tạo sau khi sửa)
+router.put('/:id', requirePermission('promotions:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid flash sale ID' });
+    }
+
+    const picked = pickFlashSaleFields(req.body);
+    if (picked.error) {
+      return res.status(400).json({ message: picked.error });
+    }
+
+    const existing = await FlashSale.findById(id).lean();
+    if (!existing) {
+      return res.status(404).json({ message: 'Flash sale not found' });
+    }
+
+    const definitionOk = await validateFlashSale({ ...existing, ...picked.data });
+    if (!definitionOk.ok) {
+      return res.status(400).json({ message: definitionOk.message });
+    }
+
+    const flashSale = await FlashSale.findByIdAndUpdate(id, picked.data, { new: true, runValidators: true });
+    return res.status(200).json(flashSale);
+  } catch (error) {
+    console.error('Error updating flash sale:', error);
+    return res.status(500).json({ message: error.message || 'Internal server error' });
+  }
+});
+
+// DELETE /api/flash-sales/:id - Xóa chương trình (đơn đã tạo vẫn giữ giá sale trong orderItems)
+router.delete('/:id', requirePermission('promotions:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid flash sale ID' });
+    }
+
+    const deleted = await FlashSale.findByIdAndDelete(id);
+    if (!deleted) {
+      return res.status(404).json({ message: 'Flash sale not found' });
+    }
+
+    return res.status(200).json({ message: 'Flash sale deleted successfully', flashSale: deleted });
+  } catch (error) {
+    console.error('Error deleting flash sale:', error);
+    return res.status(500).json({ message: error.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
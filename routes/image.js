@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const { v2: cloudinary } = require('cloudinary');
-const { withAuth, optionalAuth } = require('../middleware/auth');
+const { withAuth, optionalAuth, requirePermission } = require('../middleware/auth');
 
 // Configure Cloudinary
 // Kiểm tra xem có environment variables không
@@ -64,8 +64,14 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+// Khách hàng đã đăng nhập được tải ảnh minh chứng trả hàng (type=return), các loại ảnh khác cần media:write
+const requireUploadPermission = (req, res, next) => {
+  if (req.query.type === 'return') return withAuth(req, res, next);
+  return requirePermission('media:write')(req, res, next);
+};
+
 // POST /api/image - Upload new image to Cloudinary
-router.post('/', optionalAuth, upload.single('image'), async (req, res) => {
+router.post('/', requireUploadPermission, upload.single('image'), async (req, res) => {
   try {
     // Kiểm tra Cloudinary config
     if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
@@ -88,6 +94,8 @@ router.post('/', optionalAuth, upload.single('image'), async (req, res) => {
     let folder = req.body.folder || 'ecobacgiang';
     if (type === 'avatar') {
       folder = 'ecobacgiang/avatar';
+    } else if (type === 'return') {
+      folder = 'ecobacgiang/returns';
     }
     
     console.log('Uploading image:', {
@@ -141,7 +149,7 @@ router.post('/', optionalAuth, upload.single('image'), async (req, res) => {
 });
 
 // PUT /api/image/alt-text - Update alt text for an image
-router.put('/alt-text', optionalAuth, async (req, res) => {
+router.put('/alt-text', requirePermission('media:write'), async (req, res) => {
   try {
     // Kiểm tra Cloudinary config
     if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
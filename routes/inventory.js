@@ -0,0 +1,302 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const db = require('../config/database');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const Payable = require('../models/Payable');
+const { requirePermission } = require('../middleware/auth');
+const { checkLockDate } = require('../middleware/lockDateCheck');
+const { writeOffStock, adjustStock } = require('../services/inventoryService');
+const { createPurchaseReceipt } = require('../services/purchaseService');
+
+// GET /api/inventory - Tồn kho hiện tại theo sản phẩm
+router.get('/', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const { category, stockStatus } = req.query;
+    const filter = {};
+    if (category) filter.category = category;
+    if (stockStatus) filter.stockStatus = stockStatus;
+
+    const products = await Product.find(filter)
+      .select('maSanPham name category unit stock averageCost stockStatus variants')
+      .sort({ name: 1 })
+      .lean();
+
+    // Sản phẩm có biến thể: kèm tồn / giá trị từng biến thể, giá trị sản phẩm là tổng các biến thể
+    const items = products.map(({ variants, ...p }) => {
+      const variantItems = (variants || []).map((v) => ({
+        _id: v._id,
+        sku: v.sku,
+        name: v.name,
+        unit: v.unit,
+        stock: v.stock || 0,
+        averageCost: v.averageCost || 0,
+        inventoryValue: Math.round((v.stock || 0) * (v.averageCost || 0)),
+      }));
+      return {
+        ...p,
+        stock: p.stock || 0,
+        averageCost: p.averageCost || 0,
+        inventoryValue: variantItems.length > 0
+          ? variantItems.reduce((sum, v) => sum + v.inventoryValue, 0)
+          : Math.round((p.stock || 0) * (p.averageCost || 0)),
+        variants: variantItems,
+      };
+    });
+
+    return res.status(200).json({
+      items,
+      totalValue: items.reduce((sum, item) => sum + item.inventoryValue, 0),
+    });
+  } catch (error) {
+    console.error('Error fetching inventory:', error);
+    return res.status(500).json({ message: 'Lỗi khi lấy danh sách tồn kho' });
+  }
+});
+
+// GET /api/inventory/movements - Thẻ kho
+router.get('/movements', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const { product, variant, type, sourceId, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (product) query.product = product;
+    if (variant) query.variant = variant;
+    if (type) query.type = type;
+    if (sourceId) query.sourceId = sourceId;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const movements = await StockMovement.find(query)
+      .populate('product', 'maSanPham name unit')
+      .populate('journalEntry', 'referenceNo')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await StockMovement.countDocuments(query);
+
+    return res.status(200).json({
+      movements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    return res.status(500).json({ message: 'Lỗi khi lấy thẻ kho' });
+  }
+});
+
+// POST /api/inventory/write-offs - Xuất hủy hàng hư hỏng
+router.post('/write-offs', requirePermission('inventory:write'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await db.connectDb();
+
+    const { productId, variantId, quantity, reason } = req.body;
+    if (!productId || !(Number(quantity) > 0)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Thiếu productId hoặc số lượng không hợp lệ' });
+    }
+
+    const result = await writeOffStock({
+      productId,
+      variantId: variantId || null,
+      quantity,
+      reason,
+      userId: req.userId,
+      session,
+    });
+
+    await session.commitTransaction();
+
+    return res.status(201).json({
+      message: 'Xuất hủy thành công',
+      movement: result.movement,
+      journalEntry: result.journalEntry,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error writing off stock:', error);
+    return res.status(500).json({ message: 'Lỗi khi xuất hủy hàng hóa', error: error.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+// POST /api/inventory/adjustments - Điều chỉnh tồn kho theo kiểm kê
+// Body: { productId, variantId?, countedQuantity, unitCost?, reason?, opening? } - variantId bỏ trống = biến thể mặc định
+// opening = true: khai báo tồn đầu kỳ, không hạch toán chênh lệch vào giá vốn
+router.post('/adjustments', requirePermission('inventory:write'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await db.connectDb();
+
+    const { productId, variantId, countedQuantity, unitCost, reason, opening } = req.body;
+    if (!productId || countedQuantity === undefined || Number(countedQuantity) < 0) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Thiếu productId hoặc số lượng kiểm kê không hợp lệ' });
+    }
+
+    const result = await adjustStock({
+      productId,
+      variantId: variantId || null,
+      countedQuantity,
+      unitCost: unitCost !== undefined && unitCost !== '' ? Number(unitCost) : null,
+      reason: reason || (opening ? 'Tồn đầu kỳ' : ''),
+      postJournal: !opening,
+      userId: req.userId,
+      session,
+    });
+
+    await session.commitTransaction();
+
+    if (!result.movement) {
+      return res.status(200).json({ message: 'Tồn kho không thay đổi', movement: null, journalEntry: null });
+    }
+
+    return res.status(201).json({
+      message: 'Điều chỉnh tồn kho thành công',
+      movement: result.movement,
+      journalEntry: result.journalEntry,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error adjusting stock:', error);
+    return res.status(500).json({ message: 'Lỗi khi điều chỉnh tồn kho', error: error.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+// GET /api/inventory/purchase-receipts - Danh sách phiếu nhập mua hàng
+router.get('/purchase-receipts', requirePermission('inventory:read', 'purchases:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const { supplier, paymentStatus } = req.query;
+    const query = { billType: 'purchase' };
+    if (supplier) query.supplier = supplier;
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+
+    const receipts = await Payable.find(query)
+      .populate('supplier', 'name email phone')
+      .populate('journalEntry', 'referenceNo date memo totalDebit')
+      .sort({ invoiceDate: -1 })
+      .lean();
+
+    return res.status(200).json({ receipts });
+  } catch (error) {
+    console.error('Error fetching purchase receipts:', error);
+    return res.status(500).json({ message: 'Lỗi khi lấy danh sách phiếu nhập' });
+  }
+});
+
+/**
+ * POST /api/inventory/purchase-receipts
+ * Lập phiếu nhập mua hàng: nhập kho + Payable (billType 'purchase') + Nợ 156 / Có 331 trong một transaction
+ * Body: { supplierId, items: [{ productId, variantId?, quantity, unitCost }], invoiceDate, dueDate, invoiceNumber?, description? }
+ */
+router.post('/purchase-receipts', requirePermission('purchases:write'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await db.connectDb();
+
+    const { supplierId, items, invoiceDate, dueDate, invoiceNumber, description } = req.body;
+
+    if (!supplierId || !invoiceDate || !dueDate || !Array.isArray(items) || items.length === 0) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        message: 'Thiếu thông tin bắt buộc: supplierId, items, invoiceDate, dueDate'
+      });
+    }
+
+    const invalidItem = items.find((item) => (
+      !item.productId || !(Number(item.quantity) > 0) || !(Number(item.unitCost) >= 0)
+    ));
+    if (invalidItem) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        message: 'Mỗi dòng hàng phải có productId, quantity > 0 và unitCost >= 0',
+        item: invalidItem
+      });
+    }
+
+    if (isNaN(new Date(invoiceDate).getTime()) || isNaN(new Date(dueDate).getTime())) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Ngày hóa đơn hoặc hạn thanh toán không hợp lệ' });
+    }
+
+    if (new Date(dueDate) < new Date(invoiceDate)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Hạn thanh toán phải sau ngày hóa đơn' });
+    }
+
+    // Kiểm tra Lock Date
+    const lockCheck = await checkLockDate(new Date(invoiceDate));
+    if (lockCheck.isLocked) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        message: lockCheck.message,
+        lockDate: lockCheck.lockDate,
+        periodName: lockCheck.periodName
+      });
+    }
+
+    const result = await createPurchaseReceipt({
+      supplierId,
+      items,
+      invoiceDate,
+      dueDate,
+      invoiceNumber,
+      description,
+      userId: req.userId,
+      session,
+    });
+
+    await session.commitTransaction();
+
+    return res.status(201).json({
+      message: 'Lập phiếu nhập thành công',
+      journalEntry: result.journalEntry,
+      payable: result.payable,
+      movements: result.movements,
+      totalAmount: result.totalAmount,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Error creating purchase receipt:', error);
+    return res.status(500).json({ message: 'Lỗi khi lập phiếu nhập', error: error.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+module.exports = router;
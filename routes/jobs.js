@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { requirePermission } = require('../middleware/auth');
+const { listJobs, getJob, runJob, setJobPaused } = require('../services/jobScheduler');
+
+// GET /api/jobs - Danh sách job định kỳ và trạng thái lần chạy gần nhất
+router.get('/', requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const jobs = await listJobs();
+    return res.status(200).json({ jobs });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    return res.status(500).json({ message: 'Lỗi khi lấy danh sách job' });
+  }
+});
+
+// GET /api/jobs/:name - Chi tiết job kèm nhật ký các lần chạy gần nhất
+router.get('/:name', requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const job = await getJob(req.params.name);
+    if (!job) {
+      return res.status(404).json({ message: 'Không tìm thấy job' });
+    }
+
+    return res.status(200).json({ job });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    return res.status(500).json({ message: 'Lỗi khi lấy thông tin job' });
+  }
+});
+
+// POST /api/jobs/:name/run - Chạy job ngay (chờ chạy xong mới trả kết quả)
+router.post('/:name/run', requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    if (!(await getJob(req.params.name))) {
+      return res.status(404).json({ message: 'Không tìm thấy job' });
+    }
+
+    const run = await runJob(req.params.name, { triggeredBy: req.userId });
+    if (run.skipped) {
+      return res.status(409).json({ message: 'Job đang chạy, vui lòng thử lại sau' });
+    }
+
+    return res.status(200).json({
+      message: run.status === 'success' ? 'Đã chạy job thành công' : 'Job chạy lỗi',
+      run,
+    });
+  } catch (error) {
+    console.error('Error running job:', error);
+    return res.status(500).json({ message: 'Lỗi khi chạy job' });
+  }
+});
+
+async function updatePaused(req, res, paused) {
+  try {
+    await db.connectDb();
+
+    const job = await setJobPaused(req.params.name, paused);
+    if (!job) {
+      return res.status(404).json({ message: 'Không tìm thấy job' });
+    }
+
+    return res.status(200).json({
+      message: paused ? 'Đã tạm dừng job' : 'Đã tiếp tục chạy job theo lịch',
+      job,
+    });
+  } catch (error) {
+    console.error('Error updating job:', error);
+    return res.status(500).json({ message: 'Lỗi khi cập nhật job' });
+  }
+}
+
+// POST /api/jobs/:name/pause - Tạm dừng chạy theo lịch (vẫn chạy tay được)
+router.post('/:name/pause', requirePermission('jobs:manage'), (req, res) => updatePaused(req, res, true));
+
+// POST /api/jobs/:name/resume - Tiếp tục chạy theo lịch
+router.post('/:name/resume', requirePermission('jobs:manage'), (req, res) => updatePaused(req, res, false));
+
+module.exports = router;
@@ -4,12 +4,25 @@ const mongoose = require('mongoose');
 const db = require('../config/database');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
-const JournalEntry = require('../models/JournalEntry');
-const Account = require('../models/Account');
-const { withAuth, optionalAuth } = require('../middleware/auth');
-const { syncOrderToAccounting } = require('../services/accountingService');
+const Refund = require('../models/Refund');
+const Payment = require('../models/Payment');
+const { withAuth, optionalAuth, requirePermission, loadCurrentRole, hasPermission } = require('../middleware/auth');
 const { normalizeUnit } = require('../utils/normalizeUnit');
-const { commitForPaidOrder, releaseReservation, normalizeCode } = require('../services/couponUsageService');
+const {
+  ORDER_STATUSES,
+  canTransition,
+  getAllowedTransitions,
+  transitionOrder,
+  runStatusHooks,
+  postCOGSEntry,
+} = require('../services/orderStatusService');
+const { REFUND_STATUSES, reverseCancelledOrder, updateRefundStatus } = require('../services/refundService');
+
+// Trạng thái giao hàng mà nhân viên kho được phép cập nhật
+const SHIPPING_STATUSES = ['packed', 'shipped', 'delivered', 'failed_delivery'];
+
+// Trạng thái khách hàng được tự hủy đơn (hàng chưa được chuẩn bị)
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'paid'];
 
 // GET /api/orders - Get user's orders (or all orders if admin)
 router.get('/', optionalAuth, async (req, res) => {
@@ -22,7 +35,7 @@ router.get('/', optionalAuth, async (req, res) => {
     // Check JWT token from mobile app (Bearer token)
     if (req.userId) {
       userId = req.userId;
-      userRole = req.user?.role || 'user';
+      userRole = await loadCurrentRole(userId);
     }
 
     // Get orders
@@ -37,8 +50,8 @@ router.get('/', optionalAuth, async (req, res) => {
         // Production: Trả về empty array
         orders = [];
       }
-    } else if (userRole === 'admin') {
-      // Admin: Lấy tất cả đơn hàng
+    } else if (hasPermission(userRole, 'orders:read_all')) {
+      // Admin / nhân viên: Lấy tất cả đơn hàng
       orders = await Order.find({}).sort({ createdAt: -1 }).lean();
     } else {
       // User: Chỉ lấy đơn hàng của mình
@@ -162,33 +175,158 @@ router.get('/:id', optionalAuth, async (req, res) => {
     }
 
     // Check if user has permission to view this order
-    if (req.userId && req.user?.role !== 'admin' && order.user?._id?.toString() !== req.userId) {
+    if (req.userId && order.user?._id?.toString() !== req.userId && !hasPermission(await loadCurrentRole(req.userId), 'orders:read_all')) {
       return res.status(403).json({ message: 'Forbidden' });
     }
 
-    return res.status(200).json({ order });
+    // Phiếu hoàn tiền: hủy đơn, trả hàng và hoàn tiền trên giao dịch (POST /api/payment/:paymentCode/refund)
+    const refunds = await Refund.find({ order: order._id })
+      .select('-gatewayResponse')
+      .populate('journalEntry', 'referenceNo')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return res.status(200).json({
+      order,
+      allowedTransitions: getAllowedTransitions(order.status),
+      refunds,
+    });
   } catch (error) {
     console.error('Error fetching order:', error);
     return res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-// DELETE /api/orders/:id - Delete order (admin only)
-router.delete('/:id', optionalAuth, async (req, res) => {
+// POST /api/orders/:id/cancel - Khách hàng tự hủy đơn (chỉ khi pending/paid)
+// Trả lượt coupon, nhập lại kho nếu đã xuất, đảo bút toán 1121/511 và tạo phiếu hoàn tiền nếu đã thanh toán
+router.post('/:id/cancel', withAuth, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
   try {
     await db.connectDb();
     const { id } = req.params;
 
-    // Check authentication
-    if (!req.userId) {
-      return res.status(401).json({ message: 'Unauthorized' });
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'ID đơn hàng không hợp lệ' });
+    }
+
+    const order = await Order.findById(id).session(session);
+    if (!order) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!order.user || order.user.toString() !== req.userId) {
+      await session.abortTransaction();
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        message: `Đơn hàng đang ở trạng thái ${order.status}, không thể tự hủy. Vui lòng liên hệ cửa hàng.`,
+      });
+    }
+
+    const fromStatus = order.status;
+    const reason = (req.body.reason || '').toString().trim() || 'Khách hàng hủy đơn';
+
+    await transitionOrder(order, 'cancelled', {
+      userId: req.userId,
+      reason,
+      source: 'customer',
+      session,
+      runHooks: false,
+    });
+
+    const { journalEntry, refund } = await reverseCancelledOrder(order, { userId: req.userId, reason, session });
+
+    // Ngừng nhận thanh toán cho mã QR / link thanh toán còn treo
+    if (order.paymentCode) {
+      await Payment.updateOne(
+        { paymentCode: order.paymentCode, status: 'pending' },
+        { status: 'cancelled' },
+        { session }
+      );
+    }
+
+    await session.commitTransaction();
+
+    // Trả lượt giữ chỗ coupon (bước đảo bút toán / hoàn tiền đã xử lý ở trên nên được bỏ qua)
+    await runStatusHooks(order, fromStatus, { userId: req.userId });
+
+    return res.status(200).json({
+      message: refund ? 'Đã hủy đơn hàng, tiền sẽ được hoàn lại trong thời gian sớm nhất' : 'Đã hủy đơn hàng',
+      order,
+      refund,
+      journalEntry,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error cancelling order:', error);
+    return res.status(500).json({ message: 'Lỗi khi hủy đơn hàng', error: error.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+// PATCH /api/orders/:id/refunds/:refundId - Cập nhật trạng thái phiếu hoàn tiền
+// Body: { status, bankReference, note }. Hoàn tất mọi phiếu thì đơn đã hủy / đã trả hàng chuyển sang refunded
+router.patch('/:id/refunds/:refundId', requirePermission('orders:refund'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const { id, refundId } = req.params;
+    const { status, bankReference, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(refundId)) {
+      return res.status(400).json({ message: 'ID không hợp lệ' });
     }
 
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({ message: 'Forbidden: Admin access required' });
+    if (!REFUND_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Trạng thái không hợp lệ. Hợp lệ: ${REFUND_STATUSES.join(', ')}` });
     }
 
+    const refund = await Refund.findOne({ _id: refundId, order: id });
+    if (!refund) {
+      return res.status(404).json({ message: 'Không tìm thấy phiếu hoàn tiền' });
+    }
+
+    try {
+      await updateRefundStatus(refund, status, { userId: req.userId, note: note || '', bankReference });
+    } catch (transitionErr) {
+      return res.status(400).json({ message: transitionErr.message });
+    }
+
+    let order = null;
+    if (refund.status === 'completed') {
+      order = await Order.findById(id);
+      const openRefunds = await Refund.countDocuments({ order: id, status: { $ne: 'completed' } });
+      if (order && ['cancelled', 'returned'].includes(order.status) && openRefunds === 0) {
+        await transitionOrder(order, 'refunded', {
+          userId: req.userId,
+          reason: `Hoàn tiền ${refund.amount.toLocaleString('vi-VN')} VNĐ${refund.bankReference ? ` - ${refund.bankReference}` : ''}`,
+          source: 'refund',
+        });
+      }
+    }
+
+    return res.status(200).json({ message: 'Cập nhật phiếu hoàn tiền thành công', refund, order });
+  } catch (error) {
+    console.error('Error updating refund:', error);
+    return res.status(500).json({ message: 'Lỗi khi cập nhật phiếu hoàn tiền' });
+  }
+});
+
+// DELETE /api/orders/:id - Delete order (admin only)
+router.delete('/:id', requirePermission('orders:delete'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const { id } = req.params;
+
     // Find and delete order
     const order = await Order.findByIdAndDelete(id);
 
@@ -206,20 +344,21 @@ router.delete('/:id', optionalAuth, async (req, res) => {
 });
 
 // PATCH /api/orders/:id - Update order (status, orderItems, totals)
-router.patch('/:id', optionalAuth, async (req, res) => {
+// Nhân viên kho (orders:ship) chỉ được chuyển trạng thái giao hàng
+router.patch('/:id', requirePermission('orders:update', 'orders:ship'), async (req, res) => {
   try {
     await db.connectDb();
     const { id } = req.params;
     const { status, orderItems, totalPrice, totalAfterDiscount, shippingFee, finalTotal, paymentMethod } = req.body;
 
-    // Check authentication
-    if (!req.userId) {
-      return res.status(401).json({ message: 'Unauthorized' });
-    }
-
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({ message: 'Forbidden: Admin access required' });
+    // req.user.role đã được requirePermission nạp lại từ database
+    if (!hasPermission(req.user.role, 'orders:update')) {
+      const otherFields = [orderItems, totalPrice, totalAfterDiscount, shippingFee, finalTotal, paymentMethod];
+      if (!SHIPPING_STATUSES.includes(status) || otherFields.some((field) => field !== undefined)) {
+        return res.status(403).json({
+          message: `Forbidden: Chỉ được cập nhật trạng thái giao hàng (${SHIPPING_STATUSES.join(', ')})`
+        });
+      }
     }
 
     // Find order
@@ -232,12 +371,11 @@ router.patch('/:id', optionalAuth, async (req, res) => {
     const previousStatus = order.status;
     const previousPaymentMethod = order.paymentMethod;
 
-    // --- CONSTRAINT 1: KHÓA PHƯƠNG THỨC THANH TOÁN (Nếu đã Paid/Shipped/Delivered) ---
-    if (previousStatus === 'paid' || previousStatus === 'shipped' || previousStatus === 'delivered') {
-      // Nếu trạng thái cũ đã paid/shipped/delivered, không cho phép thay đổi phương thức thanh toán
+    // --- CONSTRAINT 1: KHÓA PHƯƠNG THỨC THANH TOÁN (Nếu đơn đã rời trạng thái pending) ---
+    if (previousStatus !== 'pending') {
       if (paymentMethod !== undefined && paymentMethod !== previousPaymentMethod) {
         return res.status(400).json({ 
-          message: 'Không thể thay đổi phương thức thanh toán khi đơn hàng đã được xử lý (paid/shipped/delivered).' 
+          message: `Không thể thay đổi phương thức thanh toán khi đơn hàng đã được xử lý (${previousStatus}).` 
         });
       }
     }
@@ -245,35 +383,18 @@ router.patch('/:id', optionalAuth, async (req, res) => {
     // Prepare update data
     const updateData = {};
 
-    // Update status if provided
-    if (status !== undefined) {
-      const validStatuses = ['pending', 'paid', 'shipped', 'delivered', 'cancelled', 'processing'];
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({ message: 'Invalid status. Valid statuses: ' + validStatuses.join(', ') });
-      }
-      
-      // --- CONSTRAINT 2: CHỈ CHO PHÉP TIẾN LÊN (Forward Progression) ---
-      // Không cho phép chuyển lùi từ paid/shipped/delivered về pending
-      if ((previousStatus === 'paid' || previousStatus === 'shipped' || previousStatus === 'delivered') && status === 'pending') {
-        return res.status(400).json({ 
-          message: `Không thể chuyển trạng thái lùi từ ${previousStatus} về pending.` 
-        });
+    // Update status if provided - kiểm tra theo state machine (services/orderStatusService.js)
+    if (status !== undefined && status !== previousStatus) {
+      if (!ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({ message: 'Invalid status. Valid statuses: ' + ORDER_STATUSES.join(', ') });
       }
-      
-      // Không cho phép chuyển lùi từ delivered về shipped/paid
-      if (previousStatus === 'delivered' && (status === 'shipped' || status === 'paid' || status === 'pending')) {
-        return res.status(400).json({ 
-          message: `Không thể chuyển trạng thái lùi từ delivered về ${status}.` 
+      if (!canTransition(previousStatus, status)) {
+        const allowed = getAllowedTransitions(previousStatus);
+        return res.status(400).json({
+          message: `Không thể chuyển trạng thái từ ${previousStatus} sang ${status}.`,
+          allowedTransitions: allowed
         });
       }
-      
-      // Không cho phép chuyển lùi từ shipped về paid/pending
-      if (previousStatus === 'shipped' && (status === 'paid' || status === 'pending')) {
-        return res.status(400).json({ 
-          message: `Không thể chuyển trạng thái lùi từ shipped về ${status}.` 
-        });
-      }
-      
       updateData.status = status; // Đặt status mới (ưu tiên từ user)
     }
 
@@ -312,7 +433,7 @@ router.patch('/:id', optionalAuth, async (req, res) => {
       // If totals not provided, calculate them
       if (totalPrice === undefined || finalTotal === undefined) {
         const calculatedTotalPrice = orderItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        const discount = order.discount || 0;
+        const discount = (order.promotionDiscount || 0) + (order.discount || 0);
         const calculatedTotalAfterDiscount = calculatedTotalPrice - discount;
         const calculatedShippingFee = shippingFee !== undefined ? shippingFee : (order.shippingFee || 30000);
         const calculatedFinalTotal = calculatedTotalAfterDiscount + calculatedShippingFee;
@@ -336,55 +457,21 @@ router.patch('/:id', optionalAuth, async (req, res) => {
       if (finalTotal !== undefined) updateData.finalTotal = finalTotal;
     }
 
-    // Update order
-    const updatedOrder = await Order.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true }
-    ).populate('user', 'name email phone'); // Populate user để dùng trong accountingService
+    // Lưu các thay đổi khác, trạng thái mới (nếu có) đi qua state machine để ghi lịch sử và chạy hook
+    const { status: newStatus, ...otherUpdates } = updateData;
+    order.set(otherUpdates);
 
-    // --- COUPON USAGE: commit/release based on status transition ---
-    try {
-      const newStatus = updateData.status || previousStatus;
-      const couponCode = normalizeCode(updatedOrder.coupon);
-      const hasCoupon = !!couponCode;
-      const userId = updatedOrder.user;
-
-      if (hasCoupon && userId) {
-        // Commit when order is paid
-        if (newStatus === 'paid' && previousStatus !== 'paid' && !updatedOrder.couponCommitted) {
-          await commitForPaidOrder({
-            code: couponCode,
-            userId,
-            session: null,
-            hasReservation: !!updatedOrder.couponReserved,
-          });
-          await Order.findByIdAndUpdate(updatedOrder._id, { couponCommitted: true, couponReserved: false });
-        }
-
-        // Release reservation when cancelled (before paid)
-        if (newStatus === 'cancelled' && previousStatus !== 'cancelled' && updatedOrder.couponReserved && !updatedOrder.couponCommitted) {
-          await releaseReservation({ code: couponCode, userId, session: null });
-          await Order.findByIdAndUpdate(updatedOrder._id, { couponReserved: false });
-        }
-      }
-    } catch (couponErr) {
-      console.error('Coupon usage update error:', couponErr);
-      // don't block order update; but log so we can investigate
+    if (newStatus && newStatus !== previousStatus) {
+      await transitionOrder(order, newStatus, {
+        userId: req.userId,
+        reason: req.body.reason || '',
+        source: status === undefined ? 'auto' : 'manual',
+      });
+    } else {
+      await order.save();
     }
 
-    // Đồng bộ vào kế toán nếu status thay đổi
-    // Đặc biệt quan trọng cho COD: Khi chuyển sang shipped/delivered → Tạo công nợ Phải Thu (TK 131)
-    const newStatus = updateData.status || previousStatus;
-    if (newStatus !== previousStatus) {
-      try {
-        await syncOrderToAccounting(updatedOrder, previousStatus, req.userId);
-        console.log(`✅ Đã đồng bộ đơn hàng ${id} vào kế toán: ${previousStatus} → ${newStatus}`);
-      } catch (err) {
-        console.error('❌ Lỗi khi đồng bộ đơn hàng vào kế toán:', err);
-        // Không throw error để không block response, nhưng log để debug
-      }
-    }
+    const updatedOrder = await Order.findById(id).populate('user', 'name email phone');
 
     // Convert _id to id
     const orderResponse = {
@@ -393,20 +480,14 @@ router.patch('/:id', optionalAuth, async (req, res) => {
       createdAt: updatedOrder.createdAt instanceof Date ? updatedOrder.createdAt.toISOString() : updatedOrder.createdAt,
     };
 
-    // BƯỚC 2: Tự động hạch toán Giá vốn (COGS) khi đơn hàng được delivered/shipped
-    const finalStatus = updateData.status || previousStatus;
-    if ((finalStatus === 'delivered' || finalStatus === 'shipped') && previousStatus !== 'delivered' && previousStatus !== 'shipped') {
-      // Gọi API post-cogs tự động (không chờ kết quả để không block response)
-      postCOGSEntry(updatedOrder._id, req.userId).catch(err => {
-        console.error('Lỗi khi hạch toán giá vốn:', err);
-      });
-    }
-
     return res.status(200).json({
       message: 'Order updated successfully',
       order: orderResponse,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error updating order:', error);
     return res.status(500).json({ message: 'Internal server error' });
   }
@@ -419,7 +500,7 @@ router.patch('/:id', optionalAuth, async (req, res) => {
  * Trigger: Được gọi tự động khi đơn hàng được đánh dấu delivered/shipped
  * Logic: Tạo bút toán Nợ TK 632 (Giá vốn) / Có TK 156 (Hàng hóa)
  */
-router.post('/post-cogs', withAuth, async (req, res) => {
+router.post('/post-cogs', requirePermission('orders:post_cogs'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   
@@ -455,167 +536,5 @@ router.post('/post-cogs', withAuth, async (req, res) => {
   }
 });
 
-/**
- * Hàm helper: Hạch toán Giá vốn cho một đơn hàng
- * @param {String|ObjectId} orderId - ID đơn hàng
- * @param {String|ObjectId} userId - ID người thực hiện
- * @param {Session} session - MongoDB session (optional)
- * @returns {Object} { journalEntry, productsUpdated }
- */
-async function postCOGSEntry(orderId, userId = null, session = null) {
-  try {
-    await db.connectDb();
-    
-    // Lấy đơn hàng
-    const order = await Order.findById(orderId).session(session || null);
-    if (!order) {
-      throw new Error('Không tìm thấy đơn hàng');
-    }
-    
-    // Kiểm tra xem đã hạch toán giá vốn chưa
-    const existingCOGSEntry = await JournalEntry.findOne({
-      sourceId: orderId,
-      sourceType: 'order',
-      'lines.accountCode': '632', // TK Giá vốn
-      status: 'posted'
-    }).session(session || null);
-    
-    if (existingCOGSEntry) {
-      console.log(`Giá vốn cho đơn hàng ${orderId} đã được hạch toán`);
-      return {
-        journalEntry: existingCOGSEntry,
-        productsUpdated: []
-      };
-    }
-    
-    if (!order.orderItems || order.orderItems.length === 0) {
-      throw new Error('Đơn hàng không có sản phẩm');
-    }
-    
-    // Tính tổng giá vốn và cập nhật kho
-    let totalCOGS = 0;
-    const productsUpdated = [];
-    
-    for (const item of order.orderItems) {
-      const productId = item.product;
-      const quantitySold = item.quantity || 0;
-      
-      if (quantitySold <= 0) continue;
-      
-      // Lấy thông tin sản phẩm
-      const product = await Product.findById(productId).session(session || null);
-      if (!product) {
-        console.warn(`Không tìm thấy sản phẩm ${productId}`);
-        continue;
-      }
-      
-      // Lấy giá vốn bình quân hiện tại (Moving Average)
-      const averageCost = product.averageCost || product.price || 0;
-      const currentStock = product.stock || 0;
-      
-      // Tính giá vốn cho item này
-      const itemCOGS = averageCost * quantitySold;
-      totalCOGS += itemCOGS;
-      
-      // Cập nhật số lượng tồn kho
-      const newStock = Math.max(0, currentStock - quantitySold);
-      
-      // Cập nhật product (giữ nguyên averageCost vì đã dùng Moving Average)
-      await Product.findByIdAndUpdate(
-        productId,
-        { 
-          stock: newStock,
-          updatedAt: new Date()
-        },
-        { session: session || null }
-      );
-      
-      productsUpdated.push({
-        productId: productId.toString(),
-        productName: product.name,
-        quantitySold,
-        averageCost,
-        itemCOGS,
-        newStock
-      });
-    }
-    
-    if (totalCOGS <= 0) {
-      throw new Error('Tổng giá vốn phải lớn hơn 0');
-    }
-    
-    // Kiểm tra tài khoản có tồn tại không
-    const accounts = await Account.find({
-      code: { $in: ['632', '156'] }
-    }).session(session || null);
-    
-    if (accounts.length !== 2) {
-      throw new Error('Một hoặc nhiều tài khoản (632, 156) không tồn tại trong hệ thống');
-    }
-    
-    // Tạo số chứng từ
-    const timestamp = Date.now();
-    const randomStr = Math.random().toString(36).substr(2, 5).toUpperCase();
-    const referenceNo = `COGS-${new Date(order.createdAt || Date.now()).getFullYear()}${String(new Date(order.createdAt || Date.now()).getMonth() + 1).padStart(2, '0')}-${randomStr}`;
-    
-    // Kiểm tra số chứng từ đã tồn tại chưa
-    const existingEntry = await JournalEntry.findOne({ referenceNo }).session(session || null);
-    if (existingEntry) {
-      throw new Error('Số chứng từ đã tồn tại');
-    }
-    
-    // Tạo các dòng bút toán: Nợ TK 632 (Giá vốn) / Có TK 156 (Hàng hóa)
-    const lines = [
-      {
-        accountCode: '632', // Giá vốn hàng bán
-        debit: totalCOGS,
-        credit: 0,
-        description: `Giá vốn đơn hàng ${order._id} - ${order.name || 'Khách hàng'}`,
-      },
-      {
-        accountCode: '156', // Hàng hóa
-        debit: 0,
-        credit: totalCOGS,
-        description: `Xuất kho bán hàng - Đơn hàng ${order._id}`,
-      }
-    ];
-    
-    // Validation: Kiểm tra Tổng Nợ = Tổng Có
-    const totalDebit = lines.reduce((sum, line) => sum + (line.debit || 0), 0);
-    const totalCredit = lines.reduce((sum, line) => sum + (line.credit || 0), 0);
-    
-    if (Math.abs(totalDebit - totalCredit) > 0.01) {
-      throw new Error('Chứng từ không cân bằng. Tổng Nợ phải bằng Tổng Có');
-    }
-    
-    // Tạo Journal Entry
-    const journalEntry = new JournalEntry({
-      referenceNo,
-      date: order.createdAt || new Date(),
-      postingDate: new Date(),
-      memo: `Hạch toán giá vốn - Đơn hàng ${order._id} - ${order.name || 'Khách hàng'}`,
-      entryType: 'inventory',
-      sourceId: orderId,
-      sourceType: 'order',
-      lines: lines,
-      createdBy: userId || null,
-      status: 'posted',
-    });
-    
-    await journalEntry.save({ session: session || null });
-    
-    console.log(`✅ Đã hạch toán giá vốn ${totalCOGS.toLocaleString('vi-VN')} VNĐ cho đơn hàng ${orderId}`);
-    
-    return {
-      journalEntry,
-      productsUpdated
-    };
-    
-  } catch (error) {
-    console.error('Error in postCOGSEntry:', error);
-    throw error;
-  }
-}
-
 module.exports = router;
 
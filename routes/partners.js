@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const db = require('../config/database');
+const Partner = require('../models/Partner');
+const Payable = require('../models/Payable');
+const Receivable = require('../models/Receivable');
+const { requirePermission } = require('../middleware/auth');
+
+// Các trường được phép gửi lên khi tạo/sửa đối tác
+const EDITABLE_FIELDS = [
+  'code', 'name', 'taxCode', 'phone', 'email', 'address',
+  'contactPerson', 'bankAccounts', 'paymentTermDays', 'notes', 'isActive',
+];
+
+function pickEditableFields(body) {
+  const data = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (data.code === '') data.code = undefined;
+  return data;
+}
+
+function handleValidationError(error, res) {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map((err) => err.message);
+    return res.status(400).json({ message: messages.join(', ') });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'Mã đối tác đã tồn tại' });
+  }
+  return null;
+}
+
+// GET /api/partners - Danh sách đối tác
+// Query: type (supplier|customer), search, isActive
+router.get('/', requirePermission('partners:read'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const { type, search, isActive } = req.query;
+    const query = {};
+    if (type) query.partnerType = type;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      const regex = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: regex }, { code: regex }, { taxCode: regex }, { phone: regex }];
+    }
+
+    const partners = await Partner.find(query).sort({ name: 1 }).lean();
+
+    return res.status(200).json({ partners });
+  } catch (error) {
+    console.error('Error fetching partners:', error);
+    return res.status(500).json({ message: 'Lỗi khi lấy danh sách đối tác' });
+  }
+});
+
+// GET /api/partners/:id - Chi tiết đối tác kèm công nợ còn lại
+router.get('/:id', requirePermission('partners:read'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'ID đối tác không hợp lệ' });
+    }
+
+    const partner = await Partner.findById(req.params.id).lean();
+    if (!partner) {
+      return res.status(404).json({ message: 'Không tìm thấy đối tác' });
+    }
+
+    const [payables, receivables] = await Promise.all([
+      Payable.find({ supplier: partner._id, remainingAmount: { $gt: 0 } }).select('remainingAmount').lean(),
+      Receivable.find({ customer: partner._id, remainingAmount: { $gt: 0 } }).select('remainingAmount').lean(),
+    ]);
+
+    return res.status(200).json({
+      partner,
+      balance: {
+        payable: payables.reduce((sum, p) => sum + p.remainingAmount, 0),
+        receivable: receivables.reduce((sum, r) => sum + r.remainingAmount, 0),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching partner:', error);
+    return res.status(500).json({ message: 'Lỗi khi lấy thông tin đối tác' });
+  }
+});
+
+// POST /api/partners - Tạo đối tác mới
+router.post('/', requirePermission('partners:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const { partnerType, name } = req.body;
+    if (!['supplier', 'customer'].includes(partnerType) || !name || !name.trim()) {
+      return res.status(400).json({ message: 'Thiếu thông tin bắt buộc: partnerType (supplier|customer), name' });
+    }
+
+    const partner = new Partner({
+      ...pickEditableFields(req.body),
+      partnerType,
+      createdBy: req.userId || null,
+    });
+    await partner.save();
+
+    return res.status(201).json({ message: 'Tạo đối tác thành công', partner });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error creating partner:', error);
+    return res.status(500).json({ message: 'Lỗi khi tạo đối tác' });
+  }
+});
+
+// PUT /api/partners/:id - Cập nhật đối tác
+// partnerType không đổi được vì đã gắn với công nợ phải thu/phải trả
+router.put('/:id', requirePermission('partners:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'ID đối tác không hợp lệ' });
+    }
+
+    const partner = await Partner.findById(req.params.id);
+    if (!partner) {
+      return res.status(404).json({ message: 'Không tìm thấy đối tác' });
+    }
+
+    partner.set(pickEditableFields(req.body));
+    await partner.save();
+
+    return res.status(200).json({ message: 'Cập nhật đối tác thành công', partner });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error updating partner:', error);
+    return res.status(500).json({ message: 'Lỗi khi cập nhật đối tác' });
+  }
+});
+
+// DELETE /api/partners/:id - Xóa đối tác
+// Đối tác đã phát sinh công nợ chỉ được ngừng sử dụng (isActive = false) để giữ lịch sử chứng từ
+router.delete('/:id', requirePermission('partners:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'ID đối tác không hợp lệ' });
+    }
+
+    const partner = await Partner.findById(req.params.id);
+    if (!partner) {
+      return res.status(404).json({ message: 'Không tìm thấy đối tác' });
+    }
+
+    const [payableCount, receivableCount] = await Promise.all([
+      Payable.countDocuments({ supplier: partner._id }),
+      Receivable.countDocuments({ customer: partner._id }),
+    ]);
+
+    if (payableCount + receivableCount > 0) {
+      partner.isActive = false;
+      await partner.save();
+      return res.status(200).json({
+        message: 'Đối tác đã có công nợ, chuyển sang ngừng sử dụng',
+        partner,
+      });
+    }
+
+    await Partner.deleteOne({ _id: partner._id });
+    return res.status(200).json({ message: 'Xóa đối tác thành công' });
+  } catch (error) {
+    console.error('Error deleting partner:', error);
+    return res.status(500).json({ message: 'Lỗi khi xóa đối tác' });
+  }
+});
+
+module.exports = router;
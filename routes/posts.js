@@ -4,8 +4,7 @@ const multer = require('multer');
 const { v2: cloudinary } = require('cloudinary');
 const db = require('../config/database');
 const Post = require('../models/Post');
-const { withAuth } = require('../middleware/auth');
-const User = require('../models/User');
+const { withAuth, requirePermission } = require('../middleware/auth');
 
 // Helper function to safely get author ID
 const getAuthorId = (post) => {
@@ -73,17 +72,9 @@ router.get('/draft', withAuth, async (req, res) => {
 });
 
 // POST /api/posts/draft - Create or update draft
-router.post('/draft', withAuth, upload.single('thumbnail'), async (req, res) => {
+router.post('/draft', requirePermission('posts:write'), upload.single('thumbnail'), async (req, res) => {
   try {
     await db.connectDb();
-    
-    // Check if user is admin or author
-    const user = await User.findById(req.userId);
-    if (!user || (user.role !== 'admin' && user.role !== 'author')) {
-      return res.status(403).json({ 
-        error: 'Access denied. Admin or author role required.' 
-      });
-    }
 
     // Parse form data
     const { title, content, slug, meta, tags, category, postId } = req.body;
@@ -100,7 +91,7 @@ router.post('/draft', withAuth, upload.single('thumbnail'), async (req, res) =>
       if (!existingAuthorId) {
         return res.status(500).json({ error: 'Post author information is missing' });
       }
-      if (existingAuthorId !== req.userId && user.role !== 'admin') {
+      if (existingAuthorId !== req.userId && req.user.role !== 'admin') {
         return res.status(403).json({ 
           error: 'Access denied. You can only edit your own posts.' 
         });
@@ -293,17 +284,9 @@ router.post('/draft', withAuth, upload.single('thumbnail'), async (req, res) =>
 });
 
 // PUT /api/posts/draft - Publish draft (set isDraft = false)
-router.put('/draft', withAuth, async (req, res) => {
+router.put('/draft', requirePermission('posts:write'), async (req, res) => {
   try {
     await db.connectDb();
-    
-    // Check if user is admin or author
-    const user = await User.findById(req.userId);
-    if (!user || (user.role !== 'admin' && user.role !== 'author')) {
-      return res.status(403).json({ 
-        error: 'Access denied. Admin or author role required.' 
-      });
-    }
 
     const { postId } = req.body;
     if (!postId) {
@@ -320,7 +303,7 @@ router.put('/draft', withAuth, async (req, res) => {
     if (!publishAuthorId) {
       return res.status(500).json({ error: 'Post author information is missing' });
     }
-    if (publishAuthorId !== req.userId && user.role !== 'admin') {
+    if (publishAuthorId !== req.userId && req.user.role !== 'admin') {
       return res.status(403).json({ 
         error: 'Access denied. You can only publish your own posts.' 
       });
@@ -368,17 +351,9 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/posts - Create new post
-router.post('/', withAuth, upload.single('thumbnail'), async (req, res) => {
+router.post('/', requirePermission('posts:write'), upload.single('thumbnail'), async (req, res) => {
   try {
     await db.connectDb();
-    
-    // Check if user is admin or author
-    const user = await User.findById(req.userId);
-    if (!user || (user.role !== 'admin' && user.role !== 'author')) {
-      return res.status(403).json({ 
-        error: 'Access denied. Admin or author role required.' 
-      });
-    }
 
     // Parse form data
     const { title, content, slug, meta, tags, category, isDraft } = req.body;
@@ -490,17 +465,9 @@ router.post('/', withAuth, upload.single('thumbnail'), async (req, res) => {
 });
 
 // PATCH /api/posts/:postId/status - Toggle post status (draft/published)
-router.patch('/:postId/status', withAuth, async (req, res) => {
+router.patch('/:postId/status', requirePermission('posts:write'), async (req, res) => {
   try {
     await db.connectDb();
-    
-    // Check if user is admin or author
-    const user = await User.findById(req.userId);
-    if (!user || (user.role !== 'admin' && user.role !== 'author')) {
-      return res.status(403).json({ 
-        error: 'Access denied. Admin or author role required.' 
-      });
-    }
 
     const { postId } = req.params;
     const { isDraft } = req.body;
@@ -518,13 +485,13 @@ router.patch('/:postId/status', withAuth, async (req, res) => {
     const statusAuthorId = getAuthorId(post);
     if (!statusAuthorId) {
       // Nếu không có author, chỉ admin mới được update
-      if (user.role !== 'admin') {
+      if (req.user.role !== 'admin') {
         return res.status(403).json({ 
           error: 'Access denied. Only admin can update posts without author.' 
         });
       }
     } else {
-      if (statusAuthorId !== req.userId && user.role !== 'admin') {
+      if (statusAuthorId !== req.userId && req.user.role !== 'admin') {
         return res.status(403).json({ 
           error: 'Access denied. You can only edit your own posts.' 
         });
@@ -543,17 +510,9 @@ router.patch('/:postId/status', withAuth, async (req, res) => {
 });
 
 // PUT /api/posts/:postId - Update post
-router.put('/:postId', withAuth, upload.single('thumbnail'), async (req, res) => {
+router.put('/:postId', requirePermission('posts:write'), upload.single('thumbnail'), async (req, res) => {
   try {
     await db.connectDb();
-    
-    // Check if user is admin or author
-    const user = await User.findById(req.userId);
-    if (!user || (user.role !== 'admin' && user.role !== 'author')) {
-      return res.status(403).json({ 
-        error: 'Access denied. Admin or author role required.' 
-      });
-    }
 
     const { postId } = req.params;
     const post = await Post.findById(postId);
@@ -567,14 +526,14 @@ router.put('/:postId', withAuth, upload.single('thumbnail'), async (req, res) =>
     
     // Nếu không có author, chỉ admin mới được update
     if (!updateAuthorId) {
-      if (user.role !== 'admin') {
+      if (req.user.role !== 'admin') {
         return res.status(403).json({ 
           error: 'Access denied. Only admin can update posts without author.' 
         });
       }
     } else {
       // Nếu có author, kiểm tra quyền
-      if (updateAuthorId !== req.userId && user.role !== 'admin') {
+      if (updateAuthorId !== req.userId && req.user.role !== 'admin') {
         return res.status(403).json({ 
           error: 'Access denied. You can only edit your own posts.' 
         });
@@ -688,17 +647,9 @@ router.put('/:postId', withAuth, upload.single('thumbnail'), async (req, res) =>
 });
 
 // DELETE /api/posts/:postId - Delete post
-router.delete('/:postId', withAuth, async (req, res) => {
+router.delete('/:postId', requirePermission('posts:write'), async (req, res) => {
   try {
     await db.connectDb();
-    
-    // Check if user is admin or author
-    const user = await User.findById(req.userId);
-    if (!user || (user.role !== 'admin' && user.role !== 'author')) {
-      return res.status(403).json({ 
-        error: 'Access denied. Admin or author role required.' 
-      });
-    }
 
     const { postId } = req.params;
     const post = await Post.findById(postId);
@@ -712,14 +663,14 @@ router.delete('/:postId', withAuth, async (req, res) => {
     
     // Nếu không có author, chỉ admin mới được xóa
     if (!deleteAuthorId) {
-      if (user.role !== 'admin') {
+      if (req.user.role !== 'admin') {
         return res.status(403).json({ 
           error: 'Access denied. Only admin can delete posts without author.' 
         });
       }
     } else {
       // Nếu có author, kiểm tra quyền
-      if (deleteAuthorId !== req.userId && user.role !== 'admin') {
+      if (deleteAuthorId !== req.userId && req.user.role !== 'admin') {
         return res.status(403).json({ 
           error: 'Access denied. You can only delete your own posts.' 
         });
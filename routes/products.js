@@ -2,10 +2,78 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const Product = require('../models/Product');
+const { requirePermission } = require('../middleware/auth');
 const { normalizeUnit } = require('../utils/normalizeUnit');
 
 const VALID_UNITS = ['Kg', '100g', 'túi', 'hộp', 'chai'];
 
+// Tồn kho và giá vốn chỉ thay đổi qua sổ kho (/api/inventory)
+// stockStatus chỉ nhập tay được khi sản phẩm chưa có sổ kho (pre-save suy ra từ stock khi stockTracked)
+const INVENTORY_FIELDS = ['stock', 'averageCost', 'stockTracked'];
+
+function stripInventoryFields(body) {
+  INVENTORY_FIELDS.forEach((field) => delete body[field]);
+}
+
+/**
+ * Chuẩn hóa danh sách biến thể gửi lên: đơn vị, SKU, giá; tồn kho / giá vốn của biến thể cũ giữ nguyên theo _id,
+ * biến thể mới bắt đầu từ 0 (nhập kho qua /api/inventory)
+ * @returns {Object} { variants } hoặc { error }
+ */
+function normalizeVariants(input, existingVariants = []) {
+  if (!Array.isArray(input)) {
+    return { error: 'variants phải là một mảng' };
+  }
+  const existingMap = new Map((existingVariants || []).map((v) => [v._id.toString(), v]));
+
+  const variants = [];
+  for (const raw of input) {
+    const variant = { ...(raw || {}) };
+    INVENTORY_FIELDS.forEach((field) => delete variant[field]);
+
+    variant.sku = (variant.sku || '').toString().trim();
+    if (!variant.sku) {
+      return { error: 'Mỗi biến thể phải có SKU' };
+    }
+    variant.unit = normalizeUnit(variant.unit);
+    if (!VALID_UNITS.includes(variant.unit)) {
+      return { error: `Đơn vị của biến thể ${variant.sku} phải là Kg, 100g, túi, hộp hoặc chai` };
+    }
+    if (!(Number(variant.price) >= 0) || variant.price === null || variant.price === '') {
+      return { error: `Giá của biến thể ${variant.sku} không hợp lệ` };
+    }
+    variant.price = Number(variant.price);
+    if (variant.weight === '' || variant.weight === undefined) variant.weight = null;
+
+    const existing = variant._id ? existingMap.get(variant._id.toString()) : null;
+    if (existing) {
+      variant.stock = existing.stock || 0;
+      variant.averageCost = existing.averageCost || 0;
+    } else {
+      delete variant._id;
+      variant.stock = 0;
+      variant.averageCost = 0;
+    }
+    variants.push(variant);
+  }
+
+  // Biến thể đã có tồn kho không được xóa khỏi sản phẩm (xuất hủy / kiểm kê về 0 trước)
+  const keptIds = new Set(variants.filter((v) => v._id).map((v) => v._id.toString()));
+  const removedWithStock = (existingVariants || []).find((v) => !keptIds.has(v._id.toString()) && (v.stock || 0) > 0);
+  if (removedWithStock) {
+    return { error: `Biến thể ${removedWithStock.sku} còn tồn kho, không thể xóa` };
+  }
+
+  return { variants };
+}
+
+function duplicateKeyMessage(err) {
+  if (err.keyPattern.maSanPham) return 'Mã sản phẩm (maSanPham) đã tồn tại';
+  if (err.keyPattern.slug) return 'Slug đã tồn tại';
+  if (err.keyPattern['variants.sku']) return 'SKU biến thể đã được dùng cho sản phẩm khác';
+  return null;
+}
+
 // GET /api/products - Get all products or by category
 router.get('/', async (req, res) => {
   try {
@@ -64,12 +132,15 @@ router.get('/:slug', async (req, res) => {
 });
 
 // POST /api/products - Create new product
-router.post('/', async (req, res) => {
+// Body variants (tùy chọn): [{ sku, name, unit, weight, price, giaGoc, isActive }] - biến thể đầu tiên là mặc định
+router.post('/', requirePermission('products:write'), async (req, res) => {
   const session = await Product.startSession();
   try {
     await db.connectDb();
     session.startTransaction();
 
+    stripInventoryFields(req.body);
+
     // Normalize slug
     if (req.body.slug) {
       req.body.slug = req.body.slug.trim().toLowerCase();
@@ -84,6 +155,16 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ status: 'error', err: 'Đơn vị phải là Kg, 100g, túi, hộp hoặc chai' });
     }
 
+    // Validate variants
+    if (req.body.variants !== undefined) {
+      const normalized = normalizeVariants(req.body.variants);
+      if (normalized.error) {
+        await session.abortTransaction();
+        return res.status(400).json({ status: 'error', err: normalized.error });
+      }
+      req.body.variants = normalized.variants;
+    }
+
     // Check if maSanPham already exists
     const { maSanPham } = req.body;
     const existingProductByMaSanPham = await Product.findOne({ maSanPham, isDeleted: { $ne: true } }).session(session);
@@ -103,13 +184,11 @@ router.post('/', async (req, res) => {
   } catch (err) {
     await session.abortTransaction();
     console.error('Error creating product:', err);
-    if (err.code === 11000) {
-      if (err.keyPattern.maSanPham) {
-        return res.status(400).json({ status: 'error', err: 'Mã sản phẩm (maSanPham) đã tồn tại' });
-      }
-      if (err.keyPattern.slug) {
-        return res.status(400).json({ status: 'error', err: 'Slug đã tồn tại' });
-      }
+    if (err.code === 11000 && duplicateKeyMessage(err)) {
+      return res.status(400).json({ status: 'error', err: duplicateKeyMessage(err) });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ status: 'error', err: err.message });
     }
     return res.status(500).json({ status: 'error', err: err.message || 'Error creating product' });
   } finally {
@@ -141,9 +220,13 @@ router.post('/check-slug', async (req, res) => {
 });
 
 // PUT /api/products/:id - Update product
-router.put('/:id', async (req, res) => {
+// Body variants: [{ _id (biến thể có sẵn), sku, name, unit, weight, price, giaGoc, isActive }] - thay toàn bộ danh sách;
+// không gửi variants thì price / giaGoc / unit áp cho biến thể mặc định
+router.put('/:id', requirePermission('products:write'), async (req, res) => {
   try {
     await db.connectDb();
+    stripInventoryFields(req.body);
+
     // Normalize slug
     if (req.body.slug) {
       req.body.slug = req.body.slug.trim().toLowerCase();
@@ -171,33 +254,48 @@ router.put('/:id', async (req, res) => {
       }
     }
 
-    const product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
+    // Dùng save() để pre-save tính lại price / unit / stock cấp sản phẩm theo biến thể
+    const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ status: 'error', err: 'Product not found' });
     }
+
+    if (req.body.variants !== undefined) {
+      const normalized = normalizeVariants(req.body.variants, product.variants);
+      if (normalized.error) {
+        return res.status(400).json({ status: 'error', err: normalized.error });
+      }
+      req.body.variants = normalized.variants;
+    } else if (product.variants && product.variants.length > 0) {
+      // Form cũ chỉ gửi price / giaGoc / unit cấp sản phẩm: ghi vào biến thể mặc định,
+      // nếu không pre-save sẽ lấy lại giá trị của biến thể và bỏ mất thay đổi
+      const defaultVariant = product.variants[0];
+      const giaGoc = req.body.giaGoc !== undefined ? req.body.giaGoc : req.body.promotionalPrice;
+      if (req.body.price !== undefined) defaultVariant.price = req.body.price;
+      if (giaGoc !== undefined) defaultVariant.giaGoc = giaGoc;
+      if (req.body.unit !== undefined) defaultVariant.unit = req.body.unit;
+    }
+
+    product.set(req.body);
+    await product.save();
     res.json({
       status: 'success',
       product: { ...product.toObject(), unit: normalizeUnit(product.unit) },
     });
   } catch (err) {
     console.error('Error updating product:', err);
-    if (err.code === 11000) {
-      if (err.keyPattern.maSanPham) {
-        return res.status(400).json({ status: 'error', err: 'Mã sản phẩm (maSanPham) đã tồn tại' });
-      }
-      if (err.keyPattern.slug) {
-        return res.status(400).json({ status: 'error', err: 'Slug đã tồn tại' });
-      }
+    if (err.code === 11000 && duplicateKeyMessage(err)) {
+      return res.status(400).json({ status: 'error', err: duplicateKeyMessage(err) });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ status: 'error', err: err.message });
     }
     return res.status(500).json({ status: 'error', err: err.message || 'Error updating product' });
   }
 });
 
 // DELETE /api/products/:id - Soft delete product
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('products:write'), async (req, res) => {
   try {
     await db.connectDb();
     const product = await Product.findByIdAndUpdate(
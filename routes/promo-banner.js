@@ -1,64 +1,220 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const db = require('../config/database');
-const PromoBannerConfig = require('../models/PromoBannerConfig');
+const PromoBanner = require('../models/PromoBanner');
+const { requirePermission, optionalAuth } = require('../middleware/auth');
+const {
+  PLACEMENTS,
+  PLATFORMS,
+  resolvePlatform,
+  resolveBanner,
+  recordBannerEvent,
+} = require('../services/promoBannerService');
 
-// GET /api/promo-banner - Get promo banner config
-router.get('/', async (req, res) => {
+const CONTENT_FIELDS = ['name', 'subtitle', 'title', 'description', 'countdownLabel', 'buttonText', 'buttonLink', 'backgroundImage'];
+
+function parseOptionalDate(value) {
+  if (value === null || value === '') return { value: null };
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? { error: true } : { value: date };
+}
+
+/**
+ * Đọc các trường banner từ body, chỉ lấy trường có gửi lên
+ * @returns {Object} { data } hoặc { error }
+ */
+function pickBannerFields(body) {
+  const data = {};
+  CONTENT_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === 'true';
+  if (body.showFlashSale !== undefined) data.showFlashSale = body.showFlashSale === true || body.showFlashSale === 'true';
+  if (body.priority !== undefined) data.priority = Number(body.priority) || 0;
+
+  if (body.placement !== undefined) {
+    if (!PLACEMENTS.includes(body.placement)) {
+      return { error: `Vị trí không hợp lệ. Hợp lệ: ${PLACEMENTS.join(', ')}` };
+    }
+    data.placement = body.placement;
+  }
+
+  for (const field of ['startDate', 'endDate', 'countdownDate']) {
+    if (body[field] === undefined) continue;
+    const parsed = parseOptionalDate(body[field]);
+    if (parsed.error) return { error: `${field} không hợp lệ` };
+    data[field] = parsed.value;
+  }
+
+  if (body.audience !== undefined) {
+    const audience = body.audience || {};
+    const platforms = audience.platforms || [];
+    if (audience.auth !== undefined && !['any', 'logged_in', 'guest'].includes(audience.auth)) {
+      return { error: 'audience.auth phải là any, logged_in hoặc guest' };
+    }
+    if (audience.customer !== undefined && !['any', 'new', 'returning'].includes(audience.customer)) {
+      return { error: 'audience.customer phải là any, new hoặc returning' };
+    }
+    if (!Array.isArray(platforms) || platforms.some((platform) => !PLATFORMS.includes(platform))) {
+      return { error: `audience.platforms chỉ gồm: ${PLATFORMS.join(', ')}` };
+    }
+    data.audience = {
+      auth: audience.auth || 'any',
+      customer: audience.customer || 'any',
+      platforms: [...new Set(platforms)],
+    };
+  }
+
+  return { data };
+}
+
+function withStats(banner) {
+  return {
+    ...banner,
+    ctr: banner.impressions > 0 ? Math.round((banner.clicks / banner.impressions) * 10000) / 100 : 0,
+  };
+}
+
+// GET /api/promo-banner - Banner phù hợp cho request (public, đọc user từ token nếu có)
+// Query: placement (home_hero | cart | mobile_splash, mặc định home_hero), platform (web | mobile, hoặc header X-Platform),
+//        track=false để không tính lượt hiển thị. Không có banner phù hợp trả null
+router.get('/', optionalAuth, async (req, res) => {
   try {
     await db.connectDb();
-    const config = await PromoBannerConfig.getConfig();
-    return res.status(200).json(config);
+    const placement = req.query.placement || 'home_hero';
+    if (!PLACEMENTS.includes(placement)) {
+      return res.status(400).json({ message: `Vị trí không hợp lệ. Hợp lệ: ${PLACEMENTS.join(', ')}` });
+    }
+
+    const banner = await resolveBanner({
+      placement,
+      platform: resolvePlatform(req),
+      userId: req.userId || null,
+    });
+
+    if (banner && req.query.track !== 'false') {
+      recordBannerEvent(banner._id, 'impressions');
+    }
+    return res.status(200).json(banner);
   } catch (error) {
-    console.error("Error fetching promo banner config:", error);
-    return res.status(500).json({ error: "Failed to fetch config" });
+    console.error("Error fetching promo banner:", error);
+    return res.status(500).json({ error: "Failed to fetch banner" });
   }
 });
 
-// PUT /api/promo-banner - Update promo banner config
-router.put('/', async (req, res) => {
+// POST /api/promo-banner/:id/click - Ghi nhận lượt click (public)
+router.post('/:id/click', async (req, res) => {
   try {
     await db.connectDb();
-    
-    const {
-      countdownDate,
-      subtitle,
-      title,
-      description,
-      countdownLabel,
-      buttonText,
-      buttonLink,
-      backgroundImage,
-      isActive,
-    } = req.body;
-
-    // Lấy config hiện tại hoặc tạo mới
-    let config = await PromoBannerConfig.findOne();
-    if (!config) {
-      config = new PromoBannerConfig();
-    }
-
-    // Cập nhật các trường
-    if (countdownDate !== undefined) {
-      config.countdownDate = new Date(countdownDate);
-    }
-    if (subtitle !== undefined) config.subtitle = subtitle;
-    if (title !== undefined) config.title = title;
-    if (description !== undefined) config.description = description;
-    if (countdownLabel !== undefined) config.countdownLabel = countdownLabel;
-    if (buttonText !== undefined) config.buttonText = buttonText;
-    if (buttonLink !== undefined) config.buttonLink = buttonLink;
-    if (backgroundImage !== undefined) config.backgroundImage = backgroundImage;
-    if (isActive !== undefined) config.isActive = isActive;
-
-    await config.save();
-
-    return res.status(200).json(config);
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid banner ID' });
+    }
+
+    const result = await PromoBanner.updateOne({ _id: id }, { $inc: { clicks: 1 } });
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Banner not found' });
+    }
+    return res.status(200).json({ message: 'Click recorded' });
   } catch (error) {
-    console.error("Error updating promo banner config:", error);
-    return res.status(500).json({ error: "Failed to update config" });
+    console.error("Error recording banner click:", error);
+    return res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-module.exports = router;
+// GET /api/promo-banner/admin - Danh sách banner kèm lượt hiển thị / click / CTR, query placement
+router.get('/admin', requirePermission('promotions:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const query = {};
+    if (req.query.placement) query.placement = req.query.placement;
+
+    const banners = await PromoBanner.find(query)
+      .sort({ placement: 1, priority: -1, createdAt: -1 })
+      .populate('createdBy', 'name email')
+      .lean();
+    return res.status(200).json(banners.map(withStats));
+  } catch (error) {
+    console.error("Error fetching promo banners:", error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/promo-banner - Tạo banner
+// Body: { name, placement, startDate, endDate, priority, isActive, audience: { auth, customer, platforms },
+//         subtitle, title, description, countdownDate, countdownLabel, buttonText, buttonLink, backgroundImage, showFlashSale }
+router.post('/', requirePermission('promotions:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const picked = pickBannerFields(req.body);
+    if (picked.error) {
+      return res.status(400).json({ message: picked.error });
+    }
+    if (!picked.data.name || !picked.data.name.toString().trim()) {
+      return res.status(400).json({ message: 'Vui lòng nhập tên banner' });
+    }
+    if (picked.data.startDate && picked.data.endDate && picked.data.endDate <= picked.data.startDate) {
+      return res.status(400).json({ message: 'Ngày kết thúc phải sau ngày bắt đầu' });
+    }
+
+    const banner = await PromoBanner.create({ ...picked.data, createdBy: req.userId || null });
+    return res.status(201).json(banner);
+  } catch (error) {
+    console.error("Error creating promo banner:", error);
+    return res.status(500).json({ message: error.message || 'Internal server error' });
+  }
+});
 
+// PUT /api/promo-banner/:id - Sửa banner
+router.put('/:id', requirePermission('promotions:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid banner ID' });
+    }
+
+    const picked = pickBannerFields(req.body);
+    if (picked.error) {
+      return res.status(400).json({ message: picked.error });
+    }
+
+    const existing = await PromoBanner.findById(id).lean();
+    if (!existing) {
+      return res.status(404).json({ message: 'Banner not found' });
+    }
+    const merged = { ...existing, ...picked.data };
+    if (merged.startDate && merged.endDate && new Date(merged.endDate) <= new Date(merged.startDate)) {
+      return res.status(400).json({ message: 'Ngày kết thúc phải sau ngày bắt đầu' });
+    }
+
+    const banner = await PromoBanner.findByIdAndUpdate(id, picked.data, { new: true, runValidators: true });
+    return res.status(200).json(banner);
+  } catch (error) {
+    console.error("Error updating promo banner:", error);
+    return res.status(500).json({ message: error.message || 'Internal server error' });
+  }
+});
+
+// DELETE /api/promo-banner/:id - Xóa banner
+router.delete('/:id', requirePermission('promotions:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid banner ID' });
+    }
+
+    const deleted = await PromoBanner.findByIdAndDelete(id);
+    if (!deleted) {
+      return res.status(404).json({ message: 'Banner not found' });
+    }
+    return res.status(200).json({ message: 'Banner deleted successfully', banner: deleted });
+  } catch (error) {
+    console.error("Error deleting promo banner:", error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
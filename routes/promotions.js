@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const db = require('../config/database');
+const Promotion = require('../models/Promotion');
+const { requirePermission } = require('../middleware/auth');
+const { parseCouponDate } = require('../services/couponUsageService');
+const { validatePromotion, getActivePromotions } = require('../services/promotionService');
+
+const PROMOTION_FIELDS = [
+  'name', 'description', 'type', 'isActive', 'priority', 'maxDiscount',
+  'buyProduct', 'buyQuantity', 'getProduct', 'getQuantity',
+  'tiers', 'categories', 'percent', 'bundleItems', 'bundlePrice',
+];
+
+function toNullableNumber(value) {
+  return value === '' || value == null ? null : Number(value);
+}
+
+/**
+ * Đọc các trường khuyến mãi từ body, chỉ lấy trường có gửi lên
+ * @returns {Object} { data } hoặc { error }
+ */
+function pickPromotionFields(body) {
+  const data = {};
+  PROMOTION_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+
+  if (data.isActive !== undefined) data.isActive = data.isActive === true || data.isActive === 'true';
+  if (data.priority !== undefined) data.priority = Number(data.priority) || 0;
+  ['maxDiscount', 'buyQuantity', 'getQuantity', 'percent', 'bundlePrice'].forEach((field) => {
+    if (data[field] !== undefined) data[field] = toNullableNumber(data[field]);
+  });
+  ['buyProduct', 'getProduct'].forEach((field) => {
+    if (data[field] === '') data[field] = null;
+  });
+  if (data.categories !== undefined) {
+    const categories = Array.isArray(data.categories) ? data.categories : String(data.categories).split(',');
+    data.categories = [...new Set(categories.map((c) => c.toString().trim()).filter(Boolean))];
+  }
+
+  if (body.startDate !== undefined) {
+    data.startDate = parseCouponDate(body.startDate);
+    if (!data.startDate) return { error: 'Ngày bắt đầu không hợp lệ' };
+  }
+  if (body.endDate !== undefined) {
+    data.endDate = parseCouponDate(body.endDate, { endOfDay: true });
+    if (!data.endDate) return { error: 'Ngày kết thúc không hợp lệ' };
+  }
+
+  return { data };
+}
+
+// GET /api/promotions/active - Khuyến mãi tự động đang chạy (public, hiển thị trên storefront)
+router.get('/active', async (req, res) => {
+  try {
+    await db.connectDb();
+    const promotions = await getActivePromotions();
+    return res.status(200).json(promotions.map(({ createdBy, ...promotion }) => promotion));
+  } catch (error) {
+    console.error('Error fetching active promotions:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/promotions - Danh sách khuyến mãi, query type, status (active | upcoming | expired), page, limit
+router.get('/', requirePermission('promotions:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const query = {};
+    if (req.query.type) query.type = req.query.type;
+
+    const now = new Date();
+    if (req.query.status === 'active') {
+      Object.assign(query, { isActive: true, startDate: { $lte: now }, endDate: { $gte: now } });
+    } else if (req.query.status === 'upcoming') {
+      query.startDate = { $gt: now };
+    } else if (req.query.status === 'expired') {
+      query.endDate = { $lt: now };
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const [promotions, total] = await Promise.all([
+      Promotion.find(query).sort({ priority: -1, createdAt: -1 }).skip((page - 1) * limit).limit(limit)
+        .populate('buyProduct getProduct bundleItems.product', 'name price unit')
+        .lean(),
+      Promotion.countDocuments(query),
+    ]);
+
+    return res.status(200).json({
+      promotions,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/promotions - Tạo khuyến mãi
+// Body: { name, description, type, startDate, endDate, isActive, priority, maxDiscount,
+//         buyProduct, buyQuantity, getProduct, getQuantity | tiers | categories, percent | bundleItems, bundlePrice }
+router.post('/', requirePermission('promotions:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const picked = pickPromotionFields(req.body);
+    if (picked.error) {
+      return res.status(400).json({ message: picked.error });
+    }
+
+    const data = picked.data;
+    if (!data.startDate || !data.endDate) {
+      return res.status(400).json({ message: 'Vui lòng nhập ngày bắt đầu / kết thúc' });
+    }
+    if (data.endDate <= data.startDate) {
+      return res.status(400).json({ message: 'Ngày kết thúc phải sau ngày bắt đầu' });
+    }
+
+    const definitionOk = validatePromotion(data);
+    if (!definitionOk.ok) {
+      return res.status(400).json({ message: definitionOk.message });
+    }
+
+    const promotion = await Promotion.create({ ...data, createdBy: req.userId || null });
+    return res.status(201).json(promotion);
+  } catch (error) {
+    console.error('Error creating promotion:', error);
+    return res.status(500).json({ message: error.message || 'Internal server error' });
+  }
+});
+
+// PUT /api/promotions/:id - Sửa khuyến mãi
+router.put('/:id', requirePermission('promotions:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid promotion ID' });
+    }
+
+    const picked = pickPromotionFields(req.body);
+    if (picked.error) {
+      return res.status(400).json({ message: picked.error });
+    }
+
+    const existing = await Promotion.findById(id).lean();
+    if (!existing) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    // Kiểm tra trên cấu hình sau khi sửa (VD đổi type phải gửi đủ trường của type mới)
+    const merged = { ...existing, ...picked.data };
+    if (new Date(merged.endDate) <= new Date(merged.startDate)) {
+      return res.status(400).json({ message: 'Ngày kết thúc phải sau ngày bắt đầu' });
+    }
+    const definitionOk = validatePromotion(merged);
+    if (!definitionOk.ok) {
+      return res.status(400).json({ message: definitionOk.message });
+    }
+
+    const promotion = await Promotion.findByIdAndUpdate(id, picked.data, { new: true, runValidators: true });
+    return res.status(200).json(promotion);
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    return res.status(500).json({ message: error.message || 'Internal server error' });
+  }
+});
+
+// DELETE /api/promotions/:id - Xóa khuyến mãi (đơn đã tạo vẫn giữ tên / số tiền giảm trong order.promotions)
+router.delete('/:id', requirePermission('promotions:write'), async (req, res) => {
+  try {
+    await db.connectDb();
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid promotion ID' });
+    }
+
+    const deleted = await Promotion.findByIdAndDelete(id);
+    if (!deleted) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    return res.status(200).json({ message: 'Promotion deleted successfully', promotion: deleted });
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    return res.status(500).json({ message: error.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
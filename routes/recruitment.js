@@ -6,7 +6,7 @@ const path = require('path');
 const db = require('../config/database');
 const RecruitmentApplication = require('../models/RecruitmentApplication');
 const { sendEmail } = require('../utils/sendEmails');
-const { withAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 
 // Email template for recruitment application
 const recruitmentEmailTemplate = (data) => {
@@ -313,13 +313,8 @@ router.post('/apply', async (req, res) => {
 });
 
 // GET /api/recruitment/list - Get list of applications (admin only)
-router.get('/list', withAuth, async (req, res) => {
+router.get('/list', requirePermission('recruitment:manage'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({ message: 'Forbidden: Admin access required' });
-    }
-
     await db.connectDb();
 
     // Get query parameters
@@ -380,13 +375,8 @@ router.get('/list', withAuth, async (req, res) => {
 });
 
 // GET /api/recruitment/stats - Get recruitment statistics (admin only)
-router.get('/stats', withAuth, async (req, res) => {
+router.get('/stats', requirePermission('recruitment:manage'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({ message: 'Forbidden: Admin access required' });
-    }
-
     await db.connectDb();
 
     const stats = {
@@ -410,13 +400,8 @@ router.get('/stats', withAuth, async (req, res) => {
 });
 
 // PUT /api/recruitment/update-status - Update application status (admin only)
-router.put('/update-status', withAuth, async (req, res) => {
+router.put('/update-status', requirePermission('recruitment:manage'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({ message: 'Forbidden: Admin access required' });
-    }
-
     const { applicationId, status, notes } = req.body;
 
     // Validation
@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const db = require('../config/database');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const { withAuth, requirePermission, loadCurrentRole, hasPermission } = require('../middleware/auth');
+const { runStatusHooks } = require('../services/orderStatusService');
+const {
+  createReturnRequest,
+  approveReturnRequest,
+  rejectReturnRequest,
+} = require('../services/returnService');
+
+// Ảnh minh chứng phải là ảnh đã tải lên Cloudinary qua POST /api/image?type=return
+const MAX_PHOTOS = 5;
+const PHOTO_URL_PATTERN = /^https:\/\/res\.cloudinary\.com\//;
+
+// GET /api/returns - Danh sách phiếu trả hàng
+// Khách hàng chỉ thấy phiếu của mình; returns:manage thấy tất cả. Query: status, orderId
+router.get('/', withAuth, async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const { status, orderId } = req.query;
+    const query = {};
+    if (!hasPermission(await loadCurrentRole(req.userId), 'returns:manage')) query.user = req.userId;
+    if (status) query.status = status;
+    if (orderId && mongoose.Types.ObjectId.isValid(orderId)) query.order = orderId;
+
+    const returns = await ReturnRequest.find(query)
+      .populate('user', 'name email phone')
+      .populate('order', 'name phone paymentMethod finalTotal status')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return res.status(200).json({ returns });
+  } catch (error) {
+    console.error('Error fetching returns:', error);
+    return res.status(500).json({ message: 'Lỗi khi lấy danh sách phiếu trả hàng' });
+  }
+});
+
+// GET /api/returns/:id - Chi tiết phiếu trả hàng
+router.get('/:id', withAuth, async (req, res) => {
+  try {
+    await db.connectDb();
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'ID phiếu trả hàng không hợp lệ' });
+    }
+
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate('user', 'name email phone')
+      .populate('order')
+      .populate('creditNote', 'referenceNo date lines')
+      .populate('refund');
+    if (!returnRequest) {
+      return res.status(404).json({ message: 'Không tìm thấy phiếu trả hàng' });
+    }
+
+    if (returnRequest.user?._id?.toString() !== req.userId && !hasPermission(await loadCurrentRole(req.userId), 'returns:manage')) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+
+    return res.status(200).json({ returnRequest });
+  } catch (error) {
+    console.error('Error fetching return:', error);
+    return res.status(500).json({ message: 'Lỗi khi lấy phiếu trả hàng' });
+  }
+});
+
+// POST /api/returns - Khách hàng tạo yêu cầu trả hàng cho đơn đã giao
+// Body: { orderId, items: [{ orderItemId, quantity, reason }], reason, photos: [url] }
+router.post('/', withAuth, async (req, res) => {
+  try {
+    await db.connectDb();
+
+    const { orderId, items, reason, photos = [] } = req.body;
+
+    if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ message: 'ID đơn hàng không hợp lệ' });
+    }
+    if (!reason || !reason.toString().trim()) {
+      return res.status(400).json({ message: 'Vui lòng nhập lý do trả hàng' });
+    }
+    if (!Array.isArray(photos) || photos.length > MAX_PHOTOS || photos.some((url) => !PHOTO_URL_PATTERN.test(url))) {
+      return res.status(400).json({ message: `Ảnh minh chứng không hợp lệ (tối đa ${MAX_PHOTOS} ảnh tải lên qua /api/image?type=return)` });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    if (!order.user || order.user.toString() !== req.userId) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+
+    let returnRequest;
+    try {
+      returnRequest = await createReturnRequest({
+        order,
+        userId: req.userId,
+        items,
+        reason: reason.toString().trim(),
+        photos,
+      });
+    } catch (validationErr) {
+      return res.status(400).json({ message: validationErr.message });
+    }
+
+    return res.status(201).json({ message: 'Đã gửi yêu cầu trả hàng', returnRequest });
+  } catch (error) {
+    console.error('Error creating return:', error);
+    return res.status(500).json({ message: 'Lỗi khi tạo yêu cầu trả hàng' });
+  }
+});
+
+// POST /api/returns/:id/approve - Duyệt trả hàng, lập chứng từ hàng bán bị trả lại
+// Body: { amount (hoàn một phần, mặc định requestedAmount), restock, note }
+router.post('/:id/approve', requirePermission('returns:manage'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    await db.connectDb();
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'ID phiếu trả hàng không hợp lệ' });
+    }
+
+    const returnRequest = await ReturnRequest.findById(req.params.id).session(session);
+    if (!returnRequest) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Không tìm thấy phiếu trả hàng' });
+    }
+
+    const { amount, restock, note } = req.body;
+    let result;
+    try {
+      result = await approveReturnRequest(returnRequest, {
+        amount,
+        restock: restock === true || restock === 'true',
+        note: note || '',
+        userId: req.userId,
+        session,
+      });
+    } catch (approveErr) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: approveErr.message });
+    }
+
+    await session.commitTransaction();
+
+    if (result.orderReturned) {
+      await runStatusHooks(result.order, 'delivered', { userId: req.userId });
+    }
+
+    return res.status(200).json({
+      message: 'Đã duyệt yêu cầu trả hàng',
+      returnRequest: result.returnRequest,
+      creditNote: result.creditNote,
+      refund: result.refund,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Error approving return:', error);
+    return res.status(500).json({ message: 'Lỗi khi duyệt yêu cầu trả hàng', error: error.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+// POST /api/returns/:id/reject - Từ chối yêu cầu trả hàng. Body: { note }
+router.post('/:id/reject', requirePermission('returns:manage'), async (req, res) => {
+  try {
+    await db.connectDb();
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'ID phiếu trả hàng không hợp lệ' });
+    }
+
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({ message: 'Không tìm thấy phiếu trả hàng' });
+    }
+
+    try {
+      await rejectReturnRequest(returnRequest, { note: req.body.note || '', userId: req.userId });
+    } catch (rejectErr) {
+      return res.status(400).json({ message: rejectErr.message });
+    }
+
+    return res.status(200).json({ message: 'Đã từ chối yêu cầu trả hàng', returnRequest });
+  } catch (error) {
+    console.error('Error rejecting return:', error);
+    return res.status(500).json({ message: 'Lỗi khi từ chối yêu cầu trả hàng' });
+  }
+});
+
+module.exports = router;
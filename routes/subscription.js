@@ -2,8 +2,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const Subscription = require('../models/Subscription');
-const { withAuth } = require('../middleware/auth');
-const User = require('../models/User');
+const { requirePermission } = require('../middleware/auth');
 const { sendEmail } = require('../utils/sendEmails');
 
 // Email thông báo cho admin khi có đăng ký nhận tin mới
@@ -44,18 +43,9 @@ const adminNewSubscriptionTemplate = (subscriberEmail, subscribedAt, ipAddress)
 };
 
 // GET /api/subscription - Get list of subscriptions with pagination (Admin only)
-router.get('/', withAuth, async (req, res) => {
+router.get('/', requirePermission('subscriptions:read'), async (req, res) => {
   try {
     await db.connectDb();
-    
-    // Check if user is admin
-    const user = await User.findById(req.userId);
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ 
-        success: false,
-        message: 'Access denied. Admin only.' 
-      });
-    }
 
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -103,18 +93,9 @@ router.get('/', withAuth, async (req, res) => {
 });
 
 // GET /api/subscription/stats - Get subscription statistics (Admin only)
-router.get('/stats', withAuth, async (req, res) => {
+router.get('/stats', requirePermission('subscriptions:read'), async (req, res) => {
   try {
     await db.connectDb();
-    
-    // Check if user is admin
-    const user = await User.findById(req.userId);
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ 
-        success: false,
-        message: 'Access denied. Admin only.' 
-      });
-    }
 
     const total = await Subscription.countDocuments();
     const active = await Subscription.countDocuments({ status: 'active' });
@@ -2,17 +2,13 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const User = require('../models/User');
-const { withAuth, optionalAuth } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+const { withAuth, optionalAuth, requirePermission, loadCurrentRole, hasPermission } = require('../middleware/auth');
 
 // GET /api/user - Get all users with pagination (admin only)
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', requirePermission('users:manage'), async (req, res) => {
   try {
     await db.connectDb();
-    
-    // Check if user is admin
-    if (!req.userId || req.user?.role !== 'admin') {
-      return res.status(403).json({ message: 'Forbidden: Admin access required' });
-    }
 
     const pageNo = parseInt(req.query.pageNo) || 0;
     const limit = parseInt(req.query.limit) || 5;
@@ -70,7 +66,7 @@ router.get('/:userId', optionalAuth, async (req, res) => {
     const { userId } = req.params;
     
     // Only allow users to view their own profile or admins to view any profile
-    if (req.userId && req.user?.role !== 'admin' && req.userId !== userId) {
+    if (req.userId && req.userId !== userId && !hasPermission(await loadCurrentRole(req.userId), 'users:manage')) {
       return res.status(403).json({ message: 'Forbidden' });
     }
 
@@ -92,11 +88,24 @@ router.put('/:userId', withAuth, async (req, res) => {
     const { userId } = req.params;
 
     // Only allow users to update their own profile or admins to update any profile
-    if (req.user?.role !== 'admin' && req.userId !== userId) {
+    const canManageUsers = hasPermission(await loadCurrentRole(req.userId), 'users:manage');
+    if (!canManageUsers && req.userId !== userId) {
       return res.status(403).json({ message: 'Forbidden' });
     }
 
-    const user = await User.findByIdAndUpdate(userId, req.body, { new: true }).select('-password');
+    // Mật khẩu đổi qua /api/auth/change-password; role chỉ admin được đổi
+    const { password, role, ...updateData } = req.body;
+    if (role !== undefined) {
+      if (!canManageUsers) {
+        return res.status(403).json({ message: 'Forbidden: Không được tự thay đổi role' });
+      }
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ message: 'Invalid role. Valid roles: ' + ROLES.join(', ') });
+      }
+      updateData.role = role;
+    }
+
+    const user = await User.findByIdAndUpdate(userId, updateData, { new: true }).select('-password');
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -108,16 +117,11 @@ router.put('/:userId', withAuth, async (req, res) => {
 });
 
 // DELETE /api/user/:userId - Delete user (admin only)
-router.delete('/:userId', withAuth, async (req, res) => {
+router.delete('/:userId', requirePermission('users:manage'), async (req, res) => {
   try {
     await db.connectDb();
     const { userId } = req.params;
 
-    // Only admin can delete users
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({ message: 'Forbidden: Admin access required' });
-    }
-
     // Prevent admin from deleting themselves
     if (req.userId === userId) {
       return res.status(400).json({ message: 'Cannot delete your own account' });
@@ -0,0 +1,56 @@
+const db = require('../config/database');
+const Coupon = require('../models/Coupon');
+const { parseCouponDate } = require('../services/couponUsageService');
+
+/**
+ * Script chuyển startDate / endDate của coupon từ chuỗi sang Date
+ * Chạy: npm run migrate-coupon-dates
+ *
+ * Script này sẽ:
+ * 1. Tìm coupon còn lưu startDate / endDate dạng chuỗi
+ * 2. Chuỗi YYYY-MM-DD hiểu theo giờ Việt Nam: startDate là đầu ngày, endDate là cuối ngày (mã dùng được hết ngày kết thúc)
+ * 3. Chuỗi không đọc được được liệt kê để sửa tay, không thay đổi
+ * Chạy lại nhiều lần an toàn: coupon đã là Date được bỏ qua
+ */
+async function migrateCouponDates() {
+  try {
+    console.log('🔄 Đang kết nối database...');
+    await db.connectDb();
+
+    // Đọc thẳng collection để lấy giá trị gốc (Mongoose sẽ ép kiểu sang Date khi đọc)
+    const coupons = await Coupon.collection.find({
+      $or: [{ startDate: { $type: 'string' } }, { endDate: { $type: 'string' } }],
+    }).project({ coupon: 1, startDate: 1, endDate: 1 }).toArray();
+    console.log(`📋 Coupon cần chuyển: ${coupons.length}`);
+
+    let migrated = 0;
+    const invalid = [];
+
+    for (const coupon of coupons) {
+      const startDate = parseCouponDate(coupon.startDate);
+      const endDate = parseCouponDate(coupon.endDate, { endOfDay: true });
+      if (!startDate || !endDate) {
+        invalid.push(`${coupon.coupon} (${coupon.startDate} → ${coupon.endDate})`);
+        continue;
+      }
+
+      await Coupon.collection.updateOne({ _id: coupon._id }, { $set: { startDate, endDate } });
+      migrated++;
+    }
+
+    console.log(`📊 Đã chuyển: ${migrated}, lỗi: ${invalid.length}`);
+    if (invalid.length > 0) {
+      console.log('⚠️  Coupon có ngày không hợp lệ, cần sửa tay:');
+      invalid.forEach((line) => console.log(`   - ${line}`));
+    }
+
+    console.log('\n✨ Hoàn tất!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Lỗi khi migrate ngày coupon:', error);
+    process.exit(1);
+  }
+}
+
+// Chạy script
+migrateCouponDates();
@@ -0,0 +1,51 @@
+const db = require('../config/database');
+const Order = require('../models/Order');
+const FlashSalePurchase = require('../models/FlashSalePurchase');
+
+/**
+ * Script tạo bộ đếm giới hạn flash sale mỗi khách (FlashSalePurchase) từ các đơn đã có
+ * Chạy: npm run migrate-flash-sale-purchases
+ *
+ * Script này sẽ:
+ * 1. Cộng số lượng các dòng flash sale của đơn chưa hủy vào bộ đếm (flashSale, user, product)
+ * 2. Đánh dấu flashSaleReserved cho các đơn đó để khi hủy được trả lại số lượng
+ * Chạy lại nhiều lần an toàn: đơn đã có flashSaleReserved được bỏ qua
+ */
+async function migrateFlashSalePurchases() {
+  try {
+    console.log('🔄 Đang kết nối database...');
+    await db.connectDb();
+
+    const orders = await Order.find({
+      status: { $ne: 'cancelled' },
+      flashSaleReserved: { $ne: true },
+      'orderItems.flashSale': { $ne: null },
+      user: { $ne: null },
+    }).select('user orderItems').lean();
+    console.log(`📋 Đơn có dòng flash sale cần cập nhật: ${orders.length}`);
+
+    let lineCount = 0;
+    for (const order of orders) {
+      for (const item of order.orderItems) {
+        if (!item.flashSale) continue;
+        await FlashSalePurchase.updateOne(
+          { flashSale: item.flashSale, user: order.user, product: item.product },
+          { $inc: { quantity: Number(item.quantity) || 0 } },
+          { upsert: true }
+        );
+        lineCount++;
+      }
+      await Order.updateOne({ _id: order._id }, { flashSaleReserved: true });
+    }
+
+    console.log(`📊 Đã cập nhật: ${orders.length} đơn, ${lineCount} dòng flash sale`);
+    console.log('\n✨ Hoàn tất!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Lỗi khi migrate bộ đếm flash sale:', error);
+    process.exit(1);
+  }
+}
+
+// Chạy script
+migrateFlashSalePurchases();
@@ -0,0 +1,115 @@
+const db = require('../config/database');
+const User = require('../models/User');
+const Partner = require('../models/Partner');
+const Payable = require('../models/Payable');
+const Receivable = require('../models/Receivable');
+const JournalEntry = require('../models/JournalEntry');
+
+/**
+ * Script chuyển các User đóng vai đối tác (role 'supplier' / 'customer') sang collection Partner
+ * Chạy: npm run migrate-partners
+ *        node scripts/migrate-partners.js --delete-users   (xóa User cũ sau khi chuyển)
+ *
+ * Script này sẽ:
+ * 1. Tạo Partner cho mỗi User role supplier/customer (bỏ email @partner.local, số điện thoại mặc định, mật khẩu giả)
+ * 2. Trỏ Payable.supplier và Receivable.customer sang Partner mới
+ * 3. Cập nhật lines.partner / lines.partnerModel trong JournalEntry
+ * Chạy lại nhiều lần an toàn: User đã chuyển (Partner.legacyUser) sẽ được dùng lại
+ */
+
+// Email/phone sinh tự động khi tạo đối tác bằng User - không phải thông tin thật
+const FAKE_EMAIL_PATTERN = /@(partner\.local|temp\.com)$/i;
+const FAKE_PHONES = ['0900000000', '0900000001', '0987654321'];
+
+async function migratePartners() {
+  try {
+    console.log('🔄 Đang kết nối database...');
+    await db.connectDb();
+
+    const deleteUsers = process.argv.includes('--delete-users');
+
+    const legacyUsers = await User.find({ role: { $in: ['supplier', 'customer'] } }).lean();
+    console.log(`\n📋 Tìm thấy ${legacyUsers.length} User đóng vai đối tác`);
+
+    let created = 0;
+    let reused = 0;
+    let payablesUpdated = 0;
+    let receivablesUpdated = 0;
+    let entriesUpdated = 0;
+
+    for (const user of legacyUsers) {
+      let partner = await Partner.findOne({ legacyUser: user._id });
+
+      if (partner) {
+        reused++;
+      } else {
+        const isDefault = /^Partner_Default_/.test(user.name || '');
+        partner = new Partner({
+          partnerType: user.role,
+          code: isDefault ? (user.role === 'customer' ? 'KH-MACDINH' : 'NCC-MACDINH') : undefined,
+          name: isDefault
+            ? (user.role === 'customer' ? 'Khách hàng mặc định' : 'Nhà cung cấp mặc định')
+            : (user.name || 'Đối tác').trim(),
+          email: user.email && !FAKE_EMAIL_PATTERN.test(user.email) ? user.email : '',
+          phone: user.phone && !FAKE_PHONES.includes(user.phone) ? user.phone : '',
+          isActive: user.isActive !== false,
+          legacyUser: user._id,
+        });
+
+        // Partner mặc định có thể đã được tạo bởi API mới -> gộp vào
+        const existingDefault = partner.code ? await Partner.findOne({ code: partner.code }) : null;
+        if (existingDefault) {
+          existingDefault.legacyUser = existingDefault.legacyUser || user._id;
+          await existingDefault.save();
+          partner = existingDefault;
+          reused++;
+        } else {
+          await partner.save();
+          created++;
+          console.log(`✅ Đã tạo Partner "${partner.name}" (${partner.partnerType}) từ User ${user._id}`);
+        }
+      }
+
+      const payableResult = await Payable.updateMany(
+        { supplier: user._id },
+        { $set: { supplier: partner._id } }
+      );
+      payablesUpdated += payableResult.modifiedCount || 0;
+
+      const receivableResult = await Receivable.updateMany(
+        { customer: user._id },
+        { $set: { customer: partner._id, customerModel: 'Partner' } }
+      );
+      receivablesUpdated += receivableResult.modifiedCount || 0;
+
+      const entryResult = await JournalEntry.updateMany(
+        { 'lines.partner': user._id },
+        { $set: { 'lines.$[line].partner': partner._id, 'lines.$[line].partnerModel': 'Partner' } },
+        { arrayFilters: [{ 'line.partner': user._id }] }
+      );
+      entriesUpdated += entryResult.modifiedCount || 0;
+
+      if (deleteUsers) {
+        await User.deleteOne({ _id: user._id });
+        console.log(`🗑️  Đã xóa User ${user._id} (${user.email})`);
+      }
+    }
+
+    console.log('\n✨ Hoàn tất!');
+    console.log(`📊 Partner mới: ${created}, dùng lại: ${reused}`);
+    console.log(`📊 Payable cập nhật: ${payablesUpdated}`);
+    console.log(`📊 Receivable cập nhật: ${receivablesUpdated}`);
+    console.log(`📊 JournalEntry cập nhật: ${entriesUpdated}`);
+    if (!deleteUsers && legacyUsers.length > 0) {
+      console.log('ℹ️  User cũ vẫn được giữ lại. Chạy với --delete-users để xóa sau khi kiểm tra.');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Lỗi khi migrate partners:', error);
+    process.exit(1);
+  }
+}
+
+// Chạy script
+migratePartners();
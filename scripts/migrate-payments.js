@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const db = require('../config/database');
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+
+/**
+ * Script chuyển giao dịch từ collection cũ sepaypayments / momopayments sang Payment
+ * Chạy: npm run migrate-payments
+ *        node scripts/migrate-payments.js --drop-legacy   (xóa 2 collection cũ sau khi chuyển)
+ *
+ * Script này sẽ:
+ * 1. Tạo Payment (provider sepay / momo) cho mỗi giao dịch cũ, giữ nguyên paymentCode, trạng thái, thời gian
+ * 2. Gom dữ liệu riêng của cổng vào providerData, dữ liệu webhook vào callbackData
+ * 3. Gắn Payment.order với đơn hàng có cùng paymentCode
+ * Chạy lại nhiều lần an toàn: paymentCode đã có trong Payment sẽ được bỏ qua
+ */
+
+const LEGACY_SOURCES = [
+  {
+    provider: 'sepay',
+    collection: 'sepaypayments',
+    map: (legacy) => {
+      const sepayData = legacy.sepayData || {};
+      const { orderInfo, callbackData, confirmationSource, ...providerData } = sepayData;
+      return {
+        orderInfo: orderInfo || {},
+        providerData,
+        callbackData,
+        confirmedVia: confirmationSource || (callbackData && callbackData.source) || '',
+      };
+    },
+  },
+  {
+    provider: 'momo',
+    collection: 'momopayments',
+    map: (legacy) => ({
+      orderInfo: (legacy.requestData && legacy.requestData.orderInfo) || {},
+      providerData: {
+        requestData: legacy.requestData,
+        momoData: legacy.momoData,
+        payUrl: legacy.payUrl,
+        deeplink: legacy.deeplink,
+        qrCodeUrl: legacy.qrCodeUrl,
+      },
+      callbackData: legacy.callbackData,
+      confirmedVia: '',
+    }),
+  },
+];
+
+async function migratePayments() {
+  try {
+    console.log('🔄 Đang kết nối database...');
+    await db.connectDb();
+
+    const dropLegacy = process.argv.includes('--drop-legacy');
+    const existingCollections = (await mongoose.connection.db.listCollections().toArray()).map((c) => c.name);
+
+    for (const source of LEGACY_SOURCES) {
+      if (!existingCollections.includes(source.collection)) {
+        console.log(`\nℹ️  Không có collection ${source.collection}, bỏ qua`);
+        continue;
+      }
+
+      const legacyPayments = await mongoose.connection.db.collection(source.collection).find().toArray();
+      console.log(`\n📋 ${source.collection}: ${legacyPayments.length} giao dịch`);
+
+      let created = 0;
+      let skipped = 0;
+
+      for (const legacy of legacyPayments) {
+        const exists = await Payment.exists({ paymentCode: legacy.paymentCode });
+        if (exists) {
+          skipped++;
+          continue;
+        }
+
+        const order = await Order.findOne({ paymentCode: legacy.paymentCode }).select('_id').lean();
+        const createdAt = legacy.createdAt || legacy._id.getTimestamp();
+
+        await Payment.collection.insertOne({
+          provider: source.provider,
+          paymentCode: legacy.paymentCode,
+          amount: legacy.amount,
+          userId: legacy.userId,
+          order: order ? order._id : null,
+          status: legacy.status || 'pending',
+          ...source.map(legacy),
+          transactionId: legacy.transactionId,
+          paidAt: legacy.paidAt,
+          expiresAt: legacy.expiresAt,
+          createdAt,
+          updatedAt: legacy.paidAt || createdAt,
+        });
+        created++;
+      }
+
+      console.log(`📊 Payment mới: ${created}, đã có: ${skipped}`);
+
+      if (dropLegacy) {
+        await mongoose.connection.db.collection(source.collection).drop();
+        console.log(`🗑️  Đã xóa collection ${source.collection}`);
+      }
+    }
+
+    console.log('\n✨ Hoàn tất!');
+    if (!dropLegacy) {
+      console.log('ℹ️  Collection cũ vẫn được giữ lại. Chạy với --drop-legacy để xóa sau khi kiểm tra.');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Lỗi khi migrate payments:', error);
+    process.exit(1);
+  }
+}
+
+// Chạy script
+migratePayments();
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const db = require('../config/database');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const { normalizeUnit } = require('../utils/normalizeUnit');
+const { UNIT_WEIGHT_KG } = require('../services/shippingService');
+
+/**
+ * Script chuyển sản phẩm cũ sang mô hình biến thể
+ * Chạy: npm run migrate-product-variants
+ *
+ * Script này sẽ:
+ * 1. Tạo một biến thể mặc định cho mỗi sản phẩm chưa có biến thể (kể cả sản phẩm đã xóa mềm):
+ *    SKU = maSanPham, đơn vị / giá / giá gốc / tồn kho / giá vốn lấy từ sản phẩm
+ * 2. Gắn biến thể mặc định cho các dòng sổ kho (StockMovement) chưa có variant
+ * Đơn hàng / giỏ hàng cũ không cần chuyển: dòng không có variant được hiểu là biến thể mặc định
+ * Chạy lại nhiều lần an toàn: sản phẩm đã có biến thể được bỏ qua
+ */
+async function migrateProductVariants() {
+  try {
+    console.log('🔄 Đang kết nối database...');
+    await db.connectDb();
+
+    // Đọc thẳng collection để lấy cả sản phẩm đã xóa mềm (Product.find tự lọc isDeleted)
+    const products = await Product.collection.find({
+      $or: [{ variants: { $exists: false } }, { variants: { $size: 0 } }],
+    }).toArray();
+    console.log(`📋 Sản phẩm chưa có biến thể: ${products.length}`);
+
+    let migrated = 0;
+    const invalid = [];
+
+    for (const product of products) {
+      if (!product.maSanPham) {
+        invalid.push(`${product.name || product._id} (thiếu maSanPham)`);
+        continue;
+      }
+
+      const unit = normalizeUnit(product.unit) || 'Kg';
+      const variant = {
+        _id: new mongoose.Types.ObjectId(),
+        sku: product.maSanPham,
+        name: unit,
+        unit,
+        weight: UNIT_WEIGHT_KG[unit] != null ? UNIT_WEIGHT_KG[unit] : null,
+        price: product.price || 0,
+        giaGoc: product.giaGoc || product.promotionalPrice || 0,
+        stock: product.stock || 0,
+        averageCost: product.averageCost || 0,
+        isActive: true,
+      };
+
+      await Product.collection.updateOne({ _id: product._id }, { $set: { variants: [variant], unit } });
+      migrated++;
+    }
+
+    // Sổ kho: dòng cũ thuộc về biến thể mặc định
+    const withVariants = await Product.collection.find({ 'variants.0': { $exists: true } })
+      .project({ 'variants._id': 1 })
+      .toArray();
+    let movementsUpdated = 0;
+    for (const product of withVariants) {
+      const result = await StockMovement.collection.updateMany(
+        { product: product._id, $or: [{ variant: { $exists: false } }, { variant: null }] },
+        { $set: { variant: product.variants[0]._id } }
+      );
+      movementsUpdated += result.modifiedCount;
+    }
+
+    console.log(`📊 Đã tạo biến thể: ${migrated}, lỗi: ${invalid.length}`);
+    console.log(`📦 Dòng sổ kho đã gắn biến thể: ${movementsUpdated}`);
+    if (invalid.length > 0) {
+      console.log('⚠️  Sản phẩm không chuyển được, cần sửa tay:');
+      invalid.forEach((line) => console.log(`   - ${line}`));
+    }
+
+    console.log('\n✨ Hoàn tất!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Lỗi khi migrate biến thể sản phẩm:', error);
+    process.exit(1);
+  }
+}
+
+// Chạy script
+migrateProductVariants();
@@ -0,0 +1,57 @@
+const db = require('../config/database');
+const PromoBanner = require('../models/PromoBanner');
+const PromoBannerConfig = require('../models/PromoBannerConfig');
+
+/**
+ * Script chuyển cấu hình banner một bản ghi (PromoBannerConfig) sang collection PromoBanner
+ * Chạy: npm run migrate-promo-banners
+ *
+ * Script này sẽ:
+ * 1. Đọc PromoBannerConfig hiện có (không tạo mới nếu chưa có)
+ * 2. Tạo banner home_hero cho mọi đối tượng, không giới hạn lịch, giữ nguyên nội dung và countdownDate,
+ *    bật showFlashSale để đếm ngược theo flash sale đang chạy như trước
+ * Chạy lại nhiều lần an toàn: bỏ qua nếu đã có banner trong PromoBanner
+ */
+async function migratePromoBanners() {
+  try {
+    console.log('🔄 Đang kết nối database...');
+    await db.connectDb();
+
+    const existingCount = await PromoBanner.countDocuments();
+    if (existingCount > 0) {
+      console.log(`ℹ️  Đã có ${existingCount} banner trong PromoBanner, bỏ qua`);
+      process.exit(0);
+    }
+
+    const config = await PromoBannerConfig.findOne().lean();
+    if (!config) {
+      console.log('ℹ️  Không có PromoBannerConfig, không cần chuyển');
+      process.exit(0);
+    }
+
+    const banner = await PromoBanner.create({
+      name: 'Banner trang chủ',
+      placement: 'home_hero',
+      isActive: config.isActive !== false,
+      subtitle: config.subtitle,
+      title: config.title,
+      description: config.description,
+      countdownDate: config.countdownDate,
+      countdownLabel: config.countdownLabel,
+      buttonText: config.buttonText,
+      buttonLink: config.buttonLink,
+      backgroundImage: config.backgroundImage,
+      showFlashSale: true,
+    });
+    console.log(`✅ Đã tạo banner ${banner._id} từ PromoBannerConfig`);
+
+    console.log('\n✨ Hoàn tất!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Lỗi khi migrate promo banner:', error);
+    process.exit(1);
+  }
+}
+
+// Chạy script
+migratePromoBanners();
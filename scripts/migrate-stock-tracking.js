@@ -0,0 +1,52 @@
+const db = require('../config/database');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+
+/**
+ * Script đánh dấu sản phẩm đã có sổ kho (stockTracked)
+ * Chạy: npm run migrate-stock-tracking
+ *
+ * Script này sẽ:
+ * 1. Bật stockTracked cho sản phẩm đã có ít nhất một StockMovement và suy ra lại stockStatus từ stock
+ * 2. Liệt kê sản phẩm chưa có sổ kho: giữ nguyên stockStatus nhập tay cho đến khi khai báo tồn đầu kỳ
+ *    (POST /api/inventory/adjustments với opening: true)
+ * Chạy lại nhiều lần an toàn: sản phẩm đã bật stockTracked được bỏ qua
+ */
+async function migrateStockTracking() {
+  try {
+    console.log('🔄 Đang kết nối database...');
+    await db.connectDb();
+
+    const trackedIds = await StockMovement.distinct('product');
+    // Đọc thẳng collection để gồm cả sản phẩm đã xóa mềm
+    const products = await Product.collection.find({ _id: { $in: trackedIds }, stockTracked: { $ne: true } })
+      .project({ stock: 1 })
+      .toArray();
+    console.log(`📋 Sản phẩm có sổ kho cần đánh dấu: ${products.length}`);
+
+    for (const product of products) {
+      await Product.collection.updateOne(
+        { _id: product._id },
+        { $set: { stockTracked: true, stockStatus: Product.stockStatusFor(product.stock || 0) } }
+      );
+    }
+
+    const untracked = await Product.collection.find({ stockTracked: { $ne: true }, isDeleted: { $ne: true } })
+      .project({ maSanPham: 1, name: 1, stockStatus: 1 })
+      .toArray();
+    console.log(`📊 Đã đánh dấu: ${products.length}, chưa có sổ kho: ${untracked.length}`);
+    if (untracked.length > 0) {
+      console.log('ℹ️  Sản phẩm chưa khai báo tồn đầu kỳ (giữ stockStatus hiện tại):');
+      untracked.forEach((p) => console.log(`   - ${p.maSanPham} ${p.name} (${p.stockStatus || 'Còn hàng'})`));
+    }
+
+    console.log('\n✨ Hoàn tất!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Lỗi khi migrate sổ kho sản phẩm:', error);
+    process.exit(1);
+  }
+}
+
+// Chạy script
+migrateStockTracking();
@@ -0,0 +1,161 @@
+require('dotenv').config();
+const express = require('express');
+const { signFields, IPN_SIGNATURE_FIELDS } = require('../services/paymentGateways/momo');
+
+/**
+ * MoMo giả lập cho phát triển local - không cần tài khoản MoMo test
+ * Chạy: npm run momo-standin (cổng MOMO_STANDIN_PORT, mặc định 5055)
+ * API server đặt MOMO_ENDPOINT=http://localhost:5055 và dùng cùng MOMO_PARTNER_CODE / MOMO_ACCESS_KEY / MOMO_SECRET_KEY
+ *
+ * - POST /v2/gateway/api/create, /query, /refund: giống API MoMo, kiểm tra chữ ký request
+ * - GET /pay/:orderId?resultCode=0: giả lập khách thanh toán (resultCode khác 0 = thất bại / hủy)
+ *   → gửi IPN đã ký về ipnUrl của giao dịch và trả về kết quả IPN
+ */
+
+const PORT = process.env.MOMO_STANDIN_PORT || 5055;
+const partnerCode = process.env.MOMO_PARTNER_CODE || 'MOMO_STANDIN';
+const accessKey = process.env.MOMO_ACCESS_KEY || 'standin-access-key';
+const secretKey = process.env.MOMO_SECRET_KEY || 'standin-secret-key';
+
+const CREATE_FIELDS = ['accessKey', 'amount', 'extraData', 'ipnUrl', 'orderId', 'orderInfo', 'partnerCode', 'redirectUrl', 'requestId', 'requestType'];
+const QUERY_FIELDS = ['accessKey', 'orderId', 'partnerCode', 'requestId'];
+const REFUND_FIELDS = ['accessKey', 'amount', 'description', 'orderId', 'partnerCode', 'requestId', 'transId'];
+
+// Giao dịch lưu trong bộ nhớ, mất khi tắt stand-in
+const transactions = new Map();
+let nextTransId = Date.now();
+
+function checkSignature(body, fields) {
+  return body.partnerCode === partnerCode &&
+    body.signature === signFields({ ...body, accessKey }, fields, secretKey);
+}
+
+const app = express();
+app.use(express.json());
+
+app.post('/v2/gateway/api/create', (req, res) => {
+  const body = req.body;
+  if (!checkSignature(body, CREATE_FIELDS)) {
+    return res.status(200).json({ resultCode: 11, message: 'Sai chữ ký', orderId: body.orderId });
+  }
+  if (transactions.has(body.orderId)) {
+    return res.status(200).json({ resultCode: 41, message: 'Trùng orderId', orderId: body.orderId });
+  }
+
+  transactions.set(body.orderId, { request: body, resultCode: 1000, transId: null, refunds: [] });
+  const payUrl = `http://localhost:${PORT}/pay/${encodeURIComponent(body.orderId)}`;
+  console.log(`🆕 create ${body.orderId}: ${body.amount}đ, ipnUrl ${body.ipnUrl}`);
+
+  return res.status(200).json({
+    partnerCode,
+    orderId: body.orderId,
+    requestId: body.requestId,
+    amount: body.amount,
+    responseTime: Date.now(),
+    message: 'Thành công.',
+    resultCode: 0,
+    payUrl,
+    deeplink: `momo://standin?orderId=${encodeURIComponent(body.orderId)}`,
+    qrCodeUrl: payUrl,
+  });
+});
+
+app.get('/pay/:orderId', async (req, res) => {
+  const transaction = transactions.get(req.params.orderId);
+  if (!transaction) {
+    return res.status(404).json({ message: 'Không tìm thấy giao dịch' });
+  }
+
+  const { request } = transaction;
+  const resultCode = req.query.resultCode !== undefined ? Number(req.query.resultCode) : 0;
+  transaction.resultCode = resultCode;
+  transaction.transId = resultCode === 0 ? nextTransId++ : null;
+
+  const ipn = {
+    partnerCode,
+    orderId: request.orderId,
+    requestId: request.requestId,
+    amount: request.amount,
+    orderInfo: request.orderInfo,
+    orderType: 'momo_wallet',
+    transId: transaction.transId || 0,
+    resultCode,
+    message: resultCode === 0 ? 'Thành công.' : 'Giao dịch thất bại.',
+    payType: 'qr',
+    responseTime: Date.now(),
+    extraData: request.extraData,
+  };
+  ipn.signature = signFields({ ...ipn, accessKey }, IPN_SIGNATURE_FIELDS, secretKey);
+
+  try {
+    const response = await fetch(request.ipnUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(ipn),
+    });
+    const text = await response.text();
+    console.log(`📨 IPN ${request.orderId} (resultCode ${resultCode}) → ${response.status}`);
+    return res.status(200).json({ ipn, ipnResponse: { status: response.status, body: text } });
+  } catch (error) {
+    console.error(`❌ Không gửi được IPN tới ${request.ipnUrl}:`, error.message);
+    return res.status(502).json({ ipn, error: error.message });
+  }
+});
+
+app.post('/v2/gateway/api/query', (req, res) => {
+  const body = req.body;
+  if (!checkSignature(body, QUERY_FIELDS)) {
+    return res.status(200).json({ resultCode: 11, message: 'Sai chữ ký', orderId: body.orderId });
+  }
+  const transaction = transactions.get(body.orderId);
+  if (!transaction) {
+    return res.status(200).json({ resultCode: 42, message: 'Không tìm thấy giao dịch', orderId: body.orderId });
+  }
+
+  return res.status(200).json({
+    partnerCode,
+    orderId: body.orderId,
+    requestId: body.requestId,
+    amount: transaction.request.amount,
+    transId: transaction.transId || 0,
+    resultCode: transaction.resultCode,
+    message: transaction.resultCode === 0 ? 'Thành công.' : 'Giao dịch đang chờ hoặc thất bại.',
+    responseTime: Date.now(),
+    refundTrans: transaction.refunds,
+  });
+});
+
+app.post('/v2/gateway/api/refund', (req, res) => {
+  const body = req.body;
+  if (!checkSignature(body, REFUND_FIELDS)) {
+    return res.status(200).json({ resultCode: 11, message: 'Sai chữ ký', orderId: body.orderId });
+  }
+  const transaction = [...transactions.values()].find((t) => String(t.transId) === String(body.transId));
+  if (!transaction || transaction.resultCode !== 0) {
+    return res.status(200).json({ resultCode: 42, message: 'Không tìm thấy giao dịch gốc', orderId: body.orderId });
+  }
+
+  const refunded = transaction.refunds.reduce((sum, r) => sum + r.amount, 0);
+  if (refunded + Number(body.amount) > Number(transaction.request.amount)) {
+    return res.status(200).json({ resultCode: 22, message: 'Số tiền hoàn vượt số tiền giao dịch', orderId: body.orderId });
+  }
+
+  const refund = { orderId: body.orderId, amount: Number(body.amount), transId: nextTransId++, resultCode: 0 };
+  transaction.refunds.push(refund);
+  console.log(`↩️  refund ${body.orderId}: ${body.amount}đ`);
+
+  return res.status(200).json({
+    partnerCode,
+    orderId: body.orderId,
+    requestId: body.requestId,
+    amount: refund.amount,
+    transId: refund.transId,
+    resultCode: 0,
+    message: 'Thành công.',
+    responseTime: Date.now(),
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 MoMo stand-in đang chạy tại http://localhost:${PORT} (partnerCode ${partnerCode})`);
+});
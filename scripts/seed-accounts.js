@@ -26,6 +26,9 @@ const defaultAccounts = [
   // DOANH THU (Revenue)
   { code: '511', name: 'Doanh thu bán hàng', accountType: 'revenue', accountTypeName: 'Doanh thu', level: 1, notes: 'Doanh thu từ việc bán hàng hóa, dịch vụ' },
   { code: '5111', name: 'Doanh thu bán hàng hóa', accountType: 'revenue', accountTypeName: 'Doanh thu', level: 2, parentCode: '511', notes: 'Doanh thu bán sản phẩm' },
+  { code: '521', name: 'Các khoản giảm trừ doanh thu', accountType: 'revenue', accountTypeName: 'Doanh thu', level: 1, notes: 'Chiết khấu thương mại, giảm giá, hàng bán bị trả lại' },
+  { code: '5211', name: 'Chiết khấu thương mại', accountType: 'revenue', accountTypeName: 'Doanh thu', level: 2, parentCode: '521', notes: 'Giảm giá theo mã coupon (tiền hàng, phí giao hàng)' },
+  { code: '5213', name: 'Hàng bán bị trả lại', accountType: 'revenue', accountTypeName: 'Doanh thu', level: 2, parentCode: '521', notes: 'Giá trị hàng khách trả lại (RMA)' },
   { code: '711', name: 'Thu nhập khác', accountType: 'revenue', accountTypeName: 'Doanh thu', level: 1, notes: 'Các khoản thu nhập khác ngoài doanh thu bán hàng' },
   
   // CHI PHÍ (Expenses)
@@ -4,7 +4,6 @@ const dotenv = require('dotenv');
 const morgan = require('morgan');
 const cookieParser = require('cookie-parser');
 const { createServer } = require('http');
-const { Server } = require('socket.io');
 
 // Load environment variables
 dotenv.config();
@@ -31,12 +30,27 @@ const imageRoutes = require('./routes/image');
 const accountingRoutes = require('./routes/accounting');
 const contactRoutes = require('./routes/contact');
 const promoBannerRoutes = require('./routes/promo-banner');
+const promotionRoutes = require('./routes/promotions');
+const flashSaleRoutes = require('./routes/flash-sales');
 const recruitmentRoutes = require('./routes/recruitment');
 const sepayWebhookRealRoutes = require('./routes/sepay-webhook-real');
+const inventoryRoutes = require('./routes/inventory');
+const partnerRoutes = require('./routes/partners');
+const returnRoutes = require('./routes/returns');
+const deliverySlotRoutes = require('./routes/delivery-slots');
+const jobRoutes = require('./routes/jobs');
+const bankReconciliationRoutes = require('./routes/bank-reconciliation');
+
+// Socket.IO
+const { initRealtime } = require('./services/realtimeService');
+
+// Job chạy định kỳ trong process
+const { startScheduler } = require('./services/jobScheduler');
+const { registerDefaultJobs } = require('./services/jobs');
 
 const app = express();
 const httpServer = createServer(app);
-const io = new Server(httpServer, {
+initRealtime(httpServer, {
   path: '/api/socket',
   cors: {
     origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
@@ -47,23 +61,6 @@ const io = new Server(httpServer, {
 
 const PORT = process.env.PORT || 5000;
 
-// Make io available globally for routes
-global.io = io;
-
-// Socket.IO connection handler
-io.on('connection', (socket) => {
-  console.log('✅ Client connected:', socket.id);
-
-  socket.on('join_payment', (paymentCode) => {
-    socket.join(paymentCode);
-    console.log(`📦 Socket ${socket.id} joined payment room: ${paymentCode}`);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('❌ Client disconnected:', socket.id);
-  });
-});
-
 // Middleware
 app.use(morgan('dev'));
 // CORS configuration
@@ -168,7 +165,13 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Giữ raw body của webhook thanh toán để kiểm tra chữ ký HMAC
+  verify: (req, res, buf) => {
+    if (req.originalUrl.includes('webhook')) req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(cookieParser());
 
@@ -202,8 +205,16 @@ app.use('/api/image', imageRoutes);
 app.use('/api/accounting', accountingRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/promo-banner', promoBannerRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/flash-sales', flashSaleRoutes);
 app.use('/api/recruitment', recruitmentRoutes);
 app.use('/api/sepay-webhook-real', sepayWebhookRealRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/partners', partnerRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/delivery-slots', deliverySlotRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/bank-reconciliation', bankReconciliationRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -223,9 +234,16 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Job định kỳ: hết hạn thanh toán, đồng bộ công nợ, khấu hao tháng (xem /api/jobs)
+registerDefaultJobs();
+
 // Connect to database and start server
 db.connectDb()
   .then(() => {
+    startScheduler().catch((error) => {
+      console.error('❌ Failed to start scheduler:', error);
+    });
+
     // Listen on all interfaces (0.0.0.0) để mobile app có thể kết nối
     httpServer.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 Server is running on port ${PORT}`);
@@ -39,6 +39,24 @@ async function createSaleJournalEntry(order, userId = null) {
       return null;
     }
     
+    // Khuyến mãi / coupon: Có 511 theo giá trước giảm, Nợ 5211 (chiết khấu thương mại) mỗi khuyến mãi một dòng,
+    // coupon một dòng (phần giảm tiền hàng + phí giao hàng)
+    const discountLines = (order.promotions || [])
+      .filter((promotion) => Math.round(promotion.amount || 0) > 0)
+      .map((promotion) => ({
+        amount: Math.round(promotion.amount),
+        description: `Chiết khấu thương mại - Khuyến mãi ${promotion.name}`,
+      }));
+    const couponDiscount = Math.round((order.discount || 0) + (order.shippingDiscount || 0));
+    if (couponDiscount > 0) {
+      discountLines.push({
+        amount: couponDiscount,
+        description: `Chiết khấu thương mại${order.coupon ? ` - Mã ${order.coupon}` : ''}`,
+      });
+    }
+    const salesDiscount = discountLines.reduce((sum, line) => sum + line.amount, 0);
+    const grossRevenue = order.finalTotal + salesDiscount;
+
     let lines = [];
     let isCredit = false; // Flag để xác định có cần tạo Receivable không
     
@@ -58,7 +76,7 @@ async function createSaleJournalEntry(order, userId = null) {
         {
           accountCode: '511', // Doanh thu
           debit: 0,
-          credit: order.finalTotal,
+          credit: grossRevenue,
           partner: order.user || null,
           partnerType: order.user ? 'customer' : null,
           description: `Doanh thu bán hàng COD - Đơn hàng ${referenceNo}`,
@@ -80,7 +98,7 @@ async function createSaleJournalEntry(order, userId = null) {
         {
           accountCode: '511', // Doanh thu
           debit: 0,
-          credit: order.finalTotal,
+          credit: grossRevenue,
           partner: order.user || null,
           partnerType: order.user ? 'customer' : null,
           description: `Doanh thu bán hàng - Đơn hàng ${referenceNo}`,
@@ -101,7 +119,7 @@ async function createSaleJournalEntry(order, userId = null) {
         {
           accountCode: '511', // Doanh thu
           debit: 0,
-          credit: order.finalTotal,
+          credit: grossRevenue,
           partner: order.user || null,
           partnerType: order.user ? 'customer' : null,
           description: `Doanh thu bán hàng - Đơn hàng ${referenceNo}`,
@@ -109,6 +127,17 @@ async function createSaleJournalEntry(order, userId = null) {
       ];
     }
     
+    discountLines.forEach((discountLine) => {
+      lines.push({
+        accountCode: '5211', // Chiết khấu thương mại
+        debit: discountLine.amount,
+        credit: 0,
+        partner: order.user || null,
+        partnerType: order.user ? 'customer' : null,
+        description: `${discountLine.description} - Đơn hàng ${referenceNo}`,
+      });
+    });
+
     // Tạo journal entry
     const journalEntry = new JournalEntry({
       referenceNo,
@@ -335,10 +364,72 @@ async function syncOrderToAccounting(order, previousStatus = null, userId = null
   }
 }
 
+/**
+ * Đồng bộ Receivable từ các chứng từ đơn hàng đã ghi sổ có dòng Nợ 131 nhưng chưa có công nợ
+ * Dùng cho job sync-receivables và scripts/sync-receivables.js
+ * @returns {Object} { created, skipped }
+ */
+async function syncReceivablesFromJournal() {
+  const receivableEntries = await JournalEntry.find({
+    status: 'posted',
+    'lines.accountCode': '131'
+  }).lean();
+
+  let created = 0;
+  let skipped = 0;
+
+  for (const entry of receivableEntries) {
+    const orderId = entry.sourceId;
+    if (!orderId) continue;
+
+    // Kiểm tra xem đã có Receivable chưa
+    const existing = await Receivable.findOne({
+      $or: [
+        { journalEntry: entry._id },
+        { order: orderId }
+      ]
+    });
+    if (existing) {
+      skipped++;
+      continue;
+    }
+
+    const order = await Order.findById(orderId).lean();
+    if (!order || !order.user) continue;
+
+    // Tìm dòng có tài khoản 131
+    const receivableLine = entry.lines.find(l => l.accountCode === '131');
+    if (!receivableLine || receivableLine.debit === 0) continue;
+
+    // Tính hạn thanh toán (30 ngày từ ngày tạo đơn)
+    const dueDate = new Date(order.createdAt || entry.date);
+    dueDate.setDate(dueDate.getDate() + 30);
+
+    const receivable = new Receivable({
+      journalEntry: entry._id,
+      customer: order.user,
+      order: orderId,
+      originalAmount: receivableLine.debit,
+      remainingAmount: receivableLine.debit,
+      paymentStatus: 'unpaid',
+      dueDate: dueDate,
+      invoiceDate: order.createdAt || entry.date,
+      description: `Đơn hàng ${entry.referenceNo} - ${order.name || 'Khách hàng'}`,
+    });
+
+    await receivable.save();
+    created++;
+    console.log(`✅ Đã tạo Receivable cho đơn hàng ${orderId} - ${entry.referenceNo}`);
+  }
+
+  return { created, skipped };
+}
+
 module.exports = {
   createSaleJournalEntry,
   createReceivableFromOrder,
   updateReceivableOnPayment,
   createPaymentReceipt,
   syncOrderToAccounting,
+  syncReceivablesFromJournal,
 };
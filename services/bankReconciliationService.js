@@ -0,0 +1,542 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const BankStatement = require('../models/BankStatement');
+const BankStatementLine = require('../models/BankStatementLine');
+const BankAccount = require('../models/BankAccount');
+const JournalEntry = require('../models/JournalEntry');
+const Payment = require('../models/Payment');
+const { parseStatement } = require('./bankStatementParser');
+const { postInventoryJournalEntry } = require('./inventoryService');
+const { GATEWAYS } = require('./paymentGateways');
+const { AMOUNT_TOLERANCE } = require('./paymentService');
+const { checkLockDate } = require('../middleware/lockDateCheck');
+
+/**
+ * Đối soát sao kê ngân hàng với sổ tài khoản tiền gửi (TK 1121 hoặc TK chi tiết của BankAccount)
+ * 1. Nhập sao kê (CSV / Excel / JSON Sepay) -> BankStatementLine, bỏ qua giao dịch đã nhập
+ * 2. Tự động khớp: mã thanh toán Sepay trong nội dung -> giao dịch + chứng từ bán hàng của đơn;
+ *    cùng số tiền trên TK ngân hàng trong ±MATCH_WINDOW_DAYS ngày -> khớp luôn nếu trùng số tham chiếu, ngược lại gợi ý
+ * 3. Kế toán xác nhận gợi ý / chọn chứng từ khác, lập chứng từ mới cho giao dịch chưa có trên sổ hoặc bỏ qua
+ * 4. Báo cáo đối soát theo kỳ: số dư sao kê vs số dư sổ, giao dịch chỉ có ở một bên
+ */
+
+const MATCH_WINDOW_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Giao dịch sao kê còn chờ xử lý / đã dùng chứng từ
+const OPEN_LINE_STATUSES = ['unmatched', 'suggested'];
+const LINKED_LINE_STATUSES = ['suggested', 'matched'];
+
+function fail(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function buildFingerprint(bankAccountId, transaction) {
+  const key = transaction.externalId
+    ? `id:${transaction.externalId}`
+    : [
+      transaction.transactionDate.toISOString(),
+      transaction.amount,
+      transaction.reference,
+      transaction.description,
+      transaction.balance === null ? '' : transaction.balance,
+    ].join('|');
+  return crypto.createHash('sha1').update(`${bankAccountId}|${key}`).digest('hex');
+}
+
+/**
+ * Phát sinh ròng của chứng từ trên tài khoản ngân hàng: Nợ - Có (> 0 tiền vào)
+ */
+function netAmountForAccount(entry, accountCode) {
+  return entry.lines
+    .filter((line) => line.accountCode === accountCode)
+    .reduce((sum, line) => sum + (line.debit || 0) - (line.credit || 0), 0);
+}
+
+function containsReference(text, reference) {
+  if (!text || !reference || reference.length < 4) return false;
+  return text.toString().toUpperCase().includes(reference.toString().toUpperCase());
+}
+
+/**
+ * Giao dịch Sepay tương ứng: mã thanh toán trong nội dung chuyển khoản, hoặc id giao dịch Sepay (= Payment.transactionId khi xác nhận qua webhook)
+ */
+async function findSepayPayment(line) {
+  const sepay = GATEWAYS.sepay;
+  const paymentCode = sepay.extractPaymentCode({ content: line.description });
+
+  let payment = null;
+  if (paymentCode) {
+    payment = await Payment.findOne({ provider: 'sepay', paymentCode, status: { $in: ['paid', 'refunded'] } });
+  }
+  if (!payment && line.externalId) {
+    payment = await Payment.findOne({ provider: 'sepay', transactionId: line.externalId, status: { $in: ['paid', 'refunded'] } });
+  }
+  if (!payment || Math.abs(payment.amount - line.amount) > AMOUNT_TOLERANCE) {
+    return null;
+  }
+  return payment;
+}
+
+/**
+ * Tự động khớp các giao dịch sao kê chưa khớp
+ * @param {Document} bankAccount
+ * @param {Array<Document>} lines - BankStatementLine (chỉ xử lý dòng unmatched)
+ * @returns {Object} { matched, suggested, unmatched }
+ */
+async function autoMatchLines(bankAccount, lines) {
+  const summary = { matched: 0, suggested: 0, unmatched: 0 };
+  const pending = lines.filter((line) => line.status === 'unmatched');
+  if (pending.length === 0) return summary;
+
+  const times = pending.map((line) => line.transactionDate.getTime());
+  const firstTime = times.reduce((min, t) => Math.min(min, t), Infinity);
+  const lastTime = times.reduce((max, t) => Math.max(max, t), -Infinity);
+  const entries = await JournalEntry.find({
+    status: 'posted',
+    'lines.accountCode': bankAccount.accountCode,
+    date: {
+      $gte: new Date(firstTime - MATCH_WINDOW_DAYS * DAY_MS),
+      $lte: new Date(lastTime + MATCH_WINDOW_DAYS * DAY_MS),
+    },
+  })
+    .select('referenceNo memo date lines sourceId sourceType')
+    .lean();
+
+  const usedEntryIds = new Set((await BankStatementLine.distinct('journalEntry', {
+    journalEntry: { $in: entries.map((entry) => entry._id) },
+    status: { $in: LINKED_LINE_STATUSES },
+  })).map(String));
+  const isFree = (entry) => !usedEntryIds.has(entry._id.toString());
+
+  for (const line of pending) {
+    let match = null;
+
+    // 1. Chuyển khoản thanh toán đơn hàng qua Sepay
+    if (line.amount > 0) {
+      const payment = await findSepayPayment(line);
+      if (payment) {
+        const saleEntry = payment.order && entries.find((entry) => isFree(entry) &&
+          entry.sourceType === 'order' &&
+          entry.sourceId && entry.sourceId.toString() === payment.order.toString() &&
+          Math.abs(netAmountForAccount(entry, bankAccount.accountCode) - line.amount) <= AMOUNT_TOLERANCE);
+        // Chưa thấy chứng từ của đơn -> chỉ gợi ý, kế toán chọn chứng từ hoặc lập mới
+        match = { status: saleEntry ? 'matched' : 'suggested', reason: 'payment_code', payment, entry: saleEntry || null };
+      }
+    }
+
+    // 2. Chứng từ cùng số tiền trên TK ngân hàng, gần ngày
+    if (!match) {
+      const sameAmount = entries.filter((entry) => isFree(entry) &&
+        netAmountForAccount(entry, bankAccount.accountCode) === line.amount &&
+        Math.abs(new Date(entry.date) - line.transactionDate) <= MATCH_WINDOW_DAYS * DAY_MS);
+
+      const byReference = sameAmount.find((entry) => containsReference(entry.referenceNo, line.reference) ||
+        containsReference(entry.memo, line.reference) ||
+        containsReference(line.description, entry.referenceNo));
+
+      if (byReference) {
+        match = { status: 'matched', reason: 'reference', entry: byReference };
+      } else if (sameAmount.length > 0) {
+        const nearest = sameAmount.reduce((best, entry) => (
+          Math.abs(new Date(entry.date) - line.transactionDate) < Math.abs(new Date(best.date) - line.transactionDate) ? entry : best
+        ));
+        match = { status: 'suggested', reason: 'amount_date', entry: nearest };
+      }
+    }
+
+    if (!match) {
+      summary.unmatched += 1;
+      continue;
+    }
+
+    line.status = match.status;
+    line.matchReason = match.reason;
+    line.journalEntry = match.entry ? match.entry._id : null;
+    line.payment = match.payment ? match.payment._id : null;
+    if (match.status === 'matched') {
+      line.matchMethod = 'auto';
+      line.matchedAt = new Date();
+    }
+    await line.save();
+
+    if (match.entry) usedEntryIds.add(match.entry._id.toString());
+    summary[match.status] += 1;
+  }
+
+  return summary;
+}
+
+/**
+ * Nhập file sao kê cho một tài khoản ngân hàng và tự động khớp
+ * Số dư thực tế (BankAccount.realBalance) cập nhật theo số dư của giao dịch mới nhất trên sao kê
+ * @param {Object} params - { bankAccount, buffer, fileName, format, userId }
+ * @returns {Object} { statement, summary: { matched, suggested, unmatched } }
+ */
+async function importStatement({ bankAccount, buffer, fileName = '', format, userId = null }) {
+  if (bankAccount.type !== 'bank') {
+    throw fail(400, 'Chỉ đối soát sao kê cho tài khoản ngân hàng');
+  }
+
+  let parsed;
+  try {
+    parsed = await parseStatement(buffer, { fileName, format });
+  } catch (error) {
+    throw fail(400, error.message);
+  }
+  const { transactions } = parsed;
+  if (transactions.length === 0) {
+    throw fail(400, 'File sao kê không có giao dịch nào');
+  }
+
+  const withFingerprint = transactions.map((transaction) => ({
+    ...transaction,
+    fingerprint: buildFingerprint(bankAccount._id, transaction),
+  }));
+  const existing = new Set(await BankStatementLine.distinct('fingerprint', {
+    bankAccount: bankAccount._id,
+    fingerprint: { $in: withFingerprint.map((t) => t.fingerprint) },
+  }));
+  // Bỏ cả dòng trùng ngay trong file
+  const seen = new Set();
+  const newTransactions = withFingerprint.filter((t) => {
+    if (existing.has(t.fingerprint) || seen.has(t.fingerprint)) return false;
+    seen.add(t.fingerprint);
+    return true;
+  });
+
+  const first = transactions[0];
+  const withBalance = transactions.filter((t) => t.balance !== null);
+  const statement = new BankStatement({
+    bankAccount: bankAccount._id,
+    format: parsed.format,
+    fileName,
+    periodStart: first.transactionDate,
+    periodEnd: transactions[transactions.length - 1].transactionDate,
+    openingBalance: withBalance.length > 0 ? withBalance[0].balance - withBalance[0].amount : null,
+    closingBalance: withBalance.length > 0 ? withBalance[withBalance.length - 1].balance : null,
+    totalIn: transactions.filter((t) => t.amount > 0).reduce((sum, t) => sum + t.amount, 0),
+    totalOut: transactions.filter((t) => t.amount < 0).reduce((sum, t) => sum - t.amount, 0),
+    lineCount: newTransactions.length,
+    duplicateCount: transactions.length - newTransactions.length,
+    importedBy: userId || null,
+  });
+  await statement.save();
+
+  const lines = newTransactions.length > 0
+    ? await BankStatementLine.insertMany(newTransactions.map((t) => ({
+      statement: statement._id,
+      bankAccount: bankAccount._id,
+      transactionDate: t.transactionDate,
+      amount: t.amount,
+      description: t.description,
+      reference: t.reference,
+      balance: t.balance,
+      externalId: t.externalId,
+      fingerprint: t.fingerprint,
+      raw: t.raw,
+    })))
+    : [];
+
+  const latestWithBalance = await BankStatementLine.findOne({ bankAccount: bankAccount._id, balance: { $ne: null } })
+    .sort({ transactionDate: -1, _id: -1 })
+    .select('balance')
+    .lean();
+  if (latestWithBalance) {
+    await BankAccount.updateOne({ _id: bankAccount._id }, { realBalance: latestWithBalance.balance, updatedAt: new Date() });
+  }
+
+  const summary = await autoMatchLines(bankAccount, lines);
+  console.log(`🏦 Đã nhập sao kê ${fileName || parsed.format} (${bankAccount.name}): ${lines.length} giao dịch mới, khớp ${summary.matched}, gợi ý ${summary.suggested}`);
+
+  return { statement, summary };
+}
+
+function assertOpen(line) {
+  if (!OPEN_LINE_STATUSES.includes(line.status)) {
+    throw fail(409, `Giao dịch đang ở trạng thái ${line.status}, bỏ khớp trước khi xử lý lại`);
+  }
+}
+
+/**
+ * Xác nhận khớp: dùng chứng từ được gợi ý hoặc chứng từ kế toán chọn (cùng số tiền trên TK ngân hàng)
+ * @param {Object} options - { journalEntryId, note, userId }
+ */
+async function confirmLine(line, bankAccount, { journalEntryId, note = '', userId = null } = {}) {
+  assertOpen(line);
+
+  const entryId = journalEntryId || line.journalEntry;
+  if (!entryId) {
+    throw fail(400, 'Chưa có chứng từ để khớp, vui lòng chọn chứng từ (journalEntryId) hoặc lập chứng từ mới');
+  }
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    throw fail(400, 'ID chứng từ không hợp lệ');
+  }
+
+  const entry = await JournalEntry.findOne({ _id: entryId, status: 'posted' }).lean();
+  if (!entry) {
+    throw fail(404, 'Không tìm thấy chứng từ đã ghi sổ');
+  }
+  const net = netAmountForAccount(entry, bankAccount.accountCode);
+  if (net !== line.amount) {
+    throw fail(400, `Phát sinh TK ${bankAccount.accountCode} của chứng từ (${net.toLocaleString('vi-VN')}) khác số tiền giao dịch (${line.amount.toLocaleString('vi-VN')})`);
+  }
+
+  const usedBy = await BankStatementLine.findOne({
+    _id: { $ne: line._id },
+    journalEntry: entry._id,
+    status: { $in: LINKED_LINE_STATUSES },
+  }).select('_id').lean();
+  if (usedBy) {
+    throw fail(409, `Chứng từ ${entry.referenceNo} đã khớp với giao dịch sao kê khác`);
+  }
+
+  if (journalEntryId && line.journalEntry && line.journalEntry.toString() !== journalEntryId.toString()) {
+    line.payment = null;
+  }
+  line.status = 'matched';
+  line.matchMethod = 'manual';
+  line.journalEntry = entry._id;
+  line.matchedBy = userId || null;
+  line.matchedAt = new Date();
+  line.note = note;
+  await line.save();
+  return line;
+}
+
+/**
+ * Lập chứng từ mới cho giao dịch chưa có trên sổ (phí ngân hàng, lãi tiền gửi, khách chuyển khoản ngoài hệ thống...)
+ * Tiền vào: Nợ TK ngân hàng / Có accountCode (phiếu thu); tiền ra: Nợ accountCode / Có TK ngân hàng (phiếu chi)
+ * @param {Object} options - { accountCode, memo, userId }
+ * @returns {Object} { line, journalEntry }
+ */
+async function createEntryForLine(line, bankAccount, { accountCode, memo = '', userId = null } = {}) {
+  assertOpen(line);
+
+  if (!accountCode) {
+    throw fail(400, 'Vui lòng chọn tài khoản đối ứng (accountCode)');
+  }
+  if (accountCode === bankAccount.accountCode) {
+    throw fail(400, 'Tài khoản đối ứng phải khác tài khoản ngân hàng');
+  }
+
+  const lockCheck = await checkLockDate(line.transactionDate);
+  if (lockCheck.isLocked) {
+    throw fail(400, lockCheck.message);
+  }
+
+  const amount = Math.abs(line.amount);
+  const isIncome = line.amount > 0;
+  const description = memo || `${line.description}${line.reference ? ` (${line.reference})` : ''}`;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    let journalEntry;
+    try {
+      journalEntry = await postInventoryJournalEntry({
+        prefix: 'NH',
+        date: line.transactionDate,
+        memo: `Sao kê ${bankAccount.name}: ${description}`,
+        entryType: isIncome ? 'receipt' : 'payment', // 'receipt' = Phiếu thu, 'payment' = Phiếu chi
+        lines: [
+          {
+            accountCode: isIncome ? bankAccount.accountCode : accountCode,
+            debit: amount,
+            credit: 0,
+            description,
+          },
+          {
+            accountCode: isIncome ? accountCode : bankAccount.accountCode,
+            debit: 0,
+            credit: amount,
+            description,
+          },
+        ],
+        sourceType: null,
+        userId,
+        session,
+      });
+    } catch (error) {
+      throw fail(400, error.message);
+    }
+
+    line.status = 'matched';
+    line.matchMethod = 'created';
+    line.journalEntry = journalEntry._id;
+    line.matchedBy = userId || null;
+    line.matchedAt = new Date();
+    line.note = memo;
+    await line.save({ session });
+
+    await session.commitTransaction();
+    return { line, journalEntry };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Bỏ qua giao dịch (không cần ghi sổ); vẫn hiện trong báo cáo đối soát như chênh lệch đã giải thích
+ */
+async function ignoreLine(line, { note = '', userId = null } = {}) {
+  assertOpen(line);
+  line.status = 'ignored';
+  line.matchMethod = null;
+  line.matchReason = '';
+  line.journalEntry = null;
+  line.payment = null;
+  line.matchedBy = userId || null;
+  line.matchedAt = new Date();
+  line.note = note;
+  await line.save();
+  return line;
+}
+
+/**
+ * Bỏ khớp / bỏ qua để xử lý lại. Chứng từ đã lập từ giao dịch (matchMethod = created) không bị xóa
+ */
+async function unmatchLine(line) {
+  if (line.status === 'unmatched') return line;
+  line.status = 'unmatched';
+  line.matchMethod = null;
+  line.matchReason = '';
+  line.journalEntry = null;
+  line.payment = null;
+  line.matchedBy = null;
+  line.matchedAt = null;
+  await line.save();
+  return line;
+}
+
+function sumAmount(items) {
+  return items.reduce((sum, item) => sum + item.amount, 0);
+}
+
+/**
+ * Báo cáo đối soát ngân hàng trong kỳ
+ * - Sao kê: số dư đầu / cuối theo cột số dư, tổng thu / chi
+ * - Sổ: số dư TK ngân hàng đầu / cuối kỳ theo chứng từ đã ghi sổ
+ * - Chênh lệch = số dư sao kê - số dư sổ, giải thích bởi giao dịch chỉ có trên sao kê (chưa khớp / bỏ qua)
+ *   và chứng từ chỉ có trên sổ (chưa khớp với giao dịch sao kê nào)
+ * Lưu ý: nếu nhiều BankAccount dùng chung một mã tài khoản, số dư sổ là số dư chung của tài khoản đó
+ */
+async function getReconciliationReport(bankAccount, { startDate, endDate }) {
+  const accountCode = bankAccount.accountCode;
+
+  const lines = await BankStatementLine.find({
+    bankAccount: bankAccount._id,
+    transactionDate: { $gte: startDate, $lte: endDate },
+  })
+    .sort({ transactionDate: 1, _id: 1 })
+    .populate('journalEntry', 'referenceNo date memo')
+    .lean();
+
+  const withBalance = lines.filter((line) => line.balance !== null);
+  const statement = {
+    lineCount: lines.length,
+    totalIn: sumAmount(lines.filter((line) => line.amount > 0)),
+    totalOut: -sumAmount(lines.filter((line) => line.amount < 0)),
+    openingBalance: withBalance.length > 0 ? withBalance[0].balance - withBalance[0].amount : null,
+    closingBalance: withBalance.length > 0 ? withBalance[withBalance.length - 1].balance : null,
+  };
+
+  const ledgerTotals = await JournalEntry.aggregate([
+    { $match: { status: 'posted', 'lines.accountCode': accountCode, date: { $lte: endDate } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.accountCode': accountCode } },
+    {
+      $group: {
+        _id: { $lt: ['$date', startDate] },
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' },
+      },
+    },
+  ]);
+  const before = ledgerTotals.find((t) => t._id === true) || { debit: 0, credit: 0 };
+  const during = ledgerTotals.find((t) => t._id === false) || { debit: 0, credit: 0 };
+  const ledger = {
+    accountCode,
+    openingBalance: before.debit - before.credit,
+    totalIn: during.debit,
+    totalOut: during.credit,
+    closingBalance: before.debit - before.credit + during.debit - during.credit,
+  };
+
+  // Chứng từ trong kỳ chưa khớp với giao dịch sao kê nào (kể cả giao dịch ngoài kỳ)
+  const periodEntries = await JournalEntry.find({
+    status: 'posted',
+    'lines.accountCode': accountCode,
+    date: { $gte: startDate, $lte: endDate },
+  })
+    .select('referenceNo date memo entryType lines')
+    .sort({ date: 1 })
+    .lean();
+  const matchedEntryIds = new Set((await BankStatementLine.distinct('journalEntry', {
+    bankAccount: bankAccount._id,
+    status: 'matched',
+    journalEntry: { $in: periodEntries.map((entry) => entry._id) },
+  })).map(String));
+  const unmatchedEntries = periodEntries
+    .filter((entry) => !matchedEntryIds.has(entry._id.toString()))
+    .map((entry) => ({
+      _id: entry._id,
+      referenceNo: entry.referenceNo,
+      date: entry.date,
+      memo: entry.memo,
+      entryType: entry.entryType,
+      amount: netAmountForAccount(entry, accountCode),
+    }))
+    .filter((entry) => entry.amount !== 0);
+
+  const byStatus = (status) => lines.filter((line) => line.status === status);
+  const openLines = lines.filter((line) => OPEN_LINE_STATUSES.includes(line.status));
+  const ignoredLines = byStatus('ignored');
+
+  const explainedDifference = sumAmount(openLines) + sumAmount(ignoredLines) - sumAmount(unmatchedEntries);
+  const difference = statement.closingBalance !== null ? statement.closingBalance - ledger.closingBalance : null;
+
+  return {
+    bankAccount: {
+      _id: bankAccount._id,
+      name: bankAccount.name,
+      bankName: bankAccount.bankName,
+      bankAccountNumber: bankAccount.bankAccountNumber,
+      accountCode,
+      realBalance: bankAccount.realBalance,
+    },
+    startDate,
+    endDate,
+    statement,
+    ledger,
+    summary: ['matched', 'suggested', 'unmatched', 'ignored'].reduce((acc, status) => {
+      const items = byStatus(status);
+      acc[status] = { count: items.length, amount: sumAmount(items) };
+      return acc;
+    }, {}),
+    difference,
+    explainedDifference,
+    unexplainedDifference: difference !== null ? difference - explainedDifference : null,
+    // Chỉ có trên sao kê (cần ghi sổ hoặc xác nhận gợi ý)
+    unmatchedLines: openLines,
+    ignoredLines,
+    // Chỉ có trên sổ (chưa thấy trên sao kê)
+    unmatchedEntries,
+  };
+}
+
+module.exports = {
+  MATCH_WINDOW_DAYS,
+  importStatement,
+  autoMatchLines,
+  confirmLine,
+  createEntryForLine,
+  ignoreLine,
+  unmatchLine,
+  getReconciliationReport,
+};
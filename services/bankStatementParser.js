@@ -0,0 +1,327 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * Đọc sao kê ngân hàng thành danh sách giao dịch chuẩn hóa
+ * - CSV / Excel (.xlsx) xuất từ internet banking TPBank, Vietcombank...: tự dò dòng tiêu đề theo tên cột
+ *   (các file sao kê thường có vài dòng thông tin tài khoản phía trên bảng giao dịch)
+ * - JSON lịch sử giao dịch Sepay (userapi/transactions/list) hoặc mảng payload webhook Sepay
+ * Mỗi giao dịch: { transactionDate, amount (> 0 tiền vào, < 0 tiền ra), description, reference, balance, externalId, raw }
+ * Ngày giờ trong file được hiểu theo giờ Việt Nam
+ */
+
+const STATEMENT_FORMATS = ['tpbank', 'vietcombank', 'sepay', 'csv'];
+
+const VN_OFFSET_MS = 7 * 60 * 60 * 1000;
+const HEADER_SCAN_ROWS = 30;
+
+// Tên cột đã bỏ dấu, viết thường. Thứ tự trong COLUMN_ALIASES cũng là thứ tự ưu tiên khi gán cột
+const COLUMN_ALIASES = [
+  ['transactionDate', ['ngay giao dich', 'ngay gd', 'transaction date', 'ngay thuc hien', 'ngay hieu luc', 'effective date', 'ngay', 'date']],
+  ['debit', ['so tien ghi no', 'ghi no', 'phat sinh no', 'so tien rut', 'tien ra', 'debit']],
+  ['credit', ['so tien ghi co', 'ghi co', 'phat sinh co', 'so tien gui', 'tien vao', 'credit']],
+  ['balance', ['so du', 'balance']],
+  ['reference', ['so tham chieu', 'ma giao dich', 'ma gd', 'so but toan', 'so ct', 'reference', 'ref no', 'transaction no']],
+  ['description', ['noi dung', 'mo ta', 'dien giai', 'chi tiet giao dich', 'transaction details', 'description', 'remark']],
+  ['amount', ['so tien', 'amount']],
+];
+
+function normalizeText(value) {
+  return (value === null || value === undefined ? '' : String(value))
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function vnDate(year, month, day, hour = 0, minute = 0, second = 0) {
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second) - VN_OFFSET_MS);
+}
+
+/**
+ * Đọc số tiền kiểu "1.234.567", "1,234,567", "1.234.567,00", "2277000.00", "(50.000)", "-50,000 VND"
+ */
+function parseAmount(value) {
+  if (value === null || value === undefined || value === '') return 0;
+  if (typeof value === 'number') return Math.round(value);
+
+  let text = String(value).trim();
+  const negative = /^-|^\(.*\)$/.test(text);
+  text = text.replace(/[^\d.,]/g, '');
+  if (!text) return 0;
+
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+  let decimalSeparator = null;
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimalSeparator = lastDot > lastComma ? '.' : ',';
+  } else {
+    const separator = lastDot !== -1 ? '.' : (lastComma !== -1 ? ',' : null);
+    // Một dấu phân cách duy nhất không theo sau bởi đúng 3 chữ số -> là dấu thập phân
+    if (separator && text.split(separator).length === 2 && text.length - text.lastIndexOf(separator) - 1 !== 3) {
+      decimalSeparator = separator;
+    }
+  }
+
+  let normalized = text;
+  if (decimalSeparator) {
+    const thousandSeparator = decimalSeparator === '.' ? ',' : '.';
+    normalized = text.split(thousandSeparator).join('').replace(decimalSeparator, '.');
+  } else {
+    normalized = text.replace(/[.,]/g, '');
+  }
+
+  const amount = Math.round(parseFloat(normalized));
+  if (Number.isNaN(amount)) return 0;
+  return negative ? -amount : amount;
+}
+
+/**
+ * Đọc ngày: Date (ô Excel), "dd/mm/yyyy[ hh:mm[:ss]]", "dd-mm-yyyy", "yyyy-mm-dd[ hh:mm:ss]"
+ * @returns {Date|null}
+ */
+function parseDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  // ExcelJS trả ngày theo giờ "đồng hồ" lưu trong file dưới dạng UTC
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return new Date(value.getTime() - VN_OFFSET_MS);
+  }
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (match) {
+    const [, day, month, year, hour = 0, minute = 0, second = 0] = match;
+    return vnDate(+year, +month, +day, +hour, +minute, +second);
+  }
+
+  match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (match) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+    return vnDate(+year, +month, +day, +hour, +minute, +second);
+  }
+
+  return null;
+}
+
+function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/).slice(0, HEADER_SCAN_ROWS).join('\n');
+  const counts = [',', ';', '\t'].map((delimiter) => [delimiter, sample.split(delimiter).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+/**
+ * Tách CSV có ngoặc kép ("..." và "" bên trong ô)
+ * @returns {Array<Array<String>>}
+ */
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(content);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellValue(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+    if (value.text !== undefined) return cellValue(value.text);
+    return '';
+  }
+  return value;
+}
+
+async function readExcelRows(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  // Lấy sheet đầu tiên có bảng giao dịch nhận diện được
+  for (const worksheet of workbook.worksheets) {
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row) => {
+      // row.values bắt đầu từ index 1
+      rows.push(row.values.slice(1).map(cellValue));
+    });
+    if (findHeader(rows)) return rows;
+  }
+  return [];
+}
+
+/**
+ * Dò dòng tiêu đề: dòng đầu tiên có cột ngày và cột số tiền (ghi nợ/ghi có hoặc số tiền)
+ * @returns {Object|null} { index, columns: { transactionDate, debit, credit, amount, balance, reference, description } }
+ */
+function findHeader(rows) {
+  for (let index = 0; index < Math.min(rows.length, HEADER_SCAN_ROWS); index++) {
+    const headers = rows[index].map((cell) => normalizeText(cell instanceof Date ? '' : cell));
+    const columns = {};
+    const used = new Set();
+
+    COLUMN_ALIASES.forEach(([key, aliases]) => {
+      for (const alias of aliases) {
+        // Tiêu đề song ngữ: "Số tiền ghi nợ/Debit", "Ngày giao dịch\nTransaction date"
+        const column = headers.findIndex((header, i) => !used.has(i) &&
+          header.split(/[/\n()]/).some((part) => part.trim() === alias || part.trim().startsWith(`${alias} `)));
+        if (column !== -1) {
+          columns[key] = column;
+          used.add(column);
+          break;
+        }
+      }
+    });
+
+    const hasAmount = (columns.debit !== undefined && columns.credit !== undefined) || columns.amount !== undefined;
+    if (columns.transactionDate !== undefined && hasAmount) {
+      return { index, columns };
+    }
+  }
+  return null;
+}
+
+function rowsToTransactions(rows) {
+  const header = findHeader(rows);
+  if (!header) {
+    throw new Error('Không tìm thấy dòng tiêu đề sao kê (cần cột Ngày giao dịch và Ghi nợ/Ghi có hoặc Số tiền)');
+  }
+
+  const { columns } = header;
+  const get = (row, key) => (columns[key] !== undefined ? row[columns[key]] : '');
+  const transactions = [];
+
+  rows.slice(header.index + 1).forEach((row) => {
+    // Dòng tổng cộng / chân trang không có ngày hợp lệ
+    const transactionDate = parseDate(get(row, 'transactionDate'));
+    if (!transactionDate) return;
+
+    const amount = columns.amount !== undefined && columns.debit === undefined
+      ? parseAmount(get(row, 'amount'))
+      : Math.abs(parseAmount(get(row, 'credit'))) - Math.abs(parseAmount(get(row, 'debit')));
+    if (!amount) return;
+
+    const balance = columns.balance !== undefined && get(row, 'balance') !== '' ? parseAmount(get(row, 'balance')) : null;
+    transactions.push({
+      transactionDate,
+      amount,
+      description: String(get(row, 'description') || '').trim(),
+      reference: String(get(row, 'reference') || '').trim(),
+      balance,
+      externalId: '',
+      raw: row.map((cell) => (cell instanceof Date ? cell.toISOString() : cell)),
+    });
+  });
+
+  return transactions;
+}
+
+/**
+ * JSON Sepay: { transactions: [...] } (userapi/transactions/list), mảng giao dịch, hoặc mảng payload webhook
+ */
+function parseSepayJson(buffer) {
+  let data;
+  try {
+    data = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error('File JSON Sepay không hợp lệ');
+  }
+
+  const items = Array.isArray(data) ? data : (data.transactions || data.data || []);
+  if (!Array.isArray(items)) {
+    throw new Error('File JSON Sepay không có danh sách giao dịch');
+  }
+
+  return items.map((item) => {
+    let amount;
+    if (item.transferType !== undefined) {
+      // Payload webhook: transferType in/out + transferAmount
+      amount = (item.transferType === 'out' ? -1 : 1) * Math.abs(parseAmount(item.transferAmount));
+    } else {
+      amount = parseAmount(item.amount_in) - parseAmount(item.amount_out);
+    }
+
+    const accumulated = item.accumulated !== undefined ? item.accumulated : item.accumulated_balance;
+    return {
+      transactionDate: parseDate(item.transaction_date || item.transactionDate),
+      amount,
+      description: String(item.transaction_content || item.content || item.description || '').trim(),
+      reference: String(item.reference_number || item.referenceCode || '').trim(),
+      balance: accumulated !== undefined && accumulated !== null && accumulated !== '' ? parseAmount(accumulated) : null,
+      externalId: item.id !== undefined && item.id !== null ? String(item.id) : '',
+      raw: item,
+    };
+  }).filter((transaction) => transaction.transactionDate && transaction.amount);
+}
+
+/**
+ * @param {Buffer} buffer - Nội dung file
+ * @param {Object} options - { fileName, format: tpbank | vietcombank | sepay | csv (mặc định đoán theo đuôi file) }
+ * @returns {Object} { format, transactions } - transactions sắp xếp theo thời gian
+ */
+async function parseStatement(buffer, { fileName = '', format } = {}) {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  const resolvedFormat = format || (extension === 'json' ? 'sepay' : 'csv');
+  if (!STATEMENT_FORMATS.includes(resolvedFormat)) {
+    throw new Error(`Định dạng sao kê không hợp lệ. Hợp lệ: ${STATEMENT_FORMATS.join(', ')}`);
+  }
+
+  let transactions;
+  if (resolvedFormat === 'sepay') {
+    transactions = parseSepayJson(buffer);
+  } else if (extension === 'xlsx') {
+    transactions = rowsToTransactions(await readExcelRows(buffer));
+  } else if (extension === 'xls') {
+    throw new Error('File .xls (Excel 97-2003) chưa được hỗ trợ, vui lòng lưu lại dạng .xlsx hoặc .csv');
+  } else {
+    transactions = rowsToTransactions(parseCsv(buffer.toString('utf8')));
+  }
+
+  transactions.sort((a, b) => a.transactionDate - b.transactionDate);
+  return { format: resolvedFormat, transactions };
+}
+
+module.exports = {
+  STATEMENT_FORMATS,
+  parseStatement,
+  parseAmount,
+  parseDate,
+  parseCsv,
+};
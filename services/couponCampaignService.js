@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponCampaign = require('../models/CouponCampaign');
+const { validateCouponDefinition, parseCouponDate } = require('./couponUsageService');
+
+/**
+ * Chiến dịch coupon: sinh hàng loạt mã dùng một lần, xuất CSV, thống kê lượt dùng
+ */
+
+// Bỏ các ký tự dễ nhầm khi khách tự gõ mã (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const MAX_CAMPAIGN_QUANTITY = 20000;
+const INSERT_BATCH_SIZE = 1000;
+// Khớp maxLength của Coupon.coupon
+const MAX_CODE_LENGTH = 32;
+const MAX_GENERATE_ROUNDS = 10;
+
+function fail(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  throw error;
+}
+
+function randomCode(prefix, length) {
+  let code = prefix;
+  for (const byte of crypto.randomBytes(length)) {
+    code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+/**
+ * Sinh đủ số mã còn thiếu của chiến dịch; mã trùng (unique index) được sinh lại ở vòng sau
+ * @returns {Number} số mã đã sinh thêm
+ */
+async function generateCodes(campaign) {
+  const template = {
+    discountType: campaign.discountType,
+    discount: campaign.discount,
+    maxDiscount: campaign.maxDiscount,
+    minOrderValue: campaign.minOrderValue,
+    applicableCategories: campaign.applicableCategories,
+    applicableProducts: campaign.applicableProducts,
+    firstOrderOnly: campaign.firstOrderOnly,
+    startDate: campaign.startDate,
+    endDate: campaign.endDate,
+    globalUsageLimit: campaign.usageLimitPerCode,
+    perUserUsageLimit: campaign.perUserUsageLimit,
+    campaign: campaign._id,
+  };
+
+  let generated = 0;
+  for (let round = 0; round < MAX_GENERATE_ROUNDS && campaign.generatedCount + generated < campaign.quantity; round++) {
+    let remaining = campaign.quantity - campaign.generatedCount - generated;
+    while (remaining > 0) {
+      const batchSize = Math.min(remaining, INSERT_BATCH_SIZE);
+      const codes = new Set();
+      while (codes.size < batchSize) codes.add(randomCode(campaign.prefix, campaign.codeLength));
+
+      let inserted;
+      try {
+        inserted = (await Coupon.insertMany(
+          [...codes].map((code) => ({ ...template, coupon: code })),
+          { ordered: false }
+        )).length;
+      } catch (error) {
+        const writeErrors = error.writeErrors || [];
+        if (writeErrors.length === 0 || writeErrors.some((e) => (e.code || (e.err && e.err.code)) !== 11000)) {
+          throw error;
+        }
+        inserted = (error.insertedDocs || []).length;
+      }
+
+      generated += inserted;
+      remaining -= batchSize;
+    }
+  }
+
+  if (generated > 0) {
+    await CouponCampaign.updateOne({ _id: campaign._id }, { $inc: { generatedCount: generated } });
+    campaign.generatedCount += generated;
+  }
+  return generated;
+}
+
+/**
+ * Tạo chiến dịch và sinh mã
+ * @param {Object} data - { name, description, prefix, quantity, codeLength, discountType, discount, maxDiscount, minOrderValue,
+ *   applicableCategories, applicableProducts, firstOrderOnly, startDate, endDate, usageLimitPerCode, perUserUsageLimit }
+ * @returns {Document} campaign
+ */
+async function createCampaign(data, { userId = null } = {}) {
+  const name = (data.name || '').toString().trim();
+  const prefix = (data.prefix || '').toString().trim().toUpperCase();
+  const quantity = Number(data.quantity);
+  const codeLength = data.codeLength != null && data.codeLength !== '' ? Number(data.codeLength) : 8;
+
+  if (!name) fail(400, 'Vui lòng nhập tên chiến dịch');
+  if (!/^[A-Z0-9]{2,12}$/.test(prefix)) fail(400, 'Tiền tố mã gồm 2-12 chữ cái / chữ số');
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_CAMPAIGN_QUANTITY) {
+    fail(400, `Số lượng mã phải từ 1 đến ${MAX_CAMPAIGN_QUANTITY}`);
+  }
+  if (!Number.isInteger(codeLength) || codeLength < 6 || codeLength > 16) {
+    fail(400, 'Độ dài phần ngẫu nhiên của mã phải từ 6 đến 16 ký tự');
+  }
+  if (prefix.length + codeLength > MAX_CODE_LENGTH) {
+    fail(400, `Mã (tiền tố + phần ngẫu nhiên) không dài quá ${MAX_CODE_LENGTH} ký tự`);
+  }
+
+  const startDate = parseCouponDate(data.startDate);
+  const endDate = parseCouponDate(data.endDate, { endOfDay: true });
+  if (!startDate || !endDate) fail(400, 'Ngày bắt đầu / kết thúc không hợp lệ');
+  if (endDate <= startDate) fail(400, 'Ngày kết thúc phải sau ngày bắt đầu');
+
+  const rules = {
+    discountType: data.discountType || 'percent',
+    discount: Number(data.discount) || 0,
+    maxDiscount: data.maxDiscount === '' || data.maxDiscount == null ? null : Number(data.maxDiscount),
+    minOrderValue: Number(data.minOrderValue) || 0,
+    applicableCategories: data.applicableCategories || [],
+    applicableProducts: data.applicableProducts || [],
+    firstOrderOnly: data.firstOrderOnly === true || data.firstOrderOnly === 'true',
+  };
+  if (rules.applicableProducts.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    fail(400, 'Sản phẩm áp dụng không hợp lệ');
+  }
+  const definitionOk = validateCouponDefinition(rules);
+  if (!definitionOk.ok) fail(400, definitionOk.message);
+
+  const usageLimitPerCode = data.usageLimitPerCode != null && data.usageLimitPerCode !== '' ? Number(data.usageLimitPerCode) : 1;
+  const perUserUsageLimit = data.perUserUsageLimit != null && data.perUserUsageLimit !== '' ? Number(data.perUserUsageLimit) : 1;
+  if (!Number.isInteger(usageLimitPerCode) || usageLimitPerCode < 1) fail(400, 'Số lượt dùng mỗi mã phải >= 1');
+  if (!Number.isInteger(perUserUsageLimit) || perUserUsageLimit < 1) fail(400, 'Số lượt / user phải >= 1');
+
+  const campaign = await CouponCampaign.create({
+    ...rules,
+    name,
+    description: data.description || '',
+    prefix,
+    codeLength,
+    quantity,
+    startDate,
+    endDate,
+    usageLimitPerCode,
+    perUserUsageLimit,
+    createdBy: userId || null,
+  });
+
+  const generated = await generateCodes(campaign);
+  console.log(`🎟️ Chiến dịch coupon ${campaign.name}: đã sinh ${generated}/${quantity} mã`);
+  return campaign;
+}
+
+/**
+ * Sinh tiếp phần mã còn thiếu (khi lần tạo trước bị gián đoạn)
+ */
+async function topUpCampaign(campaignId) {
+  const campaign = await CouponCampaign.findById(campaignId);
+  if (!campaign) fail(404, 'Không tìm thấy chiến dịch');
+  const generated = await generateCodes(campaign);
+  return { campaign, generated };
+}
+
+/**
+ * Thống kê lượt dùng của chiến dịch từ Coupon.usedCount / reservedCount / userStats
+ */
+async function getCampaignReport(campaignId) {
+  const [result] = await Coupon.aggregate([
+    { $match: { campaign: new mongoose.Types.ObjectId(campaignId) } },
+    {
+      $facet: {
+        codes: [
+          {
+            $group: {
+              _id: null,
+              totalCodes: { $sum: 1 },
+              redeemedCodes: { $sum: { $cond: [{ $gt: ['$usedCount', 0] }, 1, 0] } },
+              reservedCodes: { $sum: { $cond: [{ $gt: ['$reservedCount', 0] }, 1, 0] } },
+              totalRedemptions: { $sum: '$usedCount' },
+              totalReserved: { $sum: '$reservedCount' },
+            },
+          },
+        ],
+        users: [
+          { $unwind: '$userStats' },
+          { $match: { 'userStats.usedCount': { $gt: 0 } } },
+          { $group: { _id: '$userStats.user', redemptions: { $sum: '$userStats.usedCount' } } },
+          {
+            $group: {
+              _id: null,
+              uniqueUsers: { $sum: 1 },
+              repeatUsers: { $sum: { $cond: [{ $gt: ['$redemptions', 1] }, 1, 0] } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const codes = (result && result.codes[0]) || {};
+  const users = (result && result.users[0]) || {};
+  const totalCodes = codes.totalCodes || 0;
+  const redeemedCodes = codes.redeemedCodes || 0;
+
+  return {
+    totalCodes,
+    redeemedCodes,
+    reservedCodes: codes.reservedCodes || 0,
+    unusedCodes: totalCodes - redeemedCodes,
+    totalRedemptions: codes.totalRedemptions || 0,
+    totalReserved: codes.totalReserved || 0,
+    uniqueUsers: users.uniqueUsers || 0,
+    repeatUsers: users.repeatUsers || 0,
+    redemptionRate: totalCodes > 0 ? Math.round((redeemedCodes / totalCodes) * 10000) / 100 : 0,
+  };
+}
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function codeStatus(coupon, now) {
+  if ((coupon.usedCount || 0) >= (coupon.globalUsageLimit || 1)) return 'redeemed';
+  if (coupon.endDate && coupon.endDate < now) return 'expired';
+  if ((coupon.reservedCount || 0) > 0) return 'reserved';
+  return (coupon.usedCount || 0) > 0 ? 'partially_redeemed' : 'unused';
+}
+
+/**
+ * Xuất danh sách mã của chiến dịch dạng CSV
+ * @returns {Object} { campaign, csv }
+ */
+async function exportCampaignCsv(campaignId) {
+  const campaign = await CouponCampaign.findById(campaignId).lean();
+  if (!campaign) fail(404, 'Không tìm thấy chiến dịch');
+
+  const now = new Date();
+  const rows = [['code', 'status', 'used_count', 'reserved_count', 'usage_limit', 'start_date', 'end_date']];
+  const cursor = Coupon.find({ campaign: campaign._id })
+    .select('coupon usedCount reservedCount globalUsageLimit startDate endDate')
+    .sort({ coupon: 1 })
+    .lean()
+    .cursor();
+
+  for await (const coupon of cursor) {
+    rows.push([
+      coupon.coupon,
+      codeStatus(coupon, now),
+      coupon.usedCount || 0,
+      coupon.reservedCount || 0,
+      coupon.globalUsageLimit,
+      coupon.startDate ? coupon.startDate.toISOString() : '',
+      coupon.endDate ? coupon.endDate.toISOString() : '',
+    ]);
+  }
+
+  return { campaign, csv: rows.map((row) => row.map(csvCell).join(',')).join('\n') + '\n' };
+}
+
+module.exports = {
+  MAX_CAMPAIGN_QUANTITY,
+  createCampaign,
+  topUpCampaign,
+  getCampaignReport,
+  exportCampaignCsv,
+};
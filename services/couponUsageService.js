@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+
+const COUPON_TYPES = ['percent', 'fixed', 'free_shipping'];
+
+const VN_OFFSET_MS = 7 * 60 * 60 * 1000;
 
 function parseDateSafe(dateStr) {
   if (!dateStr) return null;
@@ -7,6 +13,21 @@ function parseDateSafe(dateStr) {
   return Number.isNaN(d.getTime()) ? null : d;
 }
 
+/**
+ * Ngày hiệu lực của coupon: YYYY-MM-DD tính theo giờ Việt Nam (đầu ngày, hoặc cuối ngày khi endOfDay),
+ * giá trị khác (Date, ISO có giờ) giữ nguyên thời điểm
+ * @returns {Date|null}
+ */
+function parseCouponDate(value, { endOfDay = false } = {}) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  const match = (value || '').toString().trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return parseDateSafe(value);
+
+  const [, year, month, day] = match.map(Number);
+  const startOfDay = Date.UTC(year, month - 1, day) - VN_OFFSET_MS;
+  return new Date(endOfDay ? startOfDay + 24 * 60 * 60 * 1000 - 1 : startOfDay);
+}
+
 function normalizeCode(code) {
   return (code || '').toString().trim().toUpperCase();
 }
@@ -27,19 +48,142 @@ function ensureUserStat(couponDoc, userId) {
   return created;
 }
 
-function validateCouponDoc(couponDoc) {
+function formatVnd(amount) {
+  return `${Math.round(amount).toLocaleString('vi-VN')}đ`;
+}
+
+/**
+ * Kiểm tra cấu hình coupon (loại, mức giảm, giới hạn) - không phụ thuộc thời gian / đơn hàng
+ * Dùng khi tạo / sửa coupon và khi áp dụng
+ */
+function validateCouponDefinition(couponDoc) {
+  const type = couponDoc.discountType || 'percent';
+  if (!COUPON_TYPES.includes(type)) {
+    return { ok: false, message: `Loại giảm giá không hợp lệ. Hợp lệ: ${COUPON_TYPES.join(', ')}` };
+  }
+
+  const discount = Number(couponDoc.discount);
+  if (type === 'percent' && !(discount > 0 && discount <= 100)) {
+    return { ok: false, message: 'Giảm giá theo phần trăm phải lớn hơn 0 và không quá 100%.' };
+  }
+  if (type === 'fixed' && !(discount > 0)) {
+    return { ok: false, message: 'Số tiền giảm phải lớn hơn 0.' };
+  }
+
+  if (couponDoc.maxDiscount != null && !(Number(couponDoc.maxDiscount) >= 0)) {
+    return { ok: false, message: 'Số tiền giảm tối đa phải >= 0.' };
+  }
+  if (couponDoc.minOrderValue != null && !(Number(couponDoc.minOrderValue) >= 0)) {
+    return { ok: false, message: 'Giá trị đơn hàng tối thiểu phải >= 0.' };
+  }
+  return { ok: true };
+}
+
+function isScoped(couponDoc) {
+  return (couponDoc.applicableCategories || []).length > 0 || (couponDoc.applicableProducts || []).length > 0;
+}
+
+function isItemEligible(couponDoc, item) {
+  if (!isScoped(couponDoc)) return true;
+  const productId = ((item.product && item.product._id) || item.product || '').toString();
+  const inProducts = (couponDoc.applicableProducts || []).some((id) => id.toString() === productId);
+  const inCategories = !!item.category && (couponDoc.applicableCategories || []).includes(item.category);
+  return inProducts || inCategories;
+}
+
+function getSubtotal(items) {
+  return (items || []).reduce((sum, item) => sum + (Number(item.price) || 0) * (Number(item.quantity) || 0), 0);
+}
+
+/**
+ * Tổng tiền hàng thuộc phạm vi áp dụng của coupon
+ * @param {Array} items - [{ product, category, price, quantity }]
+ */
+function getEligibleSubtotal(couponDoc, items) {
+  return getSubtotal((items || []).filter((item) => isItemEligible(couponDoc, item)));
+}
+
+/**
+ * Kiểm tra coupon còn hiệu lực và (nếu có order) đơn hàng đủ điều kiện áp dụng
+ * @param {Object} order - { items: [{ product, category, price, quantity }], isFirstOrder } - bỏ trống khi chỉ kiểm tra coupon
+ *   (giữ chỗ / commit lượt dùng: điều kiện đơn hàng đã kiểm tra lúc báo giá)
+ */
+function validateCouponDoc(couponDoc, order = null) {
   const now = new Date();
   const start = parseDateSafe(couponDoc.startDate);
   const end = parseDateSafe(couponDoc.endDate);
   if (!start || !end) return { ok: false, message: 'Coupon có ngày bắt đầu/kết thúc không hợp lệ.' };
   if (now < start) return { ok: false, message: 'Mã giảm giá chưa có hiệu lực.' };
   if (now > end) return { ok: false, message: 'Mã giảm giá đã hết hạn.' };
-  if (couponDoc.discount == null || couponDoc.discount <= 0 || couponDoc.discount > 100) {
-    return { ok: false, message: 'Coupon có mức giảm giá không hợp lệ.' };
+
+  const definitionOk = validateCouponDefinition(couponDoc);
+  if (!definitionOk.ok) return { ok: false, message: 'Coupon có mức giảm giá không hợp lệ.' };
+
+  if (order) {
+    const minOrderValue = Number(couponDoc.minOrderValue) || 0;
+    if (minOrderValue > 0 && getSubtotal(order.items) < minOrderValue) {
+      return { ok: false, message: `Đơn hàng tối thiểu ${formatVnd(minOrderValue)} để áp dụng mã này.` };
+    }
+    if (isScoped(couponDoc) && getEligibleSubtotal(couponDoc, order.items) <= 0) {
+      return { ok: false, message: 'Mã giảm giá không áp dụng cho sản phẩm trong giỏ hàng.' };
+    }
+    if (couponDoc.firstOrderOnly && !order.isFirstOrder) {
+      return { ok: false, message: 'Mã giảm giá chỉ áp dụng cho đơn hàng đầu tiên.' };
+    }
   }
+
   return { ok: true };
 }
 
+/**
+ * Số tiền giảm trên tiền hàng (percent / fixed), làm tròn VND
+ */
+function calculateCouponDiscount(couponDoc, items) {
+  const eligibleSubtotal = getEligibleSubtotal(couponDoc, items);
+  const type = couponDoc.discountType || 'percent';
+  let discount = 0;
+
+  if (type === 'percent') {
+    discount = eligibleSubtotal * Number(couponDoc.discount || 0) / 100;
+  } else if (type === 'fixed') {
+    discount = Number(couponDoc.discount || 0);
+  }
+
+  if (couponDoc.maxDiscount != null) discount = Math.min(discount, Number(couponDoc.maxDiscount));
+  return Math.round(Math.max(0, Math.min(discount, eligibleSubtotal)));
+}
+
+/**
+ * Số tiền giảm trên phí giao hàng (free_shipping), tối đa maxDiscount nếu có
+ */
+function calculateShippingDiscount(couponDoc, shippingFee) {
+  if (!couponDoc || couponDoc.discountType !== 'free_shipping') return 0;
+  let discount = Number(shippingFee) || 0;
+  if (couponDoc.maxDiscount != null) discount = Math.min(discount, Number(couponDoc.maxDiscount));
+  return Math.round(Math.max(0, discount));
+}
+
+/**
+ * Bổ sung danh mục cho các dòng hàng (giỏ hàng không lưu category)
+ */
+async function withCategories(items) {
+  const missing = items.filter((item) => item.category === undefined);
+  if (missing.length === 0) return items;
+
+  const productIds = missing.map((item) => (item.product && item.product._id) || item.product);
+  const products = await Product.find({ _id: { $in: productIds } }).select('category').lean();
+  const categoryMap = new Map(products.map((p) => [p._id.toString(), p.category]));
+  return items.map((item) => (item.category !== undefined ? item : {
+    ...item,
+    category: categoryMap.get(((item.product && item.product._id) || item.product).toString()) || null,
+  }));
+}
+
+async function isFirstOrder(userId) {
+  if (!userId) return false;
+  return !(await Order.exists({ user: userId, status: { $ne: 'cancelled' } }));
+}
+
 function validateLimits(couponDoc, userId, { includeReserved = true } = {}) {
   const globalLimit = couponDoc.globalUsageLimit;
   const perUserLimit = couponDoc.perUserUsageLimit;
@@ -75,18 +219,67 @@ async function loadCouponByCode(code, session = null) {
 
 /**
  * Validate coupon for applying on cart (does NOT reserve/commit)
+ * @param {Object} params - { code, userId, items: [{ product, category, price, quantity }] }
+ * @returns {Object} { ok, message, coupon, discount } - discount là số tiền giảm trên tiền hàng khi có items
  */
-async function validateForCart({ code, userId }) {
+async function validateForCart({ code, userId, items = null }) {
   const couponDoc = await loadCouponByCode(code);
   if (!couponDoc) return { ok: false, message: 'Mã giảm giá không hợp lệ.' };
 
-  const dateOk = validateCouponDoc(couponDoc);
-  if (!dateOk.ok) return dateOk;
+  let order = null;
+  if (items) {
+    order = {
+      items: isScoped(couponDoc) ? await withCategories(items) : items,
+      isFirstOrder: couponDoc.firstOrderOnly ? await isFirstOrder(userId) : true,
+    };
+  }
+
+  const couponOk = validateCouponDoc(couponDoc, order);
+  if (!couponOk.ok) return couponOk;
 
   const limitOk = validateLimits(couponDoc, userId, { includeReserved: true });
   if (!limitOk.ok) return limitOk;
 
-  return { ok: true, coupon: couponDoc };
+  return {
+    ok: true,
+    coupon: couponDoc,
+    discount: order ? calculateCouponDiscount(couponDoc, order.items) : 0,
+  };
+}
+
+/**
+ * Tính lại giảm giá của giỏ hàng theo coupon đang áp - gọi trước cart.save() mỗi khi giỏ thay đổi
+ * Coupon không còn đủ điều kiện (hết hạn, chưa đạt giá trị tối thiểu...) vẫn giữ trên giỏ nhưng không giảm, lý do ở couponMessage
+ * @returns {Object} kết quả validateForCart ({ ok: true } khi giỏ không có coupon)
+ */
+async function refreshCartCoupon(cart) {
+  cart.discount = 0;
+  cart.discountAmount = 0;
+  cart.discountType = '';
+  cart.freeShipping = false;
+  cart.couponMessage = '';
+
+  const code = normalizeCode(cart.coupon);
+  if (!code) return { ok: true };
+
+  const items = (cart.products || []).map((item) => ({
+    product: item.product,
+    price: item.price,
+    quantity: item.quantity,
+  }));
+  const result = await validateForCart({ code, userId: cart.user, items });
+  if (!result.ok) {
+    cart.couponMessage = result.message;
+    return result;
+  }
+
+  const type = result.coupon.discountType || 'percent';
+  cart.discountType = type;
+  cart.discountAmount = result.discount;
+  cart.freeShipping = type === 'free_shipping';
+  // Client cũ đọc discount là % giảm
+  if (type === 'percent') cart.discount = Number(result.coupon.discount || 0);
+  return result;
 }
 
 /**
@@ -160,8 +353,16 @@ async function releaseReservation({ code, userId, session }) {
 }
 
 module.exports = {
+  COUPON_TYPES,
   normalizeCode,
+  parseCouponDate,
+  validateCouponDefinition,
+  validateCouponDoc,
+  calculateCouponDiscount,
+  calculateShippingDiscount,
   validateForCart,
+  refreshCartCoupon,
+  isFirstOrder,
   reserveForOrder,
   commitForPaidOrder,
   releaseReservation,
@@ -0,0 +1,200 @@
+const DeliverySlot = require('../models/DeliverySlot');
+const DeliverySlotLoad = require('../models/DeliverySlotLoad');
+const Order = require('../models/Order');
+
+// Giờ Việt Nam (UTC+7, không có giờ mùa hè)
+const VN_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+// Số ngày tối đa được đặt trước
+const MAX_BOOKING_DAYS = 14;
+
+/**
+ * Ngày theo giờ Việt Nam dạng YYYY-MM-DD
+ */
+function toVnDateString(date = new Date()) {
+  return new Date(new Date(date).getTime() + VN_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function getSlotStart(slot, dateStr) {
+  return new Date(`${dateStr}T${slot.startTime}:00+07:00`);
+}
+
+function getCapacity(slot, dateStr) {
+  const override = (slot.capacityOverrides || []).find((o) => o.date === dateStr);
+  return override ? override.capacity : slot.capacity;
+}
+
+/**
+ * Tình trạng một khung giờ trong một ngày
+ * reason: 'closed_day' (không giao ngày này), 'cutoff_passed' (quá giờ chốt đơn), 'full' (hết chỗ)
+ */
+function getSlotAvailability(slot, dateStr, reserved = 0, now = new Date()) {
+  const capacity = getCapacity(slot, dateStr);
+  const cutoffAt = new Date(getSlotStart(slot, dateStr).getTime() - (slot.cutoffMinutes || 0) * 60 * 1000);
+  const dayOfWeek = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+
+  let reason = null;
+  if (!(slot.daysOfWeek || []).includes(dayOfWeek)) reason = 'closed_day';
+  else if (now >= cutoffAt) reason = 'cutoff_passed';
+  else if (reserved >= capacity) reason = 'full';
+
+  return {
+    code: slot.code,
+    label: slot.label,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    date: dateStr,
+    capacity,
+    reserved,
+    remaining: Math.max(0, capacity - reserved),
+    cutoffAt,
+    available: !reason,
+    reason,
+  };
+}
+
+async function loadReservedMap(dates, session = null) {
+  const loads = await DeliverySlotLoad.find({ date: { $in: dates } }).session(session).lean();
+  return new Map(loads.map((l) => [`${l.slotCode}|${l.date}`, l.reserved]));
+}
+
+/**
+ * Danh sách khung giờ trong N ngày tới (tính từ hôm nay, giờ Việt Nam)
+ * @returns {Array} [{ date, slots: [...] }]
+ */
+async function listAvailableSlots({ days = 7, now = new Date() } = {}) {
+  await DeliverySlot.ensureDefaults();
+  const numDays = Math.min(Math.max(parseInt(days, 10) || 7, 1), MAX_BOOKING_DAYS);
+
+  const slots = await DeliverySlot.find({ isActive: true }).sort({ sortOrder: 1, startTime: 1 }).lean();
+  const today = toVnDateString(now);
+  const dates = Array.from({ length: numDays }, (_, i) => addDays(today, i));
+  const reservedMap = await loadReservedMap(dates);
+
+  return dates.map((date) => ({
+    date,
+    slots: slots.map((slot) => getSlotAvailability(slot, date, reservedMap.get(`${slot.code}|${date}`) || 0, now)),
+  }));
+}
+
+/**
+ * Giữ chỗ một khung giờ cho đơn hàng (gọi trong transaction checkout)
+ * Không truyền date: chọn ngày gần nhất còn chỗ trong MAX_BOOKING_DAYS ngày
+ * @returns {Object} { ok, message, date, slot }
+ */
+async function reserveSlot({ code, date, now = new Date(), session = null }) {
+  await DeliverySlot.ensureDefaults();
+  const slot = await DeliverySlot.findOne({ code, isActive: true }).session(session).lean();
+  if (!slot) {
+    return { ok: false, message: 'Khung giờ giao hàng không hợp lệ' };
+  }
+
+  const today = toVnDateString(now);
+  let deliveryDate = date;
+  if (!deliveryDate) {
+    const dates = Array.from({ length: MAX_BOOKING_DAYS }, (_, i) => addDays(today, i));
+    const reservedMap = await loadReservedMap(dates, session);
+    deliveryDate = dates.find((d) => getSlotAvailability(slot, d, reservedMap.get(`${slot.code}|${d}`) || 0, now).available);
+    if (!deliveryDate) {
+      return { ok: false, message: `Khung giờ ${slot.label} đã kín lịch trong ${MAX_BOOKING_DAYS} ngày tới` };
+    }
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(deliveryDate) || deliveryDate < today || deliveryDate > addDays(today, MAX_BOOKING_DAYS - 1)) {
+    return { ok: false, message: `Ngày giao hàng phải trong ${MAX_BOOKING_DAYS} ngày tới (YYYY-MM-DD)` };
+  }
+
+  const availability = getSlotAvailability(slot, deliveryDate, 0, now);
+  if (availability.reason === 'closed_day') {
+    return { ok: false, message: `Không giao khung giờ ${slot.label} vào ngày ${deliveryDate}` };
+  }
+  if (availability.reason === 'cutoff_passed') {
+    return { ok: false, message: `Đã quá giờ chốt đơn cho khung giờ ${slot.label} ngày ${deliveryDate}` };
+  }
+
+  // Tăng có điều kiện để không vượt sức chứa khi nhiều đơn checkout cùng lúc
+  await DeliverySlotLoad.updateOne(
+    { slotCode: slot.code, date: deliveryDate },
+    { $setOnInsert: { reserved: 0 } },
+    { upsert: true, session }
+  );
+  const load = await DeliverySlotLoad.findOneAndUpdate(
+    { slotCode: slot.code, date: deliveryDate, reserved: { $lt: availability.capacity } },
+    { $inc: { reserved: 1 } },
+    { new: true, session }
+  );
+  if (!load) {
+    return { ok: false, message: `Khung giờ ${slot.label} ngày ${deliveryDate} đã đủ đơn` };
+  }
+
+  return { ok: true, date: deliveryDate, slot };
+}
+
+/**
+ * Trả chỗ đã giữ (đơn bị hủy)
+ */
+async function releaseSlot({ code, date, session = null }) {
+  await DeliverySlotLoad.updateOne(
+    { slotCode: code, date, reserved: { $gt: 0 } },
+    { $inc: { reserved: -1 } },
+    { session }
+  );
+}
+
+/**
+ * Tải theo khung giờ trong khoảng ngày: sức chứa, đã giữ chỗ và số đơn theo trạng thái
+ * @param {Object} params - { from, to } dạng YYYY-MM-DD
+ */
+async function getSlotLoad({ from, to }) {
+  await DeliverySlot.ensureDefaults();
+  const slots = await DeliverySlot.find().sort({ sortOrder: 1, startTime: 1 }).lean();
+
+  const dates = [];
+  for (let d = from; d <= to && dates.length < 62; d = addDays(d, 1)) dates.push(d);
+  const reservedMap = await loadReservedMap(dates);
+
+  const orderStats = await Order.aggregate([
+    { $match: { deliveryDate: { $in: dates } } },
+    { $group: { _id: { date: '$deliveryDate', slot: '$deliveryTime', status: '$status' }, count: { $sum: 1 } } },
+  ]);
+  const statusMap = new Map();
+  orderStats.forEach(({ _id, count }) => {
+    const key = `${_id.slot}|${_id.date}`;
+    if (!statusMap.has(key)) statusMap.set(key, {});
+    statusMap.get(key)[_id.status] = count;
+  });
+
+  return dates.map((date) => ({
+    date,
+    slots: slots.map((slot) => {
+      const key = `${slot.code}|${date}`;
+      const capacity = getCapacity(slot, date);
+      const reserved = reservedMap.get(key) || 0;
+      return {
+        code: slot.code,
+        label: slot.label,
+        isActive: slot.isActive,
+        capacity,
+        reserved,
+        remaining: Math.max(0, capacity - reserved),
+        utilization: capacity > 0 ? Math.round((reserved / capacity) * 100) : null,
+        ordersByStatus: statusMap.get(key) || {},
+      };
+    }),
+  }));
+}
+
+module.exports = {
+  MAX_BOOKING_DAYS,
+  toVnDateString,
+  listAvailableSlots,
+  reserveSlot,
+  releaseSlot,
+  getSlotLoad,
+};
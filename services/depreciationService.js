@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const FixedAsset = require('../models/FixedAsset');
+const JournalEntry = require('../models/JournalEntry');
+const Account = require('../models/Account');
+
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Tháng hiện tại theo giờ Việt Nam (server có thể chạy UTC)
+function currentMonth() {
+  const vnNow = new Date(Date.now() + 7 * 60 * 60 * 1000);
+  return `${vnNow.getUTCFullYear()}-${String(vnNow.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Tính và hạch toán khấu hao tháng cho tất cả tài sản cố định đang hoạt động (Nợ 642 / Có 214)
+ * Chạy lại trong cùng tháng an toàn: tài sản đã có depreciationHistory của tháng hoặc chứng từ DEP-... bị bỏ qua
+ * Dùng chung cho POST /api/accounting/depreciation/calculate, job calculate-depreciation và scripts/calculate-depreciation.js
+ * @param {Object} options - { month: 'YYYY-MM' (mặc định tháng hiện tại), userId }
+ * @returns {Object} { month, results: [{ asset, depreciationAmount, accumulatedDepreciation, bookValue, journalEntry }], totalAmount }
+ * @throws {Error} statusCode 400 khi tháng không hợp lệ hoặc thiếu tài khoản
+ */
+async function calculateMonthlyDepreciation({ month, userId = null } = {}) {
+  const targetMonth = month || currentMonth();
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(targetMonth)) {
+    throw validationError('Tháng không hợp lệ (định dạng YYYY-MM)');
+  }
+
+  const accountCount = await Account.countDocuments({ code: { $in: ['642', '214'] } });
+  if (accountCount !== 2) {
+    throw validationError('Thiếu tài khoản 642 hoặc 214, chạy npm run seed-accounts');
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Lấy tất cả tài sản đang hoạt động
+    const activeAssets = await FixedAsset.find({
+      status: 'active'
+    }).session(session);
+
+    const results = [];
+
+    for (const asset of activeAssets) {
+      // Kiểm tra xem đã khấu hao tháng này chưa
+      const alreadyDepreciated = asset.depreciationHistory.some(
+        dep => dep.month === targetMonth
+      );
+
+      if (alreadyDepreciated) {
+        console.log(`Tài sản ${asset.name} đã được khấu hao trong tháng ${targetMonth}`);
+        continue;
+      }
+
+      // Kiểm tra xem đã khấu hao hết chưa
+      if (asset.accumulatedDepreciation >= asset.originalCost) {
+        console.log(`Tài sản ${asset.name} đã khấu hao hết`);
+        continue;
+      }
+
+      // Tính khấu hao tháng này
+      const monthlyDepreciation = asset.monthlyDepreciation || (asset.originalCost / asset.usefulLife);
+      const remainingValue = asset.originalCost - asset.accumulatedDepreciation;
+      const depreciationAmount = Math.min(monthlyDepreciation, remainingValue); // Không khấu hao quá giá trị còn lại
+
+      if (depreciationAmount <= 0) continue;
+
+      // Tạo bút toán khấu hao: Nợ TK 642 / Có TK 214
+      const referenceNo = `DEP-${targetMonth}-${asset.assetCode || asset._id.toString().slice(-6)}`;
+
+      // Kiểm tra số chứng từ đã tồn tại chưa
+      const existingEntry = await JournalEntry.findOne({ referenceNo }).session(session);
+      if (existingEntry) {
+        console.log(`Journal entry ${referenceNo} đã tồn tại`);
+        continue;
+      }
+
+      const lines = [
+        {
+          accountCode: '642', // Chi phí quản lý doanh nghiệp
+          debit: depreciationAmount,
+          credit: 0,
+          description: `Khấu hao tài sản: ${asset.name}`,
+        },
+        {
+          accountCode: '214', // Hao mòn lũy kế TSCĐ
+          debit: 0,
+          credit: depreciationAmount,
+          description: `Khấu hao lũy kế: ${asset.name}`,
+        }
+      ];
+
+      const journalEntry = new JournalEntry({
+        referenceNo,
+        date: new Date(`${targetMonth}-01`),
+        postingDate: new Date(),
+        memo: `Khấu hao tháng ${targetMonth} - ${asset.name}`,
+        entryType: 'depreciation',
+        sourceId: asset._id,
+        sourceType: 'depreciation',
+        lines: lines,
+        createdBy: userId || null,
+        status: 'posted',
+      });
+
+      await journalEntry.save({ session });
+
+      // Cập nhật Fixed Asset
+      asset.accumulatedDepreciation += depreciationAmount;
+      asset.bookValue = asset.originalCost - asset.accumulatedDepreciation;
+      asset.depreciationHistory.push({
+        month: targetMonth,
+        amount: depreciationAmount,
+        journalEntry: journalEntry._id,
+      });
+
+      await asset.save({ session });
+
+      results.push({
+        asset: asset.name,
+        depreciationAmount,
+        accumulatedDepreciation: asset.accumulatedDepreciation,
+        bookValue: asset.bookValue,
+        journalEntry: journalEntry._id
+      });
+    }
+
+    await session.commitTransaction();
+
+    return {
+      month: targetMonth,
+      results,
+      totalAmount: results.reduce((sum, r) => sum + r.depreciationAmount, 0),
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+module.exports = {
+  calculateMonthlyDepreciation,
+};
@@ -0,0 +1,295 @@
+const mongoose = require('mongoose');
+const FlashSale = require('../models/FlashSale');
+const FlashSalePurchase = require('../models/FlashSalePurchase');
+const Product = require('../models/Product');
+const { resolveVariant, getSellingInfo } = require('../utils/productVariant');
+
+function productKey(product) {
+  return ((product && product._id) || product || '').toString();
+}
+
+/**
+ * Kiểm tra cấu hình flash sale: thời gian, sản phẩm, giá sale thấp hơn giá bán, giới hạn mỗi khách
+ * @returns {Object} { ok, message }
+ */
+async function validateFlashSale(flashSale) {
+  if (!flashSale.name || !flashSale.name.toString().trim()) {
+    return { ok: false, message: 'Vui lòng nhập tên chương trình.' };
+  }
+  const startTime = new Date(flashSale.startTime);
+  const endTime = new Date(flashSale.endTime);
+  if (Number.isNaN(startTime.getTime()) || Number.isNaN(endTime.getTime())) {
+    return { ok: false, message: 'Thời gian bắt đầu / kết thúc không hợp lệ.' };
+  }
+  if (endTime <= startTime) return { ok: false, message: 'Thời gian kết thúc phải sau thời gian bắt đầu.' };
+
+  const items = flashSale.items || [];
+  if (items.length === 0) return { ok: false, message: 'Vui lòng chọn ít nhất một sản phẩm.' };
+  if (items.some((item) => !mongoose.Types.ObjectId.isValid(productKey(item.product)))) {
+    return { ok: false, message: 'Sản phẩm không hợp lệ.' };
+  }
+  if (new Set(items.map((item) => productKey(item.product))).size !== items.length) {
+    return { ok: false, message: 'Sản phẩm trong chương trình bị trùng.' };
+  }
+  for (const item of items) {
+    if (!(Number(item.salePrice) >= 0)) return { ok: false, message: 'Giá sale phải >= 0.' };
+    if (item.perCustomerLimit != null && !(Number.isInteger(Number(item.perCustomerLimit)) && Number(item.perCustomerLimit) >= 1)) {
+      return { ok: false, message: 'Giới hạn mỗi khách phải là số nguyên >= 1.' };
+    }
+  }
+
+  const products = await Product.find({ _id: { $in: items.map((item) => productKey(item.product)) } })
+    .select('name price')
+    .lean();
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+  for (const item of items) {
+    const product = productMap.get(productKey(item.product));
+    if (!product) return { ok: false, message: 'Một số sản phẩm không còn được bán.' };
+    if (Number(item.salePrice) >= product.price) {
+      return { ok: false, message: `Giá sale của ${product.name} phải thấp hơn giá bán hiện tại.` };
+    }
+  }
+
+  if (flashSale.isActive !== false) {
+    const overlapping = await FlashSale.findOne({
+      _id: { $ne: flashSale._id || null },
+      isActive: true,
+      startTime: { $lt: endTime },
+      endTime: { $gt: startTime },
+    }).select('name').lean();
+    if (overlapping) {
+      return { ok: false, message: `Trùng thời gian với chương trình "${overlapping.name}".` };
+    }
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Chương trình flash sale đang chạy tại thời điểm now (null nếu không có)
+ */
+async function getRunningFlashSale(now = new Date(), session = null) {
+  return await FlashSale.findOne({
+    isActive: true,
+    startTime: { $lte: now },
+    endTime: { $gt: now },
+  }).sort({ startTime: -1 }).session(session || null).lean();
+}
+
+/**
+ * Số lượng khách đã mua theo giá flash sale (đơn chưa hủy, theo bộ đếm FlashSalePurchase), theo sản phẩm
+ * @returns {Map} productId -> quantity
+ */
+async function getPurchasedQuantities(userId, flashSaleId, session = null) {
+  if (!userId) return new Map();
+  const rows = await FlashSalePurchase.find({ flashSale: flashSaleId, user: userId })
+    .select('product quantity')
+    .session(session || null)
+    .lean();
+  return new Map(rows.map((row) => [row.product.toString(), row.quantity]));
+}
+
+/**
+ * Gộp số lượng các dòng mua theo giá flash sale theo (chương trình, sản phẩm)
+ */
+function groupFlashSaleLines(orderItems) {
+  const groups = new Map();
+  for (const item of orderItems || []) {
+    if (!item.flashSale) continue;
+    const key = `${item.flashSale}|${productKey(item.product)}`;
+    const group = groups.get(key) || { flashSale: item.flashSale, product: productKey(item.product), title: item.title, quantity: 0 };
+    group.quantity += Number(item.quantity) || 0;
+    groups.set(key, group);
+  }
+  return [...groups.values()];
+}
+
+async function decrementPurchases(lines, userId, session) {
+  for (const line of lines) {
+    await FlashSalePurchase.updateOne(
+      { flashSale: line.flashSale, user: userId, product: line.product },
+      [{ $set: { quantity: { $max: [0, { $subtract: ['$quantity', line.quantity] }] } } }],
+      { session }
+    );
+  }
+}
+
+/**
+ * Giữ số lượng mua theo giá flash sale cho đơn hàng (gọi trong transaction checkout)
+ * Tăng bộ đếm có điều kiện để nhiều đơn checkout cùng lúc không vượt perCustomerLimit
+ * @param {Array} orderItems - orderItems của báo giá (dòng có flashSale)
+ * @returns {Object} { ok, message, reserved } - reserved = đơn có dòng flash sale đã được giữ
+ */
+async function reserveFlashSalePurchases(orderItems, { userId, session = null }) {
+  const lines = groupFlashSaleLines(orderItems);
+  if (lines.length === 0) return { ok: true, reserved: false };
+
+  const flashSales = await FlashSale.find({ _id: { $in: lines.map((line) => line.flashSale) } })
+    .select('name items')
+    .session(session || null)
+    .lean();
+  const flashSaleMap = new Map(flashSales.map((flashSale) => [flashSale._id.toString(), flashSale]));
+
+  const reservedLines = [];
+  for (const line of lines) {
+    const flashSale = flashSaleMap.get(line.flashSale.toString());
+    const saleItem = flashSale && flashSale.items.find((item) => productKey(item.product) === line.product);
+    const limit = saleItem ? saleItem.perCustomerLimit : null;
+
+    const key = { flashSale: line.flashSale, user: userId, product: line.product };
+    await FlashSalePurchase.updateOne(key, { $setOnInsert: { quantity: 0 } }, { upsert: true, session });
+    const purchase = await FlashSalePurchase.findOneAndUpdate(
+      limit != null ? { ...key, quantity: { $lte: limit - line.quantity } } : key,
+      { $inc: { quantity: line.quantity } },
+      { new: true, session }
+    );
+    if (!purchase) {
+      // Trả lại các dòng đã giữ (khi không chạy trong transaction)
+      await decrementPurchases(reservedLines, userId, session);
+      return {
+        ok: false,
+        message: `${line.title || 'Sản phẩm'} chỉ được mua tối đa ${limit} trong chương trình ${flashSale.name}`,
+      };
+    }
+    reservedLines.push(line);
+  }
+
+  return { ok: true, reserved: true };
+}
+
+/**
+ * Trả số lượng flash sale đã giữ của đơn (đơn bị hủy)
+ */
+async function releaseFlashSalePurchases(order, { session = null } = {}) {
+  await decrementPurchases(groupFlashSaleLines(order.orderItems), order.user._id || order.user, session);
+}
+
+/**
+ * Áp giá flash sale đang chạy lên các dòng hàng (sửa trực tiếp price, gắn flashSale / originalPrice)
+ * và kiểm tra giới hạn mỗi khách. Giá sale đặt theo sản phẩm, chỉ áp cho biến thể mặc định
+ * @param {Array} lines - [{ product, title, quantity, price, isDefaultVariant }] - price là giá bán thường
+ * @returns {Object} { flashSale, violations: [{ product, title, limit, purchased, remaining, message }] }
+ */
+async function applyFlashSalePrices(lines, { userId = null, session = null } = {}) {
+  const flashSale = await getRunningFlashSale(new Date(), session);
+  if (!flashSale) return { flashSale: null, violations: [] };
+
+  const saleItems = new Map(flashSale.items.map((item) => [productKey(item.product), item]));
+  const saleLines = lines.filter((line) => line.isDefaultVariant !== false && saleItems.has(productKey(line.product)));
+  if (saleLines.length === 0) return { flashSale, violations: [] };
+
+  const purchased = saleLines.some((line) => saleItems.get(productKey(line.product)).perCustomerLimit != null)
+    ? await getPurchasedQuantities(userId, flashSale._id, session)
+    : new Map();
+
+  const violations = [];
+  for (const line of saleLines) {
+    const key = productKey(line.product);
+    const saleItem = saleItems.get(key);
+    line.originalPrice = line.price;
+    line.price = Math.round(saleItem.salePrice);
+    line.flashSale = flashSale._id;
+
+    if (saleItem.perCustomerLimit != null) {
+      const alreadyPurchased = purchased.get(key) || 0;
+      const remaining = Math.max(0, saleItem.perCustomerLimit - alreadyPurchased);
+      if (line.quantity > remaining) {
+        violations.push({
+          product: line.product,
+          title: line.title,
+          limit: saleItem.perCustomerLimit,
+          purchased: alreadyPurchased,
+          remaining,
+          message: `${line.title || 'Sản phẩm'} chỉ được mua tối đa ${saleItem.perCustomerLimit} trong chương trình ${flashSale.name}`
+            + (alreadyPurchased > 0 ? ` (bạn còn được mua ${remaining})` : ''),
+        });
+      }
+    }
+  }
+
+  return { flashSale, violations };
+}
+
+/**
+ * Cập nhật giá các dòng giỏ hàng theo biến thể và flash sale đang chạy - gọi trước khi tính khuyến mãi / coupon
+ * Dòng cũ chưa có variant được gắn biến thể mặc định; dòng hết flash sale trở về giá bán hiện tại;
+ * vượt giới hạn ghi vào flashSaleMessage
+ * @returns {Object} kết quả applyFlashSalePrices
+ */
+async function refreshCartFlashSale(cart) {
+  const products = cart.products || [];
+  cart.flashSaleMessage = '';
+  if (products.length === 0) return { flashSale: null, violations: [] };
+
+  const productDocs = await Product.find({ _id: { $in: products.map((item) => item.product) } })
+    .select('maSanPham price promotionalPrice unit variants')
+    .lean();
+  const productMap = new Map(productDocs.map((p) => [p._id.toString(), p]));
+
+  const lines = products.map((item) => {
+    const product = productMap.get(item.product.toString());
+    const resolved = product ? resolveVariant(product, item.variant) : { found: false };
+    // Sản phẩm / biến thể không còn bán: giữ nguyên dòng, báo giá checkout sẽ báo PRODUCT_UNAVAILABLE
+    if (!resolved.found) {
+      return { product: item.product, title: item.title, quantity: item.quantity, price: item.price, isDefaultVariant: false, unavailable: true };
+    }
+    const info = getSellingInfo(product, resolved.variant, resolved.isDefault);
+    return { ...info, product: item.product, title: item.title, quantity: item.quantity };
+  });
+  const result = await applyFlashSalePrices(lines, { userId: cart.user });
+
+  products.forEach((item, index) => {
+    const line = lines[index];
+    if (line.unavailable) return;
+    item.price = line.price;
+    if (line.variant) {
+      item.variant = line.variant;
+      item.sku = line.sku;
+      item.variantName = line.variantName;
+      item.unit = line.unit;
+    }
+    item.originalPrice = line.flashSale ? line.originalPrice : undefined;
+    item.flashSale = line.flashSale || undefined;
+  });
+
+  cart.flashSaleMessage = result.violations.map((violation) => violation.message).join('; ');
+  return result;
+}
+
+/**
+ * Chương trình đang chạy kèm thông tin sản phẩm (hiển thị banner / trang flash sale)
+ */
+async function getRunningFlashSaleWithProducts() {
+  const flashSale = await getRunningFlashSale();
+  if (!flashSale) return null;
+
+  const products = await Product.find({ _id: { $in: flashSale.items.map((item) => item.product) } })
+    .select('name slug image price unit stock stockStatus')
+    .lean();
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  return {
+    _id: flashSale._id,
+    name: flashSale.name,
+    description: flashSale.description,
+    startTime: flashSale.startTime,
+    endTime: flashSale.endTime,
+    products: flashSale.items
+      .filter((item) => productMap.has(productKey(item.product)))
+      .map((item) => ({
+        ...productMap.get(productKey(item.product)),
+        salePrice: item.salePrice,
+        perCustomerLimit: item.perCustomerLimit,
+      })),
+  };
+}
+
+module.exports = {
+  validateFlashSale,
+  getRunningFlashSale,
+  getRunningFlashSaleWithProducts,
+  applyFlashSalePrices,
+  refreshCartFlashSale,
+  reserveFlashSalePurchases,
+  releaseFlashSalePurchases,
+};
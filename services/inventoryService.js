@@ -0,0 +1,490 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const JournalEntry = require('../models/JournalEntry');
+const Account = require('../models/Account');
+const { emitStockChanged } = require('./realtimeService');
+const { resolveVariant } = require('../utils/productVariant');
+
+/**
+ * Tạo số chứng từ theo quy ước chung: PREFIX-YYYYMM-XXXXX
+ */
+function generateReferenceNo(prefix, date = new Date()) {
+  const d = new Date(date);
+  const randomStr = Math.random().toString(36).substr(2, 5).toUpperCase();
+  return `${prefix}-${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}-${randomStr}`;
+}
+
+const MAX_STOCK_UPDATE_ATTEMPTS = 5;
+
+function stockError(message, statusCode = 409) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Ghi một dòng thẻ kho và cập nhật số dư tồn kho + giá vốn bình quân của sản phẩm
+ * Sản phẩm có biến thể: tồn kho / giá vốn theo biến thể (variantId, bỏ trống = biến thể mặc định),
+ * tồn kho sản phẩm là tổng các biến thể
+ * - quantity > 0: nhập kho, giá vốn bình quân được tính lại theo unitCost
+ * - quantity < 0: xuất kho theo giá vốn bình quân hiện tại, giá vốn bình quân giữ nguyên
+ * - countedQuantity: đưa tồn về số kiểm kê (quantity = chênh lệch, tính trên số dư đọc được trong cùng lần ghi)
+ * Số dư chỉ được ghi nếu chưa bị biến động khác thay đổi kể từ lúc đọc (so khớp stock / averageCost), ngược lại đọc lại và thử lại.
+ * Xuất vượt tồn: allowNegative = true (xuất bán) ghi tồn âm để lộ chênh lệch cần nhập / kiểm kê bù, false thì báo lỗi
+ * @returns {Object} { movement, product, variant } - movement null khi countedQuantity bằng tồn hiện tại
+ * @throws {Error} statusCode 409 khi xuất vượt tồn (allowNegative = false) hoặc số dư liên tục bị thay đổi
+ */
+async function recordMovement({
+  productId,
+  variantId = null,
+  type,
+  quantity = null,
+  countedQuantity = null,
+  unitCost = null,
+  allowNegative = true,
+  sourceType = null,
+  sourceId = null,
+  journalEntry = null,
+  note = '',
+  userId = null,
+  session = null,
+}) {
+  const isCount = countedQuantity != null;
+  if (!isCount && (!Number.isFinite(Number(quantity)) || Number(quantity) === 0)) {
+    throw new Error('Số lượng biến động kho không hợp lệ');
+  }
+
+  for (let attempt = 1; attempt <= MAX_STOCK_UPDATE_ATTEMPTS; attempt++) {
+    const product = await Product.findById(productId)
+      .select('name stock averageCost variants')
+      .session(session)
+      .lean();
+    if (!product) {
+      throw new Error(`Không tìm thấy sản phẩm ${productId}`);
+    }
+
+    const { variant, found } = resolveVariant(product, variantId);
+    if (!found) {
+      throw new Error(`Không tìm thấy biến thể ${variantId} của sản phẩm ${product.name}`);
+    }
+    const balance = variant || product;
+
+    const stockBefore = balance.stock || 0;
+    const averageCostBefore = balance.averageCost || 0;
+    const qty = isCount ? Number(countedQuantity) - stockBefore : Number(quantity);
+    if (qty === 0) {
+      return { movement: null, product, variant };
+    }
+
+    const stockAfter = stockBefore + qty;
+    let averageCostAfter = averageCostBefore;
+    let appliedUnitCost;
+
+    if (qty > 0) {
+      appliedUnitCost = unitCost != null ? Number(unitCost) : averageCostBefore;
+      if (!Number.isFinite(appliedUnitCost) || appliedUnitCost < 0) {
+        throw new Error('Đơn giá nhập kho không hợp lệ');
+      }
+      // Moving Average: (tồn cũ * giá cũ + nhập mới * giá nhập) / tồn mới; tồn âm (xuất vượt trước đó) không tham gia bình quân
+      const weightedStock = Math.max(0, stockBefore);
+      averageCostAfter = weightedStock + qty > 0
+        ? (weightedStock * averageCostBefore + qty * appliedUnitCost) / (weightedStock + qty)
+        : appliedUnitCost;
+    } else {
+      appliedUnitCost = averageCostBefore;
+      if (stockAfter < 0 && !allowNegative) {
+        throw stockError(`Không đủ tồn kho ${product.name}${variant ? ` (${variant.sku})` : ''}: tồn ${stockBefore}, cần xuất ${-qty}`);
+      }
+    }
+
+    // Điều kiện ghi: số dư trên DB vẫn là số dư vừa đọc (null khớp cả trường chưa có)
+    const filter = { _id: product._id, stock: product.stock ?? null, averageCost: product.averageCost ?? null };
+    let productUpdate = {
+      stock: stockAfter,
+      averageCost: averageCostAfter,
+      stockStatus: Product.stockStatusFor(stockAfter),
+      stockTracked: true,
+    };
+    if (variant) {
+      filter.variants = { $elemMatch: { _id: variant._id, stock: variant.stock ?? null, averageCost: variant.averageCost ?? null } };
+      const summary = Product.summarizeVariants(product.variants.map((v) => (
+        v._id.equals(variant._id) ? { ...v, stock: stockAfter, averageCost: averageCostAfter } : v
+      )));
+      productUpdate = {
+        stock: summary.stock,
+        averageCost: summary.averageCost,
+        stockStatus: summary.stockStatus,
+        stockTracked: true,
+        'variants.$[variant].stock': stockAfter,
+        'variants.$[variant].averageCost': averageCostAfter,
+      };
+    }
+
+    const result = await Product.updateOne(
+      filter,
+      { $set: productUpdate },
+      { session, ...(variant ? { arrayFilters: [{ 'variant._id': variant._id }] } : {}) }
+    );
+    if (result.matchedCount === 0) {
+      // Biến động khác vừa ghi vào sản phẩm này: đọc lại số dư và tính lại
+      continue;
+    }
+    if (stockAfter < 0) {
+      console.warn(`⚠️ Xuất kho vượt tồn cho sản phẩm ${product.name}${variant ? ` (${variant.sku})` : ''}: tồn ${stockBefore}, xuất ${-qty} - tồn kho âm ${stockAfter}, cần nhập / kiểm kê bù`);
+    }
+
+    emitStockChanged({
+      productId: product._id,
+      variantId: variant ? variant._id : null,
+      name: product.name,
+      stock: productUpdate.stock,
+      variantStock: variant ? stockAfter : null,
+      stockStatus: productUpdate.stockStatus,
+    }, { session });
+
+    const movement = new StockMovement({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      type,
+      quantity: qty,
+      unitCost: appliedUnitCost,
+      totalCost: Math.round(Math.abs(qty) * appliedUnitCost),
+      stockBefore,
+      stockAfter,
+      averageCostBefore,
+      averageCostAfter,
+      sourceType,
+      sourceId,
+      journalEntry,
+      note,
+      createdBy: userId || null,
+    });
+    await movement.save({ session });
+
+    return { movement, product, variant };
+  }
+
+  throw stockError(`Tồn kho sản phẩm ${productId} đang được cập nhật liên tục, vui lòng thử lại`);
+}
+
+/**
+ * Tạo chứng từ kho (mặc định entryType 'inventory') sau khi kiểm tra các tài khoản đã tồn tại
+ */
+async function postInventoryJournalEntry({
+  prefix,
+  date = new Date(),
+  memo,
+  lines,
+  entryType = 'inventory',
+  sourceId = null,
+  sourceType = 'inventory',
+  userId = null,
+  session = null,
+}) {
+  const accountCodes = [...new Set(lines.map((line) => line.accountCode))];
+  const accounts = await Account.find({ code: { $in: accountCodes } }).session(session);
+  if (accounts.length !== accountCodes.length) {
+    throw new Error(`Một hoặc nhiều tài khoản (${accountCodes.join(', ')}) không tồn tại trong hệ thống`);
+  }
+
+  const totalDebit = lines.reduce((sum, line) => sum + (line.debit || 0), 0);
+  const totalCredit = lines.reduce((sum, line) => sum + (line.credit || 0), 0);
+  if (Math.abs(totalDebit - totalCredit) > 0.01) {
+    throw new Error('Chứng từ không cân bằng. Tổng Nợ phải bằng Tổng Có');
+  }
+
+  const journalEntry = new JournalEntry({
+    referenceNo: generateReferenceNo(prefix, date),
+    date,
+    postingDate: new Date(),
+    memo,
+    entryType,
+    sourceId,
+    sourceType,
+    lines,
+    createdBy: userId || null,
+    status: 'posted',
+  });
+  await journalEntry.save({ session });
+  return journalEntry;
+}
+
+/**
+ * Gắn chứng từ kế toán vào các dòng thẻ kho vừa tạo
+ */
+async function linkMovementsToEntry(movements, journalEntry, session = null) {
+  if (!journalEntry || movements.length === 0) return;
+  await StockMovement.updateMany(
+    { _id: { $in: movements.map((m) => m._id) } },
+    { journalEntry: journalEntry._id },
+    { session }
+  );
+  movements.forEach((m) => { m.journalEntry = journalEntry._id; });
+}
+
+/**
+ * Nhập kho (mua hàng). Chỉ ghi thẻ kho - bút toán Nợ 156 do nghiệp vụ mua hàng tự lập
+ */
+async function receiveStock({ productId, variantId = null, quantity, unitCost, sourceType = 'purchase', sourceId = null, note = '', userId = null, session = null }) {
+  if (!(Number(quantity) > 0)) {
+    throw new Error('Số lượng nhập kho phải lớn hơn 0');
+  }
+  return recordMovement({
+    productId,
+    variantId,
+    type: 'purchase',
+    quantity: Number(quantity),
+    unitCost,
+    sourceType,
+    sourceId,
+    note,
+    userId,
+    session,
+  });
+}
+
+/**
+ * Xuất kho bán hàng cho một đơn hàng và hạch toán giá vốn: Nợ TK 632 / Có TK 156
+ * Idempotent: nếu đơn hàng đã xuất kho thì trả về chứng từ cũ
+ * @returns {Object} { journalEntry, productsUpdated }
+ */
+async function issueStockForOrder(order, { userId = null, session = null } = {}) {
+  const existingMovements = await StockMovement.find({
+    sourceType: 'order',
+    sourceId: order._id,
+    type: 'sale',
+  }).session(session);
+
+  if (existingMovements.length > 0) {
+    console.log(`Đơn hàng ${order._id} đã được xuất kho`);
+    const journalEntry = existingMovements[0].journalEntry
+      ? await JournalEntry.findById(existingMovements[0].journalEntry).session(session)
+      : null;
+    return { journalEntry, productsUpdated: [] };
+  }
+
+  if (!order.orderItems || order.orderItems.length === 0) {
+    throw new Error('Đơn hàng không có sản phẩm');
+  }
+
+  let totalCOGS = 0;
+  const movements = [];
+  const productsUpdated = [];
+
+  for (const item of order.orderItems) {
+    const quantitySold = item.quantity || 0;
+    if (quantitySold <= 0) continue;
+
+    const { movement, product, variant } = await recordMovement({
+      productId: item.product,
+      variantId: item.variant || null,
+      type: 'sale',
+      quantity: -quantitySold,
+      sourceType: 'order',
+      sourceId: order._id,
+      note: `Xuất kho bán hàng - Đơn hàng ${order._id}`,
+      userId,
+      session,
+    });
+
+    if (movement.unitCost <= 0) {
+      console.warn(`⚠️ Sản phẩm ${product.name} chưa có giá vốn (chưa nhập kho), giá vốn ghi nhận = 0`);
+    }
+
+    totalCOGS += movement.totalCost;
+    movements.push(movement);
+    productsUpdated.push({
+      productId: product._id.toString(),
+      variantId: variant ? variant._id.toString() : null,
+      productName: product.name,
+      quantitySold,
+      averageCost: movement.unitCost,
+      itemCOGS: movement.totalCost,
+      newStock: movement.stockAfter,
+      missingCost: movement.unitCost <= 0,
+    });
+  }
+
+  let journalEntry = null;
+  if (totalCOGS > 0) {
+    journalEntry = await postInventoryJournalEntry({
+      prefix: 'COGS',
+      date: order.createdAt || new Date(),
+      memo: `Hạch toán giá vốn - Đơn hàng ${order._id} - ${order.name || 'Khách hàng'}`,
+      lines: [
+        {
+          accountCode: '632', // Giá vốn hàng bán
+          debit: totalCOGS,
+          credit: 0,
+          description: `Giá vốn đơn hàng ${order._id} - ${order.name || 'Khách hàng'}`,
+        },
+        {
+          accountCode: '156', // Hàng hóa
+          debit: 0,
+          credit: totalCOGS,
+          description: `Xuất kho bán hàng - Đơn hàng ${order._id}`,
+        },
+      ],
+      sourceId: order._id,
+      sourceType: 'order',
+      userId,
+      session,
+    });
+    await linkMovementsToEntry(movements, journalEntry, session);
+    console.log(`✅ Đã hạch toán giá vốn ${totalCOGS.toLocaleString('vi-VN')} VNĐ cho đơn hàng ${order._id}`);
+  } else {
+    console.warn(`⚠️ Đơn hàng ${order._id} có tổng giá vốn = 0, không tạo bút toán giá vốn`);
+  }
+
+  return { journalEntry, productsUpdated };
+}
+
+/**
+ * Nhập lại kho hàng khách trả và ghi giảm giá vốn: Nợ TK 156 / Có TK 632
+ * @param {Array} items - [{ product, variant?, quantity, unitCost? }]
+ */
+async function returnStock(items, { sourceType = 'order', sourceId = null, note = '', userId = null, session = null } = {}) {
+  let totalCost = 0;
+  const movements = [];
+
+  for (const item of items) {
+    if (!(item.quantity > 0)) continue;
+    const { movement } = await recordMovement({
+      productId: item.product,
+      variantId: item.variant || null,
+      type: 'return',
+      quantity: item.quantity,
+      unitCost: item.unitCost != null ? item.unitCost : null,
+      sourceType,
+      sourceId,
+      note: note || 'Nhập lại kho hàng trả về',
+      userId,
+      session,
+    });
+    totalCost += movement.totalCost;
+    movements.push(movement);
+  }
+
+  let journalEntry = null;
+  if (totalCost > 0) {
+    journalEntry = await postInventoryJournalEntry({
+      prefix: 'NK',
+      memo: note || 'Nhập lại kho hàng trả về',
+      lines: [
+        { accountCode: '156', debit: totalCost, credit: 0, description: 'Nhập lại kho hàng trả về' },
+        { accountCode: '632', debit: 0, credit: totalCost, description: 'Ghi giảm giá vốn hàng trả về' },
+      ],
+      sourceId,
+      sourceType: sourceType === 'order' ? 'order' : 'inventory',
+      userId,
+      session,
+    });
+    await linkMovementsToEntry(movements, journalEntry, session);
+  }
+
+  return { journalEntry, movements };
+}
+
+/**
+ * Xuất hủy hàng hư hỏng/hết hạn: Nợ TK 632 / Có TK 156
+ */
+async function writeOffStock({ productId, variantId = null, quantity, reason = '', userId = null, session = null }) {
+  if (!(Number(quantity) > 0)) {
+    throw new Error('Số lượng xuất hủy phải lớn hơn 0');
+  }
+
+  const { movement, product } = await recordMovement({
+    productId,
+    variantId,
+    type: 'write_off',
+    quantity: -Number(quantity),
+    allowNegative: false,
+    sourceType: 'manual',
+    note: reason || 'Xuất hủy hàng hóa',
+    userId,
+    session,
+  });
+
+  let journalEntry = null;
+  if (movement.totalCost > 0) {
+    journalEntry = await postInventoryJournalEntry({
+      prefix: 'XH',
+      memo: `Xuất hủy ${product.name}${reason ? ` - ${reason}` : ''}`,
+      lines: [
+        { accountCode: '632', debit: movement.totalCost, credit: 0, description: `Hao hụt, hư hỏng: ${product.name}` },
+        { accountCode: '156', debit: 0, credit: movement.totalCost, description: `Xuất hủy: ${product.name}` },
+      ],
+      sourceId: movement._id,
+      userId,
+      session,
+    });
+    await linkMovementsToEntry([movement], journalEntry, session);
+  }
+
+  return { movement, journalEntry };
+}
+
+/**
+ * Điều chỉnh tồn kho về số lượng kiểm kê thực tế
+ * - Thiếu: Nợ TK 632 / Có TK 156
+ * - Thừa: Nợ TK 156 / Có TK 632
+ * @param {Boolean} postJournal - false khi khai báo tồn đầu kỳ (không phát sinh giá vốn)
+ */
+async function adjustStock({ productId, variantId = null, countedQuantity, unitCost = null, reason = '', postJournal = true, userId = null, session = null }) {
+  const counted = Number(countedQuantity);
+  if (!Number.isFinite(counted) || counted < 0) {
+    throw new Error('Số lượng kiểm kê không hợp lệ');
+  }
+
+  // Sản phẩm có biến thể: kiểm kê theo từng biến thể; chênh lệch tính trong recordMovement trên số dư mới nhất
+  const { movement, product } = await recordMovement({
+    productId,
+    variantId,
+    type: 'adjustment',
+    countedQuantity: counted,
+    unitCost,
+    sourceType: 'manual',
+    note: reason || 'Điều chỉnh tồn kho theo kiểm kê',
+    userId,
+    session,
+  });
+  if (!movement) {
+    return { movement: null, journalEntry: null };
+  }
+
+  let journalEntry = null;
+  if (postJournal && movement.totalCost > 0) {
+    const isShortage = movement.quantity < 0;
+    journalEntry = await postInventoryJournalEntry({
+      prefix: 'DCK',
+      memo: `Điều chỉnh tồn kho ${product.name}${reason ? ` - ${reason}` : ''}`,
+      lines: isShortage
+        ? [
+          { accountCode: '632', debit: movement.totalCost, credit: 0, description: `Thiếu kiểm kê: ${product.name}` },
+          { accountCode: '156', debit: 0, credit: movement.totalCost, description: `Giảm tồn kho: ${product.name}` },
+        ]
+        : [
+          { accountCode: '156', debit: movement.totalCost, credit: 0, description: `Tăng tồn kho: ${product.name}` },
+          { accountCode: '632', debit: 0, credit: movement.totalCost, description: `Thừa kiểm kê: ${product.name}` },
+        ],
+      sourceId: movement._id,
+      userId,
+      session,
+    });
+    await linkMovementsToEntry([movement], journalEntry, session);
+  }
+
+  return { movement, journalEntry };
+}
+
+module.exports = {
+  generateReferenceNo,
+  recordMovement,
+  postInventoryJournalEntry,
+  linkMovementsToEntry,
+  receiveStock,
+  issueStockForOrder,
+  returnStock,
+  writeOffStock,
+  adjustStock,
+};
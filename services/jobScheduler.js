@@ -0,0 +1,296 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+/**
+ * Bộ lập lịch chạy trong process (không cần cron)
+ * - Định nghĩa job (tên, lịch mặc định, handler) đăng ký trong code qua registerJob
+ * - Trạng thái lưu trong collection Job: lịch, lần chạy kế tiếp, tạm dừng, kết quả, nhật ký
+ * - Mỗi TICK_MS kiểm tra job đến hạn; khóa trong Job (findOneAndUpdate atomic) bảo đảm mỗi lần chạy
+ *   chỉ diễn ra ở một instance kể cả khi chạy nhiều instance API
+ * Đặt DISABLE_SCHEDULER=true để instance không tự chạy job (vẫn chạy tay được qua /api/jobs)
+ */
+
+const TICK_MS = 30 * 1000;
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+const JOB_LOG_LIMIT = 20;
+const VN_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+
+const definitions = new Map();
+let tickTimer = null;
+
+/**
+ * Lần chạy kế tiếp sau thời điểm from (lịch daily / monthly tính theo giờ Việt Nam)
+ */
+function computeNextRunAt(schedule, from = new Date()) {
+  if (schedule.type === 'interval') {
+    return new Date(from.getTime() + schedule.everyMinutes * 60 * 1000);
+  }
+
+  // Dùng getter UTC trên thời điểm đã cộng +7 để đọc ngày giờ Việt Nam
+  const vnNow = new Date(from.getTime() + VN_OFFSET_MS);
+  const hour = schedule.hour || 0;
+  const minute = schedule.minute || 0;
+  const year = vnNow.getUTCFullYear();
+  const month = vnNow.getUTCMonth();
+
+  if (schedule.type === 'daily') {
+    let candidate = Date.UTC(year, month, vnNow.getUTCDate(), hour, minute) - VN_OFFSET_MS;
+    if (candidate <= from.getTime()) {
+      candidate = Date.UTC(year, month, vnNow.getUTCDate() + 1, hour, minute) - VN_OFFSET_MS;
+    }
+    return new Date(candidate);
+  }
+
+  if (schedule.type === 'monthly') {
+    // dayOfMonth vượt số ngày của tháng (VD 31 ở tháng 2) chạy vào ngày cuối tháng, không tràn sang tháng sau
+    const monthlyRunAt = (targetMonth) => {
+      const lastDay = new Date(Date.UTC(year, targetMonth + 1, 0)).getUTCDate();
+      const day = Math.min(schedule.dayOfMonth || 1, lastDay);
+      return Date.UTC(year, targetMonth, day, hour, minute) - VN_OFFSET_MS;
+    };
+    let candidate = monthlyRunAt(month);
+    if (candidate <= from.getTime()) {
+      candidate = monthlyRunAt(month + 1);
+    }
+    return new Date(candidate);
+  }
+
+  throw new Error(`Lịch chạy không hợp lệ: ${schedule.type}`);
+}
+
+/**
+ * Đăng ký job
+ * @param {String} name - Tên job (duy nhất)
+ * @param {Object} options - { description, schedule: { type, everyMinutes, dayOfMonth, hour, minute }, handler: async () => result, lockTtlMs }
+ */
+function registerJob(name, { description = '', schedule, handler, lockTtlMs = DEFAULT_LOCK_TTL_MS }) {
+  if (definitions.has(name)) {
+    throw new Error(`Job ${name} đã được đăng ký`);
+  }
+  if (!schedule || typeof handler !== 'function') {
+    throw new Error(`Job ${name} cần schedule và handler`);
+  }
+  computeNextRunAt(schedule); // Kiểm tra lịch hợp lệ
+
+  const definition = { name, description, schedule, handler, lockTtlMs };
+  definitions.set(name, definition);
+  return definition;
+}
+
+/**
+ * Tạo / cập nhật bản ghi Job theo định nghĩa trong code
+ * Job interval mới chạy ngay ở tick đầu tiên; lịch thay đổi trong code thì tính lại lần chạy kế tiếp
+ * Tạo bằng upsert để nhiều instance khởi động cùng lúc không bị trùng khóa name
+ */
+async function syncJobDocuments() {
+  for (const definition of definitions.values()) {
+    const existing = await upsertJobDocument(definition);
+    if (!existing) continue; // Vừa được tạo
+
+    const scheduleChanged = JSON.stringify(existing.schedule.toObject ? existing.schedule.toObject() : existing.schedule) !==
+      JSON.stringify(definition.schedule);
+    existing.description = definition.description;
+    if (scheduleChanged) {
+      existing.schedule = definition.schedule;
+      existing.nextRunAt = computeNextRunAt(definition.schedule);
+    }
+    await existing.save();
+  }
+}
+
+/**
+ * Tạo bản ghi Job nếu chưa có
+ * @returns {Document|null} Bản ghi đã có từ trước, null nếu vừa tạo
+ */
+async function upsertJobDocument(definition) {
+  const upsert = () => Job.findOneAndUpdate(
+    { name: definition.name },
+    {
+      $setOnInsert: {
+        name: definition.name,
+        description: definition.description,
+        schedule: definition.schedule,
+        nextRunAt: definition.schedule.type === 'interval' ? new Date() : computeNextRunAt(definition.schedule),
+      },
+    },
+    { upsert: true, new: false }
+  );
+
+  try {
+    return await upsert();
+  } catch (error) {
+    // Hai upsert đồng thời: bản ghi đã được instance khác tạo, chạy lại sẽ tìm thấy
+    if (error.code !== 11000) throw error;
+    return await upsert();
+  }
+}
+
+/**
+ * Giữ khóa job
+ * @param {Boolean} dueOnly - true: chỉ giữ khi job đến hạn và không tạm dừng (chạy theo lịch)
+ * @returns {Document|null} Job đã khóa, null nếu job đang chạy ở nơi khác / chưa đến hạn
+ */
+async function acquireLock(definition, { dueOnly }) {
+  const now = new Date();
+  const filter = {
+    name: definition.name,
+    $or: [{ 'lock.lockedUntil': null }, { 'lock.lockedUntil': { $lt: now } }],
+  };
+  const update = {
+    lock: { owner: INSTANCE_ID, lockedUntil: new Date(now.getTime() + definition.lockTtlMs) },
+    lastStatus: 'running',
+    lastRunAt: now,
+  };
+  if (dueOnly) {
+    filter.isPaused = false;
+    filter.nextRunAt = { $lte: now };
+    update.nextRunAt = computeNextRunAt(definition.schedule, now);
+  }
+
+  return await Job.findOneAndUpdate(filter, { $set: update }, { new: true });
+}
+
+async function executeJob(definition, { trigger, triggeredBy = null }) {
+  const startedAt = new Date();
+  let status = 'success';
+  let result = null;
+  let errorMessage = '';
+
+  try {
+    const output = await definition.handler();
+    result = output === undefined ? null : output;
+  } catch (error) {
+    status = 'failed';
+    errorMessage = error.message;
+    console.error(`❌ Job ${definition.name} lỗi:`, error);
+  }
+
+  const finishedAt = new Date();
+  const durationMs = finishedAt - startedAt;
+  await Job.updateOne(
+    { name: definition.name, 'lock.owner': INSTANCE_ID },
+    {
+      $set: {
+        lock: { owner: null, lockedUntil: null },
+        lastStatus: status,
+        lastFinishedAt: finishedAt,
+        lastDurationMs: durationMs,
+        lastResult: result,
+        lastError: errorMessage,
+      },
+      $inc: { runCount: 1, failCount: status === 'failed' ? 1 : 0 },
+      $push: {
+        logs: {
+          $each: [{
+            trigger,
+            triggeredBy,
+            instance: INSTANCE_ID,
+            status,
+            startedAt,
+            finishedAt,
+            durationMs,
+            result,
+            error: errorMessage,
+          }],
+          $slice: -JOB_LOG_LIMIT,
+        },
+      },
+    }
+  );
+
+  return { status, result, error: errorMessage || null, durationMs };
+}
+
+// Các job chạy song song: job dài (khấu hao) không chặn job ngắn (hết hạn thanh toán)
+async function tick() {
+  await Promise.all([...definitions.values()].map(async (definition) => {
+    try {
+      const job = await acquireLock(definition, { dueOnly: true });
+      if (job) await executeJob(definition, { trigger: 'schedule' });
+    } catch (error) {
+      console.error(`❌ Scheduler lỗi khi chạy job ${definition.name}:`, error);
+    }
+  }));
+}
+
+/**
+ * Chạy job ngay (admin bấm chạy), kể cả khi đang tạm dừng
+ * @returns {Object} { skipped: true } nếu job đang chạy, ngược lại { status, result, error, durationMs }
+ */
+async function runJob(name, { triggeredBy = null } = {}) {
+  const definition = definitions.get(name);
+  if (!definition) {
+    throw new Error(`Không tìm thấy job ${name}`);
+  }
+
+  const job = await acquireLock(definition, { dueOnly: false });
+  if (!job) {
+    return { skipped: true };
+  }
+  return await executeJob(definition, { trigger: 'manual', triggeredBy });
+}
+
+/**
+ * Tạm dừng / chạy lại job theo lịch. Bỏ tạm dừng thì lần chạy kế tiếp tính lại từ hiện tại
+ * @returns {Document|null}
+ */
+async function setJobPaused(name, paused) {
+  const definition = definitions.get(name);
+  if (!definition) return null;
+
+  const update = { isPaused: paused };
+  if (!paused) {
+    update.nextRunAt = definition.schedule.type === 'interval' ? new Date() : computeNextRunAt(definition.schedule);
+  }
+  return await Job.findOneAndUpdate({ name }, { $set: update }, { new: true });
+}
+
+async function listJobs() {
+  const jobs = await Job.find({ name: { $in: [...definitions.keys()] } })
+    .select('-logs')
+    .sort({ name: 1 })
+    .lean();
+  return jobs;
+}
+
+async function getJob(name) {
+  if (!definitions.has(name)) return null;
+  return await Job.findOne({ name }).lean();
+}
+
+async function startScheduler() {
+  if (tickTimer) return false;
+
+  await syncJobDocuments();
+
+  if (process.env.DISABLE_SCHEDULER === 'true') {
+    console.log('⏸️  Scheduler bị tắt (DISABLE_SCHEDULER=true)');
+    return false;
+  }
+
+  tickTimer = setInterval(tick, TICK_MS);
+  // Không giữ process sống chỉ vì timer của scheduler
+  tickTimer.unref();
+  setImmediate(tick);
+
+  console.log(`⏱️  Scheduler đã chạy ${definitions.size} job: ${[...definitions.keys()].join(', ')} (instance ${INSTANCE_ID})`);
+  return true;
+}
+
+function stopScheduler() {
+  if (tickTimer) clearInterval(tickTimer);
+  tickTimer = null;
+}
+
+module.exports = {
+  computeNextRunAt,
+  registerJob,
+  runJob,
+  setJobPaused,
+  listJobs,
+  getJob,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,39 @@
+const { registerJob } = require('./jobScheduler');
+const { expireStalePayments } = require('./paymentService');
+const { syncReceivablesFromJournal } = require('./accountingService');
+const { calculateMonthlyDepreciation } = require('./depreciationService');
+
+/**
+ * Danh sách job định kỳ của server (lịch theo giờ Việt Nam)
+ * Thay cho việc chạy tay scripts/sync-receivables.js, scripts/calculate-depreciation.js bằng cron
+ */
+function registerDefaultJobs() {
+  // Hết hạn giao dịch Sepay/MoMo quá 15 phút, hủy đơn chưa thanh toán (trả coupon, khung giờ giao)
+  registerJob('expire-payments', {
+    description: 'Hết hạn giao dịch thanh toán quá hạn và hủy đơn online chưa thanh toán',
+    schedule: { type: 'interval', everyMinutes: 1 },
+    handler: () => expireStalePayments(),
+    lockTtlMs: 5 * 60 * 1000,
+  });
+
+  registerJob('sync-receivables', {
+    description: 'Tạo công nợ phải thu (131) còn thiếu từ các chứng từ đã ghi sổ',
+    schedule: { type: 'daily', hour: 2, minute: 0 },
+    handler: () => syncReceivablesFromJournal(),
+  });
+
+  // Kết quả chỉ giữ tổng hợp, danh sách từng tài sản có trong sổ nhật ký (DEP-YYYY-MM-...)
+  registerJob('calculate-depreciation', {
+    description: 'Tính và hạch toán khấu hao tháng cho tài sản cố định (Nợ 642 / Có 214)',
+    schedule: { type: 'monthly', dayOfMonth: 1, hour: 0, minute: 5 },
+    handler: async () => {
+      const { month, results, totalAmount } = await calculateMonthlyDepreciation();
+      return { month, assets: results.length, totalAmount };
+    },
+    lockTtlMs: 30 * 60 * 1000,
+  });
+}
+
+module.exports = {
+  registerDefaultJobs,
+};
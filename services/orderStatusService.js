@@ -0,0 +1,238 @@
+const Order = require('../models/Order');
+const JournalEntry = require('../models/JournalEntry');
+const { syncOrderToAccounting } = require('./accountingService');
+const { commitForPaidOrder, releaseReservation, normalizeCode } = require('./couponUsageService');
+const { issueStockForOrder } = require('./inventoryService');
+const { reverseCancelledOrder } = require('./refundService');
+const { releaseSlot } = require('./deliverySlotService');
+const { releaseFlashSalePurchases } = require('./flashSaleService');
+const { emitOrderEvent } = require('./realtimeService');
+
+/**
+ * State machine trạng thái đơn hàng
+ * Key: trạng thái hiện tại, value: các trạng thái được phép chuyển sang
+ */
+const ORDER_TRANSITIONS = {
+  pending: ['paid', 'processing', 'packed', 'shipped', 'delivered', 'cancelled'],
+  paid: ['processing', 'packed', 'shipped', 'delivered', 'cancelled', 'refunded'],
+  processing: ['packed', 'shipped', 'delivered', 'cancelled'],
+  packed: ['shipped', 'delivered', 'cancelled'],
+  shipped: ['delivered', 'failed_delivery', 'returned'],
+  failed_delivery: ['shipped', 'returned', 'cancelled'],
+  delivered: ['returned'],
+  returned: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: [],
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Trạng thái hàng đã rời kho -> phải xuất kho và hạch toán giá vốn
+const GOODS_ISSUED_STATUSES = ['shipped', 'delivered'];
+
+function getAllowedTransitions(fromStatus) {
+  return ORDER_TRANSITIONS[fromStatus] || [];
+}
+
+function canTransition(fromStatus, toStatus) {
+  return getAllowedTransitions(fromStatus).includes(toStatus);
+}
+
+/**
+ * Hạch toán Giá vốn cho một đơn hàng (Nợ TK 632 / Có TK 156)
+ * Bỏ qua nếu đơn đã có bút toán giá vốn (kể cả bút toán tạo trước khi có sổ kho)
+ * @returns {Object} { journalEntry, productsUpdated }
+ */
+async function postCOGSEntry(orderId, userId = null, session = null) {
+  const order = await Order.findById(orderId).session(session || null);
+  if (!order) {
+    throw new Error('Không tìm thấy đơn hàng');
+  }
+
+  const existingCOGSEntry = await JournalEntry.findOne({
+    sourceId: orderId,
+    sourceType: 'order',
+    'lines.accountCode': '632', // TK Giá vốn
+    status: 'posted'
+  }).session(session || null);
+
+  if (existingCOGSEntry) {
+    console.log(`Giá vốn cho đơn hàng ${orderId} đã được hạch toán`);
+    return {
+      journalEntry: existingCOGSEntry,
+      productsUpdated: []
+    };
+  }
+
+  // Xuất kho theo giá vốn bình quân và hạch toán Nợ TK 632 / Có TK 156
+  return await issueStockForOrder(order, { userId, session });
+}
+
+/**
+ * Các tác vụ đi kèm khi đơn hàng đổi trạng thái (hoặc vừa được tạo khi fromStatus = null)
+ * 1. Coupon: commit khi đơn chuyển sang paid, trả lượt giữ chỗ khi đơn bị hủy trước thanh toán; trả chỗ khung giờ giao
+ *    và số lượng flash sale đã giữ khi hủy
+ * 2. Kế toán: đồng bộ doanh thu / công nợ
+ * 3. Kho: xuất kho + giá vốn khi hàng rời kho
+ * 4. Hủy đơn: nhập lại kho, đảo doanh thu, tạo phiếu hoàn tiền (bỏ qua nếu đã xử lý trong transaction hủy đơn)
+ * 5. Socket: order_created / order_status_changed tới user của đơn và admins
+ * Lỗi ở từng bước chỉ được log để không chặn luồng chính
+ */
+async function runStatusHooks(order, fromStatus, { userId = null } = {}) {
+  const toStatus = order.status;
+  if (fromStatus === toStatus) return;
+
+  try {
+    const couponCode = normalizeCode(order.coupon);
+    if (couponCode && order.user) {
+      if (toStatus === 'paid' && !order.couponCommitted) {
+        await commitForPaidOrder({
+          code: couponCode,
+          userId: order.user._id || order.user,
+          session: null,
+          hasReservation: !!order.couponReserved,
+        });
+        order.couponCommitted = true;
+        order.couponReserved = false;
+        await Order.updateOne({ _id: order._id }, { couponCommitted: true, couponReserved: false });
+      }
+
+      if (toStatus === 'cancelled' && order.couponReserved && !order.couponCommitted) {
+        await releaseReservation({ code: couponCode, userId: order.user._id || order.user, session: null });
+        order.couponReserved = false;
+        await Order.updateOne({ _id: order._id }, { couponReserved: false });
+      }
+    }
+  } catch (couponErr) {
+    console.error(`Coupon usage update error (order ${order._id}):`, couponErr);
+  }
+
+  if (toStatus === 'cancelled' && order.deliverySlotReserved) {
+    try {
+      await releaseSlot({ code: order.deliveryTime, date: order.deliveryDate });
+      order.deliverySlotReserved = false;
+      await Order.updateOne({ _id: order._id }, { deliverySlotReserved: false });
+    } catch (slotErr) {
+      console.error(`Lỗi khi trả chỗ khung giờ giao hàng (đơn ${order._id}):`, slotErr);
+    }
+  }
+
+  if (toStatus === 'cancelled' && order.flashSaleReserved) {
+    try {
+      // Tắt cờ có điều kiện trước để hook chạy lại không trả hai lần
+      const claimed = await Order.updateOne({ _id: order._id, flashSaleReserved: true }, { flashSaleReserved: false });
+      order.flashSaleReserved = false;
+      if (claimed.modifiedCount > 0) {
+        await releaseFlashSalePurchases(order);
+      }
+    } catch (flashSaleErr) {
+      console.error(`Lỗi khi trả số lượng flash sale (đơn ${order._id}):`, flashSaleErr);
+    }
+  }
+
+  try {
+    await syncOrderToAccounting(order, fromStatus, userId);
+  } catch (err) {
+    console.error('❌ Lỗi khi đồng bộ đơn hàng vào kế toán:', err);
+  }
+
+  if (GOODS_ISSUED_STATUSES.includes(toStatus) && !GOODS_ISSUED_STATUSES.includes(fromStatus)) {
+    try {
+      await postCOGSEntry(order._id, userId);
+    } catch (err) {
+      console.error('Lỗi khi hạch toán giá vốn:', err);
+    }
+  }
+
+  if (toStatus === 'cancelled') {
+    try {
+      const history = order.statusHistory || [];
+      const lastEntry = history[history.length - 1];
+      await reverseCancelledOrder(order, { userId, reason: (lastEntry && lastEntry.reason) || '' });
+    } catch (err) {
+      console.error('Lỗi khi xử lý hoàn tiền / đảo bút toán hủy đơn:', err);
+    }
+  }
+
+  try {
+    emitOrderEvent(order, fromStatus);
+  } catch (err) {
+    console.error('Lỗi khi phát sự kiện socket đơn hàng:', err);
+  }
+}
+
+/**
+ * Chuyển trạng thái đơn hàng theo state machine, ghi statusHistory và chạy các hook
+ * Các thay đổi khác đã set trên document (nếu có) được lưu cùng lúc
+ * Khi chạy trong transaction: truyền runHooks = false và gọi runStatusHooks sau khi commit
+ * @param {Document} order - Order document
+ * @param {String} toStatus - Trạng thái mới
+ * @param {Object} options - { userId, reason, source, session, runHooks }
+ * @returns {Document} order đã lưu
+ * @throws {Error} statusCode 409 khi trạng thái trên DB đã khác trạng thái của document (bị chuyển ở nơi khác)
+ */
+async function transitionOrder(order, toStatus, {
+  userId = null,
+  reason = '',
+  source = 'manual',
+  session = null,
+  runHooks = true,
+} = {}) {
+  const fromStatus = order.status;
+
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw new Error(`Trạng thái không hợp lệ: ${toStatus}. Hợp lệ: ${ORDER_STATUSES.join(', ')}`);
+  }
+
+  if (!canTransition(fromStatus, toStatus)) {
+    const allowed = getAllowedTransitions(fromStatus);
+    throw new Error(
+      `Không thể chuyển trạng thái từ ${fromStatus} sang ${toStatus}.` +
+      (allowed.length > 0 ? ` Cho phép: ${allowed.join(', ')}` : ' Đơn hàng đã ở trạng thái cuối.')
+    );
+  }
+
+  order.status = toStatus;
+  order.statusHistory.push({
+    from: fromStatus,
+    to: toStatus,
+    changedBy: userId || null,
+    reason,
+    source,
+    changedAt: new Date(),
+  });
+
+  // Chỉ ghi nếu trên DB đơn vẫn ở trạng thái vừa đọc: callback thanh toán, job hết hạn và khách hủy đơn
+  // cùng lúc thì chỉ một lần chuyển thành công và chạy hook
+  order.$where = { ...(order.$where || {}), status: fromStatus };
+  try {
+    await order.save({ session });
+  } catch (error) {
+    if (error.name !== 'DocumentNotFoundError') throw error;
+    order.status = fromStatus;
+    order.statusHistory.pop();
+    const conflict = new Error(`Đơn hàng ${order._id} vừa được cập nhật trạng thái ở nơi khác, không thể chuyển ${fromStatus} → ${toStatus}`);
+    conflict.statusCode = 409;
+    throw conflict;
+  } finally {
+    delete order.$where.status;
+  }
+
+  console.log(`🔄 Đơn hàng ${order._id}: ${fromStatus} → ${toStatus} (${source})`);
+
+  if (runHooks) {
+    await runStatusHooks(order, fromStatus, { userId });
+  }
+
+  return order;
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  transitionOrder,
+  runStatusHooks,
+  postCOGSEntry,
+};
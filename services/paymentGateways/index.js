@@ -0,0 +1,35 @@
+const sepay = require('./sepay');
+const momo = require('./momo');
+
+/**
+ * Danh sách cổng thanh toán. Mỗi adapter cung cấp:
+ * - provider, paymentMethod (giá trị Order.paymentMethod), codePrefix, generatePaymentCode() (tùy chọn)
+ * - createPayment({ paymentCode, amount, orderInfo, userId }) -> { providerData, response }
+ * - queryStatus(payment) -> { status, transactionId, raw } | null (không có API tra cứu)
+ * - verifyCallback(req) -> { ok, status, message, event: { eventId, paymentCode, amount, description, transactionId, paidAt, success, ignore, raw } }
+ * - refund(payment, { amount, description }) -> { ok, manual?, transactionId, message, raw }
+ * - manualRefund (tùy chọn): true nếu cổng không hoàn tiền qua API, kế toán chuyển trả và nhập mã giao dịch ngân hàng
+ * Thêm cổng mới: tạo adapter cùng interface và đăng ký vào GATEWAYS + enum Payment.provider
+ */
+const GATEWAYS = {
+  [sepay.provider]: sepay,
+  [momo.provider]: momo,
+};
+
+function getGateway(provider) {
+  const gateway = GATEWAYS[provider];
+  if (!gateway) {
+    throw new Error(`Cổng thanh toán không được hỗ trợ: ${provider}`);
+  }
+  return gateway;
+}
+
+function getGatewayByPaymentMethod(paymentMethod) {
+  return Object.values(GATEWAYS).find((gateway) => gateway.paymentMethod === paymentMethod) || null;
+}
+
+module.exports = {
+  GATEWAYS,
+  getGateway,
+  getGatewayByPaymentMethod,
+};
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+
+/**
+ * Adapter MoMo - Ví MoMo (captureWallet), MoMo gửi IPN khi giao dịch hoàn tất
+ * Tài liệu chữ ký: https://developers.momo.vn/v3/docs/payment/api/wallet/onetime
+ */
+
+// Có thể trỏ sang MoMo giả lập khi phát triển local (npm run momo-standin)
+const MOMO_ENDPOINT = process.env.MOMO_ENDPOINT || 'https://test-payment.momo.vn';
+
+// IPN gửi thẳng về API server (POST /api/payment/momo/ipn)
+function getIpnUrl() {
+  if (process.env.MOMO_IPN_URL) return process.env.MOMO_IPN_URL;
+  return process.env.NODE_ENV === 'production'
+    ? 'https://ecobacgiang.vn/api/payment/momo/ipn'
+    : `http://localhost:${process.env.PORT || 5000}/api/payment/momo/ipn`;
+}
+
+function getConfig() {
+  return {
+    partnerCode: process.env.MOMO_PARTNER_CODE,
+    accessKey: process.env.MOMO_ACCESS_KEY,
+    secretKey: process.env.MOMO_SECRET_KEY,
+  };
+}
+
+function isConfigured() {
+  const { partnerCode, accessKey, secretKey } = getConfig();
+  return !!(partnerCode && accessKey && secretKey);
+}
+
+/**
+ * Ký HMAC-SHA256 chuỗi key=value theo đúng thứ tự field MoMo quy định
+ */
+function signFields(data, fields, secretKey) {
+  const raw = fields.map((field) => `${field}=${data[field] !== undefined && data[field] !== null ? data[field] : ''}`).join('&');
+  return crypto.createHmac('sha256', secretKey).update(raw).digest('hex');
+}
+
+const CREATE_SIGNATURE_FIELDS = ['accessKey', 'amount', 'extraData', 'ipnUrl', 'orderId', 'orderInfo', 'partnerCode', 'redirectUrl', 'requestId', 'requestType'];
+const QUERY_SIGNATURE_FIELDS = ['accessKey', 'orderId', 'partnerCode', 'requestId'];
+const IPN_SIGNATURE_FIELDS = ['accessKey', 'amount', 'extraData', 'message', 'orderId', 'orderInfo', 'orderType', 'partnerCode', 'payType', 'requestId', 'responseTime', 'resultCode', 'transId'];
+const REFUND_SIGNATURE_FIELDS = ['accessKey', 'amount', 'description', 'orderId', 'partnerCode', 'requestId', 'transId'];
+
+// resultCode MoMo: 0 = thành công, 9000 = đã xác nhận (chờ capture), 1000 = đang chờ người dùng xác nhận
+const PENDING_RESULT_CODES = [1000, 7000, 7002];
+
+async function callMomo(path, body) {
+  const response = await fetch(`${MOMO_ENDPOINT}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`MoMo API lỗi ${response.status}: ${errorText}`);
+    error.details = errorText;
+    throw error;
+  }
+  return await response.json();
+}
+
+function mapResultCode(resultCode) {
+  const code = Number(resultCode);
+  if (code === 0 || code === 9000) return 'paid';
+  if (PENDING_RESULT_CODES.includes(code)) return 'pending';
+  return 'failed';
+}
+
+module.exports = {
+  provider: 'momo',
+  paymentMethod: 'MoMo',
+  codePrefix: 'MOMO',
+  signFields,
+  mapResultCode,
+  IPN_SIGNATURE_FIELDS,
+
+  /**
+   * Tạo giao dịch ví MoMo
+   * @returns {Object} { providerData, response }
+   */
+  async createPayment({ paymentCode, amount, orderInfo, userId }) {
+    if (!isConfigured()) {
+      throw new Error('Cấu hình MoMo chưa hoàn tất');
+    }
+    const { partnerCode, accessKey, secretKey } = getConfig();
+
+    // Trang khách quay về sau khi thanh toán (website Next.js)
+    const baseUrl = process.env.NEXTAUTH_URL ||
+      (process.env.NODE_ENV === 'production' ? 'https://ecobacgiang.vn' : 'http://localhost:3000');
+
+    const requestData = {
+      partnerCode,
+      accessKey,
+      requestId: paymentCode,
+      amount: Math.round(amount),
+      orderId: paymentCode,
+      orderInfo: typeof orderInfo === 'string' && orderInfo ? orderInfo : 'Thanh toan don hang',
+      redirectUrl: `${baseUrl}/checkout/success`,
+      ipnUrl: getIpnUrl(),
+      requestType: 'captureWallet',
+      extraData: JSON.stringify({ userId }),
+    };
+    requestData.signature = signFields(requestData, CREATE_SIGNATURE_FIELDS, secretKey);
+
+    const momoData = await callMomo('/v2/gateway/api/create', requestData);
+    if (momoData.resultCode !== 0) {
+      const error = new Error(`MoMo trả về lỗi: ${momoData.message}`);
+      error.resultCode = momoData.resultCode;
+      throw error;
+    }
+
+    return {
+      providerData: {
+        requestData,
+        momoData,
+        payUrl: momoData.payUrl,
+        deeplink: momoData.deeplink,
+        qrCodeUrl: momoData.qrCodeUrl,
+      },
+      response: {
+        payUrl: momoData.payUrl,
+        deeplink: momoData.deeplink,
+        qrCodeUrl: momoData.qrCodeUrl,
+      },
+    };
+  },
+
+  /**
+   * Tra cứu trạng thái giao dịch trên MoMo
+   * @returns {Object|null} { status, transactionId, raw } hoặc null nếu chưa cấu hình MoMo
+   */
+  async queryStatus(payment) {
+    if (!isConfigured()) return null;
+    const { partnerCode, accessKey, secretKey } = getConfig();
+
+    const requestData = {
+      partnerCode,
+      accessKey,
+      requestId: `${payment.paymentCode}-Q${Date.now()}`,
+      orderId: payment.paymentCode,
+      lang: 'vi',
+    };
+    requestData.signature = signFields(requestData, QUERY_SIGNATURE_FIELDS, secretKey);
+
+    const data = await callMomo('/v2/gateway/api/query', requestData);
+    return {
+      status: mapResultCode(data.resultCode),
+      transactionId: data.transId ? data.transId.toString() : null,
+      amount: data.amount,
+      message: data.message,
+      raw: data,
+    };
+  },
+
+  /**
+   * Xác thực IPN MoMo bằng chữ ký HMAC-SHA256
+   * @returns {Object} { ok, message, event: { eventId, paymentCode, amount, description, transactionId, paidAt, success, ignore, status, raw } }
+   */
+  async verifyCallback(req) {
+    const data = req.body || {};
+    const { secretKey, accessKey, partnerCode } = getConfig();
+    if (!secretKey) {
+      return { ok: false, status: 500, message: 'Cấu hình MoMo chưa hoàn tất' };
+    }
+    if (!data.signature || data.partnerCode !== partnerCode) {
+      return { ok: false, status: 400, message: 'IPN không hợp lệ' };
+    }
+
+    const expected = signFields({ ...data, accessKey }, IPN_SIGNATURE_FIELDS, secretKey);
+    const received = String(data.signature);
+    if (expected.length !== received.length ||
+        !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received))) {
+      return { ok: false, status: 400, message: 'Sai chữ ký IPN' };
+    }
+
+    const status = mapResultCode(data.resultCode);
+    return {
+      ok: true,
+      event: {
+        eventId: `${data.orderId}:${data.transId || 0}:${data.resultCode}`,
+        paymentCode: data.orderId,
+        amount: Number(data.amount),
+        description: data.orderInfo || '',
+        transactionId: data.transId ? data.transId.toString() : null,
+        paidAt: data.responseTime ? new Date(Number(data.responseTime)) : new Date(),
+        success: status === 'paid',
+        // 1000/7000/7002: khách đang thanh toán - không phải kết quả cuối, giữ giao dịch pending chờ IPN tiếp theo
+        ignore: status === 'pending',
+        status,
+        message: data.message,
+        raw: data,
+      },
+    };
+  },
+
+  /**
+   * Hoàn tiền qua API MoMo (toàn phần hoặc một phần)
+   * @returns {Object} { ok, transactionId, message, raw }
+   */
+  async refund(payment, { amount, description = '' } = {}) {
+    if (!isConfigured()) {
+      throw new Error('Cấu hình MoMo chưa hoàn tất');
+    }
+    const { partnerCode, accessKey, secretKey } = getConfig();
+
+    const requestData = {
+      partnerCode,
+      accessKey,
+      orderId: `${payment.paymentCode}-RF${Date.now()}`,
+      requestId: `${payment.paymentCode}-RF${Date.now()}`,
+      amount: Math.round(amount),
+      transId: payment.transactionId,
+      lang: 'vi',
+      description,
+    };
+    requestData.signature = signFields(requestData, REFUND_SIGNATURE_FIELDS, secretKey);
+
+    const data = await callMomo('/v2/gateway/api/refund', requestData);
+    return {
+      ok: data.resultCode === 0,
+      transactionId: data.transId ? data.transId.toString() : null,
+      message: data.message,
+      raw: data,
+    };
+  },
+};
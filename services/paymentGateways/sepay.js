@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { buildVietQrPayload, resolveBankBin } = require('../vietQrService');
+
+/**
+ * Adapter Sepay - Chuyển khoản ngân hàng qua mã VietQR, Sepay gọi webhook khi nhận được tiền
+ * Mã thanh toán nằm đầu nội dung chuyển khoản, webhook chỉ khớp giao dịch theo mã này (không đoán theo số tiền)
+ */
+
+// Mã thanh toán: ECOBG + 12 ký tự hex in hoa - không dấu, không ký tự đặc biệt để ngân hàng giữ nguyên
+const CODE_PREFIX = 'ECOBG';
+const PAYMENT_CODE_PATTERN = new RegExp(`${CODE_PREFIX}[0-9A-F]{12}`);
+
+// Thông tin tài khoản nhận tiền (CẬP NHẬT THEO THÔNG TIN THẬT CỦA BẠN)
+const BANK_INFO = {
+  bankId: process.env.SEPAY_BANK_ID, // TPBank
+  accountNumber: process.env.SEPAY_ACCOUNT_NUMBER,
+  accountName: process.env.SEPAY_ACCOUNT_NAME,
+  description: process.env.SEPAY_DESCRIPTION || 'Thanh toan don hang Eco Bac Giang',
+};
+
+// Payload VietQR (EMVCo / NAPAS) tạo ngay trên server - app mobile tự vẽ QR từ chuỗi này
+function createVietQrPayload(amount, description = null) {
+  return buildVietQrPayload({
+    bankBin: resolveBankBin(BANK_INFO.bankId),
+    accountNumber: BANK_INFO.accountNumber,
+    amount,
+    description: description || BANK_INFO.description,
+  });
+}
+
+// Ảnh QR do API tự vẽ (GET /api/payment/sepay/qr/:paymentCode)
+function getQrImageUrl(paymentCode, format = 'png') {
+  const baseUrl = process.env.API_PUBLIC_URL || (process.env.NODE_ENV === 'production'
+    ? 'https://ecobacgiang.vn'
+    : `http://localhost:${process.env.PORT || 5000}`);
+  const query = format === 'svg' ? '?format=svg' : '';
+  return `${baseUrl.replace(/\/$/, '')}/api/payment/sepay/qr/${paymentCode}${query}`;
+}
+
+function buildQrResponse(paymentCode, qrPayload) {
+  return {
+    qrPayload,
+    qrUrl: getQrImageUrl(paymentCode),
+    qrSvgUrl: getQrImageUrl(paymentCode, 'svg'),
+  };
+}
+
+function getTransferDescription(paymentCode, orderInfo) {
+  const info = typeof orderInfo === 'string' && orderInfo ? orderInfo : BANK_INFO.description;
+  return `${paymentCode} ${info}`;
+}
+
+/**
+ * Lấy mã thanh toán từ webhook: trường `code` (Sepay tự nhận diện theo tiền tố cấu hình) hoặc nội dung chuyển khoản
+ * Ngân hàng có thể bỏ dấu cách / gạch ngang hoặc thêm tiền tố vào nội dung nên so khớp trên chuỗi đã chuẩn hóa
+ */
+function extractPaymentCode(data) {
+  const candidates = [data.code, data.content, data.description];
+  for (const text of candidates) {
+    if (!text) continue;
+    const normalized = text.toString().toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const match = normalized.match(PAYMENT_CODE_PATTERN);
+    if (match) return match[0];
+  }
+  return null;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Xác thực webhook Sepay
+ * - SEPAY_WEBHOOK_API_KEY: header `Authorization: Apikey <key>` (kiểu xác thực "API Key" trong cấu hình webhook Sepay)
+ * - SEPAY_WEBHOOK_SECRET: header `X-Sepay-Signature` = HMAC-SHA256 (hex) của raw body
+ * Cấu hình cả hai thì phải qua cả hai. Production bắt buộc có ít nhất một.
+ */
+function verifyWebhookAuth(req) {
+  const apiKey = process.env.SEPAY_WEBHOOK_API_KEY;
+  const secret = process.env.SEPAY_WEBHOOK_SECRET;
+
+  if (!apiKey && !secret) {
+    if (process.env.NODE_ENV === 'production') {
+      return { ok: false, status: 500, message: 'Chưa cấu hình xác thực webhook Sepay (SEPAY_WEBHOOK_API_KEY / SEPAY_WEBHOOK_SECRET)' };
+    }
+    console.warn('⚠️ Webhook Sepay chưa cấu hình xác thực - chỉ chấp nhận khi không chạy production');
+    return { ok: true };
+  }
+
+  if (apiKey && !safeEqual(req.headers.authorization || '', `Apikey ${apiKey}`)) {
+    return { ok: false, status: 401, message: 'Unauthorized webhook' };
+  }
+
+  if (secret) {
+    const signature = (req.headers['x-sepay-signature'] || '').toString().toLowerCase();
+    const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    if (!signature || !safeEqual(signature, expected)) {
+      return { ok: false, status: 401, message: 'Invalid webhook signature' };
+    }
+  }
+
+  return { ok: true };
+}
+
+module.exports = {
+  provider: 'sepay',
+  paymentMethod: 'Sepay',
+  codePrefix: CODE_PREFIX,
+  bankInfo: BANK_INFO,
+  manualRefund: true,
+  extractPaymentCode,
+
+  generatePaymentCode() {
+    return `${CODE_PREFIX}${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  },
+
+  /**
+   * Tạo mã QR chuyển khoản
+   * @returns {Object} { providerData, response }
+   */
+  async createPayment({ paymentCode, amount, orderInfo }) {
+    const qrPayload = createVietQrPayload(amount, getTransferDescription(paymentCode, orderInfo));
+    const qr = buildQrResponse(paymentCode, qrPayload);
+    return {
+      providerData: { bankInfo: BANK_INFO, qrPayload },
+      response: { ...qr, bankInfo: BANK_INFO },
+    };
+  },
+
+  /**
+   * Tạo lại mã QR (cùng số tiền / nội dung) khi khách gia hạn thời gian thanh toán
+   */
+  async refreshPayment(payment) {
+    const qrPayload = createVietQrPayload(payment.amount, getTransferDescription(payment.paymentCode, payment.orderInfo));
+    return {
+      providerData: {
+        ...(payment.providerData || {}),
+        qrPayload,
+        refreshedAt: new Date(),
+        refreshCount: ((payment.providerData && payment.providerData.refreshCount) || 0) + 1,
+      },
+      response: buildQrResponse(payment.paymentCode, qrPayload),
+    };
+  },
+
+  /**
+   * Payload VietQR của một giao dịch - payment tạo trước khi có payload lưu sẵn thì tạo lại từ số tiền / nội dung
+   */
+  getQrPayload(payment) {
+    return (payment.providerData && payment.providerData.qrPayload)
+      || createVietQrPayload(payment.amount, getTransferDescription(payment.paymentCode, payment.orderInfo));
+  },
+
+  /**
+   * Sepay không có API tra cứu theo mã giao dịch: trạng thái trong DB (cập nhật bởi webhook) là nguồn chính
+   * @returns {null}
+   */
+  async queryStatus() {
+    return null;
+  },
+
+  /**
+   * Xác thực và đọc webhook Sepay
+   * @returns {Object} { ok, status, message, event: { eventId, paymentCode, amount, description, transactionId, paidAt, success, ignore, raw } }
+   */
+  async verifyCallback(req) {
+    const auth = verifyWebhookAuth(req);
+    if (!auth.ok) return auth;
+
+    const data = req.body || {};
+    const amount = Number(data.transferAmount || data.amount);
+    if (!amount) {
+      return { ok: false, status: 400, message: 'Missing required field: amount' };
+    }
+    const transactionId = data.id != null ? data.id.toString() : (data.transactionId || null);
+    if (!transactionId) {
+      return { ok: false, status: 400, message: 'Missing required field: id' };
+    }
+
+    return {
+      ok: true,
+      event: {
+        eventId: transactionId,
+        paymentCode: extractPaymentCode(data),
+        amount,
+        description: data.content || data.description || '',
+        transactionId,
+        paidAt: data.transactionDate ? new Date(data.transactionDate) : new Date(),
+        success: true,
+        // Giao dịch tiền ra khỏi tài khoản không phải thanh toán của khách
+        ignore: data.transferType === 'out',
+        raw: data,
+      },
+    };
+  },
+
+  /**
+   * Chuyển khoản không hoàn tiền tự động được: kế toán chuyển trả thủ công và ghi mã giao dịch ngân hàng
+   */
+  async refund() {
+    return { ok: true, manual: true };
+  },
+};
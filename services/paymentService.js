@@ -0,0 +1,816 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const User = require('../models/User');
+const Refund = require('../models/Refund');
+const { GATEWAYS, getGateway } = require('./paymentGateways');
+const { transitionOrder, runStatusHooks, canTransition } = require('./orderStatusService');
+const { quoteOrder } = require('./pricingService');
+const { reserveFlashSalePurchases, releaseFlashSalePurchases } = require('./flashSaleService');
+const { updateRefundStatus } = require('./refundService');
+const { postInventoryJournalEntry } = require('./inventoryService');
+const { emitPaymentEvent } = require('./realtimeService');
+
+/**
+ * Payment Service - Vòng đời giao dịch thanh toán online dùng chung cho mọi cổng
+ * pending → paid | expired | cancelled | failed, paid → refunded (hoàn toàn bộ)
+ * Phần riêng của từng cổng (tạo giao dịch, tra cứu, xác thực callback, hoàn tiền) nằm ở services/paymentGateways
+ */
+
+// Sai số cho phép khi khớp số tiền chuyển khoản với giao dịch / giỏ hàng
+const AMOUNT_TOLERANCE = 1000;
+// Gia hạn khi khách tạo lại mã thanh toán
+const REFRESH_EXTEND_MINUTES = 30;
+// Đơn thanh toán online còn pending quá lâu mà không có giao dịch đang chờ / đã trả thì bị hủy
+const STALE_ORDER_MINUTES = 30;
+
+function fail(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function generatePaymentCode(gateway, userId) {
+  if (typeof gateway.generatePaymentCode === 'function') {
+    return gateway.generatePaymentCode(userId);
+  }
+  return `${gateway.codePrefix}-${userId}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function isPaymentExpired(payment) {
+  return !!payment.expiresAt && new Date() > payment.expiresAt;
+}
+
+/**
+ * Tạo giao dịch thanh toán qua cổng tương ứng
+ * @param {Object} params - { provider, amount, orderInfo, userId }
+ * @returns {Object} { payment, response } - response là dữ liệu riêng của cổng để trả cho client (qrUrl, payUrl...)
+ */
+async function createPayment({ provider, amount, orderInfo, userId }) {
+  const gateway = getGateway(provider);
+  const paymentCode = generatePaymentCode(gateway, userId);
+  const roundedAmount = Math.round(amount);
+
+  const { providerData, response } = await gateway.createPayment({
+    paymentCode,
+    amount: roundedAmount,
+    orderInfo,
+    userId,
+  });
+
+  const payment = new Payment({
+    provider,
+    paymentCode,
+    amount: roundedAmount,
+    userId,
+    orderInfo: orderInfo || {},
+    providerData,
+  });
+  await payment.save();
+
+  console.log(`💳 Tạo giao dịch ${provider} ${paymentCode}: ${roundedAmount}đ, hết hạn ${payment.expiresAt.toISOString()}`);
+
+  return { payment, response };
+}
+
+/**
+ * Tạo lại mã thanh toán cho giao dịch đang chờ và gia hạn thời gian
+ * @returns {Object} { payment, response }
+ */
+async function refreshPayment(payment) {
+  const gateway = getGateway(payment.provider);
+  if (typeof gateway.refreshPayment !== 'function') {
+    throw new Error(`Cổng ${payment.provider} không hỗ trợ tạo lại mã thanh toán`);
+  }
+
+  const { providerData, response } = await gateway.refreshPayment(payment);
+  payment.providerData = providerData;
+  payment.expiresAt = new Date(Date.now() + REFRESH_EXTEND_MINUTES * 60 * 1000);
+  await payment.save();
+
+  return { payment, response };
+}
+
+/**
+ * Hủy đơn pending do không thanh toán - trả lượt giữ coupon, khung giờ giao qua hook của state machine
+ */
+async function cancelUnpaidOrder(order, reason) {
+  try {
+    await transitionOrder(order, 'cancelled', { reason, source: 'payment_expiry' });
+    return true;
+  } catch (error) {
+    console.error(`Không hủy được đơn ${order._id} hết hạn thanh toán:`, error);
+    return false;
+  }
+}
+
+/**
+ * Chuyển giao dịch pending → expired, hủy đơn pending gắn với giao dịch và báo cho client qua socket
+ * @returns {Object} { expired, order } - expired = false nếu giao dịch đã được xử lý ở nơi khác
+ */
+async function expirePayment(payment) {
+  const result = await Payment.updateOne(
+    { _id: payment._id, status: 'pending' },
+    { status: 'expired' }
+  );
+  if (result.modifiedCount === 0) return { expired: false, order: null };
+  payment.status = 'expired';
+
+  const order = payment.order
+    ? await Order.findOne({ _id: payment.order, status: 'pending' })
+    : await Order.findOne({ paymentCode: payment.paymentCode, status: 'pending' });
+  const cancelled = order
+    ? await cancelUnpaidOrder(order, `Hết hạn thanh toán ${payment.paymentCode}`)
+    : false;
+
+  emitPaymentEvent(payment, 'payment_expired');
+  console.log(`⌛ Giao dịch ${payment.paymentCode} hết hạn${cancelled ? `, đã hủy đơn ${order._id}` : ''}`);
+  return { expired: true, order: cancelled ? order : null };
+}
+
+/**
+ * Đánh dấu hết hạn nếu giao dịch còn pending đã quá expiresAt
+ * @returns {Boolean} đã hết hạn hay chưa
+ */
+async function expireIfNeeded(payment) {
+  const expired = isPaymentExpired(payment);
+  if (expired && payment.status === 'pending') {
+    await expirePayment(payment);
+  }
+  return expired;
+}
+
+/**
+ * Job định kỳ: hết hạn giao dịch quá expiresAt và hủy đơn thanh toán online bị bỏ dở
+ * - Giao dịch pending quá expiresAt → expired, đơn pending gắn với giao dịch → cancelled
+ * - Đơn Sepay/MoMo pending quá STALE_ORDER_MINUTES không còn giao dịch pending/paid → cancelled
+ * @param {Object} options - { limit } - số bản ghi tối đa mỗi loại trong một lần chạy
+ * @returns {Object} { paymentsExpired, ordersCancelled }
+ */
+async function expireStalePayments({ limit = 100 } = {}) {
+  const now = new Date();
+  let paymentsExpired = 0;
+  let ordersCancelled = 0;
+
+  const duePayments = await Payment.find({ status: 'pending', expiresAt: { $lt: now } })
+    .sort({ expiresAt: 1 })
+    .limit(limit);
+  for (const payment of duePayments) {
+    const { expired, order } = await expirePayment(payment);
+    if (expired) paymentsExpired++;
+    if (order) ordersCancelled++;
+  }
+
+  const onlinePaymentMethods = Object.values(GATEWAYS).map((gateway) => gateway.paymentMethod);
+  const staleOrders = await Order.find({
+    status: 'pending',
+    paymentMethod: { $in: onlinePaymentMethods },
+    createdAt: { $lt: new Date(now.getTime() - STALE_ORDER_MINUTES * 60 * 1000) },
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+  for (const order of staleOrders) {
+    const activePayment = order.paymentCode
+      ? await Payment.exists({ paymentCode: order.paymentCode, status: { $in: ['pending', 'paid'] } })
+      : null;
+    if (activePayment) continue;
+    if (await cancelUnpaidOrder(order, 'Quá hạn thanh toán online')) ordersCancelled++;
+  }
+
+  return { paymentsExpired, ordersCancelled };
+}
+
+/**
+ * Chuyển giao dịch pending → paid (atomic, chỉ một callback thắng)
+ * @param {Object} options - { transactionId, paidAt, callbackData, confirmedVia, fromStatuses } - fromStatuses mặc định ['pending']
+ * @returns {Document|null} payment đã cập nhật, null nếu giao dịch không còn ở trạng thái cho phép
+ */
+async function markPaymentPaid(payment, { transactionId, paidAt, callbackData, confirmedVia, fromStatuses = ['pending'] }) {
+  const update = {
+    status: 'paid',
+    paidAt: paidAt || new Date(),
+    transactionId: transactionId || `${payment.provider}_${Date.now()}`,
+    confirmedVia,
+  };
+  if (callbackData !== undefined) update.callbackData = callbackData;
+
+  return await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: fromStatuses } },
+    update,
+    { new: true }
+  );
+}
+
+async function markPaymentFailed(payment, { callbackData, confirmedVia }) {
+  return await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'pending' },
+    { status: 'failed', callbackData, confirmedVia },
+    { new: true }
+  );
+}
+
+/**
+ * Tìm đơn pending gắn với giao dịch
+ * - Giao dịch đã gắn đơn: chỉ xét đúng đơn đó
+ * - Chưa gắn: chỉ theo paymentCode, không đoán theo số tiền (hai đơn pending cùng tổng tiền dễ nhầm)
+ * @returns {Object} { order, linked } - linked = giao dịch đã gắn đơn (không tạo đơn mới từ giỏ)
+ */
+async function findOrderForPayment(payment, gateway) {
+  if (payment.order) {
+    const order = await Order.findOne({ _id: payment.order, status: 'pending' });
+    return { order, linked: true };
+  }
+
+  const order = await Order.findOne({
+    user: payment.userId,
+    paymentMethod: gateway.paymentMethod,
+    status: 'pending',
+    paymentCode: payment.paymentCode,
+  }).sort({ createdAt: -1 });
+  return { order, linked: false };
+}
+
+/**
+ * Tạo đơn từ giỏ hàng khi khách thanh toán xong trước khi gửi checkout
+ * Giá / coupon / phí giao hàng tính lại qua pricingService với địa chỉ mặc định của khách
+ * @returns {Document|null} đơn vừa tạo, null nếu giỏ trống, tổng tiền không khớp số tiền đã trả hoặc vượt giới hạn flash sale
+ */
+async function createOrderFromCart(payment, gateway, source) {
+  const cart = await Cart.findOne({ user: payment.userId });
+  if (!cart || !cart.products || cart.products.length === 0) {
+    console.log(`ℹ️ No cart found for user ${payment.userId}, skipping auto order creation`);
+    return null;
+  }
+
+  const user = await User.findById(payment.userId);
+  const savedAddress = user && user.address && user.address.length > 0
+    ? (user.address.find((addr) => addr.isDefault) || user.address[0])
+    : null;
+  const shippingAddress = savedAddress
+    ? {
+      address: [savedAddress.address1, savedAddress.wardName, savedAddress.districtName, savedAddress.cityName].filter(Boolean).join(', '),
+      city: savedAddress.city,
+      district: savedAddress.district,
+      ward: savedAddress.ward,
+    }
+    : { address: 'Chưa có địa chỉ' };
+
+  const quote = await quoteOrder({
+    orderItems: cart.products,
+    couponCode: cart.coupon,
+    userId: payment.userId,
+    address: shippingAddress,
+  });
+
+  if (Math.abs(quote.finalTotal - payment.amount) > AMOUNT_TOLERANCE) {
+    console.warn(`⚠️ Cart total (${quote.finalTotal}) doesn't match payment amount (${payment.amount}), skipping auto order creation`);
+    return null;
+  }
+
+  const flashSaleResult = await reserveFlashSalePurchases(quote.orderItems, { userId: payment.userId });
+  if (!flashSaleResult.ok) {
+    console.warn(`⚠️ ${flashSaleResult.message}, skipping auto order creation for payment ${payment.paymentCode}`);
+    return null;
+  }
+
+  const reason = `Thanh toán ${gateway.paymentMethod} ${payment.paymentCode}`;
+  const order = new Order({
+    user: payment.userId,
+    orderItems: quote.orderItems,
+    shippingAddress,
+    phone: (savedAddress && savedAddress.phoneNumber) || (user && user.phone) || '',
+    name: (savedAddress && savedAddress.fullName) || (user && user.name) || 'Khách hàng',
+    note: `Thanh toán qua ${gateway.paymentMethod} - Payment Code: ${payment.paymentCode}`,
+    coupon: quote.coupon,
+    promotions: quote.promotions,
+    promotionDiscount: quote.promotionDiscount,
+    discount: quote.discount,
+    totalPrice: quote.totalPrice,
+    totalAfterDiscount: quote.totalAfterDiscount,
+    shippingFee: quote.shippingFee,
+    shippingDiscount: quote.shippingDiscount,
+    finalTotal: quote.finalTotal,
+    paymentMethod: gateway.paymentMethod,
+    status: 'paid',
+    paymentCode: payment.paymentCode,
+    couponReserved: false,
+    couponCommitted: false,
+    flashSaleReserved: flashSaleResult.reserved,
+    statusHistory: [{
+      from: null,
+      to: 'paid',
+      changedBy: payment.userId,
+      reason,
+      source,
+    }],
+  });
+  try {
+    await order.save();
+  } catch (error) {
+    if (flashSaleResult.reserved) await releaseFlashSalePurchases(order);
+    throw error;
+  }
+
+  await Cart.findOneAndUpdate(
+    { user: payment.userId },
+    { products: [], cartTotal: 0, totalAfterDiscount: 0, coupon: '', discount: 0 }
+  );
+
+  // Commit coupon + đồng bộ kế toán cho đơn vừa tạo ở trạng thái paid
+  await runStatusHooks(order, null, { userId: payment.userId });
+
+  console.log(`✅ Created new order ${order._id} from cart for payment ${payment.paymentCode}`);
+  return order;
+}
+
+/**
+ * Hoàn tất đơn hàng sau khi giao dịch chuyển sang paid - đường xử lý chung cho webhook, IPN, xác nhận thủ công
+ * - Đơn pending gắn với giao dịch → paid qua state machine (commit coupon + đồng bộ kế toán)
+ * - Chưa có đơn → tạo đơn từ giỏ hàng
+ * Lỗi tạo/cập nhật đơn chỉ được log, không làm fail callback của cổng thanh toán
+ * @param {Document} payment - Payment đã ở trạng thái paid
+ * @param {Object} options - { source } - nguồn ghi vào statusHistory của đơn (sepay_webhook, momo_ipn...)
+ * @returns {Document|null} đơn hàng đã hoàn tất
+ */
+async function finalizePaidPayment(payment, { source }) {
+  const gateway = getGateway(payment.provider);
+  let order = null;
+
+  try {
+    const found = await findOrderForPayment(payment, gateway);
+    if (found.order) {
+      order = await transitionOrder(found.order, 'paid', {
+        userId: payment.userId,
+        reason: `Thanh toán ${gateway.paymentMethod} ${payment.paymentCode}`,
+        source,
+      });
+      console.log(`✅ Updated existing order ${order._id} to paid status`);
+    } else if (!found.linked) {
+      order = await createOrderFromCart(payment, gateway, source);
+    }
+
+    if (order && !payment.order) {
+      await Payment.updateOne({ _id: payment._id }, { order: order._id });
+      payment.order = order._id;
+    }
+  } catch (orderError) {
+    console.error(`❌ Error finalizing order for payment ${payment.paymentCode}:`, orderError);
+  }
+
+  emitPaymentEvent(payment, 'payment_paid');
+  return order;
+}
+
+/**
+ * Ghi nhận callback vào WebhookEvent, chống xử lý trùng theo (provider, eventId)
+ * Sự kiện trước đó xử lý lỗi (failed) được phép xử lý lại khi cổng gửi lại
+ * @returns {Object} { webhookEvent, duplicate }
+ */
+async function recordWebhookEvent(provider, event, source) {
+  const data = {
+    provider,
+    eventId: event.eventId,
+    source,
+    paymentCode: event.paymentCode || '',
+    amount: event.amount,
+    description: event.description || '',
+    transactionDate: event.paidAt,
+    payload: event.raw,
+  };
+
+  try {
+    const webhookEvent = await WebhookEvent.create(data);
+    return { webhookEvent, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const retried = await WebhookEvent.findOneAndUpdate(
+    { provider, eventId: event.eventId, status: 'failed' },
+    { status: 'received', error: '', $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (retried) return { webhookEvent: retried, duplicate: false };
+
+  const existing = await WebhookEvent.findOne({ provider, eventId: event.eventId });
+  return { webhookEvent: existing, duplicate: true };
+}
+
+async function closeWebhookEvent(webhookEvent, status, { payment = null, unmatchedReason = '', error = '' } = {}) {
+  webhookEvent.status = status;
+  webhookEvent.unmatchedReason = unmatchedReason;
+  webhookEvent.error = error;
+  if (payment) webhookEvent.payment = payment._id;
+  webhookEvent.processedAt = new Date();
+  await webhookEvent.save();
+  return webhookEvent;
+}
+
+/**
+ * Khớp sự kiện với giao dịch - chỉ theo mã thanh toán, không đoán theo số tiền
+ * @returns {Object} { payment } hoặc { unmatchedReason, payment }
+ */
+async function matchPaymentForEvent(gateway, event) {
+  if (!event.paymentCode) {
+    return { unmatchedReason: 'no_payment_code' };
+  }
+
+  const payment = await Payment.findOne({ provider: gateway.provider, paymentCode: event.paymentCode });
+  if (!payment) {
+    return { unmatchedReason: 'payment_not_found' };
+  }
+
+  if (event.success && Math.round(event.amount) !== payment.amount) {
+    return { unmatchedReason: 'amount_mismatch', payment };
+  }
+
+  if (payment.status === 'paid') {
+    // Cùng giao dịch cổng đã ghi nhận → trùng lặp; khác giao dịch → khách trả 2 lần, cần hoàn tiền
+    const sameTransaction = event.transactionId && payment.transactionId === event.transactionId;
+    return sameTransaction ? { payment, duplicate: true } : { unmatchedReason: 'already_paid', payment };
+  }
+
+  if (payment.status !== 'pending') {
+    return event.success ? { unmatchedReason: 'payment_not_pending', payment } : { payment, duplicate: true };
+  }
+
+  return { payment };
+}
+
+/**
+ * Xử lý callback / webhook / IPN của cổng thanh toán
+ * - Xác thực (API key / HMAC) trong adapter
+ * - Ghi WebhookEvent, sự kiện trùng (cùng eventId) không xử lý lại
+ * - Khớp giao dịch theo mã thanh toán; không khớp → hàng đợi đối soát (WebhookEvent 'unmatched')
+ * @param {String} provider - sepay, momo...
+ * @param {Object} req - Express request (adapter tự đọc body/header để xác thực)
+ * @param {Object} options - { source } - nguồn xác nhận (sepay_webhook, momo_ipn...)
+ * @returns {Object} { ok, status, message, payment, order, alreadyProcessed, unmatched, webhookEvent }
+ */
+async function processCallback(provider, req, { source }) {
+  const gateway = getGateway(provider);
+  const verified = await gateway.verifyCallback(req);
+  if (!verified.ok) {
+    return { ok: false, status: verified.status || 400, message: verified.message };
+  }
+
+  const { event } = verified;
+  const { webhookEvent, duplicate } = await recordWebhookEvent(provider, event, source);
+  if (duplicate) {
+    return { ok: true, status: 200, alreadyProcessed: true, webhookEvent, payment: null };
+  }
+
+  try {
+    // Sự kiện không liên quan hoặc chưa có kết quả cuối (VD MoMo đang xử lý): không đổi trạng thái giao dịch
+    if (event.ignore || event.status === 'pending') {
+      await closeWebhookEvent(webhookEvent, 'ignored');
+      return { ok: true, status: 200, alreadyProcessed: true, webhookEvent, payment: null };
+    }
+
+    const match = await matchPaymentForEvent(gateway, event);
+    if (match.unmatchedReason) {
+      console.warn(`⚠️ ${provider} callback ${event.eventId} không khớp giao dịch (${match.unmatchedReason}), chuyển vào hàng đợi đối soát`);
+      await closeWebhookEvent(webhookEvent, 'unmatched', { payment: match.payment, unmatchedReason: match.unmatchedReason });
+      return { ok: true, status: 200, unmatched: true, webhookEvent, payment: match.payment || null };
+    }
+
+    const { payment } = match;
+    if (match.duplicate) {
+      await closeWebhookEvent(webhookEvent, 'ignored', { payment });
+      return { ok: true, status: 200, alreadyProcessed: true, webhookEvent, payment };
+    }
+
+    const callbackData = {
+      ...event.raw,
+      receivedAt: new Date().toISOString(),
+      source,
+    };
+
+    // Chỉ kết quả thất bại cuối cùng mới chuyển giao dịch sang failed
+    if (!event.success) {
+      const failedPayment = await markPaymentFailed(payment, { callbackData, confirmedVia: source });
+      if (failedPayment) emitPaymentEvent(failedPayment, 'payment_failed');
+      await closeWebhookEvent(webhookEvent, 'processed', { payment });
+      return { ok: true, status: 200, webhookEvent, payment: failedPayment || payment };
+    }
+
+    const paidPayment = await markPaymentPaid(payment, {
+      transactionId: event.transactionId,
+      paidAt: event.paidAt,
+      callbackData,
+      confirmedVia: source,
+    });
+    if (!paidPayment) {
+      // Callback khác đã xử lý giao dịch trong lúc này
+      await closeWebhookEvent(webhookEvent, 'ignored', { payment });
+      return { ok: true, status: 200, alreadyProcessed: true, webhookEvent, payment: await Payment.findById(payment._id) };
+    }
+
+    console.log(`✅ Payment ${paidPayment.paymentCode} paid via ${source}`);
+    const order = await finalizePaidPayment(paidPayment, { source });
+    await closeWebhookEvent(webhookEvent, 'processed', { payment: paidPayment });
+    return { ok: true, status: 200, webhookEvent, payment: paidPayment, order };
+  } catch (error) {
+    await closeWebhookEvent(webhookEvent, 'failed', { error: error.message }).catch((saveError) => {
+      console.error('Không lưu được trạng thái WebhookEvent:', saveError);
+    });
+    throw error;
+  }
+}
+
+/**
+ * Đối soát thủ công một chuyển khoản không khớp
+ * - action 'match': gắn với giao dịch paymentCode (pending / expired), đánh dấu paid và hoàn tất đơn như webhook;
+ *   giao dịch expired chỉ gắn được khi chưa có đơn (đơn tạo từ giỏ hàng), đơn đã bị hủy thì từ chối
+ * - action 'ignore': bỏ qua (đã hoàn tiền cho khách ngoài hệ thống, giao dịch không liên quan...)
+ * @returns {Object} { webhookEvent, payment, order }
+ * @throws {Error} với statusCode 400/404/409 khi dữ liệu không hợp lệ
+ */
+async function resolveUnmatchedEvent(webhookEvent, { action, paymentCode, note = '', userId }) {
+  if (webhookEvent.status !== 'unmatched') {
+    throw fail(409, `Sự kiện đang ở trạng thái ${webhookEvent.status}, không cần đối soát`);
+  }
+
+  if (action === 'ignore') {
+    webhookEvent.status = 'ignored';
+    webhookEvent.resolvedBy = userId;
+    webhookEvent.resolvedAt = new Date();
+    webhookEvent.resolutionNote = note;
+    await webhookEvent.save();
+    return { webhookEvent, payment: null, order: null };
+  }
+
+  if (action !== 'match') {
+    throw fail(400, "action phải là 'match' hoặc 'ignore'");
+  }
+  if (!paymentCode) {
+    throw fail(400, 'Thiếu paymentCode');
+  }
+
+  const payment = await Payment.findOne({ provider: webhookEvent.provider, paymentCode });
+  if (!payment) {
+    throw fail(404, 'Không tìm thấy giao dịch');
+  }
+  if (!['pending', 'expired'].includes(payment.status)) {
+    throw fail(409, `Giao dịch đang ở trạng thái ${payment.status}, không thể gắn chuyển khoản`);
+  }
+  // Hết hạn thì đơn của giao dịch đã bị hủy (expirePayment): không có đơn nào để hoàn tất, giữ trong hàng đợi để hoàn tiền
+  if (payment.status === 'expired') {
+    const expiredOrder = payment.order
+      ? await Order.findById(payment.order).select('status').lean()
+      : await Order.findOne({ paymentCode: payment.paymentCode }).select('status').lean();
+    if (expiredOrder && expiredOrder.status !== 'pending') {
+      throw fail(409, `Đơn hàng của giao dịch đã ${expiredOrder.status} khi hết hạn thanh toán, không thể gắn chuyển khoản. Vui lòng hoàn tiền cho khách rồi bỏ qua sự kiện`);
+    }
+  }
+
+  const paidPayment = await markPaymentPaid(payment, {
+    transactionId: webhookEvent.eventId,
+    paidAt: webhookEvent.transactionDate,
+    callbackData: { ...webhookEvent.payload, receivedAt: new Date().toISOString(), source: 'manual_reconcile' },
+    confirmedVia: 'manual_reconcile',
+    fromStatuses: ['pending', 'expired'],
+  });
+  if (!paidPayment) {
+    throw fail(409, 'Trạng thái giao dịch vừa thay đổi, vui lòng thử lại');
+  }
+
+  webhookEvent.status = 'resolved';
+  webhookEvent.payment = paidPayment._id;
+  webhookEvent.resolvedBy = userId;
+  webhookEvent.resolvedAt = new Date();
+  webhookEvent.resolutionNote = note;
+  await webhookEvent.save();
+
+  const order = await finalizePaidPayment(paidPayment, { source: 'manual_reconcile' });
+  return { webhookEvent, payment: paidPayment, order };
+}
+
+/**
+ * Hoàn tiền trên giao dịch đã thanh toán (toàn phần hoặc một phần)
+ * 1. Giữ số tiền hoàn trên Payment.refundedAmount (atomic, chống hoàn vượt số đã thu khi gọi đồng thời)
+ * 2. Cổng có API (MoMo) gọi refund; cổng chuyển khoản (Sepay) ghi nhận kế toán đã chuyển trả với mã giao dịch ngân hàng
+ * 3. Trong transaction: bút toán Nợ 511 / Có 1121, phiếu hoàn tiền completed, cập nhật Order.refundedAmount;
+ *    hoàn hết thì giao dịch chuyển refunded và đơn chuyển refunded nếu state machine cho phép
+ * Cổng từ chối thì phiếu hoàn tiền chuyển failed và trả lại số tiền đã giữ
+ * @param {Object} options - { amount (mặc định toàn bộ phần còn lại), reason, bankReference, userId }
+ * @returns {Object} { refund, journalEntry, payment, order }
+ * @throws {Error} với statusCode 400/404/409/502
+ */
+async function refundPayment(paymentCode, { amount, reason = '', bankReference = '', userId = null } = {}) {
+  const payment = await Payment.findOne({ paymentCode });
+  if (!payment) {
+    throw fail(404, 'Không tìm thấy giao dịch');
+  }
+  if (payment.status !== 'paid') {
+    throw fail(409, `Giao dịch đang ở trạng thái ${payment.status}, không thể hoàn tiền`);
+  }
+
+  const order = payment.order ? await Order.findById(payment.order) : null;
+  if (!order) {
+    throw fail(409, 'Giao dịch chưa gắn với đơn hàng, không thể hoàn tiền');
+  }
+
+  const gateway = getGateway(payment.provider);
+  if (gateway.manualRefund && !bankReference) {
+    throw fail(400, 'Vui lòng nhập mã giao dịch ngân hàng đã chuyển trả (bankReference)');
+  }
+
+  // Phiếu hoàn tiền khác của đơn (hủy đơn, trả hàng) cũng trừ vào số tiền còn được hoàn
+  const otherRefunds = await Refund.find({ order: order._id, source: { $ne: 'payment' }, status: { $ne: 'failed' } })
+    .select('amount')
+    .lean();
+  const refundLimit = payment.amount - otherRefunds.reduce((sum, r) => sum + r.amount, 0);
+  const refundable = refundLimit - (payment.refundedAmount || 0);
+
+  const refundAmount = amount !== undefined && amount !== null && amount !== ''
+    ? Math.round(Number(amount))
+    : refundable;
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+    throw fail(400, `Số tiền hoàn không hợp lệ (tối đa ${Math.max(0, refundable).toLocaleString('vi-VN')} VNĐ)`);
+  }
+
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: 'paid',
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, refundAmount] }, refundLimit] },
+    },
+    { $inc: { refundedAmount: refundAmount } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw fail(409, 'Giao dịch vừa được hoàn tiền ở nơi khác, vui lòng tải lại và thử lại');
+  }
+
+  const description = reason || `Hoàn tiền đơn hàng ${order._id}`;
+  const refund = new Refund({
+    order: order._id,
+    user: order.user || null,
+    amount: refundAmount,
+    paymentMethod: order.paymentMethod,
+    paymentCode,
+    reason: description,
+    source: 'payment',
+    payment: payment._id,
+    status: 'processing',
+    bankReference,
+    statusHistory: [{ from: null, to: 'processing', changedBy: userId || null, note: description }],
+    createdBy: userId || null,
+  });
+  await refund.save();
+
+  let result;
+  try {
+    result = await gateway.refund(payment, { amount: refundAmount, description });
+  } catch (error) {
+    result = { ok: false, message: error.message, raw: null };
+  }
+
+  if (!result.ok) {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -refundAmount } });
+    refund.gatewayResponse = result.raw || null;
+    await updateRefundStatus(refund, 'failed', { userId, note: result.message || 'Cổng thanh toán từ chối hoàn tiền' });
+    throw fail(502, `Hoàn tiền qua ${payment.provider} thất bại: ${result.message || 'không rõ lý do'}`);
+  }
+
+  // Lưu ngay mã giao dịch hoàn tiền để không mất dấu nếu bước ghi sổ bên dưới lỗi
+  refund.bankReference = result.manual ? bankReference : (result.transactionId || bankReference);
+  refund.gatewayResponse = result.raw || null;
+  await refund.save();
+
+  const fullyRefunded = reserved.refundedAmount >= refundLimit;
+  const fromStatus = order.status;
+  const orderRefunded = fullyRefunded && canTransition(order.status, 'refunded');
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const partner = order.user || null;
+    const journalEntry = await postInventoryJournalEntry({
+      prefix: 'HT',
+      memo: `Hoàn tiền giao dịch ${paymentCode} - Đơn hàng ${order._id} - ${order.name || 'Khách hàng'}`,
+      entryType: 'adjusting',
+      lines: [
+        {
+          accountCode: '511', // Doanh thu
+          debit: refundAmount,
+          credit: 0,
+          partner,
+          partnerType: partner ? 'customer' : null,
+          description: `Giảm doanh thu - Hoàn tiền đơn hàng ${order._id}`,
+        },
+        {
+          accountCode: '1121', // Tiền gửi ngân hàng
+          debit: 0,
+          credit: refundAmount,
+          partner,
+          partnerType: partner ? 'customer' : null,
+          description: `Hoàn tiền khách hàng - ${paymentCode}`,
+        },
+      ],
+      sourceId: order._id,
+      sourceType: 'order',
+      userId,
+      session,
+    });
+
+    refund.journalEntry = journalEntry._id;
+    await updateRefundStatus(refund, 'completed', {
+      userId,
+      note: result.manual ? 'Kế toán đã chuyển trả' : `Hoàn tiền qua ${payment.provider}`,
+      session,
+    });
+
+    order.refundedAmount = (order.refundedAmount || 0) + refundAmount;
+    if (orderRefunded) {
+      await transitionOrder(order, 'refunded', {
+        userId,
+        reason: `Hoàn tiền ${refundAmount.toLocaleString('vi-VN')} VNĐ - ${paymentCode}`,
+        source: 'refund',
+        session,
+        runHooks: false,
+      });
+    } else {
+      await order.save({ session });
+    }
+
+    if (fullyRefunded) {
+      await Payment.updateOne({ _id: payment._id }, { status: 'refunded' }, { session });
+    }
+
+    await session.commitTransaction();
+
+    if (orderRefunded) {
+      await runStatusHooks(order, fromStatus, { userId });
+    }
+
+    return { refund, journalEntry, payment: await Payment.findById(payment._id), order };
+  } catch (error) {
+    await session.abortTransaction();
+    // Tiền đã chuyển trả: giữ phiếu processing (kèm mã giao dịch) để kế toán ghi sổ lại
+    console.error(`❌ Đã hoàn tiền ${paymentCode} nhưng lỗi khi ghi sổ (phiếu ${refund._id}):`, error);
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Trạng thái giao dịch: đánh dấu hết hạn, và với cổng có API tra cứu thì đồng bộ kết quả khi còn pending
+ * @returns {Object} { payment, isExpired }
+ */
+async function syncPaymentStatus(payment) {
+  if (payment.status === 'pending' && !isPaymentExpired(payment)) {
+    const gateway = getGateway(payment.provider);
+    let result = null;
+    try {
+      result = await gateway.queryStatus(payment);
+    } catch (error) {
+      console.error(`Không tra cứu được giao dịch ${payment.paymentCode} trên ${payment.provider}:`, error.message);
+    }
+
+    if (result && result.status === 'paid') {
+      const paidPayment = await markPaymentPaid(payment, {
+        transactionId: result.transactionId,
+        callbackData: { ...result.raw, receivedAt: new Date().toISOString(), source: `${payment.provider}_query` },
+        confirmedVia: `${payment.provider}_query`,
+      });
+      if (paidPayment) {
+        await finalizePaidPayment(paidPayment, { source: `${payment.provider}_query` });
+        return { payment: paidPayment, isExpired: false };
+      }
+    } else if (result && result.status === 'failed') {
+      const failedPayment = await markPaymentFailed(payment, {
+        callbackData: { ...result.raw, receivedAt: new Date().toISOString(), source: `${payment.provider}_query` },
+        confirmedVia: `${payment.provider}_query`,
+      });
+      if (failedPayment) {
+        emitPaymentEvent(failedPayment, 'payment_failed');
+        return { payment: failedPayment, isExpired: false };
+      }
+    }
+  }
+
+  const isExpired = await expireIfNeeded(payment);
+  return { payment, isExpired };
+}
+
+module.exports = {
+  AMOUNT_TOLERANCE,
+  isPaymentExpired,
+  createPayment,
+  refreshPayment,
+  expireIfNeeded,
+  expirePayment,
+  expireStalePayments,
+  markPaymentPaid,
+  markPaymentFailed,
+  finalizePaidPayment,
+  processCallback,
+  resolveUnmatchedEvent,
+  refundPayment,
+  syncPaymentStatus,
+};
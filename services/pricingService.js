@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { normalizeCode, validateForCart, calculateShippingDiscount } = require('./couponUsageService');
+const { calculateShippingFee } = require('./shippingService');
+const { evaluatePromotions } = require('./promotionService');
+const { applyFlashSalePrices } = require('./flashSaleService');
+const { resolveVariant, getSellingInfo, lineKey } = require('../utils/productVariant');
+const { normalizeUnit } = require('../utils/normalizeUnit');
+
+// Sai lệch cho phép giữa số tiền client gửi lên và số server tính (làm tròn VND)
+const PRICE_TOLERANCE = 1;
+
+/**
+ * Lỗi báo giá: sản phẩm không tồn tại, số lượng sai, coupon không hợp lệ...
+ * code dùng cho client hiển thị (VD: PRODUCT_UNAVAILABLE, INVALID_QUANTITY, COUPON_INVALID)
+ */
+class PricingError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'PricingError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function roundVnd(amount) {
+  return Math.round(Number(amount) || 0);
+}
+
+function isSameAmount(a, b) {
+  return Math.abs(roundVnd(a) - roundVnd(b)) <= PRICE_TOLERANCE;
+}
+
+/**
+ * Tính lại đơn hàng từ dữ liệu trong DB (không tin giá client gửi lên)
+ * - Giá / tên / đơn vị / ảnh lấy từ Product theo biến thể (orderItems[].variant, bỏ trống = biến thể mặc định); sản phẩm trong flash sale đang chạy tính theo giá sale (orderItems có flashSale,
+ *   originalPrice), vượt giới hạn mỗi khách báo FLASH_SALE_LIMIT
+ * - Khuyến mãi tự động (services/promotionService.js) tính trước, mỗi khuyến mãi là một dòng trong promotions
+ * - Coupon được kiểm tra lại qua couponUsageService: percent / fixed giảm tiền hàng trong phạm vi áp dụng (không quá phần còn lại
+ *   sau khuyến mãi), free_shipping giảm phí giao hàng
+ * - Phí giao hàng tính theo biểu phí (services/shippingService.js): vùng, cân nặng, ngưỡng miễn phí, khung giờ
+ * @param {Object} params - { orderItems: [{ product, variant, quantity }], couponCode, userId, address: { city, district, ward }, deliveryTime, session }
+ * @returns {Object} { orderItems, totalPrice, promotions, promotionDiscount, discount, discountType, discountPercent, totalAfterDiscount,
+ *   shippingFee, shippingDiscount, shipping, finalTotal, coupon }
+ *   shippingFee là phí khách trả sau khi trừ shippingDiscount
+ * @throws {PricingError}
+ */
+async function quoteOrder({ orderItems, couponCode, userId, address = null, deliveryTime, session = null }) {
+  if (!Array.isArray(orderItems) || orderItems.length === 0) {
+    throw new PricingError('EMPTY_ORDER', 'Đơn hàng phải có ít nhất một sản phẩm');
+  }
+
+  const requested = [];
+  for (const item of orderItems) {
+    const productId = (item.product && item.product._id) || item.product;
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      throw new PricingError('PRODUCT_UNAVAILABLE', 'Sản phẩm không hợp lệ', { productId: productId || null });
+    }
+    const variantId = (item.variant && item.variant._id) || item.variant || null;
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      throw new PricingError('PRODUCT_UNAVAILABLE', 'Biến thể sản phẩm không hợp lệ', { productId: productId.toString(), variantId });
+    }
+    const quantity = Number(item.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new PricingError('INVALID_QUANTITY', 'Số lượng sản phẩm không hợp lệ', { productId: productId.toString() });
+    }
+    requested.push({ productId: productId.toString(), variantId, quantity });
+  }
+
+  // Product có pre(/^find/) lọc sản phẩm đã xóa mềm
+  const productIds = [...new Set(requested.map((item) => item.productId))];
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('maSanPham name price promotionalPrice unit image category variants')
+    .session(session || null)
+    .lean();
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const missing = productIds.filter((id) => !productMap.has(id));
+  if (missing.length > 0) {
+    throw new PricingError('PRODUCT_UNAVAILABLE', 'Một số sản phẩm không còn được bán', { productIds: missing });
+  }
+
+  // Gộp các dòng trùng sản phẩm + biến thể (dòng không gửi variant tính theo biến thể mặc định)
+  const lineMap = new Map();
+  for (const item of requested) {
+    const product = productMap.get(item.productId);
+    const { variant, isDefault, found } = resolveVariant(product, item.variantId);
+    if (!found || (variant && variant.isActive === false)) {
+      throw new PricingError('PRODUCT_UNAVAILABLE', `Loại hàng đã chọn của ${product.name} không còn được bán`, {
+        productId: item.productId,
+        variantId: item.variantId ? item.variantId.toString() : null,
+      });
+    }
+
+    const key = lineKey(product._id, variant && variant._id);
+    const existing = lineMap.get(key);
+    if (existing) {
+      existing.quantity += item.quantity;
+      continue;
+    }
+    const info = getSellingInfo(product, variant, isDefault);
+    lineMap.set(key, {
+      product: product._id,
+      variant: info.variant,
+      sku: info.sku,
+      variantName: info.variantName,
+      title: product.name,
+      quantity: item.quantity,
+      price: roundVnd(info.price),
+      image: (product.image && product.image[0]) || '',
+      unit: info.unit,
+      weight: info.weight,
+      isDefaultVariant: info.isDefaultVariant,
+    });
+  }
+  const lines = [...lineMap.values()];
+
+  // Chỉ hàng bán theo Kg được mua lẻ (VD 0.5 Kg); đơn vị khác phải là số nguyên
+  const fractional = lines.find((line) => !Number.isInteger(line.quantity) && normalizeUnit(line.unit) !== 'Kg');
+  if (fractional) {
+    throw new PricingError('INVALID_QUANTITY', `Số lượng ${fractional.title} phải là số nguyên`, {
+      productId: fractional.product.toString(),
+    });
+  }
+
+  const { violations } = await applyFlashSalePrices(lines, { userId, session });
+  if (violations.length > 0) {
+    throw new PricingError('FLASH_SALE_LIMIT', violations[0].message, { violations });
+  }
+
+  const totalPrice = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const itemsWithCategory = lines.map((line) => ({
+    ...line,
+    category: productMap.get(line.product.toString()).category || null,
+  }));
+
+  const { lines: promotions, totalDiscount: promotionDiscount } = await evaluatePromotions(itemsWithCategory);
+
+  const code = normalizeCode(couponCode);
+  let coupon = null;
+  let discount = 0;
+  if (code) {
+    const result = await validateForCart({ code, userId, items: itemsWithCategory });
+    if (!result.ok) {
+      throw new PricingError('COUPON_INVALID', result.message || 'Mã giảm giá không hợp lệ.', { coupon: code });
+    }
+    coupon = result.coupon;
+    discount = Math.min(result.discount, totalPrice - promotionDiscount);
+  }
+
+  const discountType = coupon ? (coupon.discountType || 'percent') : null;
+  const discountPercent = discountType === 'percent' ? Number(coupon.discount || 0) : 0;
+  const totalAfterDiscount = totalPrice - promotionDiscount - discount;
+  const { shippingFee: grossShippingFee, breakdown: shipping } = await calculateShippingFee({
+    address,
+    orderItems: lines,
+    orderValue: totalAfterDiscount,
+    deliveryTime,
+  });
+  const shippingDiscount = calculateShippingDiscount(coupon, grossShippingFee);
+  const shippingFee = grossShippingFee - shippingDiscount;
+  const finalTotal = totalAfterDiscount + shippingFee;
+
+  return {
+    orderItems: lines,
+    coupon: code,
+    discountType,
+    discountPercent,
+    totalPrice,
+    promotions,
+    promotionDiscount,
+    discount,
+    totalAfterDiscount,
+    shippingFee,
+    shippingDiscount,
+    shipping,
+    finalTotal,
+  };
+}
+
+/**
+ * So sánh số liệu client gửi lên với báo giá của server
+ * Chỉ so những trường client có gửi (undefined = bỏ qua)
+ * @returns {Object|null} null nếu khớp, ngược lại { items, totals }
+ */
+function diffQuote(clientOrder, quote) {
+  const clientPrices = new Map();
+  (clientOrder.orderItems || []).forEach((item) => {
+    const productId = (item.product && item.product._id) || item.product;
+    const variantId = (item.variant && item.variant._id) || item.variant || null;
+    if (productId && item.price !== undefined) clientPrices.set(lineKey(productId, variantId), item.price);
+  });
+  // Dòng client không gửi variant so với biến thể mặc định
+  const getClientPrice = (line) => {
+    const exact = clientPrices.get(lineKey(line.product, line.variant));
+    return exact !== undefined || !line.isDefaultVariant ? exact : clientPrices.get(lineKey(line.product));
+  };
+
+  const items = quote.orderItems
+    .filter((line) => {
+      const clientPrice = getClientPrice(line);
+      return clientPrice !== undefined && !isSameAmount(clientPrice, line.price);
+    })
+    .map((line) => ({
+      productId: line.product,
+      variantId: line.variant,
+      title: line.title,
+      clientPrice: roundVnd(getClientPrice(line)),
+      currentPrice: line.price,
+    }));
+
+  const totals = ['totalPrice', 'totalAfterDiscount', 'shippingFee', 'finalTotal']
+    .filter((field) => clientOrder[field] !== undefined && !isSameAmount(clientOrder[field], quote[field]))
+    .map((field) => ({
+      field,
+      clientValue: roundVnd(clientOrder[field]),
+      currentValue: quote[field],
+    }));
+
+  if (items.length === 0 && totals.length === 0) return null;
+  return { items, totals };
+}
+
+module.exports = {
+  PricingError,
+  quoteOrder,
+  diffQuote,
+};
@@ -0,0 +1,75 @@
+const PromoBanner = require('../models/PromoBanner');
+const { isFirstOrder } = require('./couponUsageService');
+const { getRunningFlashSaleWithProducts } = require('./flashSaleService');
+
+const PLACEMENTS = ['home_hero', 'cart', 'mobile_splash'];
+const PLATFORMS = ['web', 'mobile'];
+
+/**
+ * Nền tảng của request: query platform, header X-Platform, mặc định web
+ */
+function resolvePlatform(req) {
+  const platform = (req.query.platform || req.headers['x-platform'] || '').toString().toLowerCase();
+  return PLATFORMS.includes(platform) ? platform : 'web';
+}
+
+function matchesAudience(banner, { userId, platform, isNewCustomer }) {
+  const audience = banner.audience || {};
+  const platforms = audience.platforms || [];
+  if (platforms.length > 0 && !platforms.includes(platform)) return false;
+
+  if (audience.auth === 'logged_in' && !userId) return false;
+  if (audience.auth === 'guest' && userId) return false;
+
+  if (audience.customer === 'new' && !isNewCustomer) return false;
+  if (audience.customer === 'returning' && isNewCustomer) return false;
+  return true;
+}
+
+/**
+ * Chọn banner cho request: đúng placement, trong lịch chạy, khớp đối tượng, priority cao nhất (cùng priority lấy banner mới hơn)
+ * @param {Object} params - { placement, platform, userId, now }
+ * @returns {Object|null} banner (lean), kèm flashSale khi showFlashSale
+ */
+async function resolveBanner({ placement = 'home_hero', platform = 'web', userId = null, now = new Date() }) {
+  const candidates = await PromoBanner.find({
+    placement,
+    isActive: true,
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+      { $or: [{ endDate: null }, { endDate: { $gte: now } }] },
+    ],
+  }).sort({ priority: -1, createdAt: -1 }).select('-createdBy').lean();
+  if (candidates.length === 0) return null;
+
+  // Khách chưa đăng nhập tính là khách mới; chỉ tra đơn hàng khi có banner phân biệt khách mới / cũ
+  let isNewCustomer = true;
+  if (userId && candidates.some((banner) => banner.audience && ['new', 'returning'].includes(banner.audience.customer))) {
+    isNewCustomer = await isFirstOrder(userId);
+  }
+
+  const banner = candidates.find((candidate) => matchesAudience(candidate, { userId, platform, isNewCustomer }));
+  if (!banner) return null;
+
+  if (banner.showFlashSale) {
+    banner.flashSale = await getRunningFlashSaleWithProducts();
+    if (banner.flashSale) banner.countdownDate = banner.flashSale.endTime;
+  }
+  return banner;
+}
+
+/**
+ * Cộng bộ đếm hiển thị / click (không chặn response)
+ */
+function recordBannerEvent(bannerId, field) {
+  return PromoBanner.updateOne({ _id: bannerId }, { $inc: { [field]: 1 } })
+    .catch((error) => console.error(`Error recording banner ${field}:`, error.message));
+}
+
+module.exports = {
+  PLACEMENTS,
+  PLATFORMS,
+  resolvePlatform,
+  resolveBanner,
+  recordBannerEvent,
+};
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const Product = require('../models/Product');
+const { resolveVariant } = require('../utils/productVariant');
+
+const PROMOTION_TYPES = ['buy_x_get_y', 'tiered', 'category_percent', 'bundle'];
+
+function productKey(product) {
+  return ((product && product._id) || product || '').toString();
+}
+
+/**
+ * Kiểm tra cấu hình khuyến mãi theo type - dùng khi tạo / sửa
+ * @returns {Object} { ok, message }
+ */
+function validatePromotion(promotion) {
+  if (!PROMOTION_TYPES.includes(promotion.type)) {
+    return { ok: false, message: `Loại khuyến mãi không hợp lệ. Hợp lệ: ${PROMOTION_TYPES.join(', ')}` };
+  }
+  if (!promotion.name || !promotion.name.toString().trim()) {
+    return { ok: false, message: 'Vui lòng nhập tên khuyến mãi.' };
+  }
+  if (promotion.maxDiscount != null && !(Number(promotion.maxDiscount) >= 0)) {
+    return { ok: false, message: 'Số tiền giảm tối đa phải >= 0.' };
+  }
+
+  if (promotion.type === 'buy_x_get_y') {
+    if (!mongoose.Types.ObjectId.isValid(productKey(promotion.buyProduct))) {
+      return { ok: false, message: 'Sản phẩm mua không hợp lệ.' };
+    }
+    if (promotion.getProduct && !mongoose.Types.ObjectId.isValid(productKey(promotion.getProduct))) {
+      return { ok: false, message: 'Sản phẩm tặng không hợp lệ.' };
+    }
+    if (!(Number.isInteger(Number(promotion.buyQuantity)) && Number(promotion.buyQuantity) >= 1)
+      || !(Number.isInteger(Number(promotion.getQuantity)) && Number(promotion.getQuantity) >= 1)) {
+      return { ok: false, message: 'Số lượng mua / tặng phải là số nguyên >= 1.' };
+    }
+  }
+
+  if (promotion.type === 'tiered') {
+    const tiers = promotion.tiers || [];
+    if (tiers.length === 0) return { ok: false, message: 'Vui lòng nhập ít nhất một bậc giảm giá.' };
+    for (const tier of tiers) {
+      const value = Number(tier.value);
+      if (!(Number(tier.minValue) >= 0)) return { ok: false, message: 'Giá trị đơn tối thiểu của bậc phải >= 0.' };
+      if ((tier.discountType || 'percent') === 'percent' ? !(value > 0 && value <= 100) : !(value > 0)) {
+        return { ok: false, message: 'Mức giảm của bậc không hợp lệ (phần trăm 0-100 hoặc số tiền > 0).' };
+      }
+    }
+  }
+
+  if (promotion.type === 'category_percent') {
+    if ((promotion.categories || []).length === 0) return { ok: false, message: 'Vui lòng chọn danh mục áp dụng.' };
+    const percent = Number(promotion.percent);
+    if (!(percent > 0 && percent <= 100)) {
+      return { ok: false, message: 'Giảm giá theo phần trăm phải lớn hơn 0 và không quá 100%.' };
+    }
+  }
+
+  if (promotion.type === 'bundle') {
+    const bundleItems = promotion.bundleItems || [];
+    if (bundleItems.length < 2) return { ok: false, message: 'Combo phải có ít nhất 2 sản phẩm.' };
+    if (bundleItems.some((item) => !mongoose.Types.ObjectId.isValid(productKey(item.product))
+      || !(Number.isInteger(Number(item.quantity)) && Number(item.quantity) >= 1))) {
+      return { ok: false, message: 'Sản phẩm trong combo không hợp lệ.' };
+    }
+    if (new Set(bundleItems.map((item) => productKey(item.product))).size !== bundleItems.length) {
+      return { ok: false, message: 'Sản phẩm trong combo bị trùng.' };
+    }
+    if (!(Number(promotion.bundlePrice) >= 0)) return { ok: false, message: 'Giá combo phải >= 0.' };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Khuyến mãi đang chạy tại thời điểm now, ưu tiên cao trước
+ */
+async function getActivePromotions(now = new Date()) {
+  return await Promotion.find({
+    isActive: true,
+    startDate: { $lte: now },
+    endDate: { $gte: now },
+  }).sort({ priority: -1, createdAt: 1 }).lean();
+}
+
+function capAmount(promotion, amount) {
+  let capped = amount;
+  if (promotion.maxDiscount != null) capped = Math.min(capped, Number(promotion.maxDiscount));
+  return Math.round(Math.max(0, capped));
+}
+
+/**
+ * Tính khuyến mãi tự động cho danh sách hàng
+ * Thứ tự: combo → mua X tặng Y (dùng hết số lượng đã tính) → giảm % theo danh mục trên phần còn lại
+ * → giảm theo bậc tổng tiền trên tiền hàng sau các giảm trên. Mỗi đơn vị hàng chỉ hưởng một khuyến mãi theo sản phẩm,
+ * chỉ một khuyến mãi theo bậc được áp dụng
+ * @param {Array} items - [{ product, variant, isDefaultVariant, category, price, quantity }]
+ * @param {Array} promotions - bỏ trống để lấy khuyến mãi đang chạy
+ * @returns {Object} { lines: [{ promotion, name, type, amount }], totalDiscount }
+ */
+async function evaluatePromotions(items, promotions = null) {
+  const activePromotions = promotions || await getActivePromotions();
+  if (!items || items.length === 0 || activePromotions.length === 0) return { lines: [], totalDiscount: 0 };
+
+  // Số lượng còn lại chưa hưởng khuyến mãi theo sản phẩm; khuyến mãi theo sản phẩm (combo, mua X tặng Y) áp cho
+  // biến thể mặc định, biến thể khác có khóa riêng nên chỉ hưởng giảm theo danh mục / bậc
+  const remaining = new Map();
+  for (const item of items) {
+    const key = item.isDefaultVariant === false
+      ? `${productKey(item.product)}:${productKey(item.variant)}`
+      : productKey(item.product);
+    const current = remaining.get(key);
+    const quantity = Number(item.quantity) || 0;
+    if (current) {
+      current.quantity += quantity;
+    } else {
+      remaining.set(key, { price: Number(item.price) || 0, category: item.category || null, quantity });
+    }
+  }
+  const subtotal = [...remaining.values()].reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  const lines = [];
+  const addLine = (promotion, amount) => {
+    const capped = capAmount(promotion, amount);
+    if (capped > 0) {
+      lines.push({ promotion: promotion._id, name: promotion.name, type: promotion.type, amount: capped });
+    }
+  };
+  const ofType = (type) => activePromotions.filter((promotion) => promotion.type === type);
+
+  for (const promotion of ofType('bundle')) {
+    const bundleItems = promotion.bundleItems || [];
+    if (bundleItems.length === 0) continue;
+    const times = Math.min(...bundleItems.map((bundleItem) => {
+      const item = remaining.get(productKey(bundleItem.product));
+      return item ? Math.floor(item.quantity / bundleItem.quantity) : 0;
+    }));
+    if (times <= 0) continue;
+
+    const normalPrice = bundleItems.reduce(
+      (sum, bundleItem) => sum + remaining.get(productKey(bundleItem.product)).price * bundleItem.quantity,
+      0
+    );
+    const saving = (normalPrice - Number(promotion.bundlePrice || 0)) * times;
+    if (saving <= 0) continue;
+
+    bundleItems.forEach((bundleItem) => {
+      remaining.get(productKey(bundleItem.product)).quantity -= bundleItem.quantity * times;
+    });
+    addLine(promotion, saving);
+  }
+
+  for (const promotion of ofType('buy_x_get_y')) {
+    const buyKey = productKey(promotion.buyProduct);
+    const getKey = promotion.getProduct ? productKey(promotion.getProduct) : buyKey;
+    const buyItem = remaining.get(buyKey);
+    const getItem = remaining.get(getKey);
+    const buyQuantity = Number(promotion.buyQuantity) || 0;
+    const getQuantity = Number(promotion.getQuantity) || 0;
+    if (!buyItem || !getItem || buyQuantity < 1 || getQuantity < 1) continue;
+
+    // Hàng tặng phải có trong giỏ; cùng sản phẩm thì mỗi lượt cần buyQuantity + getQuantity
+    const times = buyKey === getKey
+      ? Math.floor(buyItem.quantity / (buyQuantity + getQuantity))
+      : Math.min(Math.floor(buyItem.quantity / buyQuantity), Math.floor(getItem.quantity / getQuantity));
+    if (times <= 0) continue;
+
+    buyItem.quantity -= buyQuantity * times;
+    getItem.quantity -= getQuantity * times;
+    addLine(promotion, getItem.price * getQuantity * times);
+  }
+
+  for (const promotion of ofType('category_percent')) {
+    const categories = promotion.categories || [];
+    let eligible = 0;
+    remaining.forEach((item) => {
+      if (item.quantity > 0 && item.category && categories.includes(item.category)) {
+        eligible += item.price * item.quantity;
+        item.quantity = 0;
+      }
+    });
+    if (eligible > 0) addLine(promotion, eligible * Number(promotion.percent || 0) / 100);
+  }
+
+  const itemDiscount = lines.reduce((sum, line) => sum + line.amount, 0);
+  const tierBase = Math.max(0, subtotal - itemDiscount);
+  for (const promotion of ofType('tiered')) {
+    const tier = (promotion.tiers || [])
+      .filter((t) => tierBase >= Number(t.minValue || 0))
+      .sort((a, b) => Number(b.minValue || 0) - Number(a.minValue || 0))[0];
+    if (!tier) continue;
+
+    const amount = (tier.discountType || 'percent') === 'percent'
+      ? tierBase * Number(tier.value || 0) / 100
+      : Number(tier.value || 0);
+    addLine(promotion, Math.min(amount, tierBase));
+    break;
+  }
+
+  // Tổng giảm không vượt tiền hàng: cắt bớt ở các dòng cuối
+  let budget = Math.round(subtotal);
+  const cappedLines = [];
+  for (const line of lines) {
+    const amount = Math.min(line.amount, budget);
+    if (amount <= 0) break;
+    cappedLines.push({ ...line, amount });
+    budget -= amount;
+  }
+
+  return {
+    lines: cappedLines,
+    totalDiscount: cappedLines.reduce((sum, line) => sum + line.amount, 0),
+  };
+}
+
+/**
+ * Tính lại khuyến mãi tự động của giỏ hàng - gọi trước cart.save() mỗi khi giỏ thay đổi
+ */
+async function refreshCartPromotions(cart) {
+  const products = cart.products || [];
+  const productIds = products.map((item) => item.product);
+  const productDocs = productIds.length > 0
+    ? await Product.find({ _id: { $in: productIds } }).select('category variants._id').lean()
+    : [];
+  const productMap = new Map(productDocs.map((p) => [p._id.toString(), p]));
+
+  const result = await evaluatePromotions(products.map((item) => {
+    const product = productMap.get(item.product.toString());
+    return {
+      product: item.product,
+      variant: item.variant || null,
+      isDefaultVariant: product ? resolveVariant(product, item.variant).isDefault : true,
+      category: (product && product.category) || null,
+      price: item.price,
+      quantity: item.quantity,
+    };
+  }));
+
+  cart.promotions = result.lines;
+  cart.promotionDiscount = result.totalDiscount;
+  return result;
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  validatePromotion,
+  getActivePromotions,
+  evaluatePromotions,
+  refreshCartPromotions,
+};
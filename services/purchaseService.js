@@ -0,0 +1,119 @@
+const Product = require('../models/Product');
+const Partner = require('../models/Partner');
+const Payable = require('../models/Payable');
+const { receiveStock, postInventoryJournalEntry, linkMovementsToEntry } = require('./inventoryService');
+
+/**
+ * Lập phiếu nhập mua hàng từ nhà cung cấp (chạy trong transaction của caller)
+ * 1. Nhập kho từng dòng hàng và tính lại giá vốn bình quân
+ * 2. Hạch toán Nợ TK 156 (Hàng hóa) / Có TK 331 (Phải trả người bán)
+ * 3. Tạo Payable (billType 'purchase') để theo dõi công nợ NCC
+ *
+ * @param {Object} params
+ * @param {String} params.supplierId - ID nhà cung cấp (Partner)
+ * @param {Array} params.items - [{ productId, variantId?, quantity, unitCost }] - variantId bỏ trống = biến thể mặc định
+ * @returns {Object} { journalEntry, payable, movements, totalAmount }
+ */
+async function createPurchaseReceipt({
+  supplierId,
+  items,
+  invoiceDate,
+  dueDate,
+  invoiceNumber = '',
+  description = '',
+  userId = null,
+  session = null,
+}) {
+  const supplier = await Partner.findOne({ _id: supplierId, partnerType: 'supplier' }).session(session);
+  if (!supplier) {
+    throw new Error('Không tìm thấy nhà cung cấp');
+  }
+
+  const productIds = items.map((item) => item.productId);
+  const products = await Product.find({ _id: { $in: productIds } }).select('_id name').session(session);
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const missing = productIds.filter((id) => !productMap.has(id.toString()));
+  if (missing.length > 0) {
+    throw new Error(`Không tìm thấy sản phẩm: ${missing.join(', ')}`);
+  }
+
+  const invoiceDateObj = new Date(invoiceDate);
+  const invoiceLabel = invoiceNumber ? `HĐ ${invoiceNumber}` : 'phiếu nhập';
+
+  const lines = items.map((item) => ({
+    accountCode: '156', // Hàng hóa
+    debit: Math.round(Number(item.quantity) * Number(item.unitCost)),
+    credit: 0,
+    description: `Nhập kho ${productMap.get(item.productId.toString()).name} - SL ${item.quantity} x ${Number(item.unitCost).toLocaleString('vi-VN')}`,
+  }));
+  const totalAmount = lines.reduce((sum, line) => sum + line.debit, 0);
+
+  if (totalAmount <= 0) {
+    throw new Error('Tổng giá trị phiếu nhập phải lớn hơn 0');
+  }
+
+  lines.push({
+    accountCode: '331', // Phải trả người bán
+    debit: 0,
+    credit: totalAmount,
+    partner: supplier._id,
+    partnerModel: 'Partner',
+    partnerType: 'supplier',
+    description: `Phải trả ${supplier.name} - ${invoiceLabel}`,
+  });
+
+  const memo = description || `Nhập mua hàng từ ${supplier.name} - ${invoiceLabel}`;
+
+  const journalEntry = await postInventoryJournalEntry({
+    prefix: 'PN',
+    date: invoiceDateObj,
+    memo,
+    lines,
+    entryType: 'purchase',
+    sourceType: 'invoice',
+    userId,
+    session,
+  });
+
+  const movements = [];
+  for (const item of items) {
+    const { movement } = await receiveStock({
+      productId: item.productId,
+      variantId: item.variantId || null,
+      quantity: item.quantity,
+      unitCost: Number(item.unitCost),
+      sourceType: 'purchase',
+      sourceId: journalEntry._id,
+      note: `Nhập mua từ ${supplier.name} - ${invoiceLabel}`,
+      userId,
+      session,
+    });
+    movements.push(movement);
+  }
+  await linkMovementsToEntry(movements, journalEntry, session);
+
+  const payable = new Payable({
+    journalEntry: journalEntry._id,
+    supplier: supplier._id,
+    billType: 'purchase',
+    originalAmount: totalAmount,
+    remainingAmount: totalAmount,
+    paymentStatus: 'unpaid',
+    dueDate: new Date(dueDate),
+    invoiceDate: invoiceDateObj,
+    description: memo,
+    approvalStatus: 'approved',
+    approvedBy: userId || null,
+    approvedAt: new Date(),
+  });
+  await payable.save({ session });
+
+  console.log(`✅ Đã lập phiếu nhập ${journalEntry.referenceNo} - ${totalAmount.toLocaleString('vi-VN')} VNĐ từ ${supplier.name}`);
+
+  return { journalEntry, payable, movements, totalAmount };
+}
+
+module.exports = {
+  createPurchaseReceipt,
+};
@@ -0,0 +1,214 @@
+const { Server } = require('socket.io');
+const db = require('../config/database');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const { verifyJwt } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * Realtime - Socket.IO cho app / web / trang quản trị
+ * Kết nối phải kèm JWT giống withAuth: `io(url, { path: '/api/socket', auth: { token } })` hoặc header `Authorization: Bearer <token>`
+ *
+ * Room:
+ * - user:<userId>      - mỗi user tự vào room của mình khi kết nối
+ * - admins             - role có quyền orders:read_all (dashboard đơn hàng)
+ * - payment:<code>     - vào bằng sự kiện join_payment, chỉ chủ giao dịch hoặc admins
+ *
+ * Sự kiện server phát:
+ * - order_created, order_status_changed  → user của đơn + admins
+ * - payment_paid, payment_expired, payment_failed → room giao dịch + user; payment_paid cả admins
+ * - stock_changed                        → mọi kết nối
+ */
+
+const ADMIN_ROOM = 'admins';
+const ADMIN_PERMISSION = 'orders:read_all';
+
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const paymentRoom = (paymentCode) => `payment:${paymentCode}`;
+
+function getSocketToken(socket) {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (auth.token) return auth.token.toString().replace(/^Bearer /, '');
+  const authHeader = headers.authorization || '';
+  return authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+}
+
+/**
+ * Xác thực khi kết nối - role nạp từ database như authorize(), không tin role trong JWT
+ */
+async function authenticateSocket(socket, next) {
+  const { error, userId } = verifyJwt(getSocketToken(socket));
+  if (error || !userId) {
+    return next(new Error(error || 'Unauthorized'));
+  }
+
+  try {
+    await db.connectDb();
+    const dbUser = await User.findById(userId).select('role').lean();
+    if (!dbUser) {
+      return next(new Error('Unauthorized'));
+    }
+
+    socket.data.userId = userId.toString();
+    socket.data.role = dbUser.role || 'user';
+    next();
+  } catch (err) {
+    console.error('Socket authentication error:', err);
+    next(new Error('Internal server error'));
+  }
+}
+
+async function handleJoinPayment(socket, paymentCode, ack) {
+  const reply = typeof ack === 'function' ? ack : () => {};
+  try {
+    if (!paymentCode || typeof paymentCode !== 'string') {
+      return reply({ ok: false, message: 'Missing paymentCode' });
+    }
+
+    await db.connectDb();
+    const payment = await Payment.findOne({ paymentCode }).select('userId').lean();
+    if (!payment) {
+      return reply({ ok: false, message: 'Payment not found' });
+    }
+
+    const isOwner = payment.userId && payment.userId.toString() === socket.data.userId;
+    if (!isOwner && !hasPermission(socket.data.role, ADMIN_PERMISSION)) {
+      return reply({ ok: false, message: 'Forbidden' });
+    }
+
+    socket.join(paymentRoom(paymentCode));
+    console.log(`📦 Socket ${socket.id} joined payment room: ${paymentCode}`);
+    reply({ ok: true });
+  } catch (err) {
+    console.error('join_payment error:', err);
+    reply({ ok: false, message: 'Internal server error' });
+  }
+}
+
+/**
+ * Tạo Socket.IO server gắn với HTTP server
+ */
+function initRealtime(httpServer, options = {}) {
+  io = new Server(httpServer, options);
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const { userId, role } = socket.data;
+    socket.join(userRoom(userId));
+    if (hasPermission(role, ADMIN_PERMISSION)) {
+      socket.join(ADMIN_ROOM);
+    }
+    console.log(`✅ Client connected: ${socket.id} (user ${userId}, ${role})`);
+
+    socket.on('join_payment', (paymentCode, ack) => handleJoinPayment(socket, paymentCode, ack));
+    socket.on('leave_payment', (paymentCode) => {
+      if (typeof paymentCode === 'string') socket.leave(paymentRoom(paymentCode));
+    });
+
+    socket.on('disconnect', () => {
+      console.log('❌ Client disconnected:', socket.id);
+    });
+  });
+
+  return io;
+}
+
+function getIO() {
+  return io;
+}
+
+/**
+ * Chạy fn sau khi transaction của session commit (bỏ qua nếu bị abort)
+ * Không có session / session không trong transaction thì chạy ngay
+ */
+function afterCommit(session, fn) {
+  if (!session || !session.inTransaction()) {
+    fn();
+    return;
+  }
+  session.once('ended', (endedSession) => {
+    if (endedSession.transaction.isCommitted) fn();
+  });
+}
+
+function emitToUser(userId, event, data) {
+  if (!io || !userId) return;
+  io.to(userRoom(userId._id || userId)).emit(event, data);
+}
+
+function emitToAdmins(event, data) {
+  if (!io) return;
+  io.to(ADMIN_ROOM).emit(event, data);
+}
+
+/**
+ * Sự kiện giao dịch thanh toán (payment_paid / payment_expired / payment_failed)
+ */
+function emitPaymentEvent(payment, event = 'payment_paid') {
+  if (!io) return;
+  const data = {
+    paymentCode: payment.paymentCode,
+    provider: payment.provider,
+    amount: payment.amount,
+    status: payment.status,
+    paidAt: payment.paidAt,
+    transactionId: payment.transactionId,
+    orderId: payment.order || null,
+  };
+
+  io.to([paymentRoom(payment.paymentCode), userRoom(payment.userId)]).emit(event, data);
+  if (event === 'payment_paid') {
+    emitToAdmins(event, data);
+  }
+  console.log(`📡 Socket event ${event} emitted for payment: ${payment.paymentCode}`);
+}
+
+/**
+ * Đơn mới (fromStatus = null) → order_created, ngược lại order_status_changed
+ */
+function emitOrderEvent(order, fromStatus) {
+  if (!io) return;
+  const history = order.statusHistory || [];
+  const lastEntry = history[history.length - 1];
+  const data = {
+    orderId: order._id,
+    status: order.status,
+    from: fromStatus,
+    name: order.name,
+    finalTotal: order.finalTotal,
+    paymentMethod: order.paymentMethod,
+    paymentCode: order.paymentCode || '',
+    itemCount: (order.orderItems || []).length,
+    reason: (lastEntry && lastEntry.reason) || '',
+    changedAt: (lastEntry && lastEntry.changedAt) || new Date(),
+  };
+  const event = fromStatus ? 'order_status_changed' : 'order_created';
+
+  emitToUser(order.user, event, data);
+  emitToAdmins(event, data);
+}
+
+/**
+ * Tồn kho sản phẩm thay đổi - phát sau khi transaction (nếu có) commit
+ * stock là tổng tồn của sản phẩm; variantId / variantStock có khi biến động theo biến thể
+ */
+function emitStockChanged({ productId, variantId = null, name, stock, variantStock = null, stockStatus }, { session = null } = {}) {
+  afterCommit(session, () => {
+    if (!io) return;
+    io.emit('stock_changed', { productId, variantId, name, stock, variantStock, stockStatus });
+  });
+}
+
+module.exports = {
+  ADMIN_ROOM,
+  initRealtime,
+  getIO,
+  afterCommit,
+  emitToUser,
+  emitToAdmins,
+  emitPaymentEvent,
+  emitOrderEvent,
+  emitStockChanged,
+};
@@ -0,0 +1,185 @@
+const JournalEntry = require('../models/JournalEntry');
+const StockMovement = require('../models/StockMovement');
+const Refund = require('../models/Refund');
+const { postInventoryJournalEntry, returnStock } = require('./inventoryService');
+
+// Luồng trạng thái phiếu hoàn tiền
+const REFUND_TRANSITIONS = {
+  pending: ['processing', 'completed', 'failed'],
+  processing: ['completed', 'failed'],
+  failed: ['processing', 'completed'],
+  completed: [],
+};
+
+const REFUND_STATUSES = Object.keys(REFUND_TRANSITIONS);
+
+/**
+ * Đơn đã từng được thanh toán online (tiền đã về tài khoản)
+ */
+function isOrderPaid(order) {
+  return (order.statusHistory || []).some((h) => h.to === 'paid');
+}
+
+/**
+ * Tổng đã / đang hoàn trực tiếp trên giao dịch thanh toán (Refund source = 'payment', trừ phiếu thất bại)
+ * Phần này đã có bút toán Nợ 511 / Có 1121 riêng nên hủy đơn chỉ đảo và hoàn phần còn lại
+ */
+async function getPaymentRefundedAmount(orderId, { session = null } = {}) {
+  const refunds = await Refund.find({ order: orderId, source: 'payment', status: { $ne: 'failed' } })
+    .select('amount')
+    .session(session)
+    .lean();
+  return refunds.reduce((sum, refund) => sum + refund.amount, 0);
+}
+
+/**
+ * Nhập lại kho nếu đơn đã xuất kho (VD: hạch toán giá vốn thủ công trước khi hủy)
+ * Dùng đúng giá vốn lúc xuất để không làm lệch giá vốn bình quân
+ */
+async function restockCancelledOrder(order, { userId = null, session = null } = {}) {
+  const [saleMovements, returnedCount] = await Promise.all([
+    StockMovement.find({ sourceType: 'order', sourceId: order._id, type: 'sale' }).session(session),
+    StockMovement.countDocuments({ sourceType: 'order', sourceId: order._id, type: 'return' }).session(session),
+  ]);
+
+  if (saleMovements.length === 0 || returnedCount > 0) {
+    return null;
+  }
+
+  return await returnStock(
+    saleMovements.map((m) => ({ product: m.product, quantity: Math.abs(m.quantity), unitCost: m.unitCost })),
+    {
+      sourceType: 'order',
+      sourceId: order._id,
+      note: `Nhập lại kho - Hủy đơn hàng ${order._id}`,
+      userId,
+      session,
+    }
+  );
+}
+
+/**
+ * Đảo bút toán doanh thu của đơn đã ghi nhận Nợ 1121 / Có 511: Nợ 511 / Có 1121
+ * Trừ phần đã hoàn trên giao dịch thanh toán (bút toán HT- riêng)
+ * @returns {Document|null} bút toán đảo (mới hoặc đã có)
+ */
+async function reverseSaleEntry(order, { userId = null, session = null } = {}) {
+  const existingReversal = await JournalEntry.findOne({
+    sourceId: order._id,
+    sourceType: 'order',
+    status: 'posted',
+    referenceNo: /^HUY-/,
+    lines: { $elemMatch: { accountCode: '511', debit: { $gt: 0 } } },
+  }).session(session);
+  if (existingReversal) return existingReversal;
+
+  const saleEntry = await JournalEntry.findOne({
+    sourceId: order._id,
+    sourceType: 'order',
+    entryType: 'sale',
+    status: 'posted',
+  }).session(session);
+  const bankLine = saleEntry && saleEntry.lines.find((line) => line.accountCode === '1121' && line.debit > 0);
+  if (!bankLine) return null;
+
+  const amount = bankLine.debit - await getPaymentRefundedAmount(order._id, { session });
+  if (amount <= 0) return null;
+
+  const partner = order.user ? (order.user._id || order.user) : null;
+  return await postInventoryJournalEntry({
+    prefix: 'HUY',
+    memo: `Đảo doanh thu - Hủy đơn hàng ${order._id} - ${order.name || 'Khách hàng'} (chứng từ gốc ${saleEntry.referenceNo})`,
+    entryType: 'adjusting',
+    lines: [
+      {
+        accountCode: '511', // Doanh thu
+        debit: amount,
+        credit: 0,
+        partner,
+        partnerType: partner ? 'customer' : null,
+        description: `Đảo doanh thu - Hủy đơn hàng ${order._id}`,
+      },
+      {
+        accountCode: '1121', // Tiền gửi ngân hàng
+        debit: 0,
+        credit: amount,
+        partner,
+        partnerType: partner ? 'customer' : null,
+        description: `Hoàn tiền khách hàng - Hủy đơn hàng ${order._id}`,
+      },
+    ],
+    sourceId: order._id,
+    sourceType: 'order',
+    userId,
+    session,
+  });
+}
+
+/**
+ * Xử lý tài chính / kho khi đơn hàng bị hủy. Chạy lại nhiều lần an toàn.
+ * 1. Nhập lại kho nếu đã xuất
+ * 2. Đảo bút toán Nợ 1121 / Có 511 (Sepay, MoMo, chuyển khoản)
+ * 3. Tạo phiếu hoàn tiền nếu khách đã thanh toán (phần chưa hoàn trên giao dịch)
+ * @returns {Object} { journalEntry, refund, restock }
+ */
+async function reverseCancelledOrder(order, { userId = null, reason = '', session = null } = {}) {
+  const restock = await restockCancelledOrder(order, { userId, session });
+  const journalEntry = await reverseSaleEntry(order, { userId, session });
+
+  let refund = null;
+  const refundAmount = isOrderPaid(order)
+    ? order.finalTotal - await getPaymentRefundedAmount(order._id, { session })
+    : 0;
+  if (refundAmount > 0) {
+    refund = await Refund.findOne({ order: order._id, source: 'order_cancel' }).session(session);
+    if (!refund) {
+      refund = new Refund({
+        order: order._id,
+        user: order.user ? (order.user._id || order.user) : null,
+        amount: refundAmount,
+        paymentMethod: order.paymentMethod,
+        paymentCode: order.paymentCode || '',
+        reason,
+        source: 'order_cancel',
+        journalEntry: journalEntry ? journalEntry._id : null,
+        statusHistory: [{ from: null, to: 'pending', changedBy: userId || null, note: reason }],
+        createdBy: userId || null,
+      });
+      await refund.save({ session });
+      console.log(`💸 Đã tạo phiếu hoàn tiền ${refund.amount.toLocaleString('vi-VN')} VNĐ cho đơn hàng ${order._id}`);
+    }
+  }
+
+  return { journalEntry, refund, restock };
+}
+
+/**
+ * Cập nhật trạng thái phiếu hoàn tiền theo REFUND_TRANSITIONS
+ * @throws {Error} khi chuyển trạng thái không hợp lệ
+ */
+async function updateRefundStatus(refund, toStatus, { userId = null, note = '', bankReference, session = null } = {}) {
+  const fromStatus = refund.status;
+  const allowed = REFUND_TRANSITIONS[fromStatus] || [];
+  if (!allowed.includes(toStatus)) {
+    throw new Error(
+      `Không thể chuyển phiếu hoàn tiền từ ${fromStatus} sang ${toStatus}.` +
+      (allowed.length > 0 ? ` Cho phép: ${allowed.join(', ')}` : ' Phiếu đã hoàn tất.')
+    );
+  }
+
+  refund.status = toStatus;
+  if (bankReference !== undefined) refund.bankReference = bankReference;
+  if (toStatus === 'completed') refund.completedAt = new Date();
+  refund.statusHistory.push({ from: fromStatus, to: toStatus, changedBy: userId || null, note });
+  await refund.save({ session });
+  return refund;
+}
+
+module.exports = {
+  REFUND_STATUSES,
+  REFUND_TRANSITIONS,
+  isOrderPaid,
+  getPaymentRefundedAmount,
+  reverseCancelledOrder,
+  updateRefundStatus,
+};
@@ -0,0 +1,304 @@
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const Receivable = require('../models/Receivable');
+const Refund = require('../models/Refund');
+const StockMovement = require('../models/StockMovement');
+const { generateReferenceNo, postInventoryJournalEntry, returnStock } = require('./inventoryService');
+const { transitionOrder } = require('./orderStatusService');
+const { lineKey } = require('../utils/productVariant');
+
+// Số ngày khách được yêu cầu trả hàng kể từ khi giao (hàng tươi sống)
+const RETURN_WINDOW_DAYS = 7;
+
+// Phiếu trả hàng đang giữ số lượng (chưa bị từ chối)
+const OPEN_RETURN_STATUSES = ['requested', 'approved'];
+
+function roundVnd(amount) {
+  return Math.round(Number(amount) || 0);
+}
+
+/**
+ * Ngày giao hàng thành công gần nhất theo statusHistory
+ */
+function getDeliveredAt(order) {
+  const entries = (order.statusHistory || []).filter((h) => h.to === 'delivered');
+  return entries.length > 0 ? entries[entries.length - 1].changedAt : null;
+}
+
+/**
+ * Số lượng đã/đang yêu cầu trả theo từng dòng đơn hàng
+ * @returns {Map} orderItemId -> quantity
+ */
+async function getReturnedQuantities(orderId, { session = null } = {}) {
+  const returns = await ReturnRequest.find({ order: orderId, status: { $in: OPEN_RETURN_STATUSES } })
+    .select('items')
+    .session(session)
+    .lean();
+
+  const quantities = new Map();
+  returns.forEach((r) => r.items.forEach((item) => {
+    const key = item.orderItem.toString();
+    quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+  }));
+  return quantities;
+}
+
+/**
+ * Giá trị hàng trả theo giá trên đơn, trừ phần giảm giá (khuyến mãi + coupon) phân bổ theo tỷ lệ
+ * Không hoàn phí giao hàng
+ */
+function calculateReturnAmount(order, items) {
+  const gross = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const discountRatio = order.totalPrice > 0 ? ((order.promotionDiscount || 0) + (order.discount || 0)) / order.totalPrice : 0;
+  return roundVnd(gross * (1 - discountRatio));
+}
+
+/**
+ * Khách hàng tạo yêu cầu trả hàng
+ * @param {Object} params - { order, userId, items: [{ orderItemId, quantity, reason }], reason, photos }
+ * @throws {Error} khi đơn không đủ điều kiện hoặc số lượng vượt quá số đã mua
+ */
+async function createReturnRequest({ order, userId, items, reason, photos = [], session = null }) {
+  if (order.status !== 'delivered') {
+    throw new Error('Chỉ có thể yêu cầu trả hàng cho đơn đã giao thành công');
+  }
+
+  const deliveredAt = getDeliveredAt(order);
+  if (deliveredAt) {
+    const deadline = new Date(deliveredAt);
+    deadline.setDate(deadline.getDate() + RETURN_WINDOW_DAYS);
+    if (new Date() > deadline) {
+      throw new Error(`Đã quá ${RETURN_WINDOW_DAYS} ngày kể từ khi giao hàng, không thể yêu cầu trả hàng`);
+    }
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Vui lòng chọn sản phẩm cần trả');
+  }
+
+  const returned = await getReturnedQuantities(order._id, { session });
+  const returnItems = items.map((item) => {
+    const orderItem = order.orderItems.id(item.orderItemId);
+    if (!orderItem) {
+      throw new Error(`Không tìm thấy sản phẩm ${item.orderItemId} trong đơn hàng`);
+    }
+    const quantity = Number(item.quantity);
+    // Hàng bán theo Kg có thể trả lẻ (VD 0.5); làm tròn để tránh sai số cộng trừ số thực
+    const remaining = Math.round((orderItem.quantity - (returned.get(orderItem._id.toString()) || 0)) * 1000) / 1000;
+    if (!Number.isFinite(quantity) || quantity <= 0 || quantity > remaining) {
+      throw new Error(`Số lượng trả của "${orderItem.title}" không hợp lệ (tối đa ${remaining})`);
+    }
+    returned.set(orderItem._id.toString(), (returned.get(orderItem._id.toString()) || 0) + quantity);
+    return {
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      variant: orderItem.variant || null,
+      title: orderItem.title,
+      unit: orderItem.unit,
+      price: orderItem.price,
+      quantity,
+      reason: (item.reason || '').toString().trim(),
+    };
+  });
+
+  const returnRequest = new ReturnRequest({
+    returnNumber: generateReferenceNo('RMA'),
+    order: order._id,
+    user: userId,
+    items: returnItems,
+    reason,
+    photos,
+    requestedAmount: calculateReturnAmount(order, returnItems),
+  });
+  await returnRequest.save({ session });
+  return returnRequest;
+}
+
+/**
+ * Duyệt yêu cầu trả hàng
+ * 1. Chứng từ hàng bán bị trả lại: Nợ 5213 / Có 131 (giảm công nợ còn lại) và Có 1121 (phần khách đã trả -> hoàn tiền)
+ * 2. Giảm trừ Receivable của đơn, tạo phiếu hoàn tiền cho phần Có 1121
+ * 3. Nhập lại kho theo giá vốn lúc xuất nếu restock = true
+ * 4. Đơn đã trả hết hàng chuyển sang returned
+ * Khi orderReturned = true, bên gọi chạy runStatusHooks(order, 'delivered') sau khi commit transaction
+ * @param {Object} options - { amount, restock, note, userId, session }
+ * @returns {Object} { returnRequest, creditNote, refund, receivable, order, orderReturned }
+ */
+async function approveReturnRequest(returnRequest, { amount, restock = false, note = '', userId = null, session = null } = {}) {
+  if (returnRequest.status !== 'requested') {
+    throw new Error(`Phiếu trả hàng đang ở trạng thái ${returnRequest.status}, không thể duyệt`);
+  }
+
+  const order = await Order.findById(returnRequest.order).session(session);
+  if (!order) {
+    throw new Error('Không tìm thấy đơn hàng');
+  }
+
+  const approvedAmount = amount !== undefined && amount !== null && amount !== ''
+    ? roundVnd(amount)
+    : returnRequest.requestedAmount;
+  if (approvedAmount < 0 || approvedAmount > returnRequest.requestedAmount) {
+    throw new Error(`Số tiền duyệt không hợp lệ (tối đa ${returnRequest.requestedAmount.toLocaleString('vi-VN')} VNĐ)`);
+  }
+
+  const partner = order.user || null;
+  const receivable = await Receivable.findOne({ order: order._id }).session(session);
+  const receivableAmount = receivable ? Math.min(approvedAmount, receivable.remainingAmount) : 0;
+  const refundAmount = approvedAmount - receivableAmount;
+
+  let creditNote = null;
+  if (approvedAmount > 0) {
+    const lines = [
+      {
+        accountCode: '5213', // Hàng bán bị trả lại
+        debit: approvedAmount,
+        credit: 0,
+        partner,
+        partnerType: partner ? 'customer' : null,
+        description: `Hàng bán bị trả lại - ${returnRequest.returnNumber}`,
+      },
+    ];
+    if (receivableAmount > 0) {
+      lines.push({
+        accountCode: '131', // Phải thu khách hàng
+        debit: 0,
+        credit: receivableAmount,
+        partner,
+        partnerType: partner ? 'customer' : null,
+        description: `Giảm công nợ - ${returnRequest.returnNumber}`,
+      });
+    }
+    if (refundAmount > 0) {
+      lines.push({
+        accountCode: '1121', // Tiền gửi ngân hàng
+        debit: 0,
+        credit: refundAmount,
+        partner,
+        partnerType: partner ? 'customer' : null,
+        description: `Hoàn tiền hàng trả lại - ${returnRequest.returnNumber}`,
+      });
+    }
+
+    creditNote = await postInventoryJournalEntry({
+      prefix: 'TL',
+      memo: `Hàng bán bị trả lại ${returnRequest.returnNumber} - Đơn hàng ${order._id} - ${order.name || 'Khách hàng'}`,
+      entryType: 'adjusting',
+      lines,
+      sourceId: order._id,
+      sourceType: 'order',
+      userId,
+      session,
+    });
+  }
+
+  if (receivable && receivableAmount > 0) {
+    receivable.originalAmount = Math.max(0, receivable.originalAmount - receivableAmount);
+    receivable.remainingAmount = Math.max(0, receivable.remainingAmount - receivableAmount);
+    receivable.adjustments.push({
+      journalEntry: creditNote._id,
+      amount: receivableAmount,
+      reason: `Hàng bán bị trả lại ${returnRequest.returnNumber}`,
+    });
+    await receivable.save({ session });
+  }
+
+  let refund = null;
+  if (refundAmount > 0) {
+    refund = new Refund({
+      order: order._id,
+      user: order.user || null,
+      amount: refundAmount,
+      paymentMethod: order.paymentMethod,
+      paymentCode: order.paymentCode || '',
+      reason: `Hàng bán bị trả lại ${returnRequest.returnNumber}: ${returnRequest.reason}`,
+      source: 'return',
+      returnRequest: returnRequest._id,
+      journalEntry: creditNote ? creditNote._id : null,
+      statusHistory: [{ from: null, to: 'pending', changedBy: userId || null, note }],
+      createdBy: userId || null,
+    });
+    await refund.save({ session });
+  }
+
+  if (restock) {
+    const saleMovements = await StockMovement.find({ sourceType: 'order', sourceId: order._id, type: 'sale' })
+      .session(session)
+      .lean();
+    // Giá vốn lúc xuất theo sản phẩm + biến thể; thẻ kho trước khi có biến thể (variant null) dùng chung cho sản phẩm
+    const costByLine = new Map();
+    saleMovements.forEach((m) => {
+      costByLine.set(lineKey(m.product, m.variant), m.unitCost);
+      if (!costByLine.has(lineKey(m.product))) costByLine.set(lineKey(m.product), m.unitCost);
+    });
+    await returnStock(
+      returnRequest.items.map((item) => {
+        const key = costByLine.has(lineKey(item.product, item.variant)) ? lineKey(item.product, item.variant) : lineKey(item.product);
+        return {
+          product: item.product,
+          variant: item.variant || null,
+          quantity: item.quantity,
+          unitCost: costByLine.has(key) ? costByLine.get(key) : null,
+        };
+      }),
+      {
+        sourceType: 'order',
+        sourceId: order._id,
+        note: `Nhập lại kho hàng trả về ${returnRequest.returnNumber} - Đơn hàng ${order._id}`,
+        userId,
+        session,
+      }
+    );
+  }
+
+  returnRequest.status = 'approved';
+  returnRequest.approvedAmount = approvedAmount;
+  returnRequest.restocked = !!restock;
+  returnRequest.creditNote = creditNote ? creditNote._id : null;
+  returnRequest.receivableAdjusted = receivableAmount;
+  returnRequest.refund = refund ? refund._id : null;
+  returnRequest.adminNote = note;
+  returnRequest.reviewedBy = userId || null;
+  returnRequest.reviewedAt = new Date();
+  await returnRequest.save({ session });
+
+  // Trả hết toàn bộ sản phẩm -> đơn chuyển sang returned
+  const returned = await getReturnedQuantities(order._id, { session });
+  const fullyReturned = order.orderItems.every(
+    (item) => (returned.get(item._id.toString()) || 0) >= item.quantity
+  );
+  const orderReturned = fullyReturned && order.status === 'delivered';
+  if (orderReturned) {
+    await transitionOrder(order, 'returned', {
+      userId,
+      reason: `Khách trả toàn bộ hàng - ${returnRequest.returnNumber}`,
+      source: 'return',
+      session,
+      runHooks: false,
+    });
+  }
+
+  return { returnRequest, creditNote, refund, receivable, order, orderReturned };
+}
+
+/**
+ * Từ chối yêu cầu trả hàng
+ */
+async function rejectReturnRequest(returnRequest, { note = '', userId = null, session = null } = {}) {
+  if (returnRequest.status !== 'requested') {
+    throw new Error(`Phiếu trả hàng đang ở trạng thái ${returnRequest.status}, không thể từ chối`);
+  }
+  returnRequest.status = 'rejected';
+  returnRequest.adminNote = note;
+  returnRequest.reviewedBy = userId || null;
+  returnRequest.reviewedAt = new Date();
+  await returnRequest.save({ session });
+  return returnRequest;
+}
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  calculateReturnAmount,
+  createReturnRequest,
+  approveReturnRequest,
+  rejectReturnRequest,
+};
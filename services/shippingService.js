@@ -0,0 +1,93 @@
+const ShippingConfig = require('../models/ShippingConfig');
+const { normalizeUnit } = require('../utils/normalizeUnit');
+
+// Cân nặng ước tính (kg) cho mỗi đơn vị bán
+const UNIT_WEIGHT_KG = {
+  Kg: 1,
+  '100g': 0.1,
+  túi: 0.5,
+  hộp: 0.5,
+  chai: 1,
+};
+
+/**
+ * Tổng cân nặng đơn hàng (kg): cân nặng của biến thể nếu có, ngược lại ước tính theo đơn vị bán
+ * @param {Array} orderItems - [{ unit, weight, quantity }]
+ */
+function calculateOrderWeight(orderItems) {
+  const weight = (orderItems || []).reduce((sum, item) => {
+    const unitWeight = item.weight != null ? Number(item.weight) : UNIT_WEIGHT_KG[normalizeUnit(item.unit)];
+    return sum + (unitWeight != null ? unitWeight : 1) * (Number(item.quantity) || 0);
+  }, 0);
+  return Math.round(weight * 100) / 100;
+}
+
+/**
+ * Tìm vùng giao hàng cho địa chỉ: khớp phường/xã trước, rồi quận/huyện, rồi tỉnh/thành
+ * @param {Object} config - ShippingConfig
+ * @param {Object} address - { city, district, ward }
+ */
+function resolveZone(config, address = {}) {
+  const zones = (config.zones || []).filter((zone) => zone.isActive !== false);
+  const { city, district, ward } = address || {};
+
+  const match = (ward && zones.find((zone) => (zone.wardCodes || []).includes(String(ward))))
+    || (district && zones.find((zone) => (zone.districtCodes || []).includes(String(district))))
+    || (city && zones.find((zone) => (zone.cityCodes || []).includes(String(city))));
+
+  return match || { ...(config.defaultZone || {}), isDefault: true };
+}
+
+/**
+ * Tính phí giao hàng
+ * @param {Object} params - { address: { city, district, ward }, orderItems, orderValue, deliveryTime, config }
+ *   orderValue: giá trị hàng sau giảm giá, dùng để xét miễn phí giao hàng
+ * @returns {Object} { shippingFee, breakdown }
+ */
+async function calculateShippingFee({ address, orderItems, orderValue = 0, deliveryTime, config = null }) {
+  const shippingConfig = config || await ShippingConfig.getConfig();
+  const zone = resolveZone(shippingConfig, address);
+
+  const weightKg = calculateOrderWeight(orderItems);
+  const includedWeightKg = zone.includedWeightKg || 0;
+  const extraKg = Math.max(0, Math.ceil(weightKg - includedWeightKg));
+  const weightFee = extraKg * (zone.perKgFee || 0);
+
+  const slot = (shippingConfig.deliverySlotSurcharges || []).find((s) => s.slot === deliveryTime);
+  const slotSurcharge = slot ? slot.surcharge : 0;
+
+  const freeShippingThreshold = zone.freeShippingThreshold != null
+    ? zone.freeShippingThreshold
+    : (shippingConfig.freeShippingThreshold || 0);
+  const freeShipping = freeShippingThreshold > 0 && orderValue >= freeShippingThreshold;
+
+  // Miễn phí chỉ áp dụng cho phí cơ bản + cân nặng, phụ phí khung giờ vẫn tính
+  const shippingFee = Math.round((freeShipping ? 0 : (zone.baseFee || 0) + weightFee) + slotSurcharge);
+
+  return {
+    shippingFee,
+    breakdown: {
+      zone: zone.name,
+      isDefaultZone: !!zone.isDefault,
+      baseFee: zone.baseFee || 0,
+      weightKg,
+      includedWeightKg,
+      weightFee,
+      deliveryTime: deliveryTime || null,
+      slotSurcharge,
+      freeShipping,
+      freeShippingThreshold,
+      // Số tiền cần mua thêm để được miễn phí giao hàng
+      amountToFreeShipping: freeShippingThreshold > 0 && !freeShipping
+        ? Math.round(freeShippingThreshold - orderValue)
+        : 0,
+    },
+  };
+}
+
+module.exports = {
+  UNIT_WEIGHT_KG,
+  calculateOrderWeight,
+  resolveZone,
+  calculateShippingFee,
+};
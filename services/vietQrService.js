@@ -0,0 +1,144 @@
+const QRCode = require('qrcode');
+
+/**
+ * VietQR - Mã QR chuyển khoản liên ngân hàng theo chuẩn EMVCo / NAPAS 247
+ * Server tự tạo chuỗi payload (kèm CRC) và ảnh QR thay vì phụ thuộc img.vietqr.io;
+ * app mobile có thể lấy payload để tự vẽ QR hoặc dùng ảnh PNG / SVG từ API
+ *
+ * Cấu trúc payload (ID 2 ký tự + độ dài 2 ký tự + giá trị):
+ * 00 Payload format "01" | 01 Point of initiation "12" (có số tiền) / "11" (mã tĩnh)
+ * 38 Merchant account: 00 GUID "A000000727", 01 (00 BIN ngân hàng, 01 số tài khoản), 02 dịch vụ "QRIBFTTA" (chuyển vào tài khoản)
+ * 53 Tiền tệ "704" (VND) | 54 Số tiền | 58 Quốc gia "VN" | 62 Thông tin thêm: 08 nội dung chuyển khoản | 63 CRC16
+ */
+
+const NAPAS_GUID = 'A000000727';
+const SERVICE_TRANSFER_TO_ACCOUNT = 'QRIBFTTA';
+const CURRENCY_VND = '704';
+// Nhiều ứng dụng ngân hàng cắt nội dung VietQR dài hơn 50 ký tự
+const MAX_DESCRIPTION_LENGTH = 50;
+
+// Mã BIN NAPAS theo mã ngân hàng ngắn (cùng mã dùng cho img.vietqr.io trước đây)
+const BANK_BINS = {
+  VCB: '970436', // Vietcombank
+  BIDV: '970418',
+  ICB: '970415', // VietinBank
+  VBA: '970405', // Agribank
+  MB: '970422',
+  TCB: '970407', // Techcombank
+  ACB: '970416',
+  VPB: '970432', // VPBank
+  TPB: '970423', // TPBank
+  STB: '970403', // Sacombank
+  HDB: '970437', // HDBank
+  SHB: '970443',
+  VIB: '970441',
+  MSB: '970426',
+  OCB: '970448',
+  EIB: '970431', // Eximbank
+  SEAB: '970440', // SeABank
+  LPB: '970449', // LPBank
+};
+
+function field(id, value) {
+  const text = String(value);
+  if (text.length > 99) {
+    throw new Error(`Trường VietQR ${id} dài quá 99 ký tự`);
+  }
+  return `${id}${String(text.length).padStart(2, '0')}${text}`;
+}
+
+/**
+ * CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF) - 4 ký tự hex in hoa
+ */
+function crc16(text) {
+  let crc = 0xFFFF;
+  for (const byte of Buffer.from(text, 'utf8')) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Nội dung chuyển khoản: bỏ dấu tiếng Việt, chỉ giữ chữ / số / khoảng trắng, tối đa MAX_DESCRIPTION_LENGTH
+ */
+function normalizeDescription(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .replace(/[^A-Za-z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_DESCRIPTION_LENGTH)
+    .trim();
+}
+
+/**
+ * Mã BIN từ SEPAY_BANK_BIN, hoặc từ mã ngân hàng (VD 'TPB'), hoặc bankId đã là BIN 6 số
+ */
+function resolveBankBin(bankId) {
+  if (process.env.SEPAY_BANK_BIN) return process.env.SEPAY_BANK_BIN;
+  if (/^\d{6}$/.test(bankId || '')) return bankId;
+  const bin = BANK_BINS[(bankId || '').toUpperCase()];
+  if (!bin) {
+    throw new Error(`Không xác định được mã BIN của ngân hàng ${bankId}, cấu hình SEPAY_BANK_BIN`);
+  }
+  return bin;
+}
+
+/**
+ * Tạo chuỗi payload VietQR
+ * @param {Object} params - { bankBin, accountNumber, amount (bỏ trống = mã tĩnh), description }
+ * @returns {String}
+ */
+function buildVietQrPayload({ bankBin, accountNumber, amount, description }) {
+  if (!bankBin || !accountNumber) {
+    throw new Error('Thiếu mã BIN ngân hàng hoặc số tài khoản nhận tiền');
+  }
+
+  const merchantAccount = field('38', [
+    field('00', NAPAS_GUID),
+    field('01', field('00', bankBin) + field('01', accountNumber)),
+    field('02', SERVICE_TRANSFER_TO_ACCOUNT),
+  ].join(''));
+
+  const roundedAmount = amount ? Math.round(amount) : 0;
+  const purpose = normalizeDescription(description);
+
+  const payload = [
+    field('00', '01'),
+    field('01', roundedAmount > 0 ? '12' : '11'),
+    merchantAccount,
+    field('53', CURRENCY_VND),
+    roundedAmount > 0 ? field('54', roundedAmount) : '',
+    field('58', 'VN'),
+    purpose ? field('62', field('08', purpose)) : '',
+  ].join('') + '6304';
+
+  return payload + crc16(payload);
+}
+
+/**
+ * Vẽ QR từ payload
+ * @param {String} format - 'png' (Buffer) | 'svg' (String)
+ */
+async function renderQr(payload, format = 'png', { size = 480 } = {}) {
+  const options = { errorCorrectionLevel: 'M', margin: 2, width: size };
+  if (format === 'svg') {
+    return await QRCode.toString(payload, { ...options, type: 'svg' });
+  }
+  return await QRCode.toBuffer(payload, { ...options, type: 'png' });
+}
+
+module.exports = {
+  BANK_BINS,
+  crc16,
+  normalizeDescription,
+  resolveBankBin,
+  buildVietQrPayload,
+  renderQr,
+};
@@ -0,0 +1,59 @@
+const { normalizeUnit } = require('./normalizeUnit');
+
+/**
+ * Tìm biến thể bán của sản phẩm
+ * - variantId bỏ trống: biến thể mặc định (đầu tiên) - dòng giỏ hàng / đơn hàng cũ chưa có variant
+ * - sản phẩm chưa có biến thể: null (bán theo giá / đơn vị của sản phẩm)
+ * @returns {Object} { variant, isDefault, found } - found = false khi variantId không thuộc sản phẩm
+ */
+function resolveVariant(product, variantId = null) {
+  const variants = (product && product.variants) || [];
+  if (variants.length === 0) return { variant: null, isDefault: true, found: !variantId };
+
+  if (!variantId) return { variant: variants[0], isDefault: true, found: true };
+
+  const id = ((variantId && variantId._id) || variantId).toString();
+  const index = variants.findIndex((v) => v._id.toString() === id);
+  if (index < 0) return { variant: null, isDefault: false, found: false };
+  return { variant: variants[index], isDefault: index === 0, found: true };
+}
+
+/**
+ * Thông tin bán của một dòng hàng: theo biến thể nếu có, ngược lại theo sản phẩm
+ * @returns {Object} { variant, sku, variantName, unit, weight, price, giaGoc, isDefaultVariant }
+ */
+function getSellingInfo(product, variant, isDefault = true) {
+  if (!variant) {
+    return {
+      variant: null,
+      sku: product.maSanPham || '',
+      variantName: '',
+      unit: normalizeUnit(product.unit),
+      weight: null,
+      price: product.price,
+      giaGoc: product.giaGoc || product.promotionalPrice || 0,
+      isDefaultVariant: true,
+    };
+  }
+  return {
+    variant: variant._id,
+    sku: variant.sku,
+    variantName: variant.name,
+    unit: normalizeUnit(variant.unit),
+    weight: variant.weight != null ? variant.weight : null,
+    price: variant.price,
+    giaGoc: variant.giaGoc || 0,
+    isDefaultVariant: isDefault,
+  };
+}
+
+/**
+ * Khóa so khớp dòng hàng theo sản phẩm + biến thể (biến thể trống = mặc định)
+ */
+function lineKey(productId, variantId = null) {
+  const product = ((productId && productId._id) || productId || '').toString();
+  const variant = variantId ? ((variantId._id) || variantId).toString() : '';
+  return `${product}:${variant}`;
+}
+
+module.exports = { resolveVariant, getSellingInfo, lineKey };